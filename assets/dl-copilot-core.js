@@ -6,14 +6,22 @@
    - Render messages (AI/User)
    - Render pills (option buttons) in a consistent, styleable way
    - Render selectable lists (cards) for categories / products
+   - Render declarative step results returned by flows (sync or async)
    - Lock/unlock input (so flows can force “choose above”)
    - Persist/restore conversation + flow + user sizing profile
    - Route intents (emit flow:route) without duplicating flow starts
+   - Own the module/flow REGISTRY (menu, intent aliases and router
+     are all generated from what is registered)
    - Own SIZING flows (global + product-specific) using window.DLCopilotSizing
 
    Modules are expected to:
-   - Listen to: flow:route, input:submit
+   - Register via DLCopilot.registerModule(id, fn, meta)
+     or DLCopilotCore.registerFlow(intent, def)
+   - Listen to: flow:route, input:submit (api.on / once / emitAsync,
+     wildcards and replay for late subscribers: see 2)
    - Optionally emit: intent:select (core will route → flow:route)
+   - Emit outfit:view / handoff:request when they show an outfit or
+     hand the customer to a person (feeds analytics, see 10.5)
    - Use api.appendAI / api.renderPills / api.setInputLocked
    - Never hardcode products/categories (core provides helpers)
 
@@ -25,16 +33,36 @@
 (function () {
   'use strict';
 
+  // Prevent double-loading (Theme Editor can re-render)
+  if (window.DLCopilot && window.DLCopilot.__coreInitialized) return;
+
   /* ============================================================
      0) CONFIG
   ============================================================ */
 
   var CONFIG = {
-    // BUMPED: we need new persisted shape (profile + product sizing flow)
-    // Old data is safely ignored (and won’t cause dead ends).
+    // From v5 on the key stays fixed; the payload's `v` drives migrations
+    // (see 4.1). Older keys are migrated once, then removed.
     storageKey: 'dl_copilot_state_v5',
+    stateVersion: 6,
+
+    // Per-tab state (flow, open panel, input lock) lives in sessionStorage;
+    // everything else is shared between tabs via localStorage (see 4.2).
+    tabStorageKey: 'dl_copilot_tab_v1',
+    legacyStorageKeys: [
+      'dl_copilot_state_v4',
+      'dl_copilot_state_v3',
+      'dl_copilot_state_v2',
+      'dl_copilot_state_v1'
+    ],
     debug: !!window.DL_COPILOT_DEBUG,
 
+    // Bus events kept for late subscribers (on(..., { replay: true })), see 2
+    busReplay: {
+      'core:ready': 1,
+      'flow:route': 1
+    },
+
     selectors: {
       // Panel root is in sections/dl-copilot.liquid
       panel: '#DLCopilotPanel',
@@ -43,8 +71,15 @@
       send: '#DLCopilotSend',
       close: '#DLCopilotClose',
 
+      // Screen-reader only: announcements + locked-input description (see 9.1)
+      live: '#DLCopilotLive',
+      inputHint: '#DLCopilotInputHint',
+
       // CTA (floating button)
-      cta: '.dl-copilot-float'
+      cta: '.dl-copilot-float',
+
+      // Product JSON the theme already prints on product pages (see 10.2)
+      productJson: 'script[type="application/json"][data-product-json], script[type="application/json"][id^="ProductJson"], script[type="application/json"][data-dl-copilot-product]'
     },
 
     // Shopify JSON endpoints (no storefront token required)
@@ -52,12 +87,53 @@
       collectionsJson: '/collections.json?limit=250',
       collectionProductsJson: function (collectionHandle) {
         return '/collections/' + encodeURIComponent(collectionHandle) + '/products.json?limit=250';
-      }
+      },
+      productJs: function (productHandle) {
+        return '/products/' + encodeURIComponent(productHandle) + '.js';
+      },
+      cartAdd: '/cart/add.js',
+      cartJs: '/cart.js',
+      cartPage: '/cart'
+    },
+
+    // Add to bag from a product recommendation (see 10.6)
+    cart: {
+      // Dispatched on document after an add; override with
+      // window.DLCopilotConfig.cartRefreshEvent for themes that differ.
+      refreshEvent: 'cart:refresh',
+      maxAlternatives: 3
+    },
+
+    // Transcript export → Shopify contact form (see 10.3)
+    contact: {
+      pageUrl: '/pages/contact',
+      bodySelector: 'form[action*="/contact"] textarea[name="contact[body]"]',
+      pendingKey: 'dl_copilot_contact_prefill',
+      pendingTtlMs: 10 * 60 * 1000,
+      mailtoMaxLength: 1800
     },
 
     // Rendering guardrails
     maxMessagesToPersist: 250,
     maxMessageHtmlLength: 16000,
+    maxStepHistory: 30,
+
+    // Free-text routing when no flow owns the composer (see 10.4)
+    classifier: {
+      enabled: true,
+      routeAt: 0.65,        // confidence to route straight away
+      suggestAt: 0.25,      // below this we show the full menu
+      maxSuggestions: 3
+    },
+
+    // Funnel events (see 10.5). window.DLCopilotConfig.analytics can
+    // override: { enabled: false } or { sinks: ['dataLayer'] }
+    analytics: {
+      enabled: true,
+      eventPrefix: 'dl_copilot_',
+      sinks: ['shopify', 'dataLayer', 'debug'],
+      bufferSize: 100
+    },
 
     // UX / anti-spam guards
     readyFallbackCooldownMs: 6000
@@ -112,15 +188,6 @@
       .replace(/'/g, '&#039;');
   }
 
-  // Small sanitizer for AI html content
-  function sanitizeHtml(html) {
-    html = toStr(html);
-    html = html.replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, '');
-    html = html.replace(/\son\w+="[^"]*"/gi, '');
-    html = html.replace(/\son\w+='[^']*'/gi, '');
-    return html;
-  }
-
   function nowId() {
     return (
       'r_' +
@@ -142,6 +209,24 @@
     try { return !!(window.location && /\/collections\//i.test(window.location.pathname || '')); } catch (e) { return false; }
   }
 
+  // Handle from /products/{handle}, /collections/{c}/products/{handle} or a
+  // localized /fr/products/{handle}; '' when not on a product page.
+  function currentProductHandle() {
+    try {
+      var m = /\/products\/([^\/?#.]+)/i.exec((window.location && window.location.pathname) || '');
+      return m ? decodeURIComponent(m[1]) : '';
+    } catch (e) { return ''; }
+  }
+
+  // Handle from /collections/{handle}, including /collections/{c}/products/{p};
+  // '' elsewhere.
+  function currentCollectionHandle() {
+    try {
+      var m = /\/collections\/([^\/?#.]+)/i.exec((window.location && window.location.pathname) || '');
+      return m ? decodeURIComponent(m[1]) : '';
+    } catch (e) { return ''; }
+  }
+
   function hasPillGroupInDom() {
     if (!dom.body) return false;
     return !!qs('.dl-copilot-pillgroup, .dl-copilot-options, .dl-copilot-cardgrid', dom.body);
@@ -158,6 +243,234 @@
     });
   }
 
+  // Shopify AJAX writes (cart). Errors carry the response body as err.data
+  // ({ status, message, description } for e.g. sold-out variants).
+  function postJson(url, body) {
+    return fetch(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(body || {})
+    }).then(function (r) {
+      return r.json().catch(function () { return null; }).then(function (data) {
+        if (r.ok) return data;
+        var err = new Error('HTTP ' + r.status);
+        err.status = r.status;
+        err.data = data;
+        throw err;
+      });
+    });
+  }
+
+  /* ============================================================
+     1.0) HTML SANITIZER (ALLOWLIST)
+     ------------------------------------------------------------
+     Everything rendered into the panel (AI text, policies, journal
+     and module content) goes through here. Markup is parsed into an
+     inert document and rebuilt from the allowlist:
+       - unknown tags are unwrapped (text kept), dangerous ones dropped
+         with their content
+       - only listed attributes survive; on* handlers never do
+       - href/src must be relative or use an allowed scheme
+       - style keeps allowed properties only, never url()/expression()
+       - external links get target/rel from the link policy
+     Override per call (sanitizeHtml(html, { tags: {...} })) or for the
+     whole page via window.DLCopilotConfig.sanitizer.
+  ============================================================ */
+
+  var SANITIZER_DEFAULTS = {
+    // tag → extra attributes allowed on it (globalAttributes apply to all)
+    tags: {
+      a: ['href', 'target', 'rel'],
+      b: [], strong: [], i: [], em: [], u: [], s: [], small: [], sup: [], sub: [], code: [], mark: [],
+      br: [], hr: [], p: [], div: [], span: [], blockquote: [],
+      ul: [], ol: [], li: [],
+      h2: [], h3: [], h4: [], h5: [], h6: [],
+      img: ['src', 'alt', 'width', 'height', 'loading'],
+      table: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan']
+    },
+    globalAttributes: ['class', 'title', 'role', 'aria-label', 'aria-hidden', 'style'],
+
+    // Removed together with everything inside them
+    dropTags: [
+      'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template', 'noscript',
+      'svg', 'math', 'link', 'meta', 'base', 'form', 'input', 'button', 'textarea', 'select', 'option',
+      'video', 'audio', 'source', 'track', 'canvas', 'portal', 'xmp', 'plaintext', 'noembed', 'noframes'
+    ],
+
+    urlAttributes: ['href', 'src'],
+    urlSchemes: ['http:', 'https:', 'mailto:', 'tel:'],
+
+    styleProperties: [
+      'opacity', 'color', 'text-align', 'font-weight', 'font-style', 'text-decoration',
+      'margin', 'margin-top', 'margin-bottom', 'padding', 'width', 'max-width', 'border-radius'
+    ],
+
+    // External links open in a new tab without opener/referrer
+    links: {
+      externalTarget: '_blank',
+      rel: 'noopener noreferrer'
+    }
+  };
+
+  var sanitizerConfig = null;
+
+  function sanitizerSettings(overrides) {
+    if (!sanitizerConfig) {
+      var pageOverrides = null;
+      try { pageOverrides = window.DLCopilotConfig && window.DLCopilotConfig.sanitizer; } catch (e) {}
+      sanitizerConfig = mergeSanitizerConfig(SANITIZER_DEFAULTS, pageOverrides);
+    }
+    return overrides ? mergeSanitizerConfig(sanitizerConfig, overrides) : sanitizerConfig;
+  }
+
+  // Shallow per-key merge: `tags` merges by tag name (null removes a tag),
+  // list options replace, `links` merges by field.
+  function mergeSanitizerConfig(base, extra) {
+    var out = {};
+    Object.keys(base).forEach(function (k) { out[k] = base[k]; });
+    if (!extra || typeof extra !== 'object') return out;
+
+    Object.keys(extra).forEach(function (k) {
+      if (k === 'tags' || k === 'links') {
+        var merged = {};
+        Object.keys(base[k] || {}).forEach(function (t) { merged[t] = base[k][t]; });
+        Object.keys(extra[k] || {}).forEach(function (t) {
+          if (extra[k][t] === null) delete merged[t];
+          else merged[t] = extra[k][t];
+        });
+        out[k] = merged;
+      } else if (Array.isArray(extra[k])) {
+        out[k] = extra[k].slice();
+      }
+    });
+    return out;
+  }
+
+  function configureSanitizer(overrides) {
+    sanitizerConfig = mergeSanitizerConfig(sanitizerSettings(), overrides);
+    return sanitizerConfig;
+  }
+
+  function isSafeUrl(value, cfg) {
+    // Browsers ignore control chars and whitespace inside schemes ("java\tscript:")
+    var v = toStr(value).replace(/[\u0000- \u007f-\u009f]+/g, '').toLowerCase();
+    if (!v) return true;
+
+    var m = /^([a-z][a-z0-9+.\-]*):/.exec(v);
+    if (!m) return true; // relative URL, fragment or query
+    return cfg.urlSchemes.indexOf(m[1] + ':') !== -1;
+  }
+
+  function sanitizeStyle(value, cfg) {
+    return toStr(value).split(';').map(function (decl) {
+      var i = decl.indexOf(':');
+      if (i === -1) return '';
+      var prop = decl.slice(0, i).trim().toLowerCase();
+      var val = decl.slice(i + 1).trim();
+      if (cfg.styleProperties.indexOf(prop) === -1) return '';
+      if (/url\s*\(|expression\s*\(|javascript:|[\\<>@]/i.test(val)) return '';
+      return prop + ': ' + val;
+    }).filter(Boolean).join('; ');
+  }
+
+  function isExternalUrl(href) {
+    if (!/^(https?:)?\/\//i.test(href)) return false;
+    try {
+      return new URL(href, window.location.href).origin !== window.location.origin;
+    } catch (e) {
+      return true;
+    }
+  }
+
+  function applyLinkPolicy(el, cfg) {
+    var href = el.getAttribute('href') || '';
+    var external = isExternalUrl(href);
+
+    if (external && cfg.links.externalTarget) el.setAttribute('target', cfg.links.externalTarget);
+    else if (!external && el.getAttribute('target') !== '_blank') el.removeAttribute('target');
+
+    // Anything opening a new context gets the rel policy; keep other rel tokens.
+    if (external || el.getAttribute('target') === '_blank') {
+      var rel = toStr(el.getAttribute('rel')).split(/\s+/).concat(toStr(cfg.links.rel).split(/\s+/));
+      el.setAttribute('rel', dedupeByKey(rel.filter(Boolean), function (r) { return r.toLowerCase(); }).join(' '));
+    }
+  }
+
+  function sanitizeNode(node, cfg) {
+    var children = Array.prototype.slice.call(node.childNodes);
+
+    children.forEach(function (child) {
+      if (child.nodeType === 3) return; // text
+
+      if (child.nodeType !== 1) {
+        node.removeChild(child); // comments, processing instructions, CDATA
+        return;
+      }
+
+      var tag = child.nodeName.toLowerCase();
+
+      if (cfg.dropTags.indexOf(tag) !== -1) {
+        node.removeChild(child);
+        return;
+      }
+
+      sanitizeNode(child, cfg);
+
+      if (!Object.prototype.hasOwnProperty.call(cfg.tags, tag)) {
+        // Unknown tag: keep its (already sanitized) content
+        while (child.firstChild) node.insertBefore(child.firstChild, child);
+        node.removeChild(child);
+        return;
+      }
+
+      var allowed = cfg.globalAttributes.concat(cfg.tags[tag] || []);
+
+      Array.prototype.slice.call(child.attributes).forEach(function (attr) {
+        var name = attr.name.toLowerCase();
+
+        if (name.indexOf('on') === 0 || allowed.indexOf(name) === -1) {
+          child.removeAttribute(attr.name);
+          return;
+        }
+
+        if (cfg.urlAttributes.indexOf(name) !== -1 && !isSafeUrl(attr.value, cfg)) {
+          child.removeAttribute(attr.name);
+          return;
+        }
+
+        if (name === 'style') {
+          var style = sanitizeStyle(attr.value, cfg);
+          if (style) child.setAttribute('style', style);
+          else child.removeAttribute('style');
+        }
+      });
+
+      if (tag === 'a') applyLinkPolicy(child, cfg);
+    });
+  }
+
+  function sanitizeHtml(html, overrides) {
+    html = toStr(html);
+    if (!html) return '';
+
+    var cfg = sanitizerSettings(overrides);
+
+    try {
+      // A detached document has no browsing context: nothing in it runs
+      // or loads while we walk it.
+      var doc = document.implementation.createHTMLDocument('');
+      var root = doc.createElement('div');
+      root.innerHTML = html;
+
+      sanitizeNode(root, cfg);
+      return root.innerHTML;
+    } catch (e) {
+      warn('sanitizeHtml failed, escaping instead', e);
+      return escapeText(html);
+    }
+  }
+
   /* ============================================================
      1.1) LABEL / LIST HELPERS (ADDED — fixes ugly repeats)
   ============================================================ */
@@ -173,6 +486,7 @@
     t = t.replace(/^(woman)\s*[-:|/]\s*/i, '');
 
     // Also remove standalone gender words
+    t = t.replace(/\b(wo)?men['\u2019]s\b/ig, '');
     t = t.replace(/\bmenswear\b/ig, '');
     t = t.replace(/\bwomenswear\b/ig, '');
     t = t.replace(/\bmens\b/ig, '');
@@ -239,29 +553,581 @@
 
   /* ============================================================
      2) EVENT BUS
+     ------------------------------------------------------------
+     on(evt, fn, opts)     opts: { priority, once, replay }
+                           returns an unsubscribe function
+     once(evt, fn, opts)   on() with once: true
+     off(evt, fn)          same evt string as on()
+     emit(evt, payload)    sync, as before (returns nothing)
+     emitAsync(evt, p)     Promise of every handler's result; rejects
+                           with err.errors once all have settled if
+                           any handler threw or rejected
+     buffered(evt)         replay buffer entries matching evt
+
+     - evt may be a namespace wildcard ('flow:*') or '*' for all.
+       Handlers get (payload, evt).
+     - Higher priority runs first (default 0); ties keep subscription
+       order.
+     - Events listed in `replay` ({ evt: n }) keep their last n
+       payloads (at most `maxReplay` overall); on(..., { replay: true })
+       delivers those first, so modules that register late still see
+       e.g. the last flow:route. Core boots on DOMContentLoaded, after
+       deferred modules register; replaying 'core:ready' covers a module
+       loaded after boot.
+     - Listener errors are logged and re-emitted as 'bus:error'
+       { event, error }.
+     - In debug mode every emit is also handed to `tap` (debug trace)
   ============================================================ */
 
-  function createBus() {
-    var listeners = {};
-    function on(evt, fn) {
-      if (!evt || typeof fn !== 'function') return;
+  function createBus(options) {
+    options = options || {};
+
+    var tap = typeof options.tap === 'function' ? options.tap : null;
+    var replayLimits = options.replay || {};
+    var maxReplay = options.maxReplay || 20;
+
+    var listeners = {};   // evt or pattern → [{ fn, priority, once, seq }]
+    var buffer = [];      // [{ evt, payload }], oldest first
+    var seq = 0;
+
+    function matches(pattern, evt) {
+      if (pattern === evt || pattern === '*') return true;
+      if (pattern.length > 1 && pattern.slice(-2) === ':*') {
+        return evt.indexOf(pattern.slice(0, -1)) === 0;
+      }
+      return false;
+    }
+
+    function remove(evt, entry) {
+      if (!listeners[evt]) return;
+      listeners[evt] = listeners[evt].filter(function (x) { return x !== entry; });
+    }
+
+    function report(evt, e) {
+      warn('Listener error for', evt, e);
+      if (evt !== 'bus:error') dispatch('bus:error', { event: evt, error: e });
+    }
+
+    function call(entry, evt, payload) {
+      if (entry.once) {
+        if (entry.done) return { skipped: true };
+        entry.done = true;
+        remove(entry.evt, entry);
+      }
+
+      var value;
+      try {
+        value = entry.fn(payload, evt);
+      } catch (e) {
+        report(evt, e);
+        return { error: e };
+      }
+
+      // Async handlers: a rejection is reported, never left unhandled.
+      if (value && typeof value.then === 'function') {
+        value.then(null, function (e) { report(evt, e); });
+      }
+      return { value: value };
+    }
+
+    function remember(evt, payload) {
+      var limit = toInt(replayLimits[evt]);
+      if (!limit || limit < 1) return;
+
+      buffer.push({ evt: evt, payload: payload });
+
+      var same = buffer.filter(function (b) { return b.evt === evt; });
+      if (same.length > limit) buffer.splice(buffer.indexOf(same[0]), 1);
+      if (buffer.length > maxReplay) buffer.shift();
+    }
+
+    function dispatch(evt, payload) {
+      if (tap) {
+        try { tap(evt, payload); } catch (e) {}
+      }
+
+      remember(evt, payload);
+
+      var entries = [];
+      Object.keys(listeners).forEach(function (pattern) {
+        if (matches(pattern, evt)) entries = entries.concat(listeners[pattern]);
+      });
+      entries.sort(function (a, b) { return (b.priority - a.priority) || (a.seq - b.seq); });
+
+      return entries.map(function (entry) { return call(entry, evt, payload); });
+    }
+
+    function on(evt, fn, opts) {
+      evt = toStr(evt);
+      if (!evt || typeof fn !== 'function') return function () {};
+      opts = opts || {};
+
+      var entry = {
+        evt: evt,
+        fn: fn,
+        priority: Number(opts.priority) || 0,
+        once: !!opts.once,
+        seq: seq++
+      };
+
+      if (opts.replay) {
+        var pending = buffered(evt);
+        for (var i = 0; i < pending.length; i++) {
+          call(entry, pending[i].evt, pending[i].payload);
+          if (entry.done) return function () {};
+        }
+      }
+
       if (!listeners[evt]) listeners[evt] = [];
-      listeners[evt].push(fn);
+      listeners[evt].push(entry);
+
+      return function () { remove(evt, entry); };
+    }
+
+    function once(evt, fn, opts) {
+      opts = opts || {};
+      return on(evt, fn, {
+        priority: opts.priority,
+        replay: opts.replay,
+        once: true
+      });
     }
+
     function off(evt, fn) {
       if (!listeners[evt]) return;
-      listeners[evt] = listeners[evt].filter(function (x) { return x !== fn; });
+      listeners[evt] = listeners[evt].filter(function (x) { return x.fn !== fn; });
     }
+
     function emit(evt, payload) {
-      if (!listeners[evt] || !listeners[evt].length) return;
-      listeners[evt].slice().forEach(function (fn) {
-        try { fn(payload); } catch (e) { warn('Listener error for', evt, e); }
+      dispatch(evt, payload);
+    }
+
+    function emitAsync(evt, payload) {
+      var errors = [];
+
+      var pending = dispatch(evt, payload).filter(function (r) {
+        return !r.skipped;
+      }).map(function (r) {
+        if (r.error) {
+          errors.push(r.error);
+          return Promise.resolve(undefined);
+        }
+        return Promise.resolve(r.value).then(null, function (e) {
+          errors.push(e);
+        });
+      });
+
+      return Promise.all(pending).then(function (results) {
+        if (!errors.length) return results;
+
+        var err = new Error(errors.length + ' listener(s) failed for ' + evt);
+        err.errors = errors;
+        err.results = results;
+        throw err;
+      });
+    }
+
+    function buffered(evt) {
+      return buffer.filter(function (b) { return matches(evt, b.evt); }).map(function (b) {
+        return { evt: b.evt, payload: b.payload };
+      });
+    }
+
+    return { on: on, once: once, off: off, emit: emit, emitAsync: emitAsync, buffered: buffered };
+  }
+
+  // Debug trace (window.DL_COPILOT_DEBUG only): a bounded log of bus
+  // events and the last sizing schema a recommendation was computed from.
+  // Read through api.debug by assets/dl-copilot-inspector.js.
+  var debugTrace = {
+    maxEvents: 200,
+    events: [],
+    lastSchema: null
+  };
+
+  // Payloads are copied at emit time: later mutations must not rewrite
+  // history. Anything JSON can't carry (DOM nodes, cycles) becomes a string.
+  function traceSnapshot(value) {
+    if (value === undefined) return null;
+    try { return JSON.parse(JSON.stringify(value)); } catch (e) {}
+    try { return String(value); } catch (e2) { return null; }
+  }
+
+  function traceEvent(evt, payload) {
+    debugTrace.events.push({ ts: Date.now(), evt: evt, payload: traceSnapshot(payload) });
+    if (debugTrace.events.length > debugTrace.maxEvents) debugTrace.events.shift();
+  }
+
+  function traceSchema(schema, source) {
+    if (!CONFIG.debug || !schema) return;
+    debugTrace.lastSchema = { ts: Date.now(), source: source, schema: traceSnapshot(schema) };
+  }
+
+  var bus = createBus({
+    tap: CONFIG.debug ? traceEvent : null,
+    replay: CONFIG.busReplay
+  });
+
+  /* ============================================================
+     2.1) COPY CATALOG (I18N)
+     ------------------------------------------------------------
+     Every customer-facing string is pulled by key through copy():
+       copy('sizing.ask_height')
+       copy('sizing.saved_usual', { category: '<strong>…</strong>' })
+     Placeholders are {name}; values are inserted as-is, so callers
+     escape anything that came from data.
+     Lookup order for the active locale chain (fr-CA → fr → en):
+       1) merchant overrides for that locale (section settings)
+       2) merchant overrides without a locale
+       3) registered catalogs (core English below, modules register
+          their own, dl-copilot-i18n.js adds IT/ES/DE/FR)
+     Locale comes from window.DLCopilotConfig.locale (Shopify
+     request.locale), then <html lang>, then English.
+  ============================================================ */
+
+  var COPY_EN = {
+    'core.greeting': 'Hi, I’m the Drape Layers Co-Pilot. How can I help today?',
+    'core.choose_option': 'Please choose an option above',
+    'core.loading': 'Loading…',
+    'core.step_failed': 'Sorry, something went wrong. Let’s start again.',
+    'core.option_unavailable': 'Sorry, that option isn’t available right now.',
+    'core.main_menu': 'Main menu',
+    'core.back': 'Back',
+    'core.back_aria': 'Go back one step',
+    'core.expired': 'These options have expired.',
+    'core.composer.placeholder': 'Type your message…',
+    'core.composer.free_text': 'Choose an option or type your question…',
+    'core.a11y.locked': 'Typing is unavailable at this step. {placeholder}.',
+    'core.a11y.free_text': 'Choose one of the options above, or type your question.',
+    'core.a11y.options': 'Options',
+    'core.a11y.choices': 'Choices',
+
+    'menu.size_new': 'Recommend my size',
+    'menu.size_review': 'Review my recommended size',
+    'menu.size_product': 'Find my size for a product',
+    'menu.size_this_piece': 'Find my size for this piece',
+    'menu.transcript': 'Send me my size summary',
+
+    'classifier.confirm': 'Just to check — which of these do you mean?',
+    'classifier.something_else': 'Something else',
+    'classifier.no_problem': 'No problem. Here’s what I can help with:',
+    'classifier.not_understood': 'I’m not sure I understood. Here’s what I can help with:',
+
+    'rec.intro': 'For {title}, I recommend:',
+    'rec.size': 'Size',
+    'rec.length': 'Length',
+    'rec.confirm': 'Does that look right?',
+    'rec.fit_limiting': 'Deciding measurement: {measurement}, {ease} to spare',
+    'rec.fit_short': 'Your {measurement} is {ease} over even this size; our atelier can advise',
+    'rec.by_measurement': 'By measurement',
+    'rec.fit_pref': 'Fit: {preference}',
+    'rec.fit_pref_up': 'Fit: {preference}, so one size up from {from}',
+    'rec.fit_pref_down': 'Fit: {preference}, so one size down from {from}',
+    'rec.fit_pref_largest': 'Fit: {preference}, but {size} is already the largest size available',
+    'rec.fit_pref_smallest': 'Fit: {preference}, but {size} is already the smallest size available',
+    'rec.fit_pref_tight': 'Fit: {preference}, but one size down would be tight on your measurements',
+    'rec.confidence': 'Confidence: {level}',
+    'rec.confidence.high': 'high',
+    'rec.confidence.medium': 'medium',
+    'rec.confidence.low': 'low',
+    'rec.reason.anchored_on_usual': 'based on your usual size {value}',
+    'rec.reason.from_measurements': 'matched to the size chart',
+    'rec.reason.derived_from_proportions': 'estimated from your height and weight',
+    'rec.reason.no_body_data': 'without your height and weight',
+    'rec.reason.clamped': '{from} isn’t offered, so the nearest size',
+    'rec.reason.gender_unknown': 'not knowing if you wear menswear or womenswear',
+    'rec.reason.height_outside_length_table': 'your height is outside our length guide',
+    'rec.alternative': 'Between sizes: {size} is worth considering too',
+
+    'sizing.unavailable': 'Sizing isn’t available right now.',
+    'sizing.setup_profile': 'Let’s set up your size profile.',
+    'sizing.saved_profile': 'I already have sizing info saved:',
+    'sizing.profile_saved': 'Perfect. I’ve saved:',
+    'sizing.profile_height': 'Height: {value}',
+    'sizing.profile_weight': 'Weight: {value}',
+    'sizing.still_correct': 'Is this still correct?',
+    'sizing.yes_correct': 'Yes, that’s correct',
+    'sizing.no_update': 'No, update it',
+    'sizing.no_adjust': 'No, adjust',
+    'sizing.update_body': 'No problem. Let’s update your measurements.',
+    'sizing.ask_target': 'What would you like sizing for?',
+    'sizing.ask_target_confirmed': 'Great. What would you like sizing for?',
+    'sizing.target_product': 'A specific product',
+    'sizing.target_category': 'A product category (general sizing)',
+    'sizing.target_product_intro': 'Perfect. Let’s size a specific product.',
+    'sizing.target_category_intro': 'Perfect. Let’s do a category-based recommendation.',
+    'sizing.ask_height': 'What is your height in cm?',
+    'sizing.ask_weight': 'What is your weight in kg?',
+    'sizing.got_height': 'Got it. What is your weight in kg?',
+    'sizing.retry_height': 'Please send your height as a number in cm (e.g. 178).',
+    'sizing.retry_weight': 'Please send your weight as a number in kg (e.g. 75).',
+    'sizing.placeholder_height': 'e.g. 178',
+    'sizing.placeholder_weight': 'e.g. 75',
+    'sizing.ask_gender': 'Who are you shopping for?',
+    'sizing.gender_men': 'Menswear',
+    'sizing.gender_women': 'Womenswear',
+    'sizing.ask_category': 'Which category do you want sizing for?',
+    'sizing.ask_product_type': 'What type of product are you sizing?',
+    'sizing.loading_categories': 'Loading categories…',
+    'sizing.categories_failed': 'I couldn’t load categories right now. Please try again.',
+    'sizing.this_category': 'this category',
+    'sizing.this_piece': 'this piece',
+    'sizing.saved_usual': 'I have your usual size saved for {category}: {size}.<br>Do you want to use it?',
+    'sizing.use_saved': 'Yes, use {size}',
+    'sizing.enter_different': 'No, enter a different size',
+    'sizing.calculating': 'Calculating…',
+    'sizing.calculating_message': 'Calculating your recommended size…',
+    'sizing.next_help': 'Perfect. How can I help next?',
+    'sizing.adjust_category': 'No problem. Let’s adjust your usual size for this category.',
+    'sizing.adjust_usual': 'No problem. Let’s adjust your usual size.',
+    'sizing.product_intro': 'Sure. Let’s find your size for a specific product.',
+    'sizing.current_intro': 'Sure. Let’s find your size for {title}.',
+    'sizing.current_failed': 'I couldn’t read this piece. Let’s choose it together instead.',
+    'sizing.collection_preselected': 'You’re browsing {category}, so I’ll use that.',
+    'sizing.collection_use': 'Continue with {category}',
+    'sizing.collection_change': 'Change',
+    'sizing.measure.offer': 'This piece has a size chart. If you know your measurements ({measurements}), I can match them to it.',
+    'sizing.measure.use': 'Use my measurements',
+    'sizing.measure.use_body': 'Use height and weight',
+    'sizing.measure.ask': 'Send your measurements in cm, for example “chest 98, waist 84”. This chart covers {measurements}.',
+    'sizing.measure.placeholder': 'e.g. chest 98, waist 84',
+    'sizing.measure.retry': 'I couldn’t read a measurement this chart covers ({measurements}). Try for example “chest 98”.',
+    'sizing.measure.saved': 'I have your measurements: {measurements}.',
+    'sizing.measure.use_saved': 'Use these',
+    'sizing.measure.enter_new': 'No, enter new measurements',
+    'sizing.measure.adjust': 'No problem. Send your measurements again.',
+    'sizing.measure.no_match': 'Those measurements aren’t on this piece’s chart, so let’s size from your height and weight.',
+    'sizing.measure.value': '{name} {value} cm',
+    'sizing.measure.name.chest': 'chest',
+    'sizing.measure.name.waist': 'waist',
+    'sizing.measure.name.hip': 'hips',
+    'sizing.measure.name.shoulder': 'shoulders',
+    'sizing.measure.name.sleeve': 'sleeve',
+    'sizing.measure.name.inseam': 'inseam',
+    'sizing.fit.ask': 'How do you like {category} to fit?',
+    'sizing.fit.saved': 'For {category} you prefer this fit: {preference}.<br>Keep it?',
+    'sizing.fit.keep': 'Yes, keep “{preference}”',
+    'sizing.fit.change': 'Change fit',
+    'sizing.fit.close': 'Close',
+    'sizing.fit.true_to_size': 'True to size',
+    'sizing.fit.relaxed': 'Relaxed',
+    'sizing.fit.layering': 'Over knitwear',
+    'sizing.converted': '{from} is {to} in our sizing.',
+    'sizing.converted_brand': '{from} at {brand} is {to} in our sizing.',
+    'sizing.ask_piece': 'Which piece would you like to size?',
+    'sizing.loading_products': 'Loading products…',
+    'sizing.loading_product': 'Loading product…',
+    'sizing.no_pieces': 'I couldn’t find any pieces in this category. Please choose another one.',
+    'sizing.products_failed': 'I couldn’t load products right now. Please try again.',
+    'sizing.calc_failed': 'I couldn’t calculate a size for this piece.',
+    'sizing.size_another': 'Size another piece',
+    'sizing.collar': 'Collar {value}',
+
+    'sizing.usual.usual_size_eu.ask': 'What is your usual EU size?',
+    'sizing.usual.usual_size_eu.ask_for': 'What is your usual EU size for {category}?',
+    'sizing.usual.usual_size_eu.placeholder': 'e.g. 48',
+    'sizing.usual.usual_size_eu.retry': 'Please send your usual EU size as a number (e.g. 48).',
+    'sizing.usual.shirt_size_eu.ask': 'What is your usual shirt collar size?',
+    'sizing.usual.shirt_size_eu.ask_for': 'What is your usual shirt collar size for {category}?',
+    'sizing.usual.shirt_size_eu.placeholder': 'e.g. 40',
+    'sizing.usual.shirt_size_eu.retry': 'Please send your collar size as a number (e.g. 40).',
+    'sizing.usual.alpha_size.ask': 'What is your usual size (XS–XXL)?',
+    'sizing.usual.alpha_size.ask_for': 'What is your usual size (XS–XXL) for {category}?',
+    'sizing.usual.alpha_size.placeholder': 'e.g. M',
+    'sizing.usual.alpha_size.retry': 'Please send your usual size as XS, S, M, L, XL or XXL.',
+    'sizing.usual.waist_inch.ask': 'What is your usual waist size in inches?',
+    'sizing.usual.waist_inch.ask_for': 'What is your usual waist size in inches for {category}?',
+    'sizing.usual.waist_inch.placeholder': 'e.g. W32',
+    'sizing.usual.waist_inch.retry': 'Please send your waist size in inches (e.g. W32).',
+
+    'cart.add': 'Add size {size} · {length} to bag',
+    'cart.add_size': 'Add size {size} to bag',
+    'cart.add_variant': 'Add {variant} to bag',
+    'cart.adding': 'Adding to your bag…',
+    'cart.added': 'Added <strong>{title}</strong> ({variant}) to your bag.',
+    'cart.count_one': 'Your bag now holds 1 item.',
+    'cart.count_other': 'Your bag now holds {count} items.',
+    'cart.view': 'View bag',
+    'cart.open_product': 'Open the product page',
+    'cart.not_offered': '{variant} isn’t offered for this piece.',
+    'cart.sold_out': '{variant} is sold out right now.',
+    'cart.alternatives': 'These are available instead:',
+    'cart.no_alternatives': 'Nothing close to your size is in stock right now.',
+    'cart.failed': 'I couldn’t add it to your bag. Please try again or choose it on the product page.',
+    'cart.unavailable': 'Adding to your bag isn’t available right now.',
+
+    'transcript.title': 'Drape Layers Co-Pilot — size summary',
+    'transcript.email_subject': 'My Drape Layers size summary',
+    'transcript.date': 'Date: {date}',
+    'transcript.profile': 'Profile',
+    'transcript.height': 'Height: {value}',
+    'transcript.weight': 'Weight: {value}',
+    'transcript.measurements': 'Measurements: {value}',
+    'transcript.collection': 'Collection: {value}',
+    'transcript.collection_men': 'Men',
+    'transcript.collection_women': 'Women',
+    'transcript.saved_sizes': 'Saved sizes',
+    'transcript.recommended': 'recommended {value}',
+    'transcript.usual': 'usual {value}',
+    'transcript.fit': 'fit: {value}',
+    'transcript.general': 'General',
+    'transcript.conversation': 'Conversation',
+    'transcript.you': 'You',
+    'transcript.copilot': 'Co-Pilot',
+    'transcript.ask': 'I can put your sizes and our conversation into one summary. How would you like it?',
+    'transcript.to_atelier': 'Send it to our atelier',
+    'transcript.to_self': 'Email it to myself',
+    'transcript.print': 'Print or save as PDF',
+    'transcript.download': 'Download as text',
+    'transcript.filled': 'I’ve added your summary to the contact form on this page. Add your email and press send.',
+    'transcript.redirect': 'Taking you to our contact form — your summary will be filled in.',
+    'transcript.contact_failed': 'I couldn’t open the contact form. Please try another option.',
+    'transcript.emailed': 'I’ve opened a new email with your summary. Add your address and send it to yourself.',
+    'transcript.printed': 'Your summary is open in a new window, ready to print or save as PDF.',
+    'transcript.print_blocked': 'Your browser blocked the print window. You can download the summary instead.',
+    'transcript.downloading': 'Your summary is downloading.'
+  };
+
+  var i18n = {
+    locale: 'en',
+    chain: ['en'],
+    catalogs: { en: {} },
+    overrides: {}        // locale ('*' = any) → { key: text }
+  };
+
+  function normalizeLocale(code) {
+    return toStr(code || '').trim().toLowerCase().replace(/_/g, '-');
+  }
+
+  // 'fr-CA' → ['fr-ca', 'fr', 'en']
+  function localeChain(code) {
+    var locale = normalizeLocale(code);
+    var chain = [];
+    if (locale) {
+      chain.push(locale);
+      if (locale.indexOf('-') !== -1) chain.push(locale.split('-')[0]);
+    }
+    chain.push('en');
+    return dedupeByKey(chain, function (l) { return l; });
+  }
+
+  function registerMessages(locale, messages) {
+    locale = normalizeLocale(locale) || 'en';
+    if (!messages || typeof messages !== 'object') return;
+    if (!i18n.catalogs[locale]) i18n.catalogs[locale] = {};
+    Object.keys(messages).forEach(function (key) {
+      if (typeof messages[key] === 'string') i18n.catalogs[locale][key] = messages[key];
+    });
+  }
+
+  // Section setting text, one override per line:
+  //   sizing.ask_height = How tall are you (cm)?
+  //   sizing.ask_height[it] = Quanto sei alto (cm)?
+  // An object ({ key: text } or { locale: { key: text } }) works too.
+  function parseCopyOverrides(raw) {
+    var out = {};
+
+    function put(locale, key, text) {
+      locale = normalizeLocale(locale) || '*';
+      if (!out[locale]) out[locale] = {};
+      out[locale][key] = text;
+    }
+
+    if (raw && typeof raw === 'object') {
+      Object.keys(raw).forEach(function (k) {
+        if (typeof raw[k] === 'string') put('*', k, raw[k]);
+        else if (raw[k] && typeof raw[k] === 'object') {
+          Object.keys(raw[k]).forEach(function (key) {
+            if (typeof raw[k][key] === 'string') put(k, key, raw[k][key]);
+          });
+        }
       });
+      return out;
+    }
+
+    toStr(raw || '').split(/\r?\n/).forEach(function (line) {
+      var m = /^\s*([\w.\-]+)(?:\[([\w\-]+)\])?\s*=\s*(.*?)\s*$/.exec(line);
+      if (m && m[3]) put(m[2] || '*', m[1], m[3]);
+    });
+    return out;
+  }
+
+  function setLocale(code) {
+    i18n.locale = normalizeLocale(code) || 'en';
+    i18n.chain = localeChain(i18n.locale);
+    return i18n.locale;
+  }
+
+  function getLocale() {
+    return i18n.locale;
+  }
+
+  function interpolate(text, vars) {
+    if (!vars) return text;
+    return text.replace(/\{(\w+)\}/g, function (whole, name) {
+      return Object.prototype.hasOwnProperty.call(vars, name) ? toStr(vars[name]) : whole;
+    });
+  }
+
+  function lookupCopy(key) {
+    var chain = i18n.chain;
+    var i;
+
+    for (i = 0; i < chain.length; i++) {
+      var o = i18n.overrides[chain[i]];
+      if (o && typeof o[key] === 'string') return o[key];
+    }
+    if (i18n.overrides['*'] && typeof i18n.overrides['*'][key] === 'string') return i18n.overrides['*'][key];
+
+    for (i = 0; i < chain.length; i++) {
+      var c = i18n.catalogs[chain[i]];
+      if (c && typeof c[key] === 'string') return c[key];
     }
-    return { on: on, off: off, emit: emit };
+    return null;
+  }
+
+  function copy(key, vars) {
+    var text = lookupCopy(key);
+    if (text === null) {
+      warn('Missing copy for', key);
+      return key;
+    }
+    return interpolate(text, vars);
+  }
+
+  function hasCopy(key) {
+    return lookupCopy(key) !== null;
+  }
+
+  function initI18n() {
+    var cfg = window.DLCopilotConfig || {};
+    var lang = '';
+    try { lang = document.documentElement.getAttribute('lang') || ''; } catch (e) {}
+
+    registerMessages('en', COPY_EN);
+    setLocale(cfg.locale || lang || 'en');
+    i18n.overrides = parseCopyOverrides(cfg.messages);
   }
 
-  var bus = createBus();
+  initI18n();
+
+  // Runtime switch (e.g. a theme language selector without reload):
+  // data blocks and the menu re-render; past text messages keep the
+  // language they were written in.
+  function switchLocale(code) {
+    setLocale(code);
+
+    if (state.hasBooted && dom.body) {
+      var menuOpen = !!dom.body.querySelector('.dl-copilot-options--menu');
+      reRenderAllMessagesFromState();
+      if (menuOpen) renderMainMenuPills();
+      else renderBackControl();
+      applyInputLockState();
+    }
+
+    bus.emit('i18n:locale', { locale: i18n.locale });
+    return i18n.locale;
+  }
 
   /* ============================================================
      3) DOM + STATE
@@ -273,7 +1139,9 @@
     input: null,
     send: null,
     close: null,
-    cta: null
+    cta: null,
+    live: null,
+    inputHint: null
   };
 
   // Persistent “global” state
@@ -283,7 +1151,7 @@
     // UI
     isOpen: false,
     inputLocked: true,
-    inputLockPlaceholder: 'Please choose an option above',
+    inputLockPlaceholder: copy('core.choose_option'),
 
     // Persisted content
     messages: [],
@@ -294,7 +1162,8 @@
       step: 'entry',          // step inside a flow (string)
       payload: {},            // ephemeral payload
       activeModule: null,     // if a module owns the flow
-      routeId: null
+      routeId: null,
+      history: []             // [{ intent, step }] mirror of the Back stack (see 7.3)
     },
 
     // Persisted profile + product sizing session
@@ -303,6 +1172,10 @@
       height_cm: null,
       weight_kg: null,
 
+      // body measurements in cm, for pieces with a size chart (see 10.2)
+      // ex: { chest: 98, waist: 84, sleeve: 64 }
+      measurements: {},
+
       // optional preferences
       gender: null,            // 'men' | 'women' | null
       // category sizing memory (for global profile)
@@ -316,9 +1189,16 @@
         category_title: null,
         product_handle: null,
         product_title: null
-      }
+      },
+
+      // field → timestamp of the last local change (cross-tab merge)
+      // ex: { height_cm: 123, gender: 123, last: 123 }
+      updated_at: {}
     },
 
+    // Messages older than this were cleared (tombstone for cross-tab merge)
+    messagesClearedAt: 0,
+
     // Persisted module stores (optional)
     modules: {},
 
@@ -327,7 +1207,17 @@
     lastRoutedId: null,
 
     // Anti-spam
-    lastReadyFallbackAt: 0
+    lastReadyFallbackAt: 0,
+
+    // Funnel tracking for this tab (see 10.5)
+    analytics: {
+      session_id: null,
+      route_id: null,
+      intent: null,
+      completed: false,
+      steps: 0,
+      last_step: null
+    }
   };
 
   /* ============================================================
@@ -357,1173 +1247,5018 @@
     try { localStorage.removeItem(CONFIG.storageKey); } catch (e) {}
   }
 
-  function persistNow() {
-    var safeMessages = (state.messages || []).slice(-CONFIG.maxMessagesToPersist).map(function (m) {
-      var t = m && m.type ? m.type : 'ai';
-      var h = m && m.html ? toStr(m.html) : '';
+  // Shared history only: the open choice UI belongs to this tab (tabStateWrite).
+  function persistableMessages() {
+    return (state.messages || []).filter(function (m) {
+      return m && !isChoiceMessage(m);
+    }).slice(-CONFIG.maxMessagesToPersist).map(function (m) {
+      var t = m.type === 'user' ? 'user' : 'ai';
+      var kind = m.kind || 'text';
+
+      if (kind !== 'text' && m.data) {
+        // Oversized blocks degrade to a text snapshot rather than being cut mid-JSON.
+        if (JSON.stringify(m.data).length <= CONFIG.maxMessageHtmlLength) return { id: m.id, ts: m.ts, type: t, kind: kind, data: m.data };
+        kind = 'text';
+      }
+
+      var h = kind === 'text' && m.html != null ? toStr(m.html) : messageHtml(m);
       if (h.length > CONFIG.maxMessageHtmlLength) h = h.slice(0, CONFIG.maxMessageHtmlLength);
-      return { type: t, html: h };
+      return { id: m.id, ts: m.ts, type: t, kind: 'text', html: h };
     });
+  }
+
+  function persistNow() {
+    // Pull in whatever other tabs wrote since our last read, so this write
+    // never drops their messages or profile updates.
+    var stored = readSharedState(storageRead());
+    if (stored) applySharedState(stored);
 
     var payload = {
-      v: 5,
-      isOpen: !!state.isOpen,
-      inputLocked: !!state.inputLocked,
-      inputLockPlaceholder: toStr(state.inputLockPlaceholder || ''),
-      messages: safeMessages,
-      flow: state.flow || {},
+      v: CONFIG.stateVersion,
+      messages: persistableMessages(),
+      messagesClearedAt: toInt(state.messagesClearedAt || 0, 0),
       sizing: state.sizing || {},
       modules: state.modules || {},
-      entryRenderedOnce: !!state.entryRenderedOnce,
-      lastRoutedId: toStr(state.lastRoutedId || ''),
-      lastReadyFallbackAt: toInt(state.lastReadyFallbackAt || 0, 0)
+      entryRenderedOnce: !!state.entryRenderedOnce
     };
 
     storageWrite(payload);
+    tabStateWrite();
   }
 
-  function restoreFromStorage() {
-    var saved = storageRead();
-    if (!saved || typeof saved !== 'object') return false;
+  /* ============================================================
+     4.1) PERSISTED STATE MIGRATIONS
+     ------------------------------------------------------------
+     - Sources: current key, then legacy keys newest first, then the
+       section's storage_key setting (window.DLCopilotConfig.storageKey)
+     - Each migration lifts one version (n-1 → n) and must tolerate
+       partial/odd input: legacy payloads were never validated
+     - The result is validated against the current schema before use
+     - Stale keys are removed only after the migrated state is written
+     To change the persisted shape: bump CONFIG.stateVersion and append
+     a migration. Never drop sizing fields without carrying them over.
+  ============================================================ */
 
-    state.isOpen = !!saved.isOpen;
-    state.inputLocked = saved.inputLocked == null ? true : !!saved.inputLocked;
-    state.inputLockPlaceholder = toStr(saved.inputLockPlaceholder || 'Please choose an option above');
+  function isPlainObject(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+  }
 
-    state.messages = Array.isArray(saved.messages) ? saved.messages : [];
-    state.flow = saved.flow && typeof saved.flow === 'object' ? saved.flow : state.flow;
-    state.sizing = saved.sizing && typeof saved.sizing === 'object' ? saved.sizing : state.sizing;
+  function firstDefined() {
+    for (var i = 0; i < arguments.length; i++) {
+      if (arguments[i] != null && arguments[i] !== '') return arguments[i];
+    }
+    return null;
+  }
 
-    if (!state.sizing || typeof state.sizing !== 'object') state.sizing = { height_cm: null, weight_kg: null, gender: null, categories: {}, last: {} };
-    if (!state.sizing.categories || typeof state.sizing.categories !== 'object') state.sizing.categories = {};
-    if (!state.sizing.last || typeof state.sizing.last !== 'object') state.sizing.last = {};
+  function numberInRange(v, min, max) {
+    var n = typeof v === 'number' ? v : parseFloat(v);
+    if (!isFinite(n) || n < min || n > max) return null;
+    return n;
+  }
 
-    state.modules = saved.modules && typeof saved.modules === 'object' ? saved.modules : {};
-    state.entryRenderedOnce = !!saved.entryRenderedOnce;
-    state.lastRoutedId = toStr(saved.lastRoutedId || '');
-    state.lastReadyFallbackAt = toInt(saved.lastReadyFallbackAt || 0, 0);
+  // Fit preferences DLCopilotSizing understands (see FIT PREFERENCE)
+  var FIT_PREFERENCE_KEYS = ['close', 'true_to_size', 'relaxed', 'layering'];
 
-    return true;
+  // Body measurement names, in display order (DLCopilotSizing.MEASUREMENTS)
+  function measurementKeys() {
+    var S = window.DLCopilotSizing;
+    return S && Array.isArray(S.MEASUREMENTS) ? S.MEASUREMENTS : [];
   }
 
-  /* ============================================================
-     5) DOM DISCOVERY
-  ============================================================ */
+  // Plausible ranges live in DLCopilotSizing.normalizeMeasurements. State is
+  // restored before that module loads, so until then only numbers are kept;
+  // boot() validates them again.
+  function validMeasurements(m) {
+    var out = {};
+    if (!isPlainObject(m)) return out;
 
-  function findDom() {
-    dom.panel = qs(CONFIG.selectors.panel);
-    dom.body = qs(CONFIG.selectors.body);
-    dom.input = qs(CONFIG.selectors.input);
-    dom.send = qs(CONFIG.selectors.send);
-    dom.close = qs(CONFIG.selectors.close);
-    dom.cta = qs(CONFIG.selectors.cta);
+    var S = window.DLCopilotSizing;
+    if (S && typeof S.normalizeMeasurements === 'function') {
+      try { return S.normalizeMeasurements(m) || out; } catch (e) { return out; }
+    }
 
-    return !!(dom.panel && dom.body && dom.input && dom.send);
+    Object.keys(m).forEach(function (k) {
+      var n = numberInRange(m[k], 0, Infinity);
+      if (n) out[k] = n;
+    });
+    return out;
   }
 
-  /* ============================================================
-     6) RENDERING — MESSAGES
-  ============================================================ */
+  // Letter sizes as DLCopilotSizing writes them: xxs…xxxl, also 2xl/3xl
+  var ALPHA_SIZE_RE = /^(x{0,3}s|m|x{0,3}l|[23]xl)$/i;
 
-  function scrollBodyToBottom() {
-    if (!dom.body) return;
-    try { dom.body.scrollTop = dom.body.scrollHeight; } catch (e) {}
+  // Saved labels ("EU 50", "W32", "Standard"): short text or null
+  function shortLabel(v, max) {
+    if (typeof v !== 'string' && typeof v !== 'number') return null;
+    var text = toStr(v).trim();
+    return text && text.length <= (max || 24) ? text : null;
   }
 
-  function makeMsgEl(type, html) {
-    var wrap = document.createElement('div');
-    wrap.className = 'dl-copilot-msg ' + (type === 'user' ? 'dl-copilot-msg--user' : 'dl-copilot-msg--ai');
+  function normalizeStoredGender(g) {
+    g = toStr(g).toLowerCase().trim();
+    if (g === 'men' || g === 'male' || g === 'man' || g === 'menswear') return 'men';
+    if (g === 'women' || g === 'female' || g === 'woman' || g === 'womenswear') return 'women';
+    return null;
+  }
 
-    var bubble = document.createElement('div');
-    bubble.className = 'dl-copilot-bubble';
-    bubble.innerHTML = sanitizeHtml(toStr(html || ''));
-
-    wrap.appendChild(bubble);
-    return wrap;
-  }
+  var STATE_MIGRATIONS = [
+    {
+      // v1 kept the body profile flat on the root (or under `profile`)
+      to: 2,
+      run: function (s) {
+        var sizing = isPlainObject(s.sizing) ? s.sizing : {};
+        var src = isPlainObject(s.profile) ? s.profile : s;
+
+        if (sizing.height_cm == null) sizing.height_cm = firstDefined(src.height_cm, src.height);
+        if (sizing.weight_kg == null) sizing.weight_kg = firstDefined(src.weight_kg, src.weight);
+        if (sizing.gender == null) sizing.gender = firstDefined(src.gender);
+        if (sizing.usual_size_eu == null) sizing.usual_size_eu = firstDefined(src.usual_size_eu, src.usual_size, src.size_eu);
+
+        s.sizing = sizing;
+        delete s.profile;
+        delete s.height_cm;
+        delete s.height;
+        delete s.weight_kg;
+        delete s.weight;
+        return s;
+      }
+    },
+    {
+      // v2 had one usual size (or a flat handle → size map); v3 keeps one entry per category
+      to: 3,
+      run: function (s) {
+        var sizing = s.sizing;
+        var categories = isPlainObject(sizing.categories) ? sizing.categories : {};
+
+        if (isPlainObject(sizing.usual_sizes)) {
+          Object.keys(sizing.usual_sizes).forEach(function (handle) {
+            if (!categories[handle]) categories[handle] = {};
+            if (categories[handle].usual_size_eu == null) categories[handle].usual_size_eu = sizing.usual_sizes[handle];
+          });
+        }
 
-  function appendAI(html, opts) {
-    opts = opts || {};
-    var m = { type: 'ai', html: toStr(html || '') };
+        if (sizing.usual_size_eu != null && !Object.keys(categories).length) {
+          categories.unknown = { usual_size_eu: sizing.usual_size_eu };
+        }
 
-    state.messages.push(m);
+        sizing.categories = categories;
+        delete sizing.usual_sizes;
+        delete sizing.usual_size_eu;
+        return s;
+      }
+    },
+    {
+      // v3 messages could be plain strings or { role, content }
+      to: 4,
+      run: function (s) {
+        s.messages = (Array.isArray(s.messages) ? s.messages : []).map(function (m) {
+          if (typeof m === 'string') return { type: 'ai', html: m };
+          if (!isPlainObject(m)) return null;
+          if (m.html != null) return m;
+
+          var isUser = m.type === 'user' || m.role === 'user';
+          var text = toStr(firstDefined(m.content, m.text, ''));
+          return { type: isUser ? 'user' : 'ai', html: isUser ? escapeText(text) : text };
+        }).filter(Boolean);
+        return s;
+      }
+    },
+    {
+      // v5 adds product sizing context + module stores; v4 flows cannot resume
+      to: 5,
+      run: function (s) {
+        var sizing = s.sizing;
+        if (!isPlainObject(sizing.last)) sizing.last = { gender: sizing.gender || null };
+
+        if (!isPlainObject(s.modules)) s.modules = {};
+        s.flow = { intent: null, step: 'entry', payload: {}, activeModule: null, routeId: null };
+        s.inputLocked = true;
+        return s;
+      }
+    },
+    {
+      // v6 merges tabs: messages need ids/timestamps, profile fields need updated_at
+      to: 6,
+      run: function (s) {
+        var base = nowTs() - (Array.isArray(s.messages) ? s.messages.length : 0);
+        s.messages = (Array.isArray(s.messages) ? s.messages : []).map(function (m, i) {
+          if (!isPlainObject(m)) return m;
+          if (!m.id) m.id = 'm_legacy_' + i;
+          if (!m.ts) m.ts = base + i;
+          return m;
+        });
 
-    if (dom.body) {
-      dom.body.appendChild(makeMsgEl('ai', m.html));
-      scrollBodyToBottom();
+        var sizing = s.sizing;
+        if (!isPlainObject(sizing.updated_at)) {
+          var latest = 0;
+          var cats = isPlainObject(sizing.categories) ? sizing.categories : {};
+          Object.keys(cats).forEach(function (h) {
+            latest = Math.max(latest, toInt(cats[h] && cats[h].updated_at, 0));
+          });
+          // Legacy profiles lose to any change made after the upgrade
+          sizing.updated_at = { height_cm: latest, weight_kg: latest, gender: latest, last: latest };
+        }
+        return s;
+      }
     }
+  ];
 
-    if (!opts.noPersist) persistNow();
-  }
-
-  function appendUser(text, opts) {
-    opts = opts || {};
-    var m = { type: 'user', html: escapeText(toStr(text || '')) };
-
-    state.messages.push(m);
-
-    if (dom.body) {
-      dom.body.appendChild(makeMsgEl('user', m.html));
-      scrollBodyToBottom();
-    }
+  function detectStateVersion(obj, key) {
+    if (typeof obj.v === 'number') return obj.v;
+    if (typeof obj.version === 'number') return obj.version;
 
-    if (!opts.noPersist) persistNow();
-  }
+    // Shape sniffing before key suffix: migrations are tolerant, so guessing low is safe
+    if (isPlainObject(obj.sizing) && isPlainObject(obj.sizing.categories)) return 3;
+    if (isPlainObject(obj.sizing)) return 2;
+    if (obj.profile || obj.height_cm != null || obj.height != null) return 1;
 
-  function clearMessages() {
-    state.messages = [];
-    if (dom.body) dom.body.innerHTML = '';
-    persistNow();
+    var m = /_v(\d+)$/.exec(toStr(key));
+    return m ? Math.min(toInt(m[1], 1), CONFIG.stateVersion) : 1;
   }
 
-  function reRenderAllMessagesFromState() {
-    if (!dom.body) return;
-    dom.body.innerHTML = '';
-    (state.messages || []).forEach(function (m) {
-      dom.body.appendChild(makeMsgEl(m.type === 'user' ? 'user' : 'ai', m.html));
+  function migrateState(obj, fromVersion) {
+    var s = obj;
+    STATE_MIGRATIONS.forEach(function (mig) {
+      if (mig.to <= fromVersion) return;
+      try {
+        s = mig.run(s) || s;
+        s.v = mig.to;
+      } catch (e) {
+        warn('State migration failed', mig.to, e);
+      }
     });
-    scrollBodyToBottom();
+    return s;
   }
 
-  /* ============================================================
-     7) RENDERING — PILLS + CARD GRIDS
-  ============================================================ */
-
-  function removeExistingChoiceUIs() {
-    if (!dom.body) return;
-    qsa('.dl-copilot-pillgroup, .dl-copilot-options, .dl-copilot-cardgrid', dom.body).forEach(function (el) {
-      try { el.remove(); } catch (e) {}
+  function validatePersistedState(s) {
+    if (!isPlainObject(s)) return null;
+
+    // Unknown keys are kept (forward compatible), known keys are coerced.
+    var sizing = isPlainObject(s.sizing) ? s.sizing : {};
+    sizing.height_cm = numberInRange(sizing.height_cm, 120, 220);
+    sizing.weight_kg = numberInRange(sizing.weight_kg, 35, 200);
+    sizing.measurements = validMeasurements(sizing.measurements);
+    sizing.gender = normalizeStoredGender(sizing.gender);
+
+    var categories = isPlainObject(sizing.categories) ? sizing.categories : {};
+    Object.keys(categories).forEach(function (handle) {
+      var c = categories[handle];
+      if (!isPlainObject(c)) {
+        delete categories[handle];
+        return;
+      }
+      if (c.usual_size_eu != null) c.usual_size_eu = numberInRange(c.usual_size_eu, 30, 70);
+      if (c.recommended_size_eu != null) c.recommended_size_eu = numberInRange(c.recommended_size_eu, 30, 70);
+      if (c.shirt_size_eu != null) c.shirt_size_eu = numberInRange(c.shirt_size_eu, 35, 48);
+      if (c.waist_inch != null) c.waist_inch = numberInRange(c.waist_inch, 24, 48);
+      if (c.alpha_size != null) c.alpha_size = ALPHA_SIZE_RE.test(toStr(c.alpha_size).trim()) ? toStr(c.alpha_size).trim().toLowerCase() : null;
+      if (c.recommended_size != null) c.recommended_size = shortLabel(c.recommended_size);
+      if (c.recommended_length != null) c.recommended_length = shortLabel(c.recommended_length);
+      if (c.title != null) c.title = shortLabel(c.title, 120);
+      if (c.fit_preference != null && FIT_PREFERENCE_KEYS.indexOf(c.fit_preference) === -1) delete c.fit_preference;
+      if (c.updated_at != null) c.updated_at = toInt(c.updated_at, null);
     });
-  }
+    sizing.categories = categories;
 
-  function renderPills(pills) {
-    pills = Array.isArray(pills) ? pills : [];
-    if (!dom.body) return;
+    var updatedAt = isPlainObject(sizing.updated_at) ? sizing.updated_at : {};
+    Object.keys(updatedAt).forEach(function (f) {
+      updatedAt[f] = toInt(updatedAt[f], 0);
+    });
+    sizing.updated_at = updatedAt;
+
+    var last = isPlainObject(sizing.last) ? sizing.last : {};
+    sizing.last = {
+      gender: normalizeStoredGender(last.gender),
+      category_handle: last.category_handle ? toStr(last.category_handle) : null,
+      category_title: last.category_title ? toStr(last.category_title) : null,
+      product_handle: last.product_handle ? toStr(last.product_handle) : null,
+      product_title: last.product_title ? toStr(last.product_title) : null
+    };
 
-    removeExistingChoiceUIs();
+    var messages = (Array.isArray(s.messages) ? s.messages : []).filter(function (m) {
+      if (!isPlainObject(m)) return false;
+      if (m.kind && m.kind !== 'text') return isPlainObject(m.data) && !isChoiceMessage(m);
+      return typeof m.html === 'string';
+    }).map(function (m, i) {
+      m.type = m.type === 'user' ? 'user' : 'ai';
+      m.kind = m.kind || 'text';
+      m.id = toStr(m.id || ('m_' + i));
+      m.ts = toInt(m.ts, 0);
+      return m;
+    });
 
-    // Container that matches your existing CSS
-    var group = document.createElement('div');
-    group.className = 'dl-copilot-options';
+    return {
+      v: CONFIG.stateVersion,
+      isOpen: !!s.isOpen,
+      inputLocked: s.inputLocked == null ? true : !!s.inputLocked,
+      inputLockPlaceholder: toStr(s.inputLockPlaceholder || copy('core.choose_option')),
+      messages: messages,
+      messagesClearedAt: toInt(s.messagesClearedAt || 0, 0),
+      flow: isPlainObject(s.flow) ? s.flow : { intent: null, step: 'entry', payload: {}, activeModule: null, routeId: null },
+      sizing: sizing,
+      modules: isPlainObject(s.modules) ? s.modules : {},
+      entryRenderedOnce: !!s.entryRenderedOnce,
+      lastRoutedId: toStr(s.lastRoutedId || ''),
+      lastReadyFallbackAt: toInt(s.lastReadyFallbackAt || 0, 0)
+    };
+  }
 
-    // Row wrapper that your CSS expects for spacing/wrapping
-    var row = document.createElement('div');
-    row.className = 'dl-copilot-options__row';
+  function legacyStorageKeys() {
+    var keys = CONFIG.legacyStorageKeys.slice();
+    try {
+      var sectionKey = toStr(window.DLCopilotConfig && window.DLCopilotConfig.storageKey).trim();
+      if (sectionKey && sectionKey !== CONFIG.storageKey && keys.indexOf(sectionKey) === -1) keys.push(sectionKey);
+    } catch (e) {}
+    return keys;
+  }
 
-    pills.forEach(function (p) {
-      if (!p) return;
+  function readStorageKey(key) {
+    try {
+      var raw = localStorage.getItem(key);
+      if (!raw) return null;
+      var obj = safeJsonParse(raw, null);
+      return isPlainObject(obj) ? obj : null;
+    } catch (e) {
+      return null;
+    }
+  }
 
-      var label = toStr(p.label || '').trim();
-      if (!label) return;
+  function removeLegacyKeys() {
+    legacyStorageKeys().forEach(function (key) {
+      try { localStorage.removeItem(key); } catch (e) {}
+    });
+  }
 
-      var btn = document.createElement('button');
-      btn.type = 'button';
-      btn.className = 'dl-copilot-pill dl-copilot-option dl-copilot-quick';
-      btn.textContent = label;
+  // Newest readable copy wins; sizing profile gaps are filled from older copies.
+  function readLegacyState() {
+    var result = null;
 
-      btn.addEventListener('click', function () {
-        if (p.userEcho !== false) appendUser(label);
+    legacyStorageKeys().forEach(function (key) {
+      var obj = readStorageKey(key);
+      if (!obj) return;
 
-        removeExistingChoiceUIs();
+      var migrated = validatePersistedState(migrateState(obj, detectStateVersion(obj, key)));
+      if (!migrated) return;
 
-        if (p.unlockInput) setInputLocked(false, '');
+      if (!result) {
+        result = migrated;
+        log('migrating persisted state from', key);
+        return;
+      }
 
-        try {
-          if (typeof p.onClick === 'function') p.onClick();
-          else if (typeof p.onSelect === 'function') p.onSelect();
-        } catch (e) {
-          warn('Pill handler error', e);
-        }
+      ['height_cm', 'weight_kg', 'gender'].forEach(function (f) {
+        if (result.sizing[f] == null && migrated.sizing[f] != null) result.sizing[f] = migrated.sizing[f];
+      });
+      Object.keys(migrated.sizing.categories).forEach(function (handle) {
+        if (!result.sizing.categories[handle]) result.sizing.categories[handle] = migrated.sizing.categories[handle];
       });
-
-      row.appendChild(btn);
     });
 
-    group.appendChild(row);
-    dom.body.appendChild(group);
-    scrollBodyToBottom();
+    return result;
   }
 
-  function renderCardGrid(items, opts) {
-    opts = opts || {};
-    items = Array.isArray(items) ? items : [];
-    if (!dom.body) return;
-
-    removeExistingChoiceUIs();
-
-    var grid = document.createElement('div');
-    grid.className = 'dl-copilot-cardgrid';
-
-    items.forEach(function (it) {
-      if (!it) return;
-
-      var title = toStr(it.title || '');
-      var subtitle = toStr(it.subtitle || '');
-      var image = toStr(it.image || '');
-      var value = it.value;
+  function loadPersistedState() {
+    var current = readStorageKey(CONFIG.storageKey);
+    if (current) {
+      var v = detectStateVersion(current, CONFIG.storageKey);
+      var needsWrite = v !== CONFIG.stateVersion;
+      if (needsWrite) current = migrateState(current, v);
+      return { state: validatePersistedState(current), migrated: needsWrite };
+    }
 
-      if (!title) return;
+    var legacy = readLegacyState();
+    return { state: legacy, migrated: !!legacy };
+  }
 
-      var btn = document.createElement('button');
-      btn.type = 'button';
-      btn.className = 'dl-copilot-card';
-      btn.setAttribute('data-value', toStr(value == null ? '' : value));
+  function restoreFromStorage() {
+    var loaded = loadPersistedState();
+    var saved = loaded.state;
 
-      var inner = '';
-      if (image) {
-        inner += '<div class="dl-copilot-card__img"><img src="' + escapeText(image) + '" alt="' + escapeText(title) + '"></div>';
-      }
-      inner += '<div class="dl-copilot-card__meta">';
-      inner += '<div class="dl-copilot-card__title">' + escapeText(title) + '</div>';
-      if (subtitle) inner += '<div class="dl-copilot-card__sub">' + escapeText(subtitle) + '</div>';
-      inner += '</div>';
+    if (!saved) {
+      removeLegacyKeys();
+      return false;
+    }
 
-      btn.innerHTML = inner;
+    // This tab's own flow wins; a fresh tab starts from the shared payload
+    // (pre-v6 payloads still carry flow fields, v6 ones fall back to defaults).
+    var tab = tabStateRead() || saved;
 
-      btn.addEventListener('click', function () {
-        if (opts.userEchoTitle !== false) appendUser(title);
+    state.isOpen = !!tab.isOpen;
+    state.inputLocked = tab.inputLocked == null ? true : !!tab.inputLocked;
+    state.inputLockPlaceholder = toStr(tab.inputLockPlaceholder || saved.inputLockPlaceholder);
+    state.flow = isPlainObject(tab.flow) ? tab.flow : saved.flow;
+    state.lastRoutedId = toStr(tab.lastRoutedId || '');
+    state.lastReadyFallbackAt = toInt(tab.lastReadyFallbackAt || 0, 0);
+    if (isPlainObject(tab.analytics)) state.analytics = tab.analytics;
 
-        removeExistingChoiceUIs();
+    state.messages = saved.messages;
+    if (tab.choice && isChoiceMessage(tab.choice) && isPlainObject(tab.choice.data)) state.messages.push(tab.choice);
+    state.messagesClearedAt = saved.messagesClearedAt;
+    state.sizing = saved.sizing;
 
-        try {
-          if (typeof opts.onSelect === 'function') opts.onSelect(value, it);
-        } catch (e) {
-          warn('CardGrid onSelect error', e);
-        }
-      });
+    state.modules = saved.modules;
+    state.entryRenderedOnce = saved.entryRenderedOnce;
 
-      grid.appendChild(btn);
-    });
+    if (loaded.migrated) {
+      persistNow();
+      if (readStorageKey(CONFIG.storageKey)) removeLegacyKeys();
+    } else {
+      removeLegacyKeys();
+    }
 
-    dom.body.appendChild(grid);
-    scrollBodyToBottom();
+    return true;
   }
+
   /* ============================================================
-     7.1) MAIN MENU (STATE-AWARE)
+     4.2) CROSS-TAB SYNC
+     ------------------------------------------------------------
+     - Shared (localStorage): messages, sizing profile, module stores
+     - Per tab (sessionStorage): flow, open/closed, input lock
+     - Every write merges what is already stored first; other tabs
+       pick changes up through the `storage` event
+     - Sizing merges field by field (newest updated_at wins), messages
+       by id (clearMessages leaves a messagesClearedAt tombstone)
   ============================================================ */
 
-  function hasAnySavedSizingProfile() {
-    // A profile is considered “available” if we at least have height and weight.
-    // Category-specific “usual sizes” are optional but preferred.
-    return !!(state.sizing && state.sizing.height_cm && state.sizing.weight_kg);
+  var TAB_STATE_FIELDS = ['isOpen', 'inputLocked', 'inputLockPlaceholder', 'flow', 'lastRoutedId', 'lastReadyFallbackAt', 'analytics'];
+
+  function tabStateRead() {
+    try {
+      var raw = sessionStorage.getItem(CONFIG.tabStorageKey);
+      var obj = raw ? safeJsonParse(raw, null) : null;
+      return isPlainObject(obj) ? obj : null;
+    } catch (e) {
+      return null;
+    }
   }
 
-  function renderMainMenuPills() {
-    var firstLabel = hasAnySavedSizingProfile() ? 'Review my recommended size' : 'Recommend my size';
+  function tabStateWrite() {
+    var obj = {};
+    TAB_STATE_FIELDS.forEach(function (f) { obj[f] = state[f]; });
 
-    renderPills([
-      {
-        label: firstLabel,
-        unlockInput: false,
-        onClick: function () {
-          bus.emit('intent:select', { intent: 'size_guidance', payload: { mode: hasAnySavedSizingProfile() ? 'review' : 'new' }, routeId: nowId() });
-        }
-      },
-      {
-        label: 'Find my size for a product',
-        unlockInput: false,
-        onClick: function () {
-          bus.emit('intent:select', { intent: 'size_product', payload: {}, routeId: nowId() });
-        }
-      },
-      {
-        label: 'Style an outfit',
-        unlockInput: false,
-        onClick: function () {
-          bus.emit('intent:select', { intent: 'styling_advice', payload: {}, routeId: nowId() });
-        }
-      },
-      {
-        label: 'Help with my order',
-        unlockInput: false,
-        onClick: function () {
-          bus.emit('intent:select', { intent: 'order_support', payload: {}, routeId: nowId() });
-        }
-      }
-    ]);
+    var choice = (state.messages || []).filter(isChoiceMessage).pop();
+    obj.choice = choice ? { id: choice.id, ts: choice.ts, type: 'ai', kind: choice.kind, data: choice.data } : null;
+    try {
+      sessionStorage.setItem(CONFIG.tabStorageKey, JSON.stringify(obj));
+    } catch (e) {}
   }
 
-  function ensureMenuWhenLocked() {
-    if (!dom.body) return;
-    if (!state.inputLocked) return;
-    if (hasPillGroupInDom()) return;
-    renderMainMenuPills();
+  function touchSizing() {
+    if (!isPlainObject(state.sizing.updated_at)) state.sizing.updated_at = {};
+    var ts = nowTs();
+    for (var i = 0; i < arguments.length; i++) state.sizing.updated_at[arguments[i]] = ts;
   }
 
-  /* ============================================================
-     8) INPUT LOCKING
-  ============================================================ */
+  function readSharedState(obj) {
+    if (!isPlainObject(obj)) return null;
+    var v = detectStateVersion(obj, CONFIG.storageKey);
+    return validatePersistedState(v === CONFIG.stateVersion ? obj : migrateState(obj, v));
+  }
 
-  function applyInputLockState() {
-    if (!dom.input || !dom.send) return;
+  function mergeSizing(local, remote) {
+    var localAt = local.updated_at || (local.updated_at = {});
+    var remoteAt = remote.updated_at || {};
+    var changed = false;
 
-    if (state.inputLocked) {
-      dom.input.setAttribute('readonly', 'readonly');
-      dom.input.classList.add('is-locked');
-      dom.send.setAttribute('disabled', 'disabled');
-      dom.send.classList.add('is-disabled');
+    ['height_cm', 'weight_kg', 'measurements', 'gender', 'last'].forEach(function (f) {
+      if (toInt(remoteAt[f], 0) <= toInt(localAt[f], 0)) return;
+      local[f] = remote[f];
+      localAt[f] = remoteAt[f];
+      changed = true;
+    });
 
-      dom.input.placeholder = toStr(state.inputLockPlaceholder || 'Please choose an option above');
-    } else {
-      dom.input.removeAttribute('readonly');
-      dom.input.classList.remove('is-locked');
-      dom.send.removeAttribute('disabled');
-      dom.send.classList.remove('is-disabled');
+    var localCats = local.categories || (local.categories = {});
+    Object.keys(remote.categories || {}).forEach(function (h) {
+      var r = remote.categories[h];
+      var l = localCats[h];
+      if (l && toInt(l.updated_at, 0) >= toInt(r.updated_at, 0)) return;
+      localCats[h] = r;
+      changed = true;
+    });
 
-      dom.input.placeholder = 'Type your message…';
-    }
+    return changed;
   }
 
-  function setInputLocked(locked, placeholder) {
-    state.inputLocked = !!locked;
-    if (typeof placeholder === 'string') state.inputLockPlaceholder = placeholder;
-    applyInputLockState();
-    persistNow();
-    ensureMenuWhenLocked();
-  }
+  // Returns { added: [...], removed: [...] } so open panels can patch the DOM.
+  function mergeMessages(remote) {
+    var clearedAt = Math.max(toInt(state.messagesClearedAt, 0), toInt(remote.messagesClearedAt, 0));
+    var known = {};
+    var added = [];
+    var removed = [];
 
-  function lockInput(placeholder) {
-    setInputLocked(true, typeof placeholder === 'string' ? placeholder : 'Please choose an option above');
-  }
+    state.messagesClearedAt = clearedAt;
 
-  function unlockInput() {
-    setInputLocked(false, '');
-  }
+    var kept = (state.messages || []).filter(function (m) {
+      if (clearedAt && !isChoiceMessage(m) && toInt(m.ts, 0) <= clearedAt) {
+        removed.push(m);
+        return false;
+      }
+      known[m.id] = true;
+      return true;
+    });
 
-  function setComposerPlaceholder(placeholder) {
-    if (!dom.input) return;
-    if (state.inputLocked) return;
-    dom.input.placeholder = toStr(placeholder || 'Type your message…');
+    (remote.messages || []).forEach(function (m) {
+      if (known[m.id] || (clearedAt && toInt(m.ts, 0) <= clearedAt)) return;
+      known[m.id] = true;
+      kept.push(m);
+      added.push(m);
+    });
+
+    if (added.length) {
+      // The open choice UI stays last, whatever the timestamps say.
+      kept.sort(function (a, b) {
+        if (isChoiceMessage(a) !== isChoiceMessage(b)) return isChoiceMessage(a) ? 1 : -1;
+        return toInt(a.ts, 0) - toInt(b.ts, 0);
+      });
+    }
+
+    state.messages = kept;
+    return { added: added, removed: removed };
   }
 
-  /* ============================================================
-     9) PANEL OPEN/CLOSE
-  ============================================================ */
+  function sameJson(a, b) {
+    try { return JSON.stringify(a) === JSON.stringify(b); } catch (e) { return false; }
+  }
 
-  function openPanel() {
-    if (!dom.panel) return;
+  function applySharedState(remote) {
+    var sizingChanged = mergeSizing(state.sizing, remote.sizing);
+    var diff = mergeMessages(remote);
 
-    dom.panel.classList.add('is-open');
-    state.isOpen = true;
-    persistNow();
+    // Module state is opaque to core: adopt it when this tab has none,
+    // otherwise the module merges the other tab's copy on 'state:module'.
+    Object.keys(remote.modules || {}).forEach(function (id) {
+      if (!(id in state.modules)) state.modules[id] = remote.modules[id];
+      else if (!sameJson(state.modules[id], remote.modules[id])) bus.emit('state:module', { id: id, remote: remote.modules[id] });
+    });
+    if (remote.entryRenderedOnce) state.entryRenderedOnce = true;
 
-    renderEntryIfAvailable();
-    ensureMenuWhenLocked();
+    if (diff.added.length || diff.removed.length) renderSyncedMessages(diff);
+    if (sizingChanged || diff.added.length || diff.removed.length) {
+      bus.emit('state:sync', { sizingChanged: sizingChanged, added: diff.added.length, removed: diff.removed.length });
+    }
+  }
 
-    try {
-      if (dom.input && !state.inputLocked) dom.input.focus();
-    } catch (e) {}
+  function onStorageEvent(e) {
+    if (!e || e.key !== CONFIG.storageKey || !e.newValue) return;
+    var remote = readSharedState(safeJsonParse(e.newValue, null));
+    if (remote) applySharedState(remote);
   }
 
-  function closePanel() {
-    if (!dom.panel) return;
-    dom.panel.classList.remove('is-open');
-    state.isOpen = false;
-    persistNow();
+  function bindCrossTabSync() {
+    try { window.addEventListener('storage', onStorageEvent); } catch (e) {}
   }
 
   /* ============================================================
-     10) FLOW ROUTING
+     5) DOM DISCOVERY
   ============================================================ */
 
-  function normalizeIntent(intent) {
-    intent = toStr(intent).trim();
-    if (!intent) return '';
-
-    var map = {
-      // sizing
-      'recommend_my_size': 'size_guidance',
-      'size': 'size_guidance',
-      'sizing': 'size_guidance',
-      'review_size': 'size_guidance',
-
-      // product sizing
-      'size_product': 'size_product',
-      'find_size_for_product': 'size_product',
-      'product_size': 'size_product',
-
-      // styling
-      'style': 'styling_advice',
-      'styling': 'styling_advice',
-      'styling_flow': 'styling_advice',
-
-      // order
-      'order': 'order_support',
-      'help_with_order': 'order_support'
-    };
+  function findDom() {
+    dom.panel = qs(CONFIG.selectors.panel);
+    dom.body = qs(CONFIG.selectors.body);
+    dom.input = qs(CONFIG.selectors.input);
+    dom.send = qs(CONFIG.selectors.send);
+    dom.close = qs(CONFIG.selectors.close);
+    dom.cta = qs(CONFIG.selectors.cta);
+    dom.live = qs(CONFIG.selectors.live);
+    dom.inputHint = qs(CONFIG.selectors.inputHint);
 
-    return map[intent] || intent;
+    return !!(dom.panel && dom.body && dom.input && dom.send);
   }
 
-  function routeIntent(payload) {
-    payload = payload || {};
+  /* ============================================================
+     6) RENDERING — MESSAGES
+     ------------------------------------------------------------
+     Messages are data, not markup:
+       { id, ts, type: 'ai'|'user', kind, html? , data? }
+     - kind 'text' keeps its (sanitized) html
+     - other kinds keep `data` and are rendered by MESSAGE_BLOCKS,
+       so a reload re-renders them from data instead of stale markup
+     - choice kinds ('pills', 'cardgrid') are the open step's UI; their
+       handlers live in memory and are re-hydrated from data actions
+       after a reload, or turned into an 'expired' block
+  ============================================================ */
 
-    var rawIntent = typeof payload === 'string' ? payload : payload.intent;
-    var intent = normalizeIntent(rawIntent);
+  var CHOICE_KINDS = ['pills', 'cardgrid'];
 
-    var pld = (typeof payload === 'object' && payload.payload) ? payload.payload : {};
-    var routeId = (typeof payload === 'object' && payload.routeId) ? toStr(payload.routeId) : '';
+  function isChoiceMessage(m) {
+    return !!m && CHOICE_KINDS.indexOf(m.kind) !== -1;
+  }
 
-    if (!routeId) routeId = nowId();
+  // Copy is resolved at render time, so a locale switch re-renders it.
+  function recommendationHtml(d) {
+    var html = copy('rec.intro', { title: '<strong>' + escapeText(d.title || copy('sizing.this_piece')) + '</strong>' }) + '<br>';
+    if (d.size) html += '• ' + escapeText(copy('rec.size')) + ': <strong>' + escapeText(d.size) + '</strong><br>';
+    if (d.length) html += '• ' + escapeText(copy('rec.length')) + ': <strong>' + escapeText(d.length) + '</strong>' + (d.length_hint ? ' ' + escapeText(d.length_hint) : '') + '<br>';
+    if (d.fit) html += fitHtml(d.fit);
+    if (d.fit_shift) html += '• ' + escapeText(fitShiftText(d.fit_shift)) + '<br>';
+    if (d.confidence) html += '• ' + escapeText(confidenceText(d.confidence)) + '<br>';
+    if (d.alternative) html += '• ' + escapeText(copy('rec.alternative', { size: d.alternative })) + '<br>';
+    if (d.question_key) html += '<br>' + escapeText(copy(d.question_key));
+    else if (d.question) html += '<br>' + escapeText(d.question);
+    return '<div class="dl-copilot-rec">' + html + '</div>';
+  }
 
-    if (state.lastRoutedId && routeId === state.lastRoutedId) {
-      log('routeIntent deduped', routeId, intent);
-      return;
+  // Measurement-mode details: the deciding measurement and, when several
+  // were matched, the size each one alone would give.
+  function fitHtml(fit) {
+    var html = '';
+    if (fit.limiting && fit.ease_cm != null) {
+      html += '• ' + escapeText(copy(fit.fits ? 'rec.fit_limiting' : 'rec.fit_short', {
+        measurement: measurementName(fit.limiting),
+        ease: Math.abs(fit.ease_cm) + ' cm'
+      })) + '<br>';
     }
 
-    state.lastRoutedId = routeId;
+    var keys = measurementKeys().filter(function (k) { return fit.by_measurement && fit.by_measurement[k]; });
+    if (keys.length > 1) {
+      html += '• ' + escapeText(copy('rec.by_measurement')) + ': ' + escapeText(keys.map(function (k) {
+        return measurementName(k) + ' ' + fit.by_measurement[k];
+      }).join(' · ')) + '<br>';
+    }
+    return html;
+  }
 
-    state.flow = state.flow || {};
-    state.flow.intent = intent || null;
-    state.flow.payload = (pld && typeof pld === 'object') ? pld : {};
-    state.flow.step = state.flow.step || 'active';
-    state.flow.routeId = routeId;
+  // Why the size moved (or didn't) for the customer's fit preference
+  function fitShiftText(shift) {
+    var vars = { preference: copy('sizing.fit.' + shift.preference), from: shift.from, size: shift.to };
+    if (shift.limit === 'measurements') return copy('rec.fit_pref_tight', vars);
+    if (shift.limit && !shift.steps) return copy(shift.limit === 'largest' ? 'rec.fit_pref_largest' : 'rec.fit_pref_smallest', vars);
+    if (shift.steps > 0) return copy('rec.fit_pref_up', vars);
+    if (shift.steps < 0) return copy('rec.fit_pref_down', vars);
+    return copy('rec.fit_pref', vars);
+  }
 
-    persistNow();
+  // "Confidence: medium — based on your usual size EU 54; EU 54 isn’t offered, …"
+  // Codes without copy (fit_preference, no_height, …) are shown elsewhere or not at all.
+  var CONFIDENCE_REASON_CODES = [
+    'anchored_on_usual', 'from_measurements', 'derived_from_proportions', 'no_body_data',
+    'clamped', 'gender_unknown', 'height_outside_length_table'
+  ];
+
+  function confidenceText(c) {
+    var why = (c.reasons || []).filter(function (r) {
+      return CONFIDENCE_REASON_CODES.indexOf(r.code) !== -1;
+    }).map(function (r) {
+      return copy('rec.reason.' + r.code, r);
+    });
+    var text = copy('rec.confidence', { level: copy('rec.confidence.' + c.level) });
+    return why.length ? text + ' — ' + why.join('; ') : text;
+  }
 
-    bus.emit('flow:route', { intent: intent, payload: state.flow.payload, routeId: routeId, source: 'core-router' });
+  function expiredChoiceHtml(d) {
+    var html = '<div class="dl-copilot-expired">';
+    (d.labels || []).forEach(function (l) {
+      html += '<span class="dl-copilot-expired__option">' + escapeText(l) + '</span>';
+    });
+    html += '<div class="dl-copilot-expired-note">' + escapeText(copy('core.expired')) + '</div></div>';
+    return html;
   }
 
-  bus.on('intent:select', routeIntent);
+  var MESSAGE_BLOCKS = {
+    text: function (m) { return toStr(m.html || ''); },
+    expired: function (m) { return expiredChoiceHtml(m.data || {}); },
+    recommendation: function (m) { return recommendationHtml(m.data || {}); },
+    outfit: function (m) { return outfitHtml(m.data || {}); },
+    policy: function (m) { return policyHtml(m.data || {}); }
+  };
 
-  /* ============================================================
-     10.1) CORE-OWNED SIZING FLOWS
-     - Global size profile: review / new
-     - Global recommendation: choose Category vs Product (C)
-     - Product-specific sizing: gender → category → product → user info → recommend (EU + length)
+  function messageHtml(m) {
+    var render = MESSAGE_BLOCKS[(m && m.kind) || 'text'] || MESSAGE_BLOCKS.text;
+    try {
+      return render(m);
+    } catch (e) {
+      warn('Message block render failed', m && m.kind, e);
+      return '';
+    }
+  }
+
+  function scrollBodyToBottom() {
+    if (!dom.body) return;
+    try { dom.body.scrollTop = dom.body.scrollHeight; } catch (e) {}
+  }
+
+  function makeMsgEl(type, html, id) {
+    var wrap = document.createElement('div');
+    wrap.className = 'dl-copilot-msg ' + (type === 'user' ? 'dl-copilot-msg--user' : 'dl-copilot-msg--ai');
+    if (id) wrap.setAttribute('data-msg-id', id);
+
+    var bubble = document.createElement('div');
+    bubble.className = 'dl-copilot-bubble';
+    bubble.innerHTML = sanitizeHtml(toStr(html || ''));
+
+    wrap.appendChild(bubble);
+    return wrap;
+  }
+
+  function renderMessageEl(m) {
+    if (isChoiceMessage(m)) return buildChoiceEl(m);
+
+    var el = makeMsgEl(m.type === 'user' ? 'user' : 'ai', messageHtml(m), m.id);
+    if (m.kind && m.kind !== 'text') el.classList.add('dl-copilot-msg--' + m.kind);
+    return el;
+  }
+
+  function pushMessage(m, opts) {
+    opts = opts || {};
+    state.messages.push(m);
+
+    if (dom.body) {
+      dom.body.appendChild(renderMessageEl(m));
+      if (m.type !== 'user') {
+        keepBackControlLast();
+        announce(messageHtmlToText(messageHtml(m)));
+      }
+      scrollBodyToBottom();
+    }
+
+    if (!opts.noPersist) persistNow();
+    return m;
+  }
+
+  function appendAI(html, opts) {
+    return pushMessage({ id: nowId(), ts: nowTs(), type: 'ai', kind: 'text', html: toStr(html || '') }, opts);
+  }
+
+  function appendUser(text, opts) {
+    return pushMessage({ id: nowId(), ts: nowTs(), type: 'user', kind: 'text', html: escapeText(toStr(text || '')) }, opts);
+  }
+
+  // Typed, data-backed AI message: kind is one of MESSAGE_BLOCKS.
+  function appendBlock(kind, data, opts) {
+    kind = toStr(kind);
+    if (!MESSAGE_BLOCKS[kind]) {
+      warn('appendBlock: unknown kind', kind);
+      return null;
+    }
+    return pushMessage({ id: nowId(), ts: nowTs(), type: 'ai', kind: kind, data: data || {} }, opts);
+  }
+
+  function clearMessages() {
+    state.messages = [];
+    state.messagesClearedAt = nowTs();
+    liveChoices = {};
+    if (dom.body) dom.body.innerHTML = '';
+    persistNow();
+  }
+
+  function reRenderAllMessagesFromState() {
+    if (!dom.body) return;
+    dom.body.innerHTML = '';
+    (state.messages || []).forEach(function (m) {
+      // Choices whose handlers died with the last page view become history.
+      if (isChoiceMessage(m) && !liveChoices[m.id] && !choiceIsRehydratable(m)) {
+        m.data = {
+          labels: choiceOptions(m).map(function (o) { return toStr(o.label || o.title); })
+        };
+        m.kind = 'expired';
+      }
+      dom.body.appendChild(renderMessageEl(m));
+    });
+    scrollBodyToBottom();
+  }
+
+  // Messages from another tab go above this tab's open choices, so the
+  // current step stays usable.
+  function renderSyncedMessages(diff) {
+    if (!dom.body) return;
+
+    diff.removed.forEach(function (m) {
+      var el = m.id ? dom.body.querySelector('[data-msg-id="' + m.id + '"]') : null;
+      if (el) try { el.remove(); } catch (e) {}
+    });
+
+    var anchor = dom.body.querySelector('.dl-copilot-pillgroup, .dl-copilot-options, .dl-copilot-cardgrid');
+    diff.added.forEach(function (m) {
+      var el = renderMessageEl(m);
+      if (anchor && anchor.parentNode === dom.body) dom.body.insertBefore(el, anchor);
+      else dom.body.appendChild(el);
+    });
+
+    scrollBodyToBottom();
+  }
+
+  /* ============================================================
+     7) RENDERING — PILLS + CARD GRIDS
+     ------------------------------------------------------------
+     Both are stored as choice messages (see 6). An option may carry
+     a data `action` so it still works after a reload:
+       { intent, payload } → route   { href } → navigate
+       { restart: true }   → main menu
+  ============================================================ */
+
+  // message id → { pick(index) } for choices rendered in this page view
+  var liveChoices = {};
+
+  function runChoiceAction(action) {
+    if (!action) return false;
+    if (action.restart) {
+      restart();
+      return true;
+    }
+    if (action.intent) {
+      bus.emit('intent:select', { intent: action.intent, payload: action.payload || {}, routeId: nowId() });
+      return true;
+    }
+    if (action.href) {
+      try { window.location.href = toStr(action.href); } catch (e) {}
+      return true;
+    }
+    return false;
+  }
+
+  function choiceOptions(m) {
+    var d = m.data || {};
+    return m.kind === 'cardgrid' ? (d.items || []) : (d.options || []);
+  }
+
+  function choiceIsRehydratable(m) {
+    var list = choiceOptions(m);
+    return !!list.length && list.every(function (o) { return o && o.action; });
+  }
+
+  function pickChoice(m, index) {
+    var option = choiceOptions(m)[index];
+    if (!option) return;
+
+    var live = liveChoices[m.id];
+    var label = m.kind === 'cardgrid' ? option.title : option.label;
+    if (option.echo !== false) appendUser(label);
+
+    removeExistingChoiceUIs();
+
+    if (live) live.pick(index);
+    else runChoiceAction(option.action);
+
+    // The picked button is gone; keep keyboard users inside the panel.
+    recoverFocus();
+  }
+
+  function buildChoiceEl(m) {
+    var d = m.data || {};
+    var el;
+
+    if (m.kind === 'cardgrid') {
+      el = document.createElement('div');
+      el.className = 'dl-copilot-cardgrid';
+
+      choiceOptions(m).forEach(function (it, index) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'dl-copilot-card';
+
+        var inner = '';
+        if (it.image) {
+          inner += '<div class="dl-copilot-card__img"><img src="' + escapeText(it.image) + '" alt="' + escapeText(it.title) + '"></div>';
+        }
+        inner += '<div class="dl-copilot-card__meta">';
+        inner += '<div class="dl-copilot-card__title">' + escapeText(it.title) + '</div>';
+        if (it.subtitle) inner += '<div class="dl-copilot-card__sub">' + escapeText(it.subtitle) + '</div>';
+        inner += '</div>';
+        btn.innerHTML = inner;
+        btn.addEventListener('click', function () { pickChoice(m, index); });
+
+        el.appendChild(btn);
+      });
+    } else {
+      // Container + row wrapper that match the existing CSS
+      el = document.createElement('div');
+      el.className = 'dl-copilot-options' + (d.className ? ' ' + d.className : '');
+
+      var row = document.createElement('div');
+      row.className = 'dl-copilot-options__row';
+
+      choiceOptions(m).forEach(function (o, index) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'dl-copilot-pill dl-copilot-option dl-copilot-quick';
+        btn.textContent = o.label;
+        btn.addEventListener('click', function () { pickChoice(m, index); });
+
+        row.appendChild(btn);
+      });
+
+      el.appendChild(row);
+    }
+
+    el.setAttribute('data-msg-id', m.id);
+    initRovingFocus(el, m.kind === 'cardgrid' ? 'grid' : 'row');
+    return el;
+  }
+
+  function removeExistingChoiceUIs() {
+    state.messages = (state.messages || []).filter(function (m) { return !isChoiceMessage(m); });
+    liveChoices = {};
+
+    if (!dom.body) return;
+    qsa('.dl-copilot-pillgroup, .dl-copilot-options, .dl-copilot-cardgrid', dom.body).forEach(function (el) {
+      try { el.remove(); } catch (e) {}
+    });
+
+    // Without the main menu, free text is no longer accepted.
+    if (state.inputLocked) applyInputLockState();
+  }
+
+  function pushChoiceMessage(kind, data, pick, opts) {
+    var m = { id: nowId(), ts: nowTs(), type: 'ai', kind: kind, data: data };
+    liveChoices[m.id] = { pick: pick };
+
+    state.messages.push(m);
+    var el = dom.body.appendChild(buildChoiceEl(m));
+    scrollBodyToBottom();
+
+    if (!opts.noBack) renderBackControl();
+    focusNewChoices(el);
+    return m;
+  }
+
+  function renderPills(pills, opts) {
+    opts = opts || {};
+    pills = (Array.isArray(pills) ? pills : []).filter(function (p) {
+      return p && toStr(p.label || '').trim();
+    });
+    if (!dom.body) return;
+
+    removeExistingChoiceUIs();
+
+    var data = {
+      className: opts.className || '',
+      options: pills.map(function (p) {
+        var o = { label: toStr(p.label).trim() };
+        if (p.action) o.action = p.action;
+        if (p.userEcho === false) o.echo = false;
+        return o;
+      })
+    };
+
+    pushChoiceMessage('pills', data, function (index) {
+      var p = pills[index];
+      if (p.unlockInput) setInputLocked(false, '');
+
+      try {
+        if (typeof p.onClick === 'function') p.onClick();
+        else if (typeof p.onSelect === 'function') p.onSelect();
+        else runChoiceAction(p.action);
+      } catch (e) {
+        warn('Pill handler error', e);
+      }
+    }, opts);
+  }
+
+  function renderCardGrid(items, opts) {
+    opts = opts || {};
+    items = (Array.isArray(items) ? items : []).filter(function (it) {
+      return it && toStr(it.title || '');
+    });
+    if (!dom.body) return;
+
+    removeExistingChoiceUIs();
+
+    var data = {
+      items: items.map(function (it) {
+        var o = { title: toStr(it.title), subtitle: toStr(it.subtitle || ''), image: toStr(it.image || '') };
+        if (it.action) o.action = it.action;
+        if (opts.userEchoTitle === false) o.echo = false;
+        return o;
+      })
+    };
+
+    pushChoiceMessage('cardgrid', data, function (index) {
+      var it = items[index];
+      try {
+        if (typeof opts.onSelect === 'function') opts.onSelect(it.value, it);
+        else runChoiceAction(it.action);
+      } catch (e) {
+        warn('CardGrid onSelect error', e);
+      }
+    }, opts);
+  }
+
+  /* ============================================================
+     7.1) MAIN MENU (STATE-AWARE)
+  ============================================================ */
+
+  function hasAnySavedSizingProfile() {
+    // A profile is considered “available” if we at least have height and weight.
+    // Category-specific “usual sizes” are optional but preferred.
+    return !!(state.sizing && state.sizing.height_cm && state.sizing.weight_kg);
+  }
+
+  function renderMainMenuPills() {
+    var ctx = menuContext();
+
+    var pills = listFlows().filter(function (def) {
+      if (!def.label) return false;
+      if (typeof def.visible !== 'function') return true;
+      try { return !!def.visible(ctx); } catch (e) { return false; }
+    }).map(function (def) {
+      var payload = resolveFlowValue(def.payload, ctx);
+      // Data action (not a closure) so the menu still works after a reload.
+      return {
+        label: resolveFlowValue(def.label, ctx),
+        unlockInput: false,
+        action: { intent: def.intent, payload: (payload && typeof payload === 'object') ? payload : {} }
+      };
+    });
+
+    // The main menu is the root: nothing to go back to from here.
+    clearStepHistory();
+    renderPills(pills, { noBack: true, className: 'dl-copilot-options--menu' });
+    applyInputLockState();
+  }
+
+  function ensureMenuWhenLocked() {
+    if (!dom.body) return;
+    if (!state.inputLocked) return;
+    if (hasPillGroupInDom()) return;
+    // Core sizing sessions and pending steps lock while loading; their next step renders its own choices.
+    if (globalSizingFlow.active || productSizingFlow.active) return;
+    if (stepRenderer.pending) return;
+    renderMainMenuPills();
+  }
+
+  /* ============================================================
+     7.2) STEP RESULT RENDERER
+     ------------------------------------------------------------
+     Flows may return a step object instead of calling the api:
+       { type: 'pills'|'input'|'message'|'policy'|'outfit',
+         message, title, content, options, actions,
+         placeholder, onSubmit, next }
+     The result (or a Promise of it) is rendered here; option/action
+     handlers and onSubmit/next return the following step, so a flow
+     is just a chain of functions. Input locking is derived from the
+     step type: input → unlocked, everything else → locked.
   ============================================================ */
 
-  function sizingIsAvailable() {
-    return !!(window.DLCopilotSizing && typeof window.DLCopilotSizing === 'object');
+  var stepRenderer = {
+    token: 0,        // bumps on every render; stale async results are dropped
+    pending: false,  // waiting on a Promise
+    input: null      // { onSubmit, token, ctx } while an input step is open
+  };
+
+  function resetStepRenderer() {
+    stepRenderer.token++;
+    stepRenderer.pending = false;
+    stepRenderer.input = null;
+  }
+
+  function isThenable(v) {
+    return !!(v && typeof v.then === 'function');
+  }
+
+  function stepFailed(e, ctx) {
+    warn('Step error', ctx && ctx.intent, e);
+    stepRenderer.pending = false;
+    appendAI(copy('core.step_failed'));
+    restart();
+  }
+
+  function runStepHandler(fn, arg, ctx) {
+    if (typeof fn !== 'function') {
+      renderStep(null, ctx);
+      return;
+    }
+    var result;
+    try {
+      result = fn(arg);
+    } catch (e) {
+      stepFailed(e, ctx);
+      return;
+    }
+    renderStep(result, ctx);
+  }
+
+  function renderStep(result, ctx) {
+    ctx = ctx || {};
+
+    if (typeof result === 'function') {
+      runStepHandler(result, undefined, ctx);
+      return;
+    }
+
+    var token = ++stepRenderer.token;
+    stepRenderer.input = null;
+
+    if (isThenable(result)) {
+      stepRenderer.pending = true;
+      lockInput(copy('core.loading'));
+
+      result.then(function (next) {
+        if (token !== stepRenderer.token) return;
+        stepRenderer.pending = false;
+        renderStep(next, ctx);
+      }, function (e) {
+        if (token !== stepRenderer.token) return;
+        stepFailed(e, ctx);
+      });
+      return;
+    }
+
+    stepRenderer.pending = false;
+
+    // Handlers that render on their own (e.g. restart) return nothing.
+    if (result == null || typeof result !== 'object') {
+      ensureMenuWhenLocked();
+      return;
+    }
+
+    renderStepObject(result, token, ctx);
+  }
+
+  function stepChoicePills(list, ctx) {
+    return (Array.isArray(list) ? list : []).filter(function (o) {
+      return o && toStr(o.label).trim();
+    }).map(function (o) {
+      var fn = typeof o.onClick === 'function' ? o.onClick : o.onSelect;
+      return {
+        label: toStr(o.label),
+        unlockInput: false,
+        onClick: function () {
+          runStepHandler(fn, o.value, ctx);
+        }
+      };
+    });
+  }
+
+  function policyHtml(step) {
+    var html = '<div class="dl-copilot-policy">';
+    if (step.title) html += '<div class="dl-copilot-policy__title"><strong>' + escapeText(step.title) + '</strong></div>';
+    html += '<div class="dl-copilot-policy__body">' + toStr(step.content || step.message || '') + '</div>';
+    html += '</div>';
+    return html;
+  }
+
+  function outfitHtml(step) {
+    var img = step.image;
+    var imgSrc = img && typeof img === 'object' ? toStr(img.src || '') : toStr(img || '');
+    var imgAlt = img && typeof img === 'object' ? toStr(img.alt || '') : '';
+
+    var html = '<div class="dl-copilot-outfit">';
+    if (step.header) html += '<div class="dl-copilot-outfit__header"><strong>' + escapeText(step.header) + '</strong></div>';
+    if (imgSrc) html += '<img class="dl-copilot-outfit__img" src="' + escapeText(imgSrc) + '" alt="' + escapeText(imgAlt || step.header || '') + '">';
+
+    var products = Array.isArray(step.products) ? step.products : [];
+    if (products.length) {
+      html += '<ul class="dl-copilot-outfit__products">';
+      products.forEach(function (p) {
+        if (!p || !p.handle) return;
+        html += '<li class="dl-copilot-outfit__product">';
+        html += '<a href="/products/' + encodeURIComponent(toStr(p.handle)) + '">';
+        if (p.image) html += '<img src="' + escapeText(p.image) + '" alt="">';
+        html += '<span>' + escapeText(p.title || p.handle) + '</span>';
+        html += '</a>';
+        if (typeof p.price_min === 'number') html += '<span class="dl-copilot-outfit__price">' + escapeText(p.price_min.toFixed(2)) + '</span>';
+        html += '</li>';
+      });
+      html += '</ul>';
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  function renderStepObject(step, token, ctx) {
+    var type = toStr(step.type || 'message');
+
+    bus.emit('flow:step', { intent: ctx.intent || state.flow.intent || null, type: type, routeId: state.flow.routeId || null });
+
+    if (type === 'policy') appendBlock('policy', { title: step.title || '', content: toStr(step.content || step.message || '') });
+    else if (type === 'outfit') {
+      appendBlock('outfit', { header: step.header || '', image: step.image || null, products: step.products || [] });
+      bus.emit('outfit:view', {
+        intent: ctx.intent || state.flow.intent || null,
+        article: step.article || null,
+        context: step.context || null,
+        products: (step.products || []).map(function (p) { return p && p.handle; }).filter(Boolean),
+        routeId: state.flow.routeId || null
+      });
+    }
+    else if (step.message) appendAI(step.message);
+
+    var choices = stepChoicePills([].concat(step.options || [], step.actions || []), ctx);
+
+    if (type === 'input' || choices.length) {
+      recordStep(
+        (ctx.intent || state.flow.intent || '') + ':' + toStr(step.id || (type + ':' + (step.title || step.header || step.message || ''))),
+        function () { renderStep(step, ctx); }
+      );
+    }
+
+    if (type === 'input') {
+      if (choices.length) renderPills(choices);
+      else removeExistingChoiceUIs();
+
+      stepRenderer.input = { onSubmit: step.onSubmit, token: token, ctx: ctx };
+      unlockInput();
+      setComposerPlaceholder(step.placeholder || copy('core.composer.placeholder'));
+      return;
+    }
+
+    if (choices.length) {
+      renderPills(choices);
+      lockInput();
+      return;
+    }
+
+    if (typeof step.next === 'function') {
+      runStepHandler(step.next, undefined, ctx);
+      return;
+    }
+
+    bus.emit('flow:end', { intent: ctx.intent || state.flow.intent || null, routeId: state.flow.routeId || null });
+
+    // Terminal step inside a flow: keep Back available next to a way home.
+    if (stepHistory.frames.length) {
+      recordStep((ctx.intent || state.flow.intent || '') + ':end:' + toStr(step.id || step.title || step.message || type), function () { renderStep(step, ctx); });
+      renderPills([{ label: copy('core.main_menu'), unlockInput: false, action: { restart: true } }]);
+      lockInput();
+      return;
+    }
+
+    // Terminal step: locking brings the main menu back.
+    lockInput();
+  }
+
+  function submitToStepInput(text) {
+    var input = stepRenderer.input;
+    if (!input || input.token !== stepRenderer.token || typeof input.onSubmit !== 'function') return false;
+
+    stepRenderer.input = null;
+    runStepHandler(input.onSubmit, text, input.ctx);
+    return true;
+  }
+
+  /* ============================================================
+     7.3) STEP HISTORY (BACK)
+     ------------------------------------------------------------
+     Every step that waits for the customer records itself with a
+     replay function. Back pops the current step and replays the
+     previous one, whatever flow it belongs to:
+       - step objects (renderStep) record automatically
+       - core sizing steps call recordStep() themselves
+       - module-rendered steps can use api.recordStep(step, replay)
+     The stack is cleared whenever the main menu renders. Replays
+     live in memory; state.flow.history persists the { intent, step }
+     trail.
+  ============================================================ */
+
+  var stepHistory = { frames: [] };
+
+  function syncStepHistoryState() {
+    if (!state.flow) return;
+    state.flow.history = stepHistory.frames.map(function (f) {
+      return { intent: f.intent, step: f.step };
+    });
+  }
+
+  function recordStep(step, replay) {
+    step = toStr(step || '');
+    if (!step || typeof replay !== 'function') return;
+
+    var frames = stepHistory.frames;
+    var top = frames[frames.length - 1];
+    var intent = (state.flow && state.flow.intent) || null;
+
+    // Re-asking the same step (retry after invalid input) is not a new step.
+    if (top && top.step === step && top.intent === intent) {
+      top.replay = replay;
+    } else {
+      frames.push({ intent: intent, step: step, replay: replay });
+      if (frames.length > CONFIG.maxStepHistory) frames.splice(0, frames.length - CONFIG.maxStepHistory);
+      bus.emit('step:reached', { intent: intent, step: step, depth: frames.length, routeId: state.flow.routeId || null });
+    }
+
+    syncStepHistoryState();
+  }
+
+  function clearStepHistory() {
+    stepHistory.frames = [];
+    syncStepHistoryState();
+  }
+
+  function canGoBack() {
+    var frames = stepHistory.frames;
+    return frames.length > 1 && typeof frames[frames.length - 2].replay === 'function';
+  }
+
+  function goBack() {
+    if (!canGoBack()) return false;
+
+    stepHistory.frames.pop();
+    var prev = stepHistory.frames.pop();
+    syncStepHistoryState();
+
+    stepRenderer.token += 1;
+    stepRenderer.pending = false;
+    stepRenderer.input = null;
+
+    bus.emit('flow:back', { intent: prev.intent, step: prev.step, routeId: state.flow.routeId || null });
+
+    if (prev.intent && state.flow.intent !== prev.intent) state.flow.intent = prev.intent;
+
+    try {
+      prev.replay();
+    } catch (e) {
+      stepFailed(e);
+    }
+    return true;
+  }
+
+  // One Back control for every flow: its own row under the current
+  // choices (or under the question, for free-text steps).
+  function renderBackControl() {
+    if (!dom.body) return;
+
+    qsa('.dl-copilot-options--back', dom.body).forEach(function (el) {
+      try { el.remove(); } catch (e) {}
+    });
+
+    if (!canGoBack()) return;
+
+    var group = document.createElement('div');
+    group.className = 'dl-copilot-options dl-copilot-options--back';
+
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'dl-copilot-pill dl-copilot-option dl-copilot-pill--back';
+    btn.textContent = copy('core.back');
+    btn.setAttribute('aria-label', copy('core.back_aria'));
+
+    btn.addEventListener('click', function () {
+      appendUser(copy('core.back'));
+      removeExistingChoiceUIs();
+      goBack();
+    });
+
+    group.appendChild(btn);
+    dom.body.appendChild(group);
+    scrollBodyToBottom();
+  }
+
+  function keepBackControlLast() {
+    if (!dom.body) return;
+    var back = dom.body.querySelector('.dl-copilot-options--back');
+    if (back && back !== dom.body.lastElementChild) dom.body.appendChild(back);
+  }
+
+  /* ============================================================
+     8) INPUT LOCKING
+  ============================================================ */
+
+  function applyInputLockState() {
+    if (!dom.input || !dom.send) return;
+
+    var freeText = state.inputLocked && composerAcceptsFreeText();
+
+    if (state.inputLocked && !freeText) {
+      dom.input.setAttribute('readonly', 'readonly');
+      dom.input.classList.add('is-locked');
+      dom.send.setAttribute('disabled', 'disabled');
+      dom.send.classList.add('is-disabled');
+
+      dom.input.placeholder = toStr(state.inputLockPlaceholder || copy('core.choose_option'));
+      describeInput(copy('core.a11y.locked', { placeholder: dom.input.placeholder }));
+    } else {
+      dom.input.removeAttribute('readonly');
+      dom.input.classList.remove('is-locked');
+      dom.send.removeAttribute('disabled');
+      dom.send.classList.remove('is-disabled');
+
+      dom.input.placeholder = copy(freeText ? 'core.composer.free_text' : 'core.composer.placeholder');
+      describeInput(freeText ? copy('core.a11y.free_text') : '');
+    }
+  }
+
+  function setInputLocked(locked, placeholder) {
+    state.inputLocked = !!locked;
+    if (typeof placeholder === 'string') state.inputLockPlaceholder = placeholder;
+    applyInputLockState();
+    persistNow();
+    ensureMenuWhenLocked();
+  }
+
+  function lockInput(placeholder) {
+    setInputLocked(true, typeof placeholder === 'string' ? placeholder : copy('core.choose_option'));
+  }
+
+  function unlockInput() {
+    setInputLocked(false, '');
+    renderBackControl();
+  }
+
+  function setComposerPlaceholder(placeholder) {
+    if (!dom.input) return;
+    if (state.inputLocked) return;
+    dom.input.placeholder = toStr(placeholder || copy('core.composer.placeholder'));
+  }
+
+  /* ============================================================
+     9) PANEL OPEN/CLOSE
+  ============================================================ */
+
+  function openPanel() {
+    if (!dom.panel) return;
+
+    var wasOpen = state.isOpen;
+
+    rememberFocus();
+
+    dom.panel.classList.add('is-open');
+    state.isOpen = true;
+    syncPanelAria();
+    persistNow();
+
+    renderEntryIfAvailable();
+    ensureMenuWhenLocked();
+
+    focusIntoPanel();
+
+    // Restoring an open panel after a reload is not a new open.
+    if (!wasOpen) bus.emit('panel:open', { routeId: state.flow.routeId || null });
+  }
+
+  function closePanel() {
+    if (!dom.panel) return;
+
+    var wasOpen = state.isOpen;
+
+    dom.panel.classList.remove('is-open');
+    state.isOpen = false;
+    syncPanelAria();
+    persistNow();
+
+    if (wasOpen) {
+      restoreFocus();
+      bus.emit('panel:close', { routeId: state.flow.routeId || null });
+    }
+  }
+
+  /* ============================================================
+     9.1) ACCESSIBILITY
+     ------------------------------------------------------------
+     - New AI messages are read out through a polite live region
+       (#DLCopilotLive); re-renders and cross-tab syncs stay silent.
+     - Opening the panel remembers the focused element and moves focus
+       inside; Tab/Shift+Tab cycle within the panel, Escape closes it
+       and focus goes back where it was (or to the CTA).
+     - Pill rows and card grids use a roving tabindex: one Tab stop per
+       group, arrow keys / Home / End move between options.
+     - The CTA mirrors the panel with aria-expanded; the composer gets
+       a description while it's locked.
+  ============================================================ */
+
+  var FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), textarea:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  var a11y = {
+    returnFocusTo: null,
+    queue: [],
+    timer: null
+  };
+
+  function announce(text) {
+    text = toStr(text).replace(/\s+/g, ' ').trim();
+    if (!text || !dom.live || !state.isOpen) return;
+
+    // Batch messages posted in the same tick into one announcement;
+    // clearing first makes repeated identical text announce again.
+    a11y.queue.push(text);
+    if (a11y.timer) return;
+
+    dom.live.textContent = '';
+    a11y.timer = setTimeout(function () {
+      a11y.timer = null;
+      if (!dom.live) return;
+      dom.live.textContent = a11y.queue.join(' ');
+      a11y.queue = [];
+    }, 100);
+  }
+
+  function describeInput(text) {
+    if (!dom.inputHint) return;
+    dom.inputHint.textContent = toStr(text);
+  }
+
+  function syncPanelAria() {
+    if (dom.panel) dom.panel.setAttribute('aria-hidden', state.isOpen ? 'false' : 'true');
+    if (dom.cta) {
+      dom.cta.setAttribute('aria-expanded', state.isOpen ? 'true' : 'false');
+      if (dom.panel && dom.panel.id) dom.cta.setAttribute('aria-controls', dom.panel.id);
+    }
+  }
+
+  function focusWithin(el) {
+    return !!(el && dom.panel && dom.panel.contains(el));
+  }
+
+  function rememberFocus() {
+    var active = document.activeElement;
+    if (state.isOpen && focusWithin(active)) return;
+    a11y.returnFocusTo = active && active !== document.body ? active : null;
+  }
+
+  function restoreFocus() {
+    var target = a11y.returnFocusTo;
+    a11y.returnFocusTo = null;
+
+    // Only pull focus back if it's still in the (now hidden) panel
+    var active = document.activeElement;
+    if (active && active !== document.body && !focusWithin(active)) return;
+
+    if (!target || !document.contains(target)) target = dom.cta;
+    try { if (target) target.focus(); } catch (e) {}
+  }
+
+  function focusableIn(root) {
+    return qsa(FOCUSABLE_SELECTOR, root).filter(function (el) {
+      return !el.hasAttribute('hidden') && el.getAttribute('aria-hidden') !== 'true';
+    });
+  }
+
+  function latestChoiceGroup() {
+    if (!dom.body) return null;
+    var groups = qsa('.dl-copilot-options:not(.dl-copilot-options--back), .dl-copilot-cardgrid', dom.body);
+    return groups.length ? groups[groups.length - 1] : null;
+  }
+
+  function focusIntoPanel() {
+    if (!dom.panel) return;
+
+    var target = null;
+    if (dom.input && !dom.input.hasAttribute('readonly')) target = dom.input;
+    if (!target) {
+      var group = latestChoiceGroup();
+      if (group) target = qs('[tabindex="0"]', group) || focusableIn(group)[0];
+    }
+    if (!target) target = dom.close || dom.panel;
+
+    try { target.focus(); } catch (e) {}
+  }
+
+  function focusLost() {
+    var active = document.activeElement;
+    return !active || active === document.body || !document.contains(active);
+  }
+
+  function recoverFocus() {
+    if (state.isOpen && focusLost()) focusIntoPanel();
+  }
+
+  // After a pick the clicked option is gone; hand focus to the new group
+  // unless the user is typing in the composer.
+  function focusNewChoices(group) {
+    if (!state.isOpen || !group) return;
+
+    var active = document.activeElement;
+    if (!focusLost() && !(focusWithin(active) && active !== dom.input)) return;
+
+    var first = qs('[tabindex="0"]', group);
+    try { if (first) first.focus(); } catch (e) {}
+  }
+
+  function onPanelKeydown(e) {
+    if (!state.isOpen) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closePanel();
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    var items = focusableIn(dom.panel);
+    if (!items.length) {
+      e.preventDefault();
+      return;
+    }
+
+    var first = items[0];
+    var last = items[items.length - 1];
+    var active = document.activeElement;
+
+    if (e.shiftKey && (active === first || !focusWithin(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || !focusWithin(active))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Options in a grid wrap by layout; count how many share the first row.
+  function gridColumns(buttons) {
+    if (buttons.length < 2) return 1;
+    var top = buttons[0].offsetTop;
+    var cols = 0;
+    for (var i = 0; i < buttons.length; i++) {
+      if (buttons[i].offsetTop !== top) break;
+      cols++;
+    }
+    return cols > 0 && cols < buttons.length ? cols : buttons.length;
+  }
+
+  function initRovingFocus(group, layout) {
+    var buttons = qsa('button', group);
+    if (!buttons.length) return;
+
+    group.setAttribute('role', 'group');
+    if (!group.hasAttribute('aria-label')) group.setAttribute('aria-label', copy(layout === 'grid' ? 'core.a11y.choices' : 'core.a11y.options'));
+
+    buttons.forEach(function (btn, i) {
+      btn.setAttribute('tabindex', i === 0 ? '0' : '-1');
+      btn.addEventListener('focus', function () {
+        buttons.forEach(function (b) { b.setAttribute('tabindex', b === btn ? '0' : '-1'); });
+      });
+    });
+
+    group.addEventListener('keydown', function (e) {
+      var i = buttons.indexOf(document.activeElement);
+      if (i === -1) return;
+
+      var step = layout === 'grid' ? gridColumns(buttons) : 1;
+      var next = null;
+
+      switch (e.key) {
+        case 'ArrowRight': next = i + 1; break;
+        case 'ArrowLeft': next = i - 1; break;
+        case 'ArrowDown': next = i + step; break;
+        case 'ArrowUp': next = i - step; break;
+        case 'Home': next = 0; break;
+        case 'End': next = buttons.length - 1; break;
+        default: return;
+      }
+
+      e.preventDefault();
+      if (layout !== 'grid' || e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+        next = (next + buttons.length) % buttons.length; // rows wrap around
+      }
+      next = Math.max(0, Math.min(buttons.length - 1, next));
+      buttons[next].focus();
+    });
+  }
+
+  function bindAccessibility() {
+    syncPanelAria();
+    if (dom.panel) dom.panel.addEventListener('keydown', onPanelKeydown);
+  }
+
+  /* ============================================================
+     10) FLOW REGISTRY
+     ------------------------------------------------------------
+     A flow is one menu entry + one intent. It is registered with:
+       - intent     canonical key ('size_guidance', 'order_support', …)
+       - label      string or fn(ctx) → string (omit to hide from menu)
+       - aliases    other intent keys that route here
+       - priority   menu order (lower first)
+       - visible    optional fn(ctx) → boolean (ctx.isProductPage, …)
+       - payload    optional object or fn(ctx) → object for the route
+       - start      optional fn(route, api); otherwise the owning module
+                    is expected to react to flow:route itself
+     Modules register through registerModule(id, fn, meta); when meta
+     carries an intent, the module's flow is registered for it.
+  ============================================================ */
+
+  var registry = {
+    modules: {},   // id -> { id, meta, initialized }
+    flows: {}      // intent -> flow def
+  };
+
+  function toAliasList(aliases) {
+    if (!aliases) return [];
+    if (!Array.isArray(aliases)) aliases = [aliases];
+    return aliases.map(function (a) { return toStr(a).trim(); }).filter(Boolean);
+  }
+
+  // Keywords feed the free-text classifier: ['word', 'a phrase'] or
+  // { 'word': weight }. Phrases (several words) default to weight 2.
+  function toKeywordMap(list, prev) {
+    var out = {};
+    Object.keys(prev || {}).forEach(function (k) { out[k] = prev[k]; });
+
+    if (Array.isArray(list)) {
+      list.forEach(function (k) {
+        k = normalizeFreeText(k);
+        if (k) out[k] = k.indexOf(' ') !== -1 ? 2 : 1;
+      });
+    } else if (list && typeof list === 'object') {
+      Object.keys(list).forEach(function (k) {
+        var key = normalizeFreeText(k);
+        if (key) out[key] = Number(list[k]) || 1;
+      });
+    }
+    return out;
+  }
+
+  function registerFlow(intent, def) {
+    intent = toStr(intent).trim();
+    if (!intent) {
+      warn('registerFlow: missing intent');
+      return null;
+    }
+    def = def || {};
+
+    var prev = registry.flows[intent] || {};
+
+    var flow = {
+      intent: intent,
+      label: def.label != null ? def.label : prev.label,
+      aliases: toAliasList(def.aliases).concat(toAliasList(prev.aliases)),
+      priority: toInt(def.priority, prev.priority != null ? prev.priority : 100),
+      visible: typeof def.visible === 'function' ? def.visible : prev.visible,
+      payload: def.payload != null ? def.payload : prev.payload,
+      start: typeof def.start === 'function' ? def.start : prev.start,
+      keywords: toKeywordMap(def.keywords, prev.keywords),
+      module: def.module || prev.module || null
+    };
+
+    registry.flows[intent] = flow;
+    log('flow registered', intent, flow);
+    bus.emit('registry:flow', { intent: intent });
+
+    return flow;
+  }
+
+  function registerModule(id, factory, meta) {
+    id = toStr(id).trim();
+    if (!id) {
+      warn('registerModule: missing id');
+      return false;
+    }
+    if (registry.modules[id] && registry.modules[id].initialized) {
+      log('module already registered', id);
+      return false;
+    }
+
+    meta = meta || {};
+    var entry = { id: id, meta: meta, initialized: false };
+    registry.modules[id] = entry;
+
+    if (meta.intent) {
+      registerFlow(meta.intent, {
+        label: meta.label,
+        aliases: meta.aliases,
+        priority: meta.priority,
+        visible: meta.visible,
+        payload: meta.payload,
+        start: meta.start,
+        keywords: meta.keywords,
+        module: id
+      });
+    }
+
+    if (typeof factory === 'function') {
+      try {
+        factory(api);
+        entry.initialized = true;
+      } catch (e) {
+        warn('Module init error', id, e);
+      }
+    } else {
+      entry.initialized = true;
+    }
+
+    bus.emit('registry:module', { id: id });
+    return entry.initialized;
+  }
+
+  function listFlows() {
+    return Object.keys(registry.flows).map(function (k) { return registry.flows[k]; }).sort(function (a, b) {
+      if (a.priority !== b.priority) return a.priority - b.priority;
+      return a.intent < b.intent ? -1 : (a.intent > b.intent ? 1 : 0);
+    });
+  }
+
+  function getRegistry() {
+    return {
+      modules: Object.keys(registry.modules).map(function (k) {
+        var m = registry.modules[k];
+        return { id: m.id, intent: m.meta.intent || null, initialized: !!m.initialized };
+      }),
+      flows: listFlows().map(function (f) {
+        return { intent: f.intent, aliases: f.aliases.slice(), priority: f.priority, module: f.module, hasStart: typeof f.start === 'function' };
+      })
+    };
+  }
+
+  function menuContext() {
+    return {
+      isProductPage: isLikelyProductPage(),
+      isCollectionPage: isLikelyCollectionPage(),
+      currentProductHandle: currentProductHandle(),
+      hasSizingProfile: hasAnySavedSizingProfile(),
+      state: state
+    };
+  }
+
+  function resolveFlowValue(v, ctx) {
+    if (typeof v !== 'function') return v;
+    try { return v(ctx); } catch (e) { return null; }
+  }
+
+  /* ============================================================
+     10.1) FLOW ROUTING
+  ============================================================ */
+
+  function normalizeIntent(intent) {
+    intent = toStr(intent).trim();
+    if (!intent) return '';
+
+    if (registry.flows[intent]) return intent;
+
+    var flows = listFlows();
+    for (var i = 0; i < flows.length; i++) {
+      if (flows[i].aliases.indexOf(intent) !== -1) return flows[i].intent;
+    }
+
+    return intent;
+  }
+
+  function startRegisteredFlow(intent, route) {
+    var def = registry.flows[intent];
+    if (!def || typeof def.start !== 'function') return;
+
+    var result;
+    try {
+      result = def.start(route, api);
+    } catch (e) {
+      warn('Flow start error', intent, e);
+      appendAI(copy('core.option_unavailable'));
+      restart();
+      return;
+    }
+
+    // Flows may return a step description instead of rendering themselves.
+    renderStep(result, { intent: intent });
+  }
+
+  function routeIntent(payload) {
+    payload = payload || {};
+
+    var rawIntent = typeof payload === 'string' ? payload : payload.intent;
+    var intent = normalizeIntent(rawIntent);
+
+    var pld = (typeof payload === 'object' && payload.payload) ? payload.payload : {};
+    var routeId = (typeof payload === 'object' && payload.routeId) ? toStr(payload.routeId) : '';
+
+    if (!routeId) routeId = nowId();
+
+    if (state.lastRoutedId && routeId === state.lastRoutedId) {
+      log('routeIntent deduped', routeId, intent);
+      return;
+    }
+
+    state.lastRoutedId = routeId;
+
+    state.flow = state.flow || {};
+    state.flow.intent = intent || null;
+    state.flow.payload = (pld && typeof pld === 'object') ? pld : {};
+    state.flow.step = state.flow.step || 'active';
+    state.flow.activeModule = null;
+    clearStepHistory();
+    state.flow.routeId = routeId;
+
+    persistNow();
+
+    var route = { intent: intent, payload: state.flow.payload, routeId: routeId, source: 'core-router' };
+
+    // Only one flow consumes the composer at a time.
+    deactivateCoreFlows();
+
+    if (intent && !registry.flows[intent]) warn('No flow registered for intent', intent);
+
+    bus.emit('flow:route', route);
+    startRegisteredFlow(intent, route);
+  }
+
+  bus.on('intent:select', routeIntent);
+
+  /* ============================================================
+     10.2) CORE-OWNED SIZING FLOWS
+     - Global size profile: review / new
+     - Global recommendation: choose Category vs Product (C)
+     - Product-specific sizing: gender → category → product → user info → recommend (EU + length)
+  ============================================================ */
+
+  function sizingIsAvailable() {
+    return !!(window.DLCopilotSizing && typeof window.DLCopilotSizing === 'object');
+  }
+
+  /* ============================================================
+     GLOBAL SIZING FLOW STATE
+  ============================================================ */
+
+  var globalSizingFlow = {
+    active: false,
+    routeId: null,
+
+    // new in v5 global sizing:
+    targetMode: null, // 'category' | 'product'
+    gender: null,
+    category: null,
+    usual_size_eu: null,
+    usual_length: null,   // 'short' | 'standard' | 'long' given with it ("UK 42L")
+    fit_preference: null, // 'close' | 'true_to_size' | 'relaxed' | 'layering'
+    bodyReask: null,      // 'height' | 'weight' while Back re-collects a saved body
+    collectionDismissed: false // customer chose "change" on the preselected collection
+  };
+
+  function globalSizingResetSession() {
+    globalSizingFlow.targetMode = null;
+    globalSizingFlow.gender = null;
+    globalSizingFlow.category = null;
+    globalSizingFlow.usual_size_eu = null;
+    globalSizingFlow.usual_length = null;
+    globalSizingFlow.fit_preference = null;
+    globalSizingFlow.bodyReask = null;
+    globalSizingFlow.collectionDismissed = false;
+  }
+
+  function globalSizingStart(route) {
+    route = route || {};
+    var mode = (route.payload && route.payload.mode) ? toStr(route.payload.mode) : 'new';
+    var routeId = toStr(route.routeId || '');
+
+    globalSizingFlow.active = true;
+    globalSizingFlow.routeId = routeId || nowId();
+    globalSizingResetSession();
+
+    state.flow.intent = 'size_guidance';
+    state.flow.step = 'global_start';
+    persistNow();
+
+    removeExistingChoiceUIs();
+
+    if (mode === 'review' && hasAnySavedSizingProfile()) {
+      globalSizingReview();
+      return;
+    }
+
+    appendAI(copy('sizing.setup_profile'));
+    globalSizingAskBody();
+  }
+
+  function globalSizingStop() {
+    globalSizingFlow.active = false;
+    globalSizingFlow.routeId = null;
+    globalSizingResetSession();
+
+    state.flow.intent = null;
+    state.flow.step = 'entry';
+    state.flow.payload = {};
+    persistNow();
+
+    renderMainMenuPills();
+    lockInput();
+  }
+
+  /* ============================================================
+     GLOBAL SIZING: REVIEW + NEXT STEP (FIXED)
+  ============================================================ */
+
+  function globalSizingReview() {
+    state.flow.step = 'global_review';
+    persistNow();
+    recordStep('global_review', globalSizingReview);
+
+    var h = state.sizing.height_cm;
+    var w = state.sizing.weight_kg;
+
+    appendAI(
+      copy('sizing.saved_profile') + '<br>' +
+      '• ' + copy('sizing.profile_height', { value: '<strong>' + escapeText(h) + ' cm</strong>' }) + '<br>' +
+      '• ' + copy('sizing.profile_weight', { value: '<strong>' + escapeText(w) + ' kg</strong>' }) + '<br><br>' +
+      copy('sizing.still_correct')
+    );
+
+    renderPills([
+      {
+        label: copy('sizing.yes_correct'),
+        unlockInput: false,
+        onClick: function () {
+          // IMPORTANT: do not stop here anymore.
+          appendAI(copy('sizing.ask_target_confirmed'));
+          globalSizingAskTarget();
+        }
+      },
+      {
+        label: copy('sizing.no_update'),
+        unlockInput: false,
+        onClick: function () {
+          // Reset body only (category sizes can remain, but are now “stale”)
+          state.sizing.height_cm = null;
+          state.sizing.weight_kg = null;
+          touchSizing('height_cm', 'weight_kg');
+          persistNow();
+
+          appendAI(copy('sizing.update_body'));
+          globalSizingAskBody();
+        }
+      }
+    ]);
+
+    lockInput();
+  }
+
+  // opts.forceAsk (Back) re-collects both measurements; the saved ones
+  // stay until the customer enters new values.
+  function globalSizingAskBody(opts) {
+    opts = opts || {};
+    state.flow.step = 'global_collect_body';
+    globalSizingFlow.bodyReask = opts.forceAsk ? 'height' : null;
+    persistNow();
+    recordStep('global_collect_body', function () { globalSizingAskBody({ forceAsk: true }); });
+
+    appendAI(copy('sizing.ask_height'));
+    unlockInput();
+    setComposerPlaceholder(copy('sizing.placeholder_height'));
+  }
+
+  function globalSizingAskTarget() {
+    state.flow.step = 'global_target';
+    persistNow();
+    recordStep('global_target', globalSizingAskTarget);
+
+    renderPills([
+      {
+        label: copy('sizing.target_product'),
+        unlockInput: false,
+        onClick: function () {
+          globalSizingFlow.targetMode = 'product';
+          persistNow();
+
+          // Route into the product sizing flow (re-uses saved body)
+          appendAI(copy('sizing.target_product_intro'));
+          bus.emit('intent:select', { intent: 'size_product', payload: { source: 'size_guidance' }, routeId: nowId() });
+        }
+      },
+      {
+        label: copy('sizing.target_category'),
+        unlockInput: false,
+        onClick: function () {
+          globalSizingFlow.targetMode = 'category';
+          persistNow();
+
+          appendAI(copy('sizing.target_category_intro'));
+          globalSizingAskGender();
+        }
+      }
+    ]);
+
+    lockInput();
+  }
+
+  function globalSizingAskGender(opts) {
+    opts = opts || {};
+
+    state.flow.step = 'global_gender';
+    persistNow();
+    // Going back here always asks, so a saved gender can be changed.
+    recordStep('global_gender', function () { globalSizingAskGender({ forceAsk: true }); });
+
+    // Browsing a gendered collection wins over the saved gender for this session.
+    if (!opts.forceAsk && !globalSizingFlow.collectionDismissed) {
+      var routeId = globalSizingFlow.routeId;
+      pageCollectionGender(function (pageGender) {
+        if (!globalSizingFlow.active || globalSizingFlow.routeId !== routeId) return;
+        if (!pageGender) {
+          globalSizingRenderGender(opts);
+          return;
+        }
+        globalSizingFlow.gender = pageGender;
+        state.sizing.last.gender = pageGender;
+        touchSizing('last');
+        persistNow();
+        globalSizingAskCategory();
+      });
+      return;
+    }
+
+    globalSizingRenderGender(opts);
+  }
+
+  function globalSizingRenderGender(opts) {
+    // If gender is already saved, we can skip asking.
+    if (!opts.forceAsk && state.sizing && (state.sizing.gender === 'men' || state.sizing.gender === 'women')) {
+      globalSizingFlow.gender = state.sizing.gender;
+      persistNow();
+      globalSizingAskCategory();
+      return;
+    }
+
+    appendAI(copy('sizing.ask_gender'));
+    renderPills([
+      {
+        label: copy('sizing.gender_men'),
+        unlockInput: false,
+        onClick: function () {
+          globalSizingFlow.gender = 'men';
+          state.sizing.gender = 'men';
+          state.sizing.last.gender = 'men';
+          touchSizing('gender', 'last');
+          persistNow();
+          globalSizingAskCategory();
+        }
+      },
+      {
+        label: copy('sizing.gender_women'),
+        unlockInput: false,
+        onClick: function () {
+          globalSizingFlow.gender = 'women';
+          state.sizing.gender = 'women';
+          state.sizing.last.gender = 'women';
+          touchSizing('gender', 'last');
+          persistNow();
+          globalSizingAskCategory();
+        }
+      }
+    ]);
+
+    lockInput();
+  }
+
+  function globalSizingAskCategory() {
+    state.flow.step = 'global_category_loading';
+    persistNow();
+    recordStep('global_category', globalSizingAskCategory);
+
+    appendAI(copy('sizing.ask_category'));
+    appendAI(copy('sizing.loading_categories'));
+    lockInput(copy('sizing.loading_categories'));
+
+    loadCollections()
+      .then(function (collections) {
+        var filtered = filterCollectionsForGender(collections, globalSizingFlow.gender);
+
+        var preselected = globalSizingFlow.collectionDismissed ? null : pageCollectionIn(filtered);
+        if (preselected) {
+          state.flow.step = 'global_category';
+          persistNow();
+          renderCollectionPreselect(preselected, globalSizingUseCategory, function () {
+            globalSizingFlow.collectionDismissed = true;
+            globalSizingAskGender({ forceAsk: true });
+          });
+          return;
+        }
+
+        var cards = filtered.map(function (c) {
+          var img = '';
+          try {
+            if (c.image && c.image.src) img = c.image.src;
+          } catch (e) {}
+
+          var rawTitle = toStr(c.title || '');
+          var cleanTitle = cleanCategoryTitle(rawTitle);
+
+          return {
+            title: cleanTitle || rawTitle,
+            subtitle: '',
+            image: img,
+            value: { handle: toStr(c.handle || ''), title: toStr(c.title || '') }
+          };
+        }).filter(function (x) { return x && x.value && x.value.handle; });
+
+        cards = dedupeByKey(cards, function (it) { return toStr(it.title || ''); });
+
+        state.flow.step = 'global_category';
+        persistNow();
+
+        renderCardGrid(cards, {
+          userEchoTitle: true,
+          onSelect: function (value) { globalSizingUseCategory(value); }
+        });
+
+        lockInput();
+      })
+      .catch(function (e) {
+        warn('collections.json failed', e);
+        appendAI(copy('sizing.categories_failed'));
+        renderMainMenuPills();
+        lockInput();
+        globalSizingStop();
+      });
+  }
+
+  function globalSizingUseCategory(value) {
+    globalSizingFlow.category = { handle: value.handle, title: value.title };
+
+    state.sizing.last.category_handle = value.handle;
+    state.sizing.last.category_title = value.title;
+    touchSizing('last');
+    persistNow();
+
+    globalSizingAskUsualSize();
+  }
+
+  function globalSizingAskUsualSize() {
+    state.flow.step = 'global_usual_size';
+    persistNow();
+    recordStep('global_usual_size', globalSizingAskUsualSize);
+
+    var catHandle = (globalSizingFlow.category && globalSizingFlow.category.handle) ? globalSizingFlow.category.handle : '';
+    var catTitle = (globalSizingFlow.category && globalSizingFlow.category.title) ? globalSizingFlow.category.title : copy('sizing.this_category');
+
+    // If we already have a saved usual size for this category, offer it as a pill.
+    var saved = null;
+    try {
+      if (catHandle && state.sizing && state.sizing.categories && state.sizing.categories[catHandle] && state.sizing.categories[catHandle].usual_size_eu) {
+        saved = state.sizing.categories[catHandle].usual_size_eu;
+      }
+    } catch (e) { saved = null; }
+
+    if (saved) {
+      appendAI(copy('sizing.saved_usual', {
+        category: '<strong>' + escapeText(catTitle) + '</strong>',
+        size: '<strong>EU ' + escapeText(saved) + '</strong>'
+      }));
+      renderPills([
+        {
+          label: copy('sizing.use_saved', { size: 'EU ' + saved }),
+          unlockInput: false,
+          onClick: function () {
+            globalSizingFlow.usual_size_eu = saved;
+            globalSizingFlow.usual_length = null;
+            persistNow();
+            globalSizingAskFit();
+          }
+        },
+        {
+          label: copy('sizing.enter_different'),
+          unlockInput: false,
+          onClick: function () {
+            appendAI(copy('sizing.usual.usual_size_eu.ask'));
+            unlockInput();
+            setComposerPlaceholder(copy('sizing.usual.usual_size_eu.placeholder'));
+          }
+        }
+      ]);
+      lockInput();
+      return;
+    }
+
+    appendAI(copy('sizing.usual.usual_size_eu.ask_for', { category: '<strong>' + escapeText(catTitle) + '</strong>' }));
+    unlockInput();
+    setComposerPlaceholder(copy('sizing.usual.usual_size_eu.placeholder'));
+  }
+
+  function globalSizingAskFit(opts) {
+    opts = opts || {};
+    recordStep('global_fit', function () { globalSizingAskFit(opts); });
+
+    var catHandle = (globalSizingFlow.category && globalSizingFlow.category.handle) ? globalSizingFlow.category.handle : '';
+    askFitPreference({
+      step: 'global_fit',
+      catHandle: catHandle,
+      catTitle: cleanCategoryTitle((globalSizingFlow.category && globalSizingFlow.category.title) ? globalSizingFlow.category.title : '') || copy('sizing.this_category'),
+      category: catHandle,
+      forceAsk: opts.forceAsk,
+      onChoose: function (pref) {
+        globalSizingFlow.fit_preference = pref;
+        persistNow();
+        globalSizingComputeGeneralRecommendation();
+      }
+    });
+  }
+
+  function globalSizingComputeGeneralRecommendation() {
+    state.flow.step = 'global_compute';
+    persistNow();
+
+    if (!sizingIsAvailable()) {
+      appendAI(copy('sizing.unavailable'));
+      globalSizingStop();
+      return;
+    }
+
+    // Core sizing doctrine (DL):
+    // - EU size is anchored to user's usual size
+    // - Weight/height are used for sanity checks and length only
+    // - Length is derived from height, and should be returned by sizing.js when available
+    var user = {
+      height_cm: state.sizing.height_cm,
+      weight_kg: state.sizing.weight_kg,
+      usual_size_eu: globalSizingFlow.usual_size_eu,
+      length: globalSizingFlow.usual_length,
+      fit_preference: globalSizingFlow.fit_preference
+    };
+
+    var catHandle = (globalSizingFlow.category && globalSizingFlow.category.handle) ? globalSizingFlow.category.handle : null;
+    var gender = globalSizingFlow.gender || (state.sizing ? state.sizing.gender : null);
+
+    // Try sizing.js schemaForGeneral -> recommend
+    var schema = null;
+    var rec = null;
+
+    try {
+      if (window.DLCopilotSizing && typeof window.DLCopilotSizing.schemaForGeneral === 'function') {
+        schema = window.DLCopilotSizing.schemaForGeneral(catHandle, gender);
+      }
+    } catch (e) { schema = null; }
+
+    traceSchema(schema, 'size_guidance');
+
+    try {
+      if (schema && window.DLCopilotSizing && typeof window.DLCopilotSizing.recommend === 'function') {
+        rec = window.DLCopilotSizing.recommend(schema, user);
+      }
+    } catch (e) { rec = null; }
+
+    // If sizing.js doesn't return length for general, we fallback based on height.
+    var sizeEu = null;
+    var length = '';
+
+    if (rec) {
+      sizeEu = rec.size_eu != null ? rec.size_eu : (rec.eu_size != null ? rec.eu_size : null);
+      length = rec.length != null ? rec.length : (rec.length_variant != null ? rec.length_variant : '');
+    }
+
+    var usedUsual = !!(rec && rec.used_usual_as_anchor);
+
+    // In DL doctrine: EU size should match usual size unless sizing.js explicitly overrides for some reason.
+    // If sizing.js returns null/undefined, use user's usual size.
+    if (sizeEu == null) {
+      sizeEu = globalSizingFlow.usual_size_eu;
+      usedUsual = true;
+    }
+
+    if (!length) {
+      length = lengthLabelFromHeight(state.sizing.height_cm);
+    }
+
+    // Persist category memory
+    var catKey = catHandle || 'unknown';
+    if (!state.sizing.categories[catKey]) state.sizing.categories[catKey] = {};
+    state.sizing.categories[catKey].usual_size_eu = globalSizingFlow.usual_size_eu;
+    if (globalSizingFlow.fit_preference) state.sizing.categories[catKey].fit_preference = globalSizingFlow.fit_preference;
+    state.sizing.categories[catKey].recommended_size_eu = sizeEu;
+    state.sizing.categories[catKey].recommended_length = length;
+    if (globalSizingFlow.category && globalSizingFlow.category.title) state.sizing.categories[catKey].title = globalSizingFlow.category.title;
+    state.sizing.categories[catKey].updated_at = nowTs();
+    persistNow();
+
+    var catTitle = (globalSizingFlow.category && globalSizingFlow.category.title) ? globalSizingFlow.category.title : copy('sizing.this_category');
+    // The height ranges don't explain a length the customer named
+    var lengthHint = globalSizingFlow.usual_length ? '' : lengthRangeHint(length);
+
+    recordStep('global_result', globalSizingComputeGeneralRecommendation);
+
+    appendBlock('recommendation', {
+      title: catTitle,
+      category_handle: catKey,
+      size: 'EU ' + sizeEu,
+      size_eu: sizeEu,
+      length: length,
+      length_hint: lengthHint || '',
+      fit_shift: fitShiftData(rec),
+      confidence: confidenceData(rec),
+      alternative: formatRecommendedSize(alternativeRec(rec)) || null,
+      question_key: 'rec.confirm'
+    });
+
+    bus.emit('sizing:recommendation', {
+      scope: 'general',
+      system: (rec && rec.system) || (schema && schema.system) || 'eu_numeric',
+      size: 'EU ' + sizeEu,
+      size_eu: sizeEu,
+      length: length,
+      used_usual_as_anchor: usedUsual,
+      fit_preference: globalSizingFlow.fit_preference || null,
+      confidence: (rec && rec.confidence) || null,
+      reasons: (rec && rec.reasons) || [],
+      category_handle: catKey,
+      product_handle: null,
+      routeId: state.flow.routeId || null
+    });
+
+    renderPills([
+      {
+        label: copy('sizing.yes_correct'),
+        unlockInput: false,
+        onClick: function () {
+          appendAI(copy('sizing.next_help'));
+          globalSizingStop();
+        }
+      },
+      {
+        label: copy('sizing.no_adjust'),
+        unlockInput: false,
+        onClick: function () {
+          appendAI(copy('sizing.adjust_category'));
+          globalSizingAskUsualSize();
+        }
+      }
+    ]);
+
+    lockInput();
+  }
+
+  // "50", "EU 50", "UK 40R", "50 at Zara" → EU size (see DLCopilotSizing SIZE CONVERSION)
+  function globalSizingParseUsualSize(text) {
+    var parsed = null;
+    try {
+      if (sizingIsAvailable() && typeof window.DLCopilotSizing.parseUserInput === 'function') {
+        var catHandle = (globalSizingFlow.category && globalSizingFlow.category.handle) ? globalSizingFlow.category.handle : null;
+        var gender = sizingGender(globalSizingFlow.gender || (state.sizing ? state.sizing.gender : null));
+        parsed = window.DLCopilotSizing.parseUserInput(text, window.DLCopilotSizing.schemaForGeneral(catHandle, gender));
+      }
+    } catch (e) { parsed = null; }
+
+    var value = parsed && parsed.usual_size_eu != null ? parsed.usual_size_eu : toInt(text.replace(/[^\d]/g, ''), null);
+    return { value: value, converted: parsed ? parsed.converted : null };
+  }
+
+  function globalSizingHandleText(text) {
+    text = toStr(text || '').trim();
+    if (!text) return true;
+
+    // Step machine:
+    // - If height missing → parse height
+    // - Else if weight missing → parse weight
+    // - Else if usual size step → parse usual size
+    // - Else stop safely
+    // (bodyReask: Back asked again for a body already saved)
+    var reask = state.flow.step === 'global_collect_body' ? globalSizingFlow.bodyReask : null;
+
+    if (!state.sizing.height_cm || reask === 'height') {
+      var h = toInt(text.replace(/[^\d]/g, ''), null);
+      if (!h || h < 120 || h > 220) {
+        appendAI(copy('sizing.retry_height'));
+        setComposerPlaceholder(copy('sizing.placeholder_height'));
+        return true;
+      }
+      state.sizing.height_cm = h;
+      touchSizing('height_cm');
+      if (reask) globalSizingFlow.bodyReask = 'weight';
+      persistNow();
+
+      appendAI(copy('sizing.got_height'));
+      setComposerPlaceholder(copy('sizing.placeholder_weight'));
+      return true;
+    }
+
+    if (!state.sizing.weight_kg || reask === 'weight') {
+      var w = toInt(text.replace(/[^\d]/g, ''), null);
+      if (!w || w < 35 || w > 200) {
+        appendAI(copy('sizing.retry_weight'));
+        setComposerPlaceholder(copy('sizing.placeholder_weight'));
+        return true;
+      }
+      state.sizing.weight_kg = w;
+      touchSizing('weight_kg');
+      globalSizingFlow.bodyReask = null;
+      persistNow();
+
+      // IMPORTANT: do not stop here anymore — proceed to target choice.
+      appendAI(
+        copy('sizing.profile_saved') + '<br>' +
+        '• ' + copy('sizing.profile_height', { value: '<strong>' + escapeText(state.sizing.height_cm) + ' cm</strong>' }) + '<br>' +
+        '• ' + copy('sizing.profile_weight', { value: '<strong>' + escapeText(state.sizing.weight_kg) + ' kg</strong>' }) + '<br><br>' +
+        copy('sizing.ask_target')
+      );
+
+      globalSizingAskTarget();
+      return true;
+    }
+
+    // If we're expecting usual EU size in global category sizing:
+    if (state.flow.step === 'global_usual_size') {
+      var usual = globalSizingParseUsualSize(text);
+      var s = usual.value;
+      if (!s || s < 34 || s > 70) {
+        appendAI(copy('sizing.usual.usual_size_eu.retry'));
+        setComposerPlaceholder(copy('sizing.usual.usual_size_eu.placeholder'));
+        return true;
+      }
+
+      var note = sizeConversionNote(usual.converted, 'usual_size_eu', s);
+      if (note) appendAI(note);
+
+      globalSizingFlow.usual_size_eu = s;
+      globalSizingFlow.usual_length = usual.converted ? usual.converted.length : null;
+      persistNow();
+
+      globalSizingAskFit();
+      return true;
+    }
+
+    // If we somehow have both, just stop safely to menu
+    globalSizingStop();
+    return true;
+  }
+
+  /* ============================================================
+     FIT PREFERENCE (both sizing flows)
+     ------------------------------------------------------------
+     Asked after the usual size / measurements and saved per category
+     (state.sizing.categories[handle].fit_preference). DLCopilotSizing
+     moves the recommendation across the piece's sizes for it and
+     reports the move as rec.fit_shift.
+  ============================================================ */
+  function fitPreferenceOptions(category) {
+    var list = null;
+    try {
+      if (sizingIsAvailable() && typeof window.DLCopilotSizing.fitPreferencesFor === 'function') {
+        list = window.DLCopilotSizing.fitPreferencesFor(category);
+      }
+    } catch (e) { list = null; }
+    return Array.isArray(list) && list.length ? list : FIT_PREFERENCE_KEYS.slice(0, 3);
+  }
+
+  function savedFitPreference(catHandle) {
+    var c = catHandle && state.sizing.categories ? state.sizing.categories[catHandle] : null;
+    return c && FIT_PREFERENCE_KEYS.indexOf(c.fit_preference) !== -1 ? c.fit_preference : null;
+  }
+
+  // opts: { step, catHandle, catTitle, category, forceAsk, onChoose(preference) }
+  function askFitPreference(opts) {
+    state.flow.step = opts.step;
+    persistNow();
+
+    var category = '<strong>' + escapeText(opts.catTitle) + '</strong>';
+    var saved = opts.forceAsk ? null : savedFitPreference(opts.catHandle);
+
+    function renderOptions() {
+      renderPills(fitPreferenceOptions(opts.category).map(function (pref) {
+        return {
+          label: copy('sizing.fit.' + pref),
+          unlockInput: false,
+          onClick: function () { opts.onChoose(pref); }
+        };
+      }));
+      lockInput();
+    }
+
+    if (saved) {
+      appendAI(copy('sizing.fit.saved', {
+        category: category,
+        preference: '<strong>' + escapeText(copy('sizing.fit.' + saved)) + '</strong>'
+      }));
+      renderPills([
+        {
+          label: copy('sizing.fit.keep', { preference: copy('sizing.fit.' + saved) }),
+          unlockInput: false,
+          onClick: function () { opts.onChoose(saved); }
+        },
+        {
+          label: copy('sizing.fit.change'),
+          unlockInput: false,
+          onClick: function () {
+            appendAI(copy('sizing.fit.ask', { category: category }));
+            renderOptions();
+          }
+        }
+      ]);
+      lockInput();
+      return;
+    }
+
+    appendAI(copy('sizing.fit.ask', { category: category }));
+    renderOptions();
+  }
+
+  // rec.fit_shift → the block's fit_shift, sizes already labelled
+  function fitShiftData(rec) {
+    var shift = rec && rec.fit_shift;
+    if (!shift || !shift.preference) return null;
+
+    var key = systemUsualKey(rec.system);
+    return {
+      preference: shift.preference,
+      steps: toInt(shift.steps, 0),
+      limit: shift.limit || null,
+      from: formatUsualSize(key, shift.from),
+      to: formatUsualSize(key, shift.to)
+    };
+  }
+
+  /* ============================================================
+     CONFIDENCE (both sizing flows)
+     ------------------------------------------------------------
+     DLCopilotSizing tags every recommendation with a confidence level
+     and reason codes. The block keeps the codes (sizes labelled) and
+     renders them as one short line; when confidence is low the
+     alternative size is offered next to the recommended one.
+  ============================================================ */
+  function systemUsualKey(system) {
+    return { shirt_collar_eu: 'shirt_size_eu', alpha: 'alpha_size', waist_inch: 'waist_inch' }[system] || 'usual_size_eu';
+  }
+
+  function confidenceData(rec) {
+    if (!rec || !rec.confidence) return null;
+
+    var key = systemUsualKey(rec.system);
+    return {
+      level: rec.confidence,
+      reasons: (rec.reasons || []).map(function (r) {
+        var out = { code: toStr(r.code) };
+        if (r.value != null) out.value = formatUsualSize(key, r.value);
+        if (r.from != null) out.from = formatUsualSize(key, r.from);
+        if (r.to != null) out.to = formatUsualSize(key, r.to);
+        return out;
+      })
+    };
+  }
+
+  // "UK 40R is EU 50 in our sizing." when the size was given in another
+  // label system or for another brand; '' when it needed no conversion.
+  function sizeConversionNote(converted, key, value) {
+    if (!converted || !converted.from) return '';
+
+    var from = converted.from;
+    var relabelled = from.country && from.country !== 'eu';
+    var lettered = typeof from.value === 'string' && key !== 'alpha_size';
+    if (!relabelled && !lettered && !from.brand) return '';
+
+    var vars = {
+      from: '<strong>' + escapeText(toStr(from.raw).toUpperCase().replace(/\s+/g, ' ')) + '</strong>',
+      brand: escapeText(from.brand_name || ''),
+      to: '<strong>' + escapeText(formatUsualSize(key, value)) + '</strong>'
+    };
+    return copy(from.brand_name ? 'sizing.converted_brand' : 'sizing.converted', vars);
+  }
+
+  // Brand size offsets (assets/dl-copilot-brand-sizes.json) for DLCopilotSizing
+  function loadBrandSizes() {
+    var cfg = window.DLCopilotConfig || {};
+    var url = toStr(cfg.brandSizesUrl || '');
+    if (!url || !sizingIsAvailable() || typeof window.DLCopilotSizing.setBrandOffsets !== 'function') return;
+
+    fetchJson(url)
+      .then(function (data) { window.DLCopilotSizing.setBrandOffsets(data); })
+      .catch(function (e) { warn('brand sizes failed', e); });
+  }
+
+  // The recommendation with its size swapped for the alternative, or null
+  function alternativeRec(rec) {
+    if (!rec || rec.confidence !== 'low' || !rec.alternative) return null;
+    var alt = {};
+    Object.keys(rec).forEach(function (k) { alt[k] = rec[k]; });
+    ['size_eu', 'shirt_size_eu', 'alpha_size', 'waist_inch', 'size_label'].forEach(function (k) {
+      alt[k] = rec.alternative[k] != null ? rec.alternative[k] : null;
+    });
+    alt.alternative = null;
+    return alt;
+  }
+
+  /* ============================================================
+     PRODUCT-SPECIFIC SIZING FLOW (UNCHANGED BELOW)
+     ------------------------------------------------------------
+     (Your original flow remains intact, but it benefits from:
+      - global sizing no longer dead-ends
+      - shared height/weight memory
+      - better “review my size” routing)
+  ============================================================ */
+
+  // -----------------------------
+  // FLOW: PRODUCT-SPECIFIC SIZING (B)
+  // gender → category → product → reuse body → usual size → fit → recommend size + length
+  // (on a product page, payload.product_handle skips straight to body/usual size)
+  // Products with a size chart first offer measurements (chest, waist, …) instead.
+  // -----------------------------
+
+  var productSizingFlow = {
+    active: false,
+    routeId: null,
+    gender: null,            // 'men' | 'women'
+    category: null,          // { handle, title } of a real collection
+    piece: null,             // { handle, title } saved-sizes key without one (see productSizingInferCategory)
+    product: null,           // { handle, title, options[], variants[], ... } from Shopify /products/{handle}.js
+    schema: null,            // DLCopilotSizing schema for the product
+    usual: null,             // { key: 'usual_size_eu' | 'shirt_size_eu' | 'alpha_size' | 'waist_inch', value, converted }
+    mode: null,              // 'measurements' when sizing against the product's size chart
+    fit: null,               // fit preference, see FIT PREFERENCE
+    bodyReask: null,         // 'height' | 'weight' while Back re-collects a saved body
+    collectionDismissed: false
+  };
+
+  function productSizingResetSession() {
+    productSizingFlow.gender = null;
+    productSizingFlow.category = null;
+    productSizingFlow.piece = null;
+    productSizingFlow.product = null;
+    productSizingFlow.schema = null;
+    productSizingFlow.usual = null;
+    productSizingFlow.mode = null;
+    productSizingFlow.fit = null;
+    productSizingFlow.bodyReask = null;
+    productSizingFlow.collectionDismissed = false;
+  }
+
+  function productSizingStart(route) {
+    route = route || {};
+    var routeId = toStr(route.routeId || '');
+
+    productSizingFlow.active = true;
+    productSizingFlow.routeId = routeId || nowId();
+    productSizingResetSession();
+
+    state.flow.intent = 'size_product';
+    state.flow.step = 'product_start';
+    persistNow();
+
+    removeExistingChoiceUIs();
+
+    // A known piece (product page, or one named in free text) skips gender/category/product.
+    var handle = toStr((route.payload && route.payload.product_handle) || '');
+    if (!handle && route.intent === 'size_this_piece') handle = currentProductHandle();
+    if (handle) {
+      productSizingStartForCurrent(handle);
+      return;
+    }
+
+    appendAI(copy('sizing.product_intro'));
+
+    // Confirmed path: Gender → Category → Product.
+    productSizingAskGender();
+  }
+
+  // The theme usually prints the product JSON already; /products/{handle}.js
+  // is the fallback. Both have the option/variant shape DLCopilotSizing reads.
+  function readEmbeddedProduct(handle) {
+    var nodes = [];
+    try { nodes = document.querySelectorAll(CONFIG.selectors.productJson); } catch (e) { nodes = []; }
+
+    for (var i = 0; i < nodes.length; i++) {
+      var data = safeJsonParse(nodes[i].textContent || '', null);
+      if (data && data.product && typeof data.product === 'object') data = data.product;
+      if (!data || !Array.isArray(data.variants)) continue;
+      if (handle && data.handle && toStr(data.handle) !== handle) continue;
+      return data;
+    }
+    return null;
+  }
+
+  // Size chart from DLCopilotProducts (metafield view, else the description
+  // table) onto the raw product, where DLCopilotSizing's schema picks it up.
+  function attachSizeChart(product) {
+    var P = window.DLCopilotProducts;
+    if (!product || !product.handle || !P || typeof P.getSizeChart !== 'function') return Promise.resolve(product);
+
+    return P.getSizeChart(product.handle, { product: product })
+      .then(function (chart) {
+        if (chart) product.size_chart = chart;
+        return product;
+      })
+      .catch(function (e) {
+        warn('size chart failed', e);
+        return product;
+      });
+  }
+
+  function loadCurrentProduct(handle) {
+    var embedded = readEmbeddedProduct(handle);
+    if (embedded) return attachSizeChart(embedded);
+
+    return fetchJson(CONFIG.endpoints.productJs(handle)).then(function (product) {
+      if (!product || !Array.isArray(product.variants)) throw new Error('Invalid product');
+      return attachSizeChart(product);
+    });
+  }
+
+  function productSizingStartForCurrent(handle) {
+    state.flow.step = 'product_current_loading';
+    persistNow();
+
+    lockInput(copy('sizing.loading_product'));
+
+    var routeId = productSizingFlow.routeId;
+
+    loadCurrentProduct(handle)
+      .then(function (product) {
+        if (!productSizingFlow.active || productSizingFlow.routeId !== routeId) return;
+        productSizingUseCurrent(product);
+      })
+      .catch(function (e) {
+        if (!productSizingFlow.active || productSizingFlow.routeId !== routeId) return;
+        warn('current product failed', e);
+        appendAI(copy('sizing.current_failed'));
+        productSizingAskGender();
+      });
+  }
+
+  function productSizingUseCurrent(product) {
+    productSizingFlow.product = product;
+
+    var title = toStr(product.title || '');
+    state.sizing.last.product_handle = toStr(product.handle || '');
+    state.sizing.last.product_title = title;
+    rememberProducts([{ handle: toStr(product.handle || ''), title: title }]);
+
+    // Saved usual sizes are keyed by collection; only a /collections/{c}/products/ URL tells us which.
+    var collection = currentCollectionHandle();
+    if (collection) {
+      productSizingFlow.category = { handle: collection, title: collection.replace(/[-_]+/g, ' ') };
+      state.sizing.last.category_handle = collection;
+    }
+
+    var schema = productSizingSchema();
+    var gender = coreGender(schema && schema.gender) || state.sizing.gender || null;
+
+    touchSizing('last');
+    persistNow();
+
+    appendAI(copy('sizing.current_intro', { title: '<strong>' + escapeText(title || copy('sizing.this_piece')) + '</strong>' }));
+
+    // Gender only refines the fallback schema; ask when neither the piece nor the profile knows it.
+    if (!gender) {
+      productSizingAskGender({ next: productSizingAfterProduct });
+      return;
+    }
+
+    productSizingFlow.gender = gender;
+    state.sizing.last.gender = gender;
+    persistNow();
+
+    productSizingAfterProduct();
+  }
+
+  function productSizingStop() {
+    productSizingFlow.active = false;
+    productSizingFlow.routeId = null;
+    productSizingResetSession();
+
+    state.flow.intent = null;
+    state.flow.step = 'entry';
+    state.flow.payload = {};
+    persistNow();
+
+    renderMainMenuPills();
+    lockInput();
+  }
+
+  // opts.next runs after the answer (defaults to the category step);
+  // opts.forceAsk ignores the collection being browsed.
+  function productSizingAskGender(opts) {
+    opts = opts || {};
+    var proceed = typeof opts.next === 'function' ? opts.next : productSizingAskCategory;
+
+    state.flow.step = 'product_gender';
+    persistNow();
+    // Going back here always asks, so a preselected gender can be changed.
+    recordStep('product_gender', function () { productSizingAskGender({ next: proceed, forceAsk: true }); });
+
+    if (!opts.forceAsk && !productSizingFlow.collectionDismissed) {
+      var routeId = productSizingFlow.routeId;
+      pageCollectionGender(function (pageGender) {
+        if (!productSizingFlow.active || productSizingFlow.routeId !== routeId) return;
+        if (!pageGender) {
+          productSizingRenderGender(proceed);
+          return;
+        }
+        productSizingFlow.gender = pageGender;
+        state.sizing.last.gender = pageGender;
+        touchSizing('last');
+        persistNow();
+        proceed();
+      });
+      return;
+    }
+
+    productSizingRenderGender(proceed);
+  }
+
+  function productSizingRenderGender(proceed) {
+    appendAI(copy('sizing.ask_gender'));
+    renderPills([
+      {
+        label: copy('sizing.gender_men'),
+        unlockInput: false,
+        onClick: function () {
+          productSizingFlow.gender = 'men';
+          state.sizing.gender = 'men';
+          state.sizing.last.gender = 'men';
+          touchSizing('gender', 'last');
+          persistNow();
+          proceed();
+        }
+      },
+      {
+        label: copy('sizing.gender_women'),
+        unlockInput: false,
+        onClick: function () {
+          productSizingFlow.gender = 'women';
+          state.sizing.gender = 'women';
+          state.sizing.last.gender = 'women';
+          touchSizing('gender', 'last');
+          persistNow();
+          proceed();
+        }
+      }
+    ]);
+
+    lockInput();
+  }
+
+  function normalizeGenderForCollectionFilter(gender) {
+    // Heuristics only. No hardcoding product data.
+    // You can refine later by naming conventions of collections.
+    return gender === 'women' ? 'women' : 'men';
+  }
+
+  function isCategoryCollection(c) {
+    var handle = toStr((c && c.handle) || '');
+    var title = toStr((c && c.title) || '');
+
+    if (!handle || !title) return false;
+
+    // Exclude obvious non-product collections
+    if (/all|frontpage|featured|new|sale|journal|stories|lookbook|gift|about|policy|shipping/i.test(handle)) return false;
+
+    // Exclude generic gender landing collections that create "Man man"/"Woman woman"
+    if (/^(men|mens|man|women|womens|woman)$/i.test(handle)) return false;
+    if (/^(men|mens|man|women|womens|woman)$/i.test(title.trim())) return false;
+
+    return true;
+  }
+
+  // 'men' | 'women' | null from handle/title tokens. The leading \b keeps
+  // "womens-trousers" out of menswear.
+  function collectionGender(c) {
+    var handle = toStr((c && c.handle) || '');
+    var title = toStr((c && c.title) || '');
+
+    if (/\b(women|womens|woman)\b/i.test(handle) || /\b(women|womens)\b/i.test(title)) return 'women';
+    if (/\b(men|mens|man)\b/i.test(handle) || /\b(men|mens)\b/i.test(title)) return 'men';
+    return null;
+  }
+
+  function filterCollectionsForGender(collections, gender) {
+    gender = normalizeGenderForCollectionFilter(gender);
+    var out = [];
+    var i;
+
+    for (i = 0; i < collections.length; i++) {
+      var c = collections[i];
+      if (!c) continue;
+
+      if (!isCategoryCollection(c)) continue;
+      if (collectionGender(c) === gender) out.push(c);
+    }
+
+    // If heuristic yields nothing, fall back to all collections (still dynamic)
+    if (!out.length) out = collections.slice();
+
+    // Sort predictable (alphabetical)
+    out.sort(function (a, b) {
+      var at = toStr(a.title || '').toLowerCase();
+      var bt = toStr(b.title || '').toLowerCase();
+      if (at < bt) return -1;
+      if (at > bt) return 1;
+      return 0;
+    });
+
+    return out;
+  }
+
+  // Collection page (/collections/{handle}): both sizing flows preselect its
+  // gender and category, with a "change" option that falls back to asking.
+  // collections.json, asked once per page view: the gender check on a
+  // collection page and the category step share it. A failure is retried.
+  var collectionsRequest = null;
+
+  function loadCollections() {
+    if (!collectionsRequest) {
+      collectionsRequest = fetchJson(CONFIG.endpoints.collectionsJson)
+        .then(function (data) {
+          var collections = (data && data.collections) ? data.collections : [];
+          return Array.isArray(collections) ? collections : [];
+        })
+        .catch(function (e) {
+          collectionsRequest = null;
+          throw e;
+        });
+    }
+    return collectionsRequest;
+  }
+
+  // Gender of the collection being browsed: from its handle, else from its
+  // title in collections.json ("Women's Trousers" at /collections/trousers).
+  // Calls back at once unless the title has to be fetched.
+  function pageCollectionGender(done) {
+    var handle = currentCollectionHandle();
+    var gender = handle ? collectionGender({ handle: handle }) : null;
+    if (!handle || gender) {
+      done(gender);
+      return;
+    }
+
+    lockInput(copy('sizing.loading_categories'));
+    loadCollections()
+      .then(function (collections) {
+        var collection = pageCollectionIn(collections);
+        done(collection ? collectionGender(collection) : null);
+      })
+      .catch(function (e) {
+        warn('collections.json failed', e);
+        done(null);
+      });
+  }
+
+  function pageCollectionIn(collections) {
+    var handle = currentCollectionHandle();
+    if (!handle) return null;
+
+    for (var i = 0; i < collections.length; i++) {
+      var c = collections[i];
+      if (c && toStr(c.handle || '') === handle && isCategoryCollection(c)) return c;
+    }
+    return null;
+  }
+
+  function renderCollectionPreselect(collection, onUse, onChange) {
+    var rawTitle = toStr(collection.title || '');
+    var title = cleanCategoryTitle(rawTitle) || rawTitle;
+
+    appendAI(copy('sizing.collection_preselected', { category: '<strong>' + escapeText(title) + '</strong>' }));
+    renderPills([
+      {
+        label: copy('sizing.collection_use', { category: title }),
+        unlockInput: false,
+        onClick: function () { onUse({ handle: toStr(collection.handle || ''), title: rawTitle }); }
+      },
+      {
+        label: copy('sizing.collection_change'),
+        unlockInput: false,
+        onClick: onChange
+      }
+    ]);
+
+    lockInput();
+  }
+
+  function productSizingAskCategory() {
+    state.flow.step = 'product_category_loading';
+    persistNow();
+    recordStep('product_category', productSizingAskCategory);
+
+    appendAI(copy('sizing.ask_product_type'));
+    appendAI(copy('sizing.loading_categories'));
+
+    lockInput(copy('sizing.loading_categories'));
+
+    loadCollections()
+      .then(function (collections) {
+        var filtered = filterCollectionsForGender(collections, productSizingFlow.gender);
+
+        var preselected = productSizingFlow.collectionDismissed ? null : pageCollectionIn(filtered);
+        if (preselected) {
+          state.flow.step = 'product_category';
+          persistNow();
+          renderCollectionPreselect(preselected, productSizingUseCategory, function () {
+            productSizingFlow.collectionDismissed = true;
+            productSizingAskGender({ forceAsk: true });
+          });
+          return;
+        }
+
+        // Convert to card items
+        var cards = filtered.map(function (c) {
+          var img = '';
+          try {
+            if (c.image && c.image.src) img = c.image.src;
+          } catch (e) {}
+
+          var rawTitle = toStr(c.title || '');
+          var cleanTitle = cleanCategoryTitle(rawTitle);
+
+          return {
+            title: cleanTitle || rawTitle,
+            // Don't show internal handles as customer-facing subtitles
+            subtitle: '',
+            image: img,
+            value: { handle: toStr(c.handle || ''), title: toStr(c.title || '') }
+          };
+        }).filter(function (x) { return x && x.value && x.value.handle; });
+
+        // Remove duplicates by cleaned title (prevents repeats like "Jackets" twice)
+        cards = dedupeByKey(cards, function (it) {
+          return toStr(it.title || '');
+        });
+
+        state.flow.step = 'product_category';
+        persistNow();
+
+        // Replace the “Loading…” line with choices
+        renderCardGrid(cards, {
+          userEchoTitle: true,
+          onSelect: function (value) { productSizingUseCategory(value); }
+        });
+
+        lockInput();
+      })
+      .catch(function (e) {
+        warn('collections.json failed', e);
+        appendAI(copy('sizing.categories_failed'));
+        renderMainMenuPills();
+        lockInput();
+        productSizingStop();
+      });
+  }
+
+  function productSizingUseCategory(value) {
+    productSizingFlow.category = { handle: value.handle, title: value.title };
+
+    state.sizing.last.category_handle = value.handle;
+    state.sizing.last.category_title = value.title;
+    touchSizing('last');
+    persistNow();
+
+    productSizingAskProduct();
+  }
+
+  function productSizingAskProduct() {
+    state.flow.step = 'product_product_loading';
+    persistNow();
+    recordStep('product_product', productSizingAskProduct);
+
+    var catHandle = (productSizingFlow.category && productSizingFlow.category.handle) ? productSizingFlow.category.handle : '';
+
+    appendAI(copy('sizing.ask_piece'));
+    lockInput(copy('sizing.loading_products'));
+
+    fetchJson(CONFIG.endpoints.collectionProductsJson(catHandle))
+      .then(function (data) {
+        var products = (data && Array.isArray(data.products)) ? data.products : [];
+
+        var cards = products.map(function (p) {
+          var img = '';
+          try {
+            if (p.images && p.images[0] && p.images[0].src) img = p.images[0].src;
+          } catch (e) {}
+
+          return {
+            title: toStr(p.title || ''),
+            subtitle: '',
+            image: img,
+            value: { handle: toStr(p.handle || ''), title: toStr(p.title || '') }
+          };
+        }).filter(function (x) { return x && x.title && x.value.handle; });
+
+        cards = dedupeByKey(cards, function (it) { return it.value.handle; });
+        rememberProducts(cards.map(function (c) { return c.value; }));
+
+        if (!cards.length) {
+          appendAI(copy('sizing.no_pieces'));
+          productSizingAskCategory();
+          return;
+        }
+
+        state.flow.step = 'product_product';
+        persistNow();
+
+        renderCardGrid(cards, {
+          userEchoTitle: true,
+          onSelect: function (value) {
+            productSizingLoadProduct(value);
+          }
+        });
+
+        lockInput();
+      })
+      .catch(function (e) {
+        warn('collection products.json failed', e);
+        appendAI(copy('sizing.products_failed'));
+        productSizingStop();
+      });
+  }
+
+  function productSizingLoadProduct(value) {
+    state.flow.step = 'product_loading';
+    state.sizing.last.product_handle = value.handle;
+    state.sizing.last.product_title = value.title;
+    touchSizing('last');
+    persistNow();
+
+    lockInput(copy('sizing.loading_product'));
+
+    // /products/{handle}.js gives option names + option1..3 per variant,
+    // which is the shape DLCopilotSizing reads.
+    fetchJson(CONFIG.endpoints.productJs(value.handle))
+      .then(function (product) {
+        return attachSizeChart(product && product.handle ? product : null);
+      })
+      .then(function (product) {
+        productSizingFlow.product = product || { handle: value.handle, title: value.title };
+        productSizingAfterProduct();
+      })
+      .catch(function (e) {
+        warn('product.js failed', e);
+        // Still size from category + gender rather than dead-ending.
+        productSizingFlow.product = { handle: value.handle, title: value.title };
+        productSizingAfterProduct();
+      });
+  }
+
+  function productSizingAfterProduct() {
+    productSizingFlow.mode = null;
+    productSizingFlow.schema = productSizingSchema();
+    productSizingFlow.piece = productSizingFlow.category ? null : productSizingInferCategory(productSizingFlow.schema);
+
+    if (productSizingChart()) {
+      productSizingAskMode();
+      return;
+    }
+    productSizingUseProportions();
+  }
+
+  // No collection in the URL: key the saved sizes by what the piece is, per
+  // gender ('men-jacket'). A piece the schema can't place saves none. Only
+  // a storage key, never a collection handle to fetch.
+  function productSizingInferCategory(schema) {
+    var kind = (schema && schema.category && schema.category !== 'unknown') ? schema.category : '';
+    if (!kind) return null;
+
+    var gender = coreGender(schema.gender) || productSizingFlow.gender;
+    var product = productSizingFlow.product || {};
+    return {
+      handle: (gender ? gender + '-' : '') + kind,
+      title: toStr(product.type || product.product_type || kind)
+    };
+  }
+
+  // Where this piece's sizes are saved: its collection, else its kind
+  function productSizingSizesKey() {
+    return productSizingFlow.category || productSizingFlow.piece || null;
+  }
+
+  // Next piece from the same collection; without one, pick a category first.
+  function productSizingAskAnother() {
+    if (productSizingFlow.category) {
+      productSizingAskProduct();
+      return;
+    }
+    if (productSizingFlow.gender) {
+      productSizingAskCategory();
+      return;
+    }
+    productSizingAskGender();
+  }
+
+  function productSizingUseProportions() {
+    productSizingFlow.mode = null;
+
+    if (!state.sizing.height_cm || !state.sizing.weight_kg) {
+      productSizingAskBody();
+      return;
+    }
+    productSizingAskUsualSize();
+  }
+
+  // Size chart with at least one measurement, from the product's schema
+  function productSizingChart() {
+    var chart = productSizingFlow.schema && productSizingFlow.schema.sizeChart;
+    return chart && Array.isArray(chart.covers) && chart.covers.length ? chart : null;
+  }
+
+  function measurementName(key) {
+    return copy('sizing.measure.name.' + key);
+  }
+
+  function formatMeasurements(m) {
+    return measurementKeys().filter(function (k) { return m && m[k] != null; }).map(function (k) {
+      return copy('sizing.measure.value', { name: measurementName(k), value: m[k] });
+    }).join(', ');
+  }
+
+  // Saved measurements this chart can use, or null
+  function savedMeasurementsFor(chart) {
+    var saved = state.sizing.measurements || {};
+    var out = {};
+    var any = false;
+    chart.covers.forEach(function (k) {
+      if (saved[k] != null) { out[k] = saved[k]; any = true; }
+    });
+    return any ? out : null;
+  }
+
+  function productSizingAskMode() {
+    state.flow.step = 'product_mode';
+    persistNow();
+    recordStep('product_mode', productSizingAskMode);
+
+    var chart = productSizingChart();
+    appendAI(copy('sizing.measure.offer', {
+      measurements: escapeText(chart.covers.map(measurementName).join(', '))
+    }));
+
+    renderPills([
+      {
+        label: copy('sizing.measure.use'),
+        unlockInput: false,
+        onClick: function () { productSizingAskMeasurements(); }
+      },
+      {
+        label: copy('sizing.measure.use_body'),
+        unlockInput: false,
+        onClick: function () { productSizingUseProportions(); }
+      }
+    ]);
+    lockInput();
+  }
+
+  function productSizingAskMeasurements(opts) {
+    opts = opts || {};
+
+    productSizingFlow.mode = 'measurements';
+    state.flow.step = 'product_measurements';
+    persistNow();
+    recordStep('product_measurements', function () { productSizingAskMeasurements(opts); });
+
+    var chart = productSizingChart();
+    var list = '<strong>' + escapeText(chart.covers.map(measurementName).join(', ')) + '</strong>';
+    var saved = opts.forceAsk ? null : savedMeasurementsFor(chart);
+
+    if (saved) {
+      appendAI(copy('sizing.measure.saved', { measurements: '<strong>' + escapeText(formatMeasurements(saved)) + '</strong>' }));
+      renderPills([
+        {
+          label: copy('sizing.measure.use_saved'),
+          unlockInput: false,
+          onClick: function () { productSizingAskFit(); }
+        },
+        {
+          label: copy('sizing.measure.enter_new'),
+          unlockInput: false,
+          onClick: function () {
+            appendAI(copy('sizing.measure.ask', { measurements: list }));
+            unlockInput();
+            setComposerPlaceholder(copy('sizing.measure.placeholder'));
+          }
+        }
+      ]);
+      lockInput();
+      return;
+    }
+
+    appendAI(copy('sizing.measure.ask', { measurements: list }));
+    unlockInput();
+    setComposerPlaceholder(copy('sizing.measure.placeholder'));
+  }
+
+  // Free text → measurements on this chart ({} when none). A bare number
+  // is accepted when the chart has a single measurement.
+  function productSizingParseMeasurements(text, chart) {
+    var parsed = {};
+    try {
+      if (typeof window.DLCopilotSizing.parseMeasurements === 'function') parsed = window.DLCopilotSizing.parseMeasurements(text) || {};
+    } catch (e) { parsed = {}; }
+
+    if (!Object.keys(parsed).length && chart.covers.length === 1 && /^\s*\d{2,3}([.,]\d)?\s*(cm)?\s*$/i.test(text)) {
+      parsed[chart.covers[0]] = parseFloat(text.replace(',', '.'));
+    }
+
+    return validMeasurements(parsed);
   }
 
-  /* ============================================================
-     GLOBAL SIZING FLOW STATE
-  ============================================================ */
+  // opts.forceAsk (Back) re-collects both measurements, keeping the saved
+  // ones until new values are entered.
+  function productSizingAskBody(opts) {
+    opts = opts || {};
+    state.flow.step = 'product_collect_body';
+    productSizingFlow.bodyReask = opts.forceAsk ? 'height' : null;
+    persistNow();
+    recordStep('product_collect_body', function () { productSizingAskBody({ forceAsk: true }); });
 
-  var globalSizingFlow = {
-    active: false,
-    routeId: null,
+    if (!state.sizing.height_cm || productSizingFlow.bodyReask) {
+      appendAI(copy('sizing.ask_height'));
+      unlockInput();
+      setComposerPlaceholder(copy('sizing.placeholder_height'));
+      return;
+    }
 
-    // new in v5 global sizing:
-    targetMode: null, // 'category' | 'product'
-    gender: null,
-    category: null,
-    usual_size_eu: null
-  };
+    appendAI(copy('sizing.ask_weight'));
+    unlockInput();
+    setComposerPlaceholder(copy('sizing.placeholder_weight'));
+  }
 
-  function globalSizingResetSession() {
-    globalSizingFlow.targetMode = null;
-    globalSizingFlow.gender = null;
-    globalSizingFlow.category = null;
-    globalSizingFlow.usual_size_eu = null;
+  // Gender keys differ: core stores 'men'/'women', sizing.js uses 'male'/'female'.
+  function sizingGender(gender) {
+    if (gender === 'men') return 'male';
+    if (gender === 'women') return 'female';
+    return null;
   }
 
-  function globalSizingStart(route) {
-    route = route || {};
-    var mode = (route.payload && route.payload.mode) ? toStr(route.payload.mode) : 'new';
-    var routeId = toStr(route.routeId || '');
+  function coreGender(gender) {
+    if (gender === 'male') return 'men';
+    if (gender === 'female') return 'women';
+    return null;
+  }
 
-    globalSizingFlow.active = true;
-    globalSizingFlow.routeId = routeId || nowId();
-    globalSizingResetSession();
+  function productSizingSchema() {
+    if (!sizingIsAvailable()) return null;
 
-    state.flow.intent = 'size_guidance';
-    state.flow.step = 'global_start';
-    persistNow();
+    var S = window.DLCopilotSizing;
+    var product = productSizingFlow.product;
+    var schema = null;
 
-    removeExistingChoiceUIs();
+    try {
+      if (product && Array.isArray(product.variants) && typeof S.detectSizeSchemaFromProduct === 'function') {
+        schema = S.detectSizeSchemaFromProduct(product);
+      }
+    } catch (e) { schema = null; }
 
-    if (mode === 'review' && hasAnySavedSizingProfile()) {
-      globalSizingReview();
-      return;
-    }
+    try {
+      if (!schema && typeof S.schemaForGeneral === 'function') {
+        var category = typeof S.inferCategoryFromProduct === 'function' ? S.inferCategoryFromProduct(product) : null;
+        schema = S.schemaForGeneral(category, sizingGender(productSizingFlow.gender));
+      }
+    } catch (e) { schema = null; }
 
-    appendAI("Let’s set up your size profile.");
-    globalSizingAskBody();
+    if (schema && !schema.gender) schema.gender = sizingGender(productSizingFlow.gender);
+
+    traceSchema(schema, 'size_product');
+    return schema;
   }
 
-  function globalSizingStop() {
-    globalSizingFlow.active = false;
-    globalSizingFlow.routeId = null;
-    globalSizingResetSession();
+  var USUAL_SIZE_KEYS = ['usual_size_eu', 'shirt_size_eu', 'alpha_size', 'waist_inch'];
+
+  // Copy for the "usual size" question, by schema prompt key (see 2.1)
+  function usualSizePrompt(key) {
+    if (USUAL_SIZE_KEYS.indexOf(key) === -1) key = 'usual_size_eu';
+    var base = 'sizing.usual.' + key + '.';
+    return {
+      ask: copy(base + 'ask'),
+      askFor: function (category) { return copy(base + 'ask_for', { category: category }); },
+      placeholder: copy(base + 'placeholder'),
+      retry: copy(base + 'retry')
+    };
+  }
 
-    state.flow.intent = null;
-    state.flow.step = 'entry';
-    state.flow.payload = {};
-    persistNow();
+  function formatUsualSize(key, value) {
+    if (value == null || value === '') return '';
+    if (key === 'shirt_size_eu') return copy('sizing.collar', { value: value });
+    if (key === 'alpha_size') return toStr(value).toUpperCase();
+    if (key === 'waist_inch') return 'W' + value;
+    return 'EU ' + value;
+  }
 
-    renderMainMenuPills();
-    lockInput('Please choose an option above');
+  // The usual size a category was saved with, under whichever key its
+  // product asked for (global sizing: usual_size_eu).
+  function categoryUsualSize(c) {
+    for (var i = 0; i < USUAL_SIZE_KEYS.length; i++) {
+      var value = c[USUAL_SIZE_KEYS[i]];
+      if (value != null && value !== '') return formatUsualSize(USUAL_SIZE_KEYS[i], value);
+    }
+    return '';
   }
 
-  /* ============================================================
-     GLOBAL SIZING: REVIEW + NEXT STEP (FIXED)
-  ============================================================ */
+  function formatRecommendedSize(rec) {
+    if (!rec) return '';
+    if (rec.shirt_size_eu) return formatUsualSize('shirt_size_eu', rec.shirt_size_eu);
+    if (rec.alpha_size) return formatUsualSize('alpha_size', rec.alpha_size);
+    if (rec.waist_inch) return formatUsualSize('waist_inch', rec.waist_inch);
+    if (rec.size_eu) return formatUsualSize('usual_size_eu', rec.size_eu);
+    return '';
+  }
 
-  function globalSizingReview() {
-    state.flow.step = 'global_review';
+  function formatLengthLabel(length) {
+    length = toStr(length || '').trim();
+    if (!length) return '';
+    return length.charAt(0).toUpperCase() + length.slice(1);
+  }
+
+  function productSizingAskUsualSize(opts) {
+    opts = opts || {};
+
+    state.flow.step = 'product_usual_size';
     persistNow();
+    recordStep('product_usual_size', function () { productSizingAskUsualSize(opts); });
 
-    var h = state.sizing.height_cm;
-    var w = state.sizing.weight_kg;
+    var schema = productSizingSchema();
+    var key = 'usual_size_eu';
+    try {
+      if (schema && typeof window.DLCopilotSizing.usualSizePromptKey === 'function') key = window.DLCopilotSizing.usualSizePromptKey(schema) || key;
+    } catch (e) {}
 
-    appendAI(
-      "I already have sizing info saved:<br>" +
-      "• Height: <strong>" + escapeText(h) + " cm</strong><br>" +
-      "• Weight: <strong>" + escapeText(w) + " kg</strong><br><br>" +
-      "Is this still correct?"
-    );
+    productSizingFlow.schema = schema;
+    productSizingFlow.usual = { key: key, value: null };
 
-    renderPills([
-      {
-        label: 'Yes, that’s correct',
-        unlockInput: false,
-        onClick: function () {
-          // IMPORTANT: do not stop here anymore.
-          appendAI("Great. What would you like sizing for?");
-          globalSizingAskTarget();
-        }
-      },
-      {
-        label: 'No, update it',
-        unlockInput: false,
-        onClick: function () {
-          // Reset body only (category sizes can remain, but are now “stale”)
-          state.sizing.height_cm = null;
-          state.sizing.weight_kg = null;
-          persistNow();
+    var prompt = usualSizePrompt(key);
+    var sizesKey = productSizingSizesKey();
+    var catHandle = (sizesKey && sizesKey.handle) ? sizesKey.handle : '';
+    var catTitle = cleanCategoryTitle((sizesKey && sizesKey.title) ? sizesKey.title : '') || copy('sizing.this_category');
 
-          appendAI("No problem. Let’s update your measurements.");
-          globalSizingAskBody();
-        }
+    var saved = null;
+    try {
+      if (!opts.forceAsk && catHandle && state.sizing.categories[catHandle] && state.sizing.categories[catHandle][key]) {
+        saved = state.sizing.categories[catHandle][key];
       }
-    ]);
-
-    lockInput('Please choose an option above');
-  }
+    } catch (e) { saved = null; }
 
-  function globalSizingAskBody() {
-    state.flow.step = 'global_collect_body';
-    persistNow();
+    if (saved) {
+      var savedLabel = formatUsualSize(key, saved);
+      appendAI(copy('sizing.saved_usual', {
+        category: '<strong>' + escapeText(catTitle) + '</strong>',
+        size: '<strong>' + escapeText(savedLabel) + '</strong>'
+      }));
+      renderPills([
+        {
+          label: copy('sizing.use_saved', { size: savedLabel }),
+          unlockInput: false,
+          onClick: function () {
+            productSizingFlow.usual.value = saved;
+            productSizingAskFit();
+          }
+        },
+        {
+          label: copy('sizing.enter_different'),
+          unlockInput: false,
+          onClick: function () {
+            appendAI(prompt.ask);
+            unlockInput();
+            setComposerPlaceholder(prompt.placeholder);
+          }
+        }
+      ]);
+      lockInput();
+      return;
+    }
 
-    appendAI("What is your height in cm?");
+    appendAI(prompt.askFor('<strong>' + escapeText(catTitle) + '</strong>'));
     unlockInput();
-    setComposerPlaceholder('e.g. 178');
+    setComposerPlaceholder(prompt.placeholder);
   }
 
-  function globalSizingAskTarget() {
-    state.flow.step = 'global_target';
-    persistNow();
+  function productSizingParseUsualSize(text) {
+    var key = productSizingFlow.usual ? productSizingFlow.usual.key : 'usual_size_eu';
+    var parsed = null;
 
-    renderPills([
-      {
-        label: 'A specific product',
-        unlockInput: false,
-        onClick: function () {
-          globalSizingFlow.targetMode = 'product';
-          persistNow();
+    try {
+      if (sizingIsAvailable() && typeof window.DLCopilotSizing.parseUserInput === 'function') {
+        parsed = window.DLCopilotSizing.parseUserInput(text, productSizingFlow.schema);
+      }
+    } catch (e) { parsed = null; }
 
-          // Route into the product sizing flow (re-uses saved body)
-          appendAI("Perfect. Let’s size a specific product.");
-          bus.emit('intent:select', { intent: 'size_product', payload: {}, routeId: nowId() });
-        }
-      },
-      {
-        label: 'A product category (general sizing)',
-        unlockInput: false,
-        onClick: function () {
-          globalSizingFlow.targetMode = 'category';
-          persistNow();
+    var value = parsed ? parsed[key] : null;
+    if (productSizingFlow.usual) productSizingFlow.usual.converted = parsed ? parsed.converted : null;
 
-          appendAI("Perfect. Let’s do a category-based recommendation.");
-          globalSizingAskGender();
-        }
-      }
-    ]);
+    // parseUserInput may read a bare number as height/weight; the question was explicit.
+    if (value == null && key !== 'alpha_size') value = toInt(text.replace(/[^\d]/g, ''), null);
 
-    lockInput('Please choose an option above');
+    if (key === 'alpha_size') return value ? toStr(value).toUpperCase() : null;
+    if (key === 'shirt_size_eu') return (value && value >= 35 && value <= 48) ? value : null;
+    if (key === 'waist_inch') return (value && value >= 24 && value <= 48) ? value : null;
+    return (value && value >= 30 && value <= 70) ? value : null;
   }
 
-  function globalSizingAskGender() {
-    state.flow.step = 'global_gender';
+  function productSizingAskFit(opts) {
+    opts = opts || {};
+    recordStep('product_fit', function () { productSizingAskFit(opts); });
+
+    var sizesKey = productSizingSizesKey();
+    var catHandle = (sizesKey && sizesKey.handle) ? sizesKey.handle : '';
+    var schema = productSizingFlow.schema;
+    askFitPreference({
+      step: 'product_fit',
+      catHandle: catHandle,
+      catTitle: cleanCategoryTitle((sizesKey && sizesKey.title) ? sizesKey.title : '') || copy('sizing.this_category'),
+      category: (schema && schema.category && schema.category !== 'unknown') ? schema.category : catHandle,
+      forceAsk: opts.forceAsk,
+      onChoose: function (pref) {
+        productSizingFlow.fit = pref;
+        productSizingComputeRecommendation();
+      }
+    });
+  }
+
+  function productSizingComputeRecommendation() {
+    state.flow.step = 'product_compute';
     persistNow();
 
-    // If gender is already saved, we can skip asking.
-    if (state.sizing && (state.sizing.gender === 'men' || state.sizing.gender === 'women')) {
-      globalSizingFlow.gender = state.sizing.gender;
-      persistNow();
-      globalSizingAskCategory();
+    if (!sizingIsAvailable() || typeof window.DLCopilotSizing.recommendForProduct !== 'function') {
+      appendAI(copy('sizing.unavailable'));
+      productSizingStop();
       return;
     }
 
-    appendAI("Who are you shopping for?");
-    renderPills([
+    var measuring = productSizingFlow.mode === 'measurements';
+    var usual = productSizingFlow.usual || { key: 'usual_size_eu', value: null };
+    var user = {
+      height_cm: state.sizing.height_cm,
+      weight_kg: state.sizing.weight_kg,
+      fit_preference: productSizingFlow.fit
+    };
+    if (measuring) user.measurements = state.sizing.measurements;
+    else user[usual.key] = usual.value;
+    if (!measuring && usual.converted) user.length = usual.converted.length;
+
+    var rec = null;
+    try {
+      rec = window.DLCopilotSizing.recommendForProduct({
+        product: productSizingFlow.product,
+        user: user,
+        gender: sizingGender(productSizingFlow.gender)
+      });
+    } catch (e) { rec = null; }
+
+    if (!rec) {
+      appendAI(copy('sizing.calc_failed'));
+      productSizingStop();
+      return;
+    }
+
+    if (measuring && rec.mode !== 'measurements') {
+      appendAI(copy('sizing.measure.no_match'));
+      productSizingUseProportions();
+      return;
+    }
+
+    var fit = measuring ? rec.measurement_fit : null;
+    var sizeLabel = formatRecommendedSize(rec) || toStr(rec.size_label || '') || formatUsualSize(usual.key, usual.value);
+
+    // Measurements say nothing about length; without a height, leave it out.
+    var length = (measuring && !state.sizing.height_cm) ? '' : (formatLengthLabel(rec.length) || lengthLabelFromHeight(state.sizing.height_cm));
+
+    // Persist category memory (same shape as the global flow)
+    var sizesKey = productSizingSizesKey();
+    var catHandle = (sizesKey && sizesKey.handle) ? sizesKey.handle : null;
+    if (catHandle) {
+      if (!state.sizing.categories[catHandle]) state.sizing.categories[catHandle] = {};
+      if (!measuring) state.sizing.categories[catHandle][usual.key] = usual.value;
+      if (productSizingFlow.fit) state.sizing.categories[catHandle].fit_preference = productSizingFlow.fit;
+      if (rec.size_eu) state.sizing.categories[catHandle].recommended_size_eu = rec.size_eu;
+      state.sizing.categories[catHandle].recommended_size = sizeLabel;
+      state.sizing.categories[catHandle].recommended_length = length;
+      if (sizesKey.title) state.sizing.categories[catHandle].title = sizesKey.title;
+      state.sizing.categories[catHandle].updated_at = nowTs();
+      persistNow();
+    }
+
+    var productTitle = (productSizingFlow.product && productSizingFlow.product.title) ? productSizingFlow.product.title : copy('sizing.this_piece');
+    var altRec = alternativeRec(rec);
+
+    recordStep('product_result', productSizingComputeRecommendation);
+
+    appendBlock('recommendation', {
+      title: productTitle,
+      product_handle: productSizingFlow.product && productSizingFlow.product.handle ? productSizingFlow.product.handle : null,
+      category_handle: catHandle,
+      size: sizeLabel,
+      size_eu: rec.size_eu || null,
+      length: length,
+      fit: fit ? {
+        limiting: fit.limiting,
+        fits: fit.fits,
+        ease_cm: fit.ease_cm[fit.limiting] != null ? fit.ease_cm[fit.limiting] : null,
+        by_measurement: Object.keys(fit.by_measurement).reduce(function (acc, k) {
+          acc[k] = fit.by_measurement[k].size;
+          return acc;
+        }, {})
+      } : null,
+      fit_shift: fitShiftData(rec),
+      confidence: confidenceData(rec),
+      alternative: formatRecommendedSize(altRec) || toStr((altRec && altRec.size_label) || '') || null,
+      question_key: 'rec.confirm'
+    });
+
+    bus.emit('sizing:recommendation', {
+      scope: 'product',
+      system: rec.system || null,
+      mode: measuring ? 'measurements' : 'proportions',
+      limiting: fit ? fit.limiting : null,
+      fit_preference: rec.fit_preference || null,
+      confidence: rec.confidence || null,
+      reasons: rec.reasons || [],
+      size: sizeLabel,
+      size_eu: rec.size_eu || null,
+      length: length,
+      used_usual_as_anchor: !!rec.used_usual_as_anchor,
+      category_handle: catHandle,
+      product_handle: productSizingFlow.product && productSizingFlow.product.handle ? productSizingFlow.product.handle : null,
+      routeId: state.flow.routeId || null
+    });
+
+    var pills = [];
+    var product = productSizingFlow.product;
+    var addLabel = product && product.handle ? cartAddLabel(product, rec) : '';
+    if (addLabel) {
+      pills.push({
+        label: addLabel,
+        unlockInput: false,
+        onClick: function () { cartAddRecommended(product.handle, rec); }
+      });
+    }
+
+    // Low confidence: the alternative size goes in the bag just as easily
+    var altLabel = altRec && addLabel ? cartAddLabel(product, altRec) : '';
+    if (altLabel && altLabel !== addLabel) {
+      pills.push({
+        label: altLabel,
+        unlockInput: false,
+        onClick: function () { cartAddRecommended(product.handle, altRec); }
+      });
+    }
+
+    renderPills(pills.concat([
       {
-        label: 'Menswear',
+        label: copy('sizing.yes_correct'),
         unlockInput: false,
         onClick: function () {
-          globalSizingFlow.gender = 'men';
-          state.sizing.gender = 'men';
-          state.sizing.last.gender = 'men';
-          persistNow();
-          globalSizingAskCategory();
+          appendAI(copy('sizing.next_help'));
+          productSizingStop();
         }
       },
       {
-        label: 'Womenswear',
+        label: copy('sizing.no_adjust'),
         unlockInput: false,
         onClick: function () {
-          globalSizingFlow.gender = 'women';
-          state.sizing.gender = 'women';
-          state.sizing.last.gender = 'women';
-          persistNow();
-          globalSizingAskCategory();
+          if (measuring) {
+            appendAI(copy('sizing.measure.adjust'));
+            productSizingAskMeasurements({ forceAsk: true });
+            return;
+          }
+          appendAI(copy('sizing.adjust_usual'));
+          productSizingAskUsualSize({ forceAsk: true });
+        }
+      },
+      {
+        label: copy('sizing.size_another'),
+        unlockInput: false,
+        onClick: function () {
+          productSizingAskAnother();
         }
       }
-    ]);
+    ]));
 
-    lockInput('Please choose an option above');
+    lockInput();
   }
 
-  function normalizeGenderForCollectionFilter(gender) {
-    return gender === 'women' ? 'women' : 'men';
+  function productSizingHandleText(text) {
+    text = toStr(text || '').trim();
+    if (!text) return true;
+
+    if (state.flow.step === 'product_collect_body') {
+      var reask = productSizingFlow.bodyReask;
+
+      if (!state.sizing.height_cm || reask === 'height') {
+        var h = toInt(text.replace(/[^\d]/g, ''), null);
+        if (!h || h < 120 || h > 220) {
+          appendAI(copy('sizing.retry_height'));
+          setComposerPlaceholder(copy('sizing.placeholder_height'));
+          return true;
+        }
+        state.sizing.height_cm = h;
+        touchSizing('height_cm');
+        if (reask) productSizingFlow.bodyReask = 'weight';
+        persistNow();
+      } else if (!state.sizing.weight_kg || reask === 'weight') {
+        var w = toInt(text.replace(/[^\d]/g, ''), null);
+        if (!w || w < 35 || w > 200) {
+          appendAI(copy('sizing.retry_weight'));
+          setComposerPlaceholder(copy('sizing.placeholder_weight'));
+          return true;
+        }
+        state.sizing.weight_kg = w;
+        touchSizing('weight_kg');
+        productSizingFlow.bodyReask = null;
+        persistNow();
+      }
+
+      if (!state.sizing.weight_kg || productSizingFlow.bodyReask) {
+        appendAI(copy('sizing.got_height'));
+        setComposerPlaceholder(copy('sizing.placeholder_weight'));
+        return true;
+      }
+
+      productSizingAskUsualSize();
+      return true;
+    }
+
+    if (state.flow.step === 'product_measurements') {
+      var chart = productSizingChart();
+      if (!chart) {
+        productSizingUseProportions();
+        return true;
+      }
+
+      var measured = productSizingParseMeasurements(text, chart);
+      var onChart = chart.covers.filter(function (k) { return measured[k] != null; });
+      if (!onChart.length) {
+        appendAI(copy('sizing.measure.retry', { measurements: escapeText(chart.covers.map(measurementName).join(', ')) }));
+        setComposerPlaceholder(copy('sizing.measure.placeholder'));
+        return true;
+      }
+
+      if (!isPlainObject(state.sizing.measurements)) state.sizing.measurements = {};
+      Object.keys(measured).forEach(function (k) { state.sizing.measurements[k] = measured[k]; });
+      touchSizing('measurements');
+      persistNow();
+
+      productSizingAskFit();
+      return true;
+    }
+
+    if (state.flow.step === 'product_usual_size') {
+      var value = productSizingParseUsualSize(text);
+      var prompt = usualSizePrompt(productSizingFlow.usual ? productSizingFlow.usual.key : '');
+
+      if (value == null) {
+        appendAI(prompt.retry);
+        setComposerPlaceholder(prompt.placeholder);
+        return true;
+      }
+
+      productSizingFlow.usual.value = value;
+
+      var converted = sizeConversionNote(productSizingFlow.usual.converted, productSizingFlow.usual.key, value);
+      if (converted) appendAI(converted);
+
+      productSizingAskFit();
+      return true;
+    }
+
+    productSizingStop();
+    return true;
   }
 
-  function filterCollectionsForGender(collections, gender) {
-    gender = normalizeGenderForCollectionFilter(gender);
-    var out = [];
-    var i;
+  /* ============================================================
+     10.3) TRANSCRIPT EXPORT
+     ------------------------------------------------------------
+     Conversation + sizing profile as text, JSON or a printable HTML
+     page. "Send to the atelier" prefills the Shopify contact form
+     (textarea contact[body]); when we're not on the contact page the
+     text is parked in sessionStorage and applied after navigation.
+  ============================================================ */
 
-    for (i = 0; i < collections.length; i++) {
-      var c = collections[i];
-      if (!c) continue;
+  function messageHtmlToText(html) {
+    var div = document.createElement('div');
+    div.innerHTML = sanitizeHtml(toStr(html || ''));
+    qsa('br', div).forEach(function (br) { br.parentNode.replaceChild(document.createTextNode('\n'), br); });
+    qsa('p, div, li', div).forEach(function (el) { el.appendChild(document.createTextNode('\n')); });
+    return toStr(div.textContent).split('\n').map(function (l) { return l.replace(/\s+/g, ' ').trim(); })
+      .filter(Boolean).join('\n');
+  }
 
-      var handle = toStr(c.handle || '');
-      var title = toStr(c.title || '');
+  function categoryLabel(handle, entry) {
+    if (entry && entry.title) return cleanCategoryTitle(entry.title) || entry.title;
+    if (!handle || handle === 'unknown') return copy('transcript.general');
+    return cleanCategoryTitle(handle.replace(/[-_]+/g, ' ')) || handle;
+  }
 
-      if (!handle || !title) continue;
+  function buildTranscript() {
+    var sizing = state.sizing || {};
+    var categories = sizing.categories || {};
+
+    return {
+      generated_at: new Date(nowTs()).toISOString(),
+      page: toStr(window.location && window.location.href),
+      profile: {
+        height_cm: sizing.height_cm || null,
+        weight_kg: sizing.weight_kg || null,
+        measurements: validMeasurements(sizing.measurements),
+        gender: sizing.gender || null
+      },
+      sizes: Object.keys(categories).map(function (handle) {
+        var c = categories[handle] || {};
+        return {
+          category_handle: handle,
+          category: categoryLabel(handle, c),
+          usual_size: categoryUsualSize(c) || null,
+          recommended_size: c.recommended_size || formatUsualSize('usual_size_eu', c.recommended_size_eu) || null,
+          recommended_length: c.recommended_length || null,
+          fit_preference: c.fit_preference || null,
+          updated_at: c.updated_at ? new Date(c.updated_at).toISOString() : null
+        };
+      }),
+      messages: (state.messages || []).filter(function (m) {
+        return !isChoiceMessage(m);
+      }).map(function (m) {
+        return {
+          from: m.type === 'user' ? 'customer' : 'copilot',
+          kind: m.kind || 'text',
+          at: m.ts ? new Date(m.ts).toISOString() : null,
+          text: messageHtmlToText(messageHtml(m))
+        };
+      })
+    };
+  }
 
-      // Exclude obvious non-product collections
-      if (/all|frontpage|featured|new|sale|journal|stories|lookbook|gift|about|policy|shipping/i.test(handle)) continue;
+  function transcriptSummaryLines(t) {
+    var lines = [copy('transcript.title'), copy('transcript.date', { date: t.generated_at.slice(0, 10) }), ''];
+    var p = t.profile;
+
+    lines.push(copy('transcript.profile'));
+    lines.push('• ' + copy('transcript.height', { value: p.height_cm ? p.height_cm + ' cm' : '—' }));
+    lines.push('• ' + copy('transcript.weight', { value: p.weight_kg ? p.weight_kg + ' kg' : '—' }));
+    if (Object.keys(p.measurements || {}).length) lines.push('• ' + copy('transcript.measurements', { value: formatMeasurements(p.measurements) }));
+    if (p.gender) lines.push('• ' + copy('transcript.collection', { value: copy(p.gender === 'women' ? 'transcript.collection_women' : 'transcript.collection_men') }));
+
+    if (t.sizes.length) {
+      lines.push('', copy('transcript.saved_sizes'));
+      t.sizes.forEach(function (s) {
+        var parts = [];
+        if (s.recommended_size) parts.push(copy('transcript.recommended', { value: s.recommended_size + (s.recommended_length ? ' · ' + s.recommended_length : '') }));
+        if (s.usual_size) parts.push(copy('transcript.usual', { value: s.usual_size }));
+        if (s.fit_preference) parts.push(copy('transcript.fit', { value: copy('sizing.fit.' + s.fit_preference) }));
+        lines.push('• ' + s.category + ': ' + (parts.join(', ') || '—'));
+      });
+    }
+    return lines;
+  }
 
-      // Exclude generic gender landing collections
-      if (/^(men|mens|man|women|womens|woman)$/i.test(handle)) continue;
-      if (/^(men|mens|man|women|womens|woman)$/i.test(title.trim())) continue;
+  function transcriptToText(t, opts) {
+    opts = opts || {};
+    var lines = transcriptSummaryLines(t);
 
-      // Gender inclusion
-      if (gender === 'men') {
-        if (/(men|mens|man)\b/i.test(handle) || /(men|mens)\b/i.test(title)) out.push(c);
-      } else {
-        if (/(women|womens|woman)\b/i.test(handle) || /(women|womens)\b/i.test(title)) out.push(c);
-      }
+    if (!opts.summaryOnly && t.messages.length) {
+      lines.push('', copy('transcript.conversation'));
+      t.messages.forEach(function (m) {
+        lines.push(copy(m.from === 'customer' ? 'transcript.you' : 'transcript.copilot') + ': ' + m.text.replace(/\n/g, '\n  '));
+      });
     }
+    return lines.join('\n');
+  }
 
-    if (!out.length) out = collections.slice();
-
-    out.sort(function (a, b) {
-      var at = toStr(a.title || '').toLowerCase();
-      var bt = toStr(b.title || '').toLowerCase();
-      if (at < bt) return -1;
-      if (at > bt) return 1;
-      return 0;
+  function transcriptToHtml(t) {
+    var groups = [];
+    var current = null;
+    transcriptSummaryLines(t).slice(3).forEach(function (l) {
+      if (!l) return;
+      if (l.charAt(0) !== '•') {
+        current = { title: l, items: [] };
+        groups.push(current);
+      } else if (current) {
+        current.items.push(l.slice(2));
+      }
     });
 
-    return out;
+    var summary = groups.map(function (g) {
+      return '<h2>' + escapeText(g.title) + '</h2><ul>' + g.items.map(function (i) {
+        return '<li>' + escapeText(i) + '</li>';
+      }).join('') + '</ul>';
+    }).join('');
+
+    var convo = t.messages.map(function (m) {
+      return '<div class="msg msg--' + (m.from === 'customer' ? 'user' : 'ai') + '"><strong>' +
+        escapeText(copy(m.from === 'customer' ? 'transcript.you' : 'transcript.copilot')) + '</strong><br>' + escapeText(m.text).replace(/\n/g, '<br>') + '</div>';
+    }).join('');
+
+    return '<!doctype html><html lang="' + escapeText(getLocale()) + '"><head><meta charset="utf-8"><title>' + escapeText(copy('transcript.title')) + '</title>' +
+      '<style>body{font:14px/1.5 Georgia,serif;color:#111;max-width:680px;margin:32px auto;padding:0 16px}' +
+      'h1{font-size:20px;margin:0 0 4px}h2{font-size:15px;margin:20px 0 6px}li{margin:2px 0}' +
+      '.msg{padding:8px 0;border-top:1px solid #e5e5e5}.msg--user{color:#555}' +
+      '@media print{body{margin:0}}</style></head><body>' +
+      '<h1>' + escapeText(copy('transcript.title')) + '</h1><div>' + escapeText(t.generated_at.slice(0, 10)) + '</div>' +
+      summary + (convo ? '<h2>' + escapeText(copy('transcript.conversation')) + '</h2>' + convo : '') +
+      '</body></html>';
   }
 
-  function globalSizingAskCategory() {
-    state.flow.step = 'global_category_loading';
-    persistNow();
+  function exportTranscript(format) {
+    var t = buildTranscript();
+    format = toStr(format || 'text').toLowerCase();
 
-    appendAI("Which category do you want sizing for?");
-    appendAI("Loading categories…");
-    lockInput('Loading categories…');
+    bus.emit('transcript:export', { format: format, messages: t.messages.length });
 
-    fetchJson(CONFIG.endpoints.collectionsJson)
-      .then(function (data) {
-        var collections = (data && data.collections) ? data.collections : [];
-        collections = Array.isArray(collections) ? collections : [];
+    if (format === 'json') return JSON.stringify(t, null, 2);
+    if (format === 'html') return transcriptToHtml(t);
+    return transcriptToText(t);
+  }
 
-        var filtered = filterCollectionsForGender(collections, globalSizingFlow.gender);
+  function downloadTranscript(format) {
+    format = toStr(format || 'text').toLowerCase();
+    var content = exportTranscript(format);
+    var types = { json: 'application/json', html: 'text/html', text: 'text/plain' };
+    var ext = { json: 'json', html: 'html', text: 'txt' };
 
-        var cards = filtered.map(function (c) {
-          var img = '';
-          try {
-            if (c.image && c.image.src) img = c.image.src;
-          } catch (e) {}
+    try {
+      var blob = new Blob([content], { type: (types[format] || types.text) + ';charset=utf-8' });
+      var url = URL.createObjectURL(blob);
+      var a = document.createElement('a');
+      a.href = url;
+      a.download = 'drape-layers-size-summary.' + (ext[format] || ext.text);
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(function () { try { URL.revokeObjectURL(url); } catch (e) {} }, 1000);
+      return true;
+    } catch (e) {
+      warn('Transcript download failed', e);
+      return false;
+    }
+  }
 
-          var rawTitle = toStr(c.title || '');
-          var cleanTitle = cleanCategoryTitle(rawTitle);
+  function printTranscript() {
+    try {
+      var w = window.open('', '_blank');
+      if (!w) return false;
+      w.document.open();
+      w.document.write(exportTranscript('html'));
+      w.document.close();
+      setTimeout(function () { try { w.focus(); w.print(); } catch (e) {} }, 250);
+      return true;
+    } catch (e) {
+      warn('Transcript print failed', e);
+      return false;
+    }
+  }
 
-          return {
-            title: cleanTitle || rawTitle,
-            subtitle: '',
-            image: img,
-            value: { handle: toStr(c.handle || ''), title: toStr(c.title || '') }
-          };
-        }).filter(function (x) { return x && x.value && x.value.handle; });
+  function emailTranscriptToSelf() {
+    var t = buildTranscript();
+    var body = transcriptToText(t);
+    if (body.length > CONFIG.contact.mailtoMaxLength) body = transcriptToText(t, { summaryOnly: true });
 
-        cards = dedupeByKey(cards, function (it) { return toStr(it.title || ''); });
+    try {
+      window.location.href = 'mailto:?subject=' + encodeURIComponent(copy('transcript.email_subject')) +
+        '&body=' + encodeURIComponent(body);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
 
-        state.flow.step = 'global_category';
-        persistNow();
+  function contactPageUrl() {
+    var cfg = window.DLCopilotConfig || {};
+    return toStr(cfg.contactPageUrl || CONFIG.contact.pageUrl);
+  }
 
-        renderCardGrid(cards, {
-          userEchoTitle: true,
-          onSelect: function (value, item) {
-            globalSizingFlow.category = { handle: value.handle, title: value.title };
+  function fillContactBody(text) {
+    var field = qs(CONFIG.contact.bodySelector);
+    if (!field) return false;
 
-            state.sizing.last.category_handle = value.handle;
-            state.sizing.last.category_title = value.title;
-            persistNow();
+    field.value = field.value ? field.value + '\n\n' + text : text;
+    try { field.dispatchEvent(new Event('input', { bubbles: true })); } catch (e) {}
+    return true;
+  }
 
-            globalSizingAskUsualSize();
-          }
-        });
+  // Returns 'filled' when the form is on this page, 'redirect' when we navigate to it.
+  function prefillContactForm() {
+    var text = transcriptToText(buildTranscript());
 
-        lockInput('Please choose an option above');
-      })
-      .catch(function (e) {
-        warn('collections.json failed', e);
-        appendAI("I couldn’t load categories right now. Please try again.");
-        renderMainMenuPills();
-        lockInput('Please choose an option above');
-        globalSizingStop();
-      });
+    if (fillContactBody(text)) return 'filled';
+
+    try {
+      sessionStorage.setItem(CONFIG.contact.pendingKey, JSON.stringify({ text: text, at: nowTs() }));
+      window.location.href = contactPageUrl();
+      return 'redirect';
+    } catch (e) {
+      warn('Contact prefill failed', e);
+      return false;
+    }
   }
 
-  function globalSizingAskUsualSize() {
-    state.flow.step = 'global_usual_size';
-    persistNow();
+  function applyPendingContactPrefill() {
+    var pending = null;
+    try {
+      pending = safeJsonParse(sessionStorage.getItem(CONFIG.contact.pendingKey), null);
+    } catch (e) {
+      return;
+    }
+    if (!pending || !pending.text) return;
 
-    var catHandle = (globalSizingFlow.category && globalSizingFlow.category.handle) ? globalSizingFlow.category.handle : '';
-    var catTitle = (globalSizingFlow.category && globalSizingFlow.category.title) ? globalSizingFlow.category.title : 'this category';
+    if (nowTs() - toInt(pending.at, 0) > CONFIG.contact.pendingTtlMs) {
+      try { sessionStorage.removeItem(CONFIG.contact.pendingKey); } catch (e) {}
+      return;
+    }
 
-    // If we already have a saved usual size for this category, offer it as a pill.
-    var saved = null;
-    try {
-      if (catHandle && state.sizing && state.sizing.categories && state.sizing.categories[catHandle] && state.sizing.categories[catHandle].usual_size_eu) {
-        saved = state.sizing.categories[catHandle].usual_size_eu;
-      }
-    } catch (e) { saved = null; }
+    if (fillContactBody(pending.text)) {
+      try { sessionStorage.removeItem(CONFIG.contact.pendingKey); } catch (e) {}
+    }
+  }
 
-    if (saved) {
-      appendAI("I have your usual EU size saved for <strong>" + escapeText(catTitle) + "</strong>: <strong>EU " + escapeText(saved) + "</strong>.<br>Do you want to use it?");
-      renderPills([
+  function transcriptStart() {
+    return {
+      type: 'choices',
+      message: copy('transcript.ask'),
+      options: [
         {
-          label: 'Yes, use EU ' + saved,
-          unlockInput: false,
-          onClick: function () {
-            globalSizingFlow.usual_size_eu = saved;
-            persistNow();
-            globalSizingComputeGeneralRecommendation();
+          label: copy('transcript.to_atelier'),
+          onSelect: function () {
+            // Emitted first: a redirect to the contact page unloads us.
+            bus.emit('handoff:request', { channel: 'contact_form', reason: 'transcript', routeId: state.flow.routeId || null });
+            var result = prefillContactForm();
+            if (result === 'filled') return { type: 'message', message: copy('transcript.filled') };
+            if (result === 'redirect') return { type: 'message', message: copy('transcript.redirect') };
+            return { type: 'message', message: copy('transcript.contact_failed') };
           }
         },
         {
-          label: 'No, enter a different size',
-          unlockInput: false,
-          onClick: function () {
-            appendAI("Sure. What is your usual EU size?");
-            unlockInput();
-            setComposerPlaceholder('e.g. 48');
+          label: copy('transcript.to_self'),
+          onSelect: function () {
+            emailTranscriptToSelf();
+            return { type: 'message', message: copy('transcript.emailed') };
+          }
+        },
+        {
+          label: copy('transcript.print'),
+          onSelect: function () {
+            return {
+              type: 'message',
+              message: copy(printTranscript() ? 'transcript.printed' : 'transcript.print_blocked')
+            };
+          }
+        },
+        {
+          label: copy('transcript.download'),
+          onSelect: function () {
+            downloadTranscript('text');
+            return { type: 'message', message: copy('transcript.downloading') };
           }
         }
-      ]);
-      lockInput('Please choose an option above');
-      return;
-    }
+      ]
+    };
+  }
 
-    appendAI("What is your usual EU size for <strong>" + escapeText(catTitle) + "</strong>?");
-    unlockInput();
-    setComposerPlaceholder('e.g. 48');
+  /* ============================================================
+     10.4) FREE-TEXT INTENT CLASSIFIER
+     ------------------------------------------------------------
+     Offline keyword scoring over registered flows (def.keywords +
+     aliases). Used only when nothing owns the composer:
+       - confidence ≥ routeAt   → route straight away
+       - confidence ≥ suggestAt → "Did you mean" pills
+       - otherwise              → main menu
+     Entities (order number, known product, garment, colour) are
+     passed to the flow in route.payload.entities.
+  ============================================================ */
+
+  var GARMENT_WORDS = ['jacket', 'blazer', 'coat', 'overcoat', 'trench', 'suit', 'trousers', 'trouser', 'pants', 'chinos', 'shirt', 'knit', 'knitwear', 'sweater', 'jumper', 'cardigan', 'waistcoat', 'gilet', 'vest', 'polo', 'tshirt', 'shorts', 'skirt', 'dress'];
+  var COLOUR_WORDS = ['black', 'white', 'ivory', 'cream', 'ecru', 'beige', 'sand', 'camel', 'brown', 'tobacco', 'grey', 'gray', 'charcoal', 'navy', 'blue', 'green', 'olive', 'khaki', 'burgundy', 'red', 'pink'];
+
+  // Products seen during this page view; complements DLCopilotProducts' cache.
+  var productIndex = {};
+
+  function rememberProducts(list) {
+    (Array.isArray(list) ? list : []).forEach(function (p) {
+      if (p && p.handle && p.title) productIndex[p.handle] = { handle: toStr(p.handle), title: toStr(p.title) };
+    });
   }
-  function globalSizingComputeGeneralRecommendation() {
-    state.flow.step = 'global_compute';
-    persistNow();
 
-    if (!sizingIsAvailable()) {
-      appendAI("Sizing isn't available right now.");
-      globalSizingStop();
-      return;
-    }
+  function normalizeFreeText(text) {
+    return toStr(text).toLowerCase()
+      .replace(/[’']/g, '')
+      .replace(/[^a-z0-9#\-]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
 
-    // Core sizing doctrine (DL):
-    // - EU size is anchored to user's usual size
-    // - Weight/height are used for sanity checks and length only
-    // - Length is derived from height, and should be returned by sizing.js when available
-    var user = {
-      height_cm: state.sizing.height_cm,
-      weight_kg: state.sizing.weight_kg,
-      usual_size_eu: globalSizingFlow.usual_size_eu
-    };
+  function stemWord(w) {
+    if (w.length > 4 && /ies$/.test(w)) return w.slice(0, -3) + 'y';
+    if (w.length > 5 && /ing$/.test(w)) return w.slice(0, -3);
+    if (w.length > 4 && /ed$/.test(w)) return w.slice(0, -2);
+    if (w.length > 3 && /s$/.test(w) && !/ss$/.test(w)) return w.slice(0, -1);
+    return w;
+  }
 
-    var catHandle = (globalSizingFlow.category && globalSizingFlow.category.handle) ? globalSizingFlow.category.handle : null;
-    var gender = globalSizingFlow.gender || (state.sizing ? state.sizing.gender : null);
+  function freeTextTokens(text) {
+    var norm = normalizeFreeText(text);
+    var words = norm ? norm.split(' ') : [];
+    var stems = {};
+    words.forEach(function (w) { stems[stemWord(w)] = true; });
+    return { text: ' ' + norm + ' ', words: words, stems: stems };
+  }
 
-    // Try sizing.js schemaForGeneral -> recommend
-    var schema = null;
-    var rec = null;
+  function keywordMatches(tokens, keyword) {
+    if (keyword.indexOf(' ') !== -1) return tokens.text.indexOf(' ' + keyword + ' ') !== -1;
+    return !!tokens.stems[stemWord(keyword)];
+  }
+
+  function knownProducts() {
+    var list = Object.keys(productIndex).map(function (h) { return productIndex[h]; });
 
     try {
-      if (window.DLCopilotSizing && typeof window.DLCopilotSizing.schemaForGeneral === 'function') {
-        schema = window.DLCopilotSizing.schemaForGeneral(catHandle, gender);
+      if (window.DLCopilotProducts && typeof window.DLCopilotProducts.getCachedProducts === 'function') {
+        list = list.concat(window.DLCopilotProducts.getCachedProducts());
       }
-    } catch (e) { schema = null; }
+    } catch (e) {}
 
-    try {
-      if (schema && window.DLCopilotSizing && typeof window.DLCopilotSizing.recommend === 'function') {
-        rec = window.DLCopilotSizing.recommend(schema, user);
+    var last = state.sizing && state.sizing.last;
+    if (last && last.product_handle && last.product_title) list.push({ handle: last.product_handle, title: last.product_title });
+
+    return dedupeByKey(list.filter(function (p) { return p && p.handle && p.title; }), function (p) { return p.handle; });
+  }
+
+  // A product matches when most of its significant title words appear.
+  function matchProduct(tokens) {
+    var best = null;
+    var bestScore = 0;
+
+    knownProducts().forEach(function (p) {
+      var words = normalizeFreeText(cleanCategoryTitle(p.title) || p.title).split(' ').filter(function (w) {
+        return w.length > 2 && w !== 'the' && w !== 'and';
+      });
+      if (!words.length) return;
+
+      var hits = words.filter(function (w) { return !!tokens.stems[stemWord(w)]; }).length;
+      var score = hits / words.length;
+      if (hits >= Math.min(2, words.length) && score >= 0.6 && score > bestScore) {
+        best = p;
+        bestScore = score;
       }
-    } catch (e) { rec = null; }
+    });
 
-    // If sizing.js doesn't return length for general, we fallback based on height.
-    var sizeEu = null;
-    var length = '';
+    return best;
+  }
 
-    if (rec) {
-      sizeEu = rec.size_eu != null ? rec.size_eu : (rec.eu_size != null ? rec.eu_size : null);
-      length = rec.length != null ? rec.length : (rec.length_variant != null ? rec.length_variant : '');
-    }
+  function extractEntities(text) {
+    var tokens = freeTextTokens(text);
+    var entities = { text: toStr(text) };
 
-    // In DL doctrine: EU size should match usual size unless sizing.js explicitly overrides for some reason.
-    // If sizing.js returns null/undefined, use user's usual size.
-    if (sizeEu == null) sizeEu = globalSizingFlow.usual_size_eu;
+    // "#1234", "order 10234", "DL-10234"
+    var m = /(?:#\s?|\border\s*(?:no\.?|number|nr\.?)?\s*#?\s*)([a-z]{0,3}-?\d{3,})\b/i.exec(text) ||
+      /\b([a-z]{2,3}-\d{3,})\b/i.exec(text);
+    if (m) entities.order_number = m[1].toUpperCase();
 
-    if (!length) {
-      length = lengthLabelFromHeight(state.sizing.height_cm);
+    for (var i = 0; i < tokens.words.length; i++) {
+      var stem = stemWord(tokens.words[i]);
+      if (!entities.garment && GARMENT_WORDS.indexOf(stem) !== -1) entities.garment = stem;
+      if (!entities.colour && COLOUR_WORDS.indexOf(tokens.words[i]) !== -1) entities.colour = tokens.words[i];
     }
 
-    // Persist category memory
-    var catKey = catHandle || 'unknown';
-    if (!state.sizing.categories[catKey]) state.sizing.categories[catKey] = {};
-    state.sizing.categories[catKey].usual_size_eu = globalSizingFlow.usual_size_eu;
-    state.sizing.categories[catKey].recommended_size_eu = sizeEu;
-    state.sizing.categories[catKey].recommended_length = length;
-    state.sizing.categories[catKey].updated_at = nowTs();
-    persistNow();
+    var product = matchProduct(tokens);
+    if (product) entities.product = product;
 
-    var catTitle = (globalSizingFlow.category && globalSizingFlow.category.title) ? globalSizingFlow.category.title : 'this category';
-    var lengthHint = lengthRangeHint(length);
+    return entities;
+  }
 
-    appendAI(
-      "For <strong>" + escapeText(catTitle) + "</strong>, I recommend:<br>" +
-      "• Size: <strong>EU " + escapeText(sizeEu) + "</strong><br>" +
-      "• Length: <strong>" + escapeText(length) + "</strong> " + (lengthHint ? escapeText(lengthHint) : "") + "<br><br>" +
-      "Does that look right?"
-    );
+  function classifyIntent(text) {
+    var tokens = freeTextTokens(text);
+    var ctx = menuContext();
+
+    var scored = listFlows().filter(function (def) {
+      if (typeof def.start !== 'function' && !def.module) return false;
+      if (typeof def.visible !== 'function') return true;
+      try { return !!def.visible(ctx); } catch (e) { return false; }
+    }).map(function (def) {
+      var score = 0;
+      var matched = [];
+
+      Object.keys(def.keywords || {}).forEach(function (k) {
+        if (!keywordMatches(tokens, k)) return;
+        score += def.keywords[k];
+        matched.push(k);
+      });
 
-    renderPills([
-      {
-        label: 'Yes, that’s correct',
-        unlockInput: false,
-        onClick: function () {
-          appendAI("Perfect. How can I help next?");
-          globalSizingStop();
+      def.aliases.forEach(function (a) {
+        var alias = normalizeFreeText(a.replace(/_/g, ' '));
+        if (alias && matched.indexOf(alias) === -1 && keywordMatches(tokens, alias)) {
+          score += 1;
+          matched.push(alias);
         }
-      },
-      {
-        label: 'No, adjust',
+      });
+
+      return { intent: def.intent, score: score, matched: matched };
+    }).filter(function (c) {
+      return c.score > 0;
+    }).sort(function (a, b) {
+      return b.score - a.score;
+    });
+
+    var top = scored[0];
+    var second = scored[1];
+    var confidence = 0;
+
+    // Share of the evidence × how much evidence there is (saturates at 3).
+    if (top) confidence = (top.score / (top.score + (second ? second.score : 0))) * Math.min(1, top.score / 3);
+
+    return {
+      intent: top ? top.intent : null,
+      confidence: Math.round(confidence * 100) / 100,
+      candidates: scored.slice(0, CONFIG.classifier.maxSuggestions),
+      entities: extractEntities(text)
+    };
+  }
+
+  function routeFromEntities(intent, entities) {
+    var payload = { from: 'free_text', entities: entities };
+    if (entities.order_number) payload.order_number = entities.order_number;
+    if (entities.product) {
+      payload.product_handle = entities.product.handle;
+      payload.product_title = entities.product.title;
+    }
+    bus.emit('intent:select', { intent: intent, payload: payload, routeId: nowId() });
+  }
+
+  function handleFreeText(text) {
+    var result = classifyIntent(text);
+    log('classified', text, result);
+    bus.emit('intent:classified', { text: text, intent: result.intent, confidence: result.confidence, entities: result.entities });
+
+    if (result.intent && result.confidence >= CONFIG.classifier.routeAt) {
+      routeFromEntities(result.intent, result.entities);
+      return;
+    }
+
+    if (result.intent && result.confidence >= CONFIG.classifier.suggestAt) {
+      var ctx = menuContext();
+      appendAI(copy('classifier.confirm'));
+      renderPills(result.candidates.map(function (c) {
+        return {
+          label: resolveFlowValue(registry.flows[c.intent].label, ctx) || c.intent,
+          unlockInput: false,
+          onClick: function () { routeFromEntities(c.intent, result.entities); }
+        };
+      }).concat([{
+        label: copy('classifier.something_else'),
         unlockInput: false,
         onClick: function () {
-          appendAI("No problem. Let’s adjust your usual size for this category.");
-          globalSizingAskUsualSize();
+          appendAI(copy('classifier.no_problem'));
+          restart();
         }
-      }
-    ]);
+      }]), { noBack: true });
+      lockInput();
+      return;
+    }
 
-    lockInput('Please choose an option above');
+    appendAI(copy('classifier.not_understood'));
+    restart();
   }
 
-  function globalSizingHandleText(text) {
-    text = toStr(text || '').trim();
-    if (!text) return true;
+  // At the main menu customers may type instead of tapping a pill.
+  function composerAcceptsFreeText() {
+    if (!CONFIG.classifier.enabled || !dom.body) return false;
+    if (state.flow && state.flow.activeModule) return false;
+    if (globalSizingFlow.active || productSizingFlow.active) return false;
+    if (stepRenderer.pending || stepRenderer.input) return false;
+    return !!dom.body.querySelector('.dl-copilot-options--menu');
+  }
 
-    // Step machine:
-    // - If height missing → parse height
-    // - Else if weight missing → parse weight
-    // - Else if usual size step → parse usual size
-    // - Else stop safely
-    if (!state.sizing.height_cm) {
-      var h = toInt(text.replace(/[^\d]/g, ''), null);
-      if (!h || h < 120 || h > 220) {
-        appendAI("Please send your height as a number in cm (e.g. 178).");
-        setComposerPlaceholder('e.g. 178');
-        return true;
+  /* ============================================================
+     10.5) ANALYTICS (FUNNEL EVENTS)
+     ------------------------------------------------------------
+     Core listens to its own bus and turns flow activity into one
+     structured stream:
+       panel_opened, flow_started, step_reached, recommendation_shown,
+       outfit_viewed, handoff_requested, flow_abandoned, added_to_cart
+     Every event is emitted on the bus as `analytics:event`, then
+     handed to the enabled sinks:
+       - shopify   → Shopify.analytics.publish('dl_copilot_<name>', event)
+                     (subscribe from a custom pixel)
+       - dataLayer → dataLayer.push({ event: 'dl_copilot_<name>', dl_copilot: event })
+       - debug     → in-memory ring buffer (DLCopilot.analytics.buffer())
+     Custom sinks: DLCopilot.analytics.registerSink(id, fn).
+
+     IDs:
+       - session_id: one per tab (kept in sessionStorage with the flow)
+       - route_id:   the routeId of the flow the event belongs to
+     A route counts as completed once it shows a recommendation or an
+     outfit, hands off, or reaches a terminal step. An incomplete route
+     is reported abandoned when another route replaces it, on restart,
+     or when a reload drops a core flow.
+  ============================================================ */
+
+  var analyticsSinks = {};
+  var analyticsBuffer = [];
+  var analyticsSeq = 0;
+
+  function analyticsSettings() {
+    var cfg = (window.DLCopilotConfig && isPlainObject(window.DLCopilotConfig.analytics)) ? window.DLCopilotConfig.analytics : {};
+    return {
+      enabled: cfg.enabled == null ? CONFIG.analytics.enabled : !!cfg.enabled,
+      sinks: Array.isArray(cfg.sinks) ? cfg.sinks : CONFIG.analytics.sinks
+    };
+  }
+
+  function registerAnalyticsSink(id, fn) {
+    id = toStr(id || '');
+    if (!id || typeof fn !== 'function') return;
+    analyticsSinks[id] = { fn: fn, builtIn: false };
+  }
+
+  function removeAnalyticsSink(id) {
+    delete analyticsSinks[toStr(id || '')];
+  }
+
+  analyticsSinks.shopify = {
+    builtIn: true,
+    fn: function (event) {
+      var a = window.Shopify && window.Shopify.analytics;
+      if (!a || typeof a.publish !== 'function') return;
+      a.publish(event.event, event);
+    }
+  };
+
+  analyticsSinks.dataLayer = {
+    builtIn: true,
+    fn: function (event) {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push({ event: event.event, dl_copilot: event });
+    }
+  };
+
+  analyticsSinks.debug = {
+    builtIn: true,
+    fn: function (event) {
+      analyticsBuffer.push(event);
+      if (analyticsBuffer.length > CONFIG.analytics.bufferSize) {
+        analyticsBuffer.splice(0, analyticsBuffer.length - CONFIG.analytics.bufferSize);
       }
-      state.sizing.height_cm = h;
-      persistNow();
+      log('analytics', event.name, event);
+    }
+  };
+
+  function analyticsSessionId() {
+    if (!state.analytics.session_id) state.analytics.session_id = nowId();
+    return state.analytics.session_id;
+  }
+
+  function trackEvent(name, data, routeId) {
+    name = toStr(name || '');
+    if (!name) return null;
+
+    var settings = analyticsSettings();
+    if (!settings.enabled) return null;
+
+    var event = {
+      event: CONFIG.analytics.eventPrefix + name,
+      name: name,
+      session_id: analyticsSessionId(),
+      route_id: routeId || state.analytics.route_id || null,
+      intent: state.analytics.intent || null,
+      seq: ++analyticsSeq,
+      ts: nowTs(),
+      locale: i18n.locale,
+      page: toStr(window.location && window.location.pathname),
+      data: isPlainObject(data) ? data : {}
+    };
 
-      appendAI("Got it. What is your weight in kg?");
-      setComposerPlaceholder('e.g. 75');
-      return true;
-    }
+    bus.emit('analytics:event', event);
 
-    if (!state.sizing.weight_kg) {
-      var w = toInt(text.replace(/[^\d]/g, ''), null);
-      if (!w || w < 35 || w > 200) {
-        appendAI("Please send your weight as a number in kg (e.g. 75).");
-        setComposerPlaceholder('e.g. 75');
-        return true;
-      }
-      state.sizing.weight_kg = w;
-      persistNow();
+    Object.keys(analyticsSinks).forEach(function (id) {
+      var sink = analyticsSinks[id];
+      if (sink.builtIn && settings.sinks.indexOf(id) === -1) return;
+      try { sink.fn(event); } catch (e) { warn('Analytics sink error', id, e); }
+    });
 
-      // IMPORTANT: do not stop here anymore — proceed to target choice.
-      appendAI(
-        "Perfect. I’ve saved:<br>" +
-        "• Height: <strong>" + escapeText(state.sizing.height_cm) + " cm</strong><br>" +
-        "• Weight: <strong>" + escapeText(state.sizing.weight_kg) + " kg</strong><br><br>" +
-        "What would you like sizing for?"
-      );
+    return event;
+  }
 
-      globalSizingAskTarget();
-      return true;
-    }
+  function markRouteCompleted(routeId) {
+    if (!state.analytics.route_id) return;
+    if (routeId && routeId !== state.analytics.route_id) return;
+    state.analytics.completed = true;
+  }
 
-    // If we're expecting usual EU size in global category sizing:
-    if (state.flow.step === 'global_usual_size') {
-      var s = toInt(text.replace(/[^\d]/g, ''), null);
-      if (!s || s < 34 || s > 70) {
-        appendAI("Please send your usual EU size as a number (e.g. 48).");
-        setComposerPlaceholder('e.g. 48');
-        return true;
-      }
+  function abandonTrackedRoute(reason, extra) {
+    var a = state.analytics;
+    if (!a.route_id || a.completed) return;
 
-      globalSizingFlow.usual_size_eu = s;
+    var data = { reason: reason, last_step: a.last_step || null, steps: toInt(a.steps, 0) };
+    if (extra) Object.keys(extra).forEach(function (k) { data[k] = extra[k]; });
+    trackEvent('flow_abandoned', data, a.route_id);
+
+    a.route_id = null;
+    a.intent = null;
+    a.completed = false;
+  }
+
+  // Boot: a core flow the reload could not resume ends here.
+  function resumeAnalyticsSession() {
+    analyticsSessionId();
+    if (state.analytics.route_id && !state.analytics.completed && !(state.flow && state.flow.activeModule)) {
+      abandonTrackedRoute('navigation');
       persistNow();
+    }
+  }
 
-      lockInput('Calculating…');
-      appendAI("Calculating your recommended size…");
-      globalSizingComputeGeneralRecommendation();
-      return true;
+  bus.on('panel:open', function () {
+    trackEvent('panel_opened', { page_type: isLikelyProductPage() ? 'product' : (isLikelyCollectionPage() ? 'collection' : 'other') });
+  });
+
+  bus.on('flow:route', function (route) {
+    if (!route || !route.routeId) return;
+    if (route.routeId === state.analytics.route_id) return;
+
+    // A flow handing over to another (payload.source = its intent) is not an abandon.
+    var p = route.payload || {};
+    if (!(p.source && p.source === state.analytics.intent)) {
+      abandonTrackedRoute('switched', { next_intent: route.intent || null });
     }
 
-    // If we somehow have both, just stop safely to menu
-    globalSizingStop();
-    return true;
-  }
+    state.analytics.route_id = route.routeId;
+    state.analytics.intent = route.intent || null;
+    state.analytics.completed = false;
+    state.analytics.steps = 0;
+    state.analytics.last_step = null;
+
+    trackEvent('flow_started', {
+      intent: route.intent || null,
+      source: toStr(p.source || (p.entities ? 'classifier' : 'menu')),
+      product_handle: p.product_handle || null
+    }, route.routeId);
+    persistNow();
+  });
+
+  bus.on('step:reached', function (e) {
+    if (!e || !e.step) return;
+    state.analytics.steps = toInt(state.analytics.steps, 0) + 1;
+    state.analytics.last_step = e.step;
+    trackEvent('step_reached', { intent: e.intent || null, step: e.step, depth: e.depth }, e.routeId);
+  });
+
+  bus.on('sizing:recommendation', function (e) {
+    if (!e) return;
+    trackEvent('recommendation_shown', {
+      scope: e.scope,
+      system: e.system || null,
+      size: e.size || null,
+      size_eu: e.size_eu == null ? null : e.size_eu,
+      length: e.length || null,
+      used_usual_as_anchor: !!e.used_usual_as_anchor,
+      category_handle: e.category_handle || null,
+      product_handle: e.product_handle || null
+    }, e.routeId);
+    markRouteCompleted(e.routeId);
+  });
+
+  bus.on('outfit:view', function (e) {
+    if (!e) return;
+    trackEvent('outfit_viewed', {
+      source: e.source || 'core',
+      article: e.article || null,
+      context: e.context || null,
+      index: e.index == null ? null : e.index,
+      products: Array.isArray(e.products) ? e.products : []
+    }, e.routeId);
+    markRouteCompleted(e.routeId);
+  });
+
+  bus.on('handoff:request', function (e) {
+    e = e || {};
+    trackEvent('handoff_requested', { channel: e.channel || null, reason: e.reason || null }, e.routeId);
+    markRouteCompleted(e.routeId);
+  });
+
+  bus.on('flow:end', function (e) {
+    markRouteCompleted(e && e.routeId);
+  });
+
+  bus.on('cart:add', function (e) {
+    e = e || {};
+    trackEvent('added_to_cart', { variant_id: e.variant_id, product_handle: e.product_handle, item_count: e.item_count }, e.routeId);
+  });
+
+  bus.on('flow:restart', function () {
+    abandonTrackedRoute('restart');
+  });
 
   /* ============================================================
-     PRODUCT-SPECIFIC SIZING FLOW (UNCHANGED BELOW)
+     10.6) ADD TO BAG
      ------------------------------------------------------------
-     (Your original flow remains intact, but it benefits from:
-      - global sizing no longer dead-ends
-      - shared height/weight memory
-      - better “review my size” routing)
+     After a product recommendation we offer "Add size 50 · Long to
+     bag". DLCopilotProducts.resolveVariant maps the recommendation
+     onto the normalized product (fetched fresh, so availability is
+     current); the variant goes through /cart/add.js and the reply
+     quotes the cart's item count.
+     The theme hears about it through CONFIG.cart.refreshEvent on
+     document; modules through `cart:add` on the bus.
+     Sold-out or missing combinations list the resolver's nearest
+     in-stock alternatives instead.
   ============================================================ */
 
-  // -----------------------------
-  // FLOW: PRODUCT-SPECIFIC SIZING (B)
-  // gender → category → product → reuse body → usual size → recommend size + length
-  // -----------------------------
-
-  var productSizingFlow = {
-    active: false,
-    routeId: null,
-    gender: null,            // 'men' | 'women'
-    category: null,          // { handle, title }
-    product: null,           // { handle, title, images[], ... } from Shopify /products.json
-    usual_size_eu: null
-  };
+  function canResolveVariants() {
+    var P = window.DLCopilotProducts;
+    return !!(P && typeof P.resolveVariant === 'function' && typeof P.getProduct === 'function');
+  }
 
-  function productSizingResetSession() {
-    productSizingFlow.gender = null;
-    productSizingFlow.category = null;
-    productSizingFlow.product = null;
-    productSizingFlow.usual_size_eu = null;
+  function variantLabel(variant) {
+    return ((variant && variant.options) || []).join(' · ');
   }
 
-  function productSizingStart(route) {
-    route = route || {};
-    var routeId = toStr(route.routeId || '');
+  // Label from the product we sized against (/products/{handle}.js), so
+  // it uses the shop's own spelling ("Regular") when the variant exists.
+  function cartAddLabel(rawProduct, rec) {
+    if (!canResolveVariants() || typeof window.DLCopilotProducts.normalizeProduct !== 'function') return '';
 
-    productSizingFlow.active = true;
-    productSizingFlow.routeId = routeId || nowId();
-    productSizingResetSession();
+    var product = null;
+    try { product = window.DLCopilotProducts.normalizeProduct(rawProduct); } catch (e) { product = null; }
+    if (!product) return '';
 
-    state.flow.intent = 'size_product';
-    state.flow.step = 'product_start';
-    persistNow();
+    var res = window.DLCopilotProducts.resolveVariant(product, rec);
+    if (res.reason === 'no_size') return '';
 
-    removeExistingChoiceUIs();
+    var length = '';
+    if (res.option_index.length !== -1 && res.requested.length) {
+      length = res.exact ? res.exact.options[res.option_index.length] : formatLengthLabel(res.requested.length);
+    }
+    return length
+      ? copy('cart.add', { size: res.requested.size, length: length })
+      : copy('cart.add_size', { size: res.requested.size });
+  }
 
-    appendAI("Sure. Let’s find your size for a specific product.");
+  function cartRefreshEventName() {
+    var cfg = window.DLCopilotConfig || {};
+    return toStr(cfg.cartRefreshEvent || CONFIG.cart.refreshEvent);
+  }
 
-    // Confirmed path: Gender → Category → Product.
-    productSizingAskGender();
+  function notifyCartChanged(cart, added) {
+    var name = cartRefreshEventName();
+    if (name) {
+      try {
+        document.dispatchEvent(new CustomEvent(name, { bubbles: true, detail: { cart: cart, source: 'dl-copilot' } }));
+      } catch (e) {}
+    }
+    bus.emit('cart:add', {
+      variant_id: added && added.variant ? added.variant.id : null,
+      product_handle: added && added.product ? added.product.handle : null,
+      item_count: cart ? toInt(cart.item_count, 0) : null,
+      routeId: state.flow.routeId || null
+    });
   }
 
-  function productSizingStop() {
-    productSizingFlow.active = false;
-    productSizingFlow.routeId = null;
-    productSizingResetSession();
+  function cartFollowUpPills(product, added) {
+    var pills = [];
+    if (added) pills.push({ label: copy('cart.view'), unlockInput: false, action: { href: CONFIG.endpoints.cartPage } });
+    if (product && product.handle) {
+      pills.push({ label: copy('cart.open_product'), unlockInput: false, action: { href: '/products/' + encodeURIComponent(product.handle) } });
+    }
+    pills.push({ label: copy('sizing.size_another'), unlockInput: false, onClick: function () { productSizingAskAnother(); } });
+    return pills;
+  }
 
-    state.flow.intent = null;
-    state.flow.step = 'entry';
-    state.flow.payload = {};
-    persistNow();
+  function cartAddVariant(product, variant) {
+    lockInput(copy('cart.adding'));
 
-    renderMainMenuPills();
-    lockInput('Please choose an option above');
+    postJson(CONFIG.endpoints.cartAdd, { items: [{ id: variant.id, quantity: 1 }] })
+      .then(function () {
+        return fetchJson(CONFIG.endpoints.cartJs).catch(function () { return null; });
+      })
+      .then(function (cart) {
+        var msg = copy('cart.added', { title: escapeText(product.title || product.handle), variant: escapeText(variantLabel(variant)) });
+        if (cart && cart.item_count != null) {
+          var count = toInt(cart.item_count, 0);
+          msg += '<br>' + copy(count === 1 ? 'cart.count_one' : 'cart.count_other', { count: count });
+        }
+        appendAI(msg);
+        notifyCartChanged(cart, { product: product, variant: variant });
+        renderPills(cartFollowUpPills(product, true));
+        lockInput();
+      })
+      .catch(function (e) {
+        warn('Add to cart failed', e);
+        var reason = e && e.data && (e.data.description || e.data.message);
+        appendAI(copy('cart.failed') + (reason ? '<br>' + escapeText(reason) : ''));
+        renderPills(cartFollowUpPills(product, false));
+        lockInput();
+      });
   }
 
-  function productSizingAskGender() {
-    state.flow.step = 'product_gender';
-    persistNow();
+  function cartOfferAlternatives(product, res) {
+    var alternatives = res.alternatives;
 
-    appendAI("Who are you shopping for?");
-    renderPills([
-      {
-        label: 'Menswear',
+    var msg = copy(res.reason === 'sold_out' ? 'cart.sold_out' : 'cart.not_offered', { variant: escapeText(res.requested.label) }) + ' ' +
+      copy(alternatives.length ? 'cart.alternatives' : 'cart.no_alternatives');
+    appendAI(msg);
+
+    var pills = alternatives.map(function (alt) {
+      return {
+        label: copy('cart.add_variant', { variant: alt.label }),
         unlockInput: false,
-        onClick: function () {
-          productSizingFlow.gender = 'men';
-          state.sizing.gender = 'men';
-          state.sizing.last.gender = 'men';
-          persistNow();
-          productSizingAskCategory();
+        onClick: function () { cartAddVariant(product, alt.variant); }
+      };
+    });
+    renderPills(pills.concat(cartFollowUpPills(product, false)));
+    lockInput();
+  }
+
+  function cartAddRecommended(handle, rec) {
+    if (!handle || !canResolveVariants()) {
+      appendAI(copy('cart.unavailable'));
+      lockInput();
+      return;
+    }
+
+    lockInput(copy('cart.adding'));
+
+    window.DLCopilotProducts.getProduct(handle, { forceRefresh: true })
+      .then(function (product) {
+        if (!product || !Array.isArray(product.variants) || !product.variants.length) {
+          appendAI(copy('cart.unavailable'));
+          lockInput();
+          return;
         }
-      },
-      {
-        label: 'Womenswear',
-        unlockInput: false,
-        onClick: function () {
-          productSizingFlow.gender = 'women';
-          state.sizing.gender = 'women';
-          state.sizing.last.gender = 'women';
-          persistNow();
-          productSizingAskCategory();
+
+        var res = window.DLCopilotProducts.resolveVariant(product, rec, { maxAlternatives: CONFIG.cart.maxAlternatives });
+        if (res.reason === 'no_size') {
+          appendAI(copy('cart.unavailable'));
+          lockInput();
+          return;
+        }
+        if (res.reason !== 'exact_match') {
+          cartOfferAlternatives(product, res);
+          return;
         }
-      }
-    ]);
 
-    lockInput('Please choose an option above');
+        cartAddVariant(product, res.exact);
+      })
+      .catch(function (e) {
+        warn('Add to cart lookup failed', e);
+        appendAI(copy('cart.unavailable'));
+        lockInput();
+      });
   }
 
-  function normalizeGenderForCollectionFilter(gender) {
-    // Heuristics only. No hardcoding product data.
-    // You can refine later by naming conventions of collections.
-    return gender === 'women' ? 'women' : 'men';
-  }
+  /* ============================================================
+     11) COMPOSER (TEXT INPUT)
+     - Core sizing sessions consume text first
+     - Otherwise text is handed to modules via input:submit
+  ============================================================ */
 
-  function filterCollectionsForGender(collections, gender) {
-    gender = normalizeGenderForCollectionFilter(gender);
-    var out = [];
-    var i;
+  function deactivateCoreFlows() {
+    resetStepRenderer();
+    clearStepHistory();
 
-    for (i = 0; i < collections.length; i++) {
-      var c = collections[i];
-      if (!c) continue;
+    globalSizingFlow.active = false;
+    globalSizingFlow.routeId = null;
+    globalSizingResetSession();
+
+    productSizingFlow.active = false;
+    productSizingFlow.routeId = null;
+    productSizingResetSession();
+  }
 
-      var handle = toStr(c.handle || '');
-      var title = toStr(c.title || '');
+  function handleComposerSubmit() {
+    if (!dom.input) return;
+    if (state.inputLocked && !composerAcceptsFreeText()) return;
 
-      if (!handle || !title) continue;
+    var text = toStr(dom.input.value).trim();
+    if (!text) return;
 
-      // Exclude obvious non-product collections
-      if (/all|frontpage|featured|new|sale|journal|stories|lookbook|gift|about|policy|shipping/i.test(handle)) continue;
+    dom.input.value = '';
+    appendUser(text);
 
-      // Exclude generic gender landing collections that create "Man man"/"Woman woman"
-      if (/^(men|mens|man|women|womens|woman)$/i.test(handle)) continue;
-      if (/^(men|mens|man|women|womens|woman)$/i.test(title.trim())) continue;
+    if (globalSizingFlow.active) {
+      globalSizingHandleText(text);
+      return;
+    }
 
-      // Gender inclusion
-      if (gender === 'men') {
-        if (/(men|mens|man)\b/i.test(handle) || /(men|mens)\b/i.test(title)) out.push(c);
-      } else {
-        if (/(women|womens|woman)\b/i.test(handle) || /(women|womens)\b/i.test(title)) out.push(c);
-      }
+    if (productSizingFlow.active) {
+      productSizingHandleText(text);
+      return;
     }
 
-    // If heuristic yields nothing, fall back to all collections (still dynamic)
-    if (!out.length) out = collections.slice();
+    if (submitToStepInput(text)) return;
 
-    // Sort predictable (alphabetical)
-    out.sort(function (a, b) {
-      var at = toStr(a.title || '').toLowerCase();
-      var bt = toStr(b.title || '').toLowerCase();
-      if (at < bt) return -1;
-      if (at > bt) return 1;
-      return 0;
+    // Nobody owns the composer: work out what the customer wants.
+    if (!state.flow.activeModule && CONFIG.classifier.enabled) {
+      removeExistingChoiceUIs();
+      handleFreeText(text);
+      return;
+    }
+
+    bus.emit('input:submit', {
+      text: text,
+      intent: state.flow.intent || null,
+      step: state.flow.step || null,
+      routeId: state.flow.routeId || null
     });
+  }
 
-    return out;
+  /* ============================================================
+     12) ENTRY + RESTART
+  ============================================================ */
+
+  function renderEntryIfAvailable() {
+    if (!dom.body) return;
+
+    if (!state.entryRenderedOnce || !(state.messages || []).length) {
+      state.entryRenderedOnce = true;
+      appendAI(copy('core.greeting'));
+    }
+
+    if (!state.inputLocked) return;
+    if (hasPillGroupInDom()) return;
+
+    renderMainMenuPills();
+    lockInput();
   }
 
-  function productSizingAskCategory() {
-    state.flow.step = 'product_category_loading';
+  function restart() {
+    deactivateCoreFlows();
+
+    state.flow.intent = null;
+    state.flow.step = 'entry';
+    state.flow.payload = {};
+    state.flow.activeModule = null;
     persistNow();
 
-    appendAI("What type of product are you sizing?");
-    appendAI("Loading categories…");
+    removeExistingChoiceUIs();
+    renderMainMenuPills();
+    lockInput();
 
-    lockInput('Loading categories…');
+    bus.emit('flow:restart', {});
+    return null;
+  }
 
-    fetchJson(CONFIG.endpoints.collectionsJson)
-      .then(function (data) {
-        var collections = (data && data.collections) ? data.collections : [];
-        collections = Array.isArray(collections) ? collections : [];
+  function getState() {
+    return state;
+  }
 
-        var filtered = filterCollectionsForGender(collections, productSizingFlow.gender);
+  /* ============================================================
+     13) BOOT
+  ============================================================ */
 
-        // Convert to card items
-        var cards = filtered.map(function (c) {
-          var img = '';
-          try {
-            if (c.image && c.image.src) img = c.image.src;
-          } catch (e) {}
+  function recoverStaleFlow() {
+    if (!state.flow || typeof state.flow !== 'object') {
+      state.flow = { intent: null, step: 'entry', payload: {}, activeModule: null, routeId: null };
+    }
 
-          var rawTitle = toStr(c.title || '');
-          var cleanTitle = cleanCategoryTitle(rawTitle);
+    // Core sizing sessions (and return-style flows) live in memory only.
+    // After a reload there is nothing to resume, so go back to the menu.
+    // Module-owned flows handle their own resume.
+    if (state.flow.activeModule) return;
 
-          return {
-            title: cleanTitle || rawTitle,
-            // Don't show internal handles as customer-facing subtitles
-            subtitle: '',
-            image: img,
-            value: { handle: toStr(c.handle || ''), title: toStr(c.title || '') }
-          };
-        }).filter(function (x) { return x && x.value && x.value.handle; });
+    state.flow.intent = null;
+    state.flow.step = 'entry';
+    state.flow.payload = {};
+    state.inputLocked = true;
+    state.inputLockPlaceholder = copy('core.choose_option');
+  }
 
-        // Remove duplicates by cleaned title (prevents repeats like "Jackets" twice)
-        cards = dedupeByKey(cards, function (it) {
-          return toStr(it.title || '');
-        });
+  function boot() {
+    if (state.hasBooted) return;
 
-        state.flow.step = 'product_category';
-        persistNow();
+    if (!findDom()) {
+      log('Panel markup not found, not booting');
+      return;
+    }
 
-        // Replace the “Loading…” line with choices
-        renderCardGrid(cards, {
-          userEchoTitle: true,
-          onSelect: function (value, item) {
-            productSizingFlow.category = { handle: value.handle, title: value.title };
+    state.hasBooted = true;
 
-            state.sizing.last.category_handle = value.handle;
-            state.sizing.last.category_title = value.title;
-            persistNow();
+    // Modules are loaded now: apply DLCopilotSizing's ranges to the restored profile.
+    state.sizing.measurements = validMeasurements(state.sizing.measurements);
 
-            productSizingAskProduct();
-          }
-        });
+    recoverStaleFlow();
+    resumeAnalyticsSession();
+    reRenderAllMessagesFromState();
+    applyInputLockState();
+    bindAccessibility();
+    bindCrossTabSync();
+    applyPendingContactPrefill();
+    loadBrandSizes();
+
+    dom.send.addEventListener('click', function (e) {
+      e.preventDefault();
+      handleComposerSubmit();
+    });
 
-        lockInput('Please choose an option above');
-      })
-      .catch(function (e) {
-        warn('collections.json failed', e);
-        appendAI("I couldn’t load categories right now. Please try again.");
-        renderMainMenuPills();
-        lockInput('Please choose an option above');
-        productSizingStop();
-      });
+    dom.input.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        handleComposerSubmit();
+      }
+    });
+
+    if (state.isOpen) openPanel();
+
+    log('booted', getRegistry());
+    bus.emit('core:ready', { registry: getRegistry() });
   }
 
-  // ... (REST OF YOUR ORIGINAL FILE CONTINUES UNCHANGED)
-  // IMPORTANT:
-  // Keep the remaining content exactly as-is from your current core file,
-  // starting from productSizingAskProduct() onward, through boot().
-  //
-  // I am not truncating in intent, but the response has to be split.
-  // Paste Part 1 + Part 2 + Part 3 sequentially into the same file.
+  /* ============================================================
+     14) PUBLIC API
+     - window.DLCopilot      (modules: registerModule)
+     - window.DLCopilotCore  (flows: registerFlow, restart, getState)
+     Both point at the same object.
+  ============================================================ */
+
+  var api = {
+    __coreInitialized: true,
+    version: 'v5',
+
+    config: CONFIG,
+    state: state,
+
+    on: bus.on,
+    once: bus.once,
+    off: bus.off,
+    emit: bus.emit,
+    emitAsync: bus.emitAsync,
+
+    persist: persistNow,
+
+    appendAI: appendAI,
+    appendBlock: appendBlock,
+    appendUser: appendUser,
+    clearMessages: clearMessages,
+
+    renderPills: renderPills,
+    renderCardGrid: renderCardGrid,
+    removeExistingChoiceUIs: removeExistingChoiceUIs,
+    renderStep: renderStep,
+    renderMainMenu: renderMainMenuPills,
+    renderEntryIfAvailable: renderEntryIfAvailable,
+
+    setInputLocked: setInputLocked,
+    lockInput: lockInput,
+    unlockInput: unlockInput,
+    setComposerPlaceholder: setComposerPlaceholder,
+
+    open: openPanel,
+    close: closePanel,
+
+    registerModule: registerModule,
+    registerFlow: registerFlow,
+    getRegistry: getRegistry,
+    normalizeIntent: normalizeIntent,
+    route: routeIntent,
+    restart: restart,
+    back: goBack,
+    canGoBack: canGoBack,
+    recordStep: recordStep,
+
+    analytics: {
+      track: function (name, data) { return trackEvent(name, data); },
+      registerSink: registerAnalyticsSink,
+      removeSink: removeAnalyticsSink,
+      buffer: function () { return analyticsBuffer.slice(); },
+      sessionId: analyticsSessionId
+    },
+
+    exportTranscript: exportTranscript,
+    downloadTranscript: downloadTranscript,
+    printTranscript: printTranscript,
+    prefillContactForm: prefillContactForm,
+    getState: getState,
+
+    // Empty unless window.DL_COPILOT_DEBUG was set before core loaded
+    debug: {
+      events: function () { return debugTrace.events.slice(); },
+      clearEvents: function () { debugTrace.events.length = 0; },
+      lastSchema: function () { return debugTrace.lastSchema; }
+    },
+
+    t: copy,
+    registerMessages: registerMessages,
+    i18n: {
+      t: copy,
+      has: hasCopy,
+      registerMessages: registerMessages,
+      setLocale: switchLocale,
+      getLocale: getLocale,
+      chain: function () { return i18n.chain.slice(); }
+    },
+
+    utils: {
+      toStr: toStr,
+      toInt: toInt,
+      escapeText: escapeText,
+      sanitizeHtml: sanitizeHtml,
+      configureSanitizer: configureSanitizer,
+      fetchJson: fetchJson,
+      nowId: nowId,
+      cleanCategoryTitle: cleanCategoryTitle,
+      dedupeByKey: dedupeByKey,
+      isLikelyProductPage: isLikelyProductPage,
+      isLikelyCollectionPage: isLikelyCollectionPage
+    }
+  };
 
+  // Restore before exposing: modules hydrate from api.state at registration.
+  restoreFromStorage();
+
+  window.DLCopilot = api;
+  window.DLCopilotCore = api;
+
+  /* ============================================================
+     15) CORE FLOW REGISTRATION
+  ============================================================ */
+
+  registerFlow('size_guidance', {
+    label: function (ctx) { return copy(ctx.hasSizingProfile ? 'menu.size_review' : 'menu.size_new'); },
+    aliases: ['recommend_my_size', 'size', 'sizing', 'review_size'],
+    keywords: {
+      'size': 2, 'sizing': 2, 'fit': 1, 'measurement': 1, 'height': 1, 'weight': 1, 'tall': 1,
+      'what size': 2, 'which size': 2, 'my size': 2, 'size guide': 2, 'too big': 2, 'too small': 2
+    },
+    priority: 10,
+    payload: function (ctx) { return { mode: ctx.hasSizingProfile ? 'review' : 'new' }; },
+    start: globalSizingStart
+  });
+
+  registerFlow('size_product', {
+    label: function () { return copy('menu.size_product'); },
+    aliases: ['find_size_for_product', 'product_size'],
+    keywords: {
+      'this piece': 2, 'this jacket': 2, 'this product': 2, 'this one': 1,
+      'jacket': 1, 'blazer': 1, 'coat': 1, 'suit': 1, 'trousers': 1, 'shirt': 1, 'knit': 1
+    },
+    priority: 15,
+    start: productSizingStart
+  });
+
+  // Product pages only: same flow, started on the piece being viewed.
+  registerFlow('size_this_piece', {
+    label: function () { return copy('menu.size_this_piece'); },
+    aliases: ['size_current_product'],
+    keywords: { 'this piece': 3, 'this jacket': 3, 'this product': 3, 'this one': 2 },
+    priority: 5,
+    visible: function (ctx) { return !!ctx.currentProductHandle; },
+    payload: function (ctx) { return { product_handle: ctx.currentProductHandle, source: 'product_page' }; },
+    start: productSizingStart
+  });
+
+  registerFlow('transcript', {
+    label: function () { return copy('menu.transcript'); },
+    aliases: ['size_summary', 'summary', 'export', 'transcript'],
+    keywords: ['summary', 'email', 'send me', 'print', 'pdf', 'transcript', 'screenshot', 'save', 'atelier'],
+    priority: 40,
+    visible: function (ctx) { return ctx.hasSizingProfile || (ctx.state.messages || []).length > 2; },
+    start: transcriptStart
+  });
+
+  // Deferred module scripts run before DOMContentLoaded, so they have
+  // registered by the time we boot.
+  if (document.readyState === 'complete') {
+    setTimeout(boot, 0);
+  } else {
+    document.addEventListener('DOMContentLoaded', boot);
+    window.addEventListener('load', boot);
+  }
+})();
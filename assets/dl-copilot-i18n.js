@@ -0,0 +1,1261 @@
+/* ============================================================
+   DL CO-PILOT — TRANSLATIONS (IT / ES / DE / FR)
+   File: assets/dl-copilot-i18n.js
+
+   Responsibilities:
+   - Registers the non-English copy catalogs with core
+   - Same locales as the size option names extractAvailableSizes
+     already understands (Taglia / Talla / Größe / Taille)
+   - English defaults live next to the code that uses them
+     (core 2.1, order, styling, products engine, triggers)
+
+   Keys missing here fall back to English. Merchants can override any
+   key per locale from the section settings ("Copy overrides").
+   Placeholders in {braces} must be kept as-is.
+============================================================ */
+
+(function () {
+  'use strict';
+
+  if (!window.DLCopilotCore || typeof window.DLCopilotCore.registerMessages !== 'function') {
+    return;
+  }
+
+  var register = window.DLCopilotCore.registerMessages;
+
+  /* ============================================================
+     ITALIANO
+  ============================================================ */
+
+  register('it', {
+    'core.greeting': 'Ciao, sono il Co-Pilot di Drape Layers. Come posso aiutarti oggi?',
+    'core.choose_option': 'Scegli un’opzione qui sopra',
+    'core.loading': 'Caricamento…',
+    'core.step_failed': 'Spiacenti, qualcosa è andato storto. Ricominciamo.',
+    'core.option_unavailable': 'Spiacenti, questa opzione non è disponibile al momento.',
+    'core.main_menu': 'Menu principale',
+    'core.back': 'Indietro',
+    'core.back_aria': 'Torna al passaggio precedente',
+    'core.expired': 'Queste opzioni sono scadute.',
+    'core.composer.placeholder': 'Scrivi un messaggio…',
+    'core.composer.free_text': 'Scegli un’opzione o scrivi la tua domanda…',
+    'core.a11y.locked': 'Non è possibile scrivere in questo passaggio. {placeholder}.',
+    'core.a11y.free_text': 'Scegli una delle opzioni qui sopra o scrivi la tua domanda.',
+    'core.a11y.options': 'Opzioni',
+    'core.a11y.choices': 'Scelte',
+
+    'menu.size_new': 'Consigliami la taglia',
+    'menu.size_review': 'Rivedi la taglia consigliata',
+    'menu.size_product': 'Trova la mia taglia per un capo',
+    'menu.size_this_piece': 'Trova la mia taglia per questo capo',
+    'menu.transcript': 'Inviami il riepilogo taglie',
+
+    'classifier.confirm': 'Solo per conferma: quale di queste intendi?',
+    'classifier.something_else': 'Altro',
+    'classifier.no_problem': 'Nessun problema. Ecco come posso aiutarti:',
+    'classifier.not_understood': 'Non sono sicuro di aver capito. Ecco come posso aiutarti:',
+
+    'rec.intro': 'Per {title} ti consiglio:',
+    'rec.size': 'Taglia',
+    'rec.length': 'Lunghezza',
+    'rec.confirm': 'Ti sembra corretto?',
+    'rec.fit_limiting': 'Misura decisiva: {measurement}, {ease} di margine',
+    'rec.fit_short': 'La misura {measurement} supera di {ease} anche questa taglia; il nostro atelier può consigliarti',
+    'rec.by_measurement': 'Per misura',
+    'rec.fit_pref': 'Vestibilità: {preference}',
+    'rec.fit_pref_up': 'Vestibilità: {preference}, quindi una taglia in più di {from}',
+    'rec.fit_pref_down': 'Vestibilità: {preference}, quindi una taglia in meno di {from}',
+    'rec.fit_pref_largest': 'Vestibilità: {preference}, ma {size} è già la taglia più grande disponibile',
+    'rec.fit_pref_smallest': 'Vestibilità: {preference}, ma {size} è già la taglia più piccola disponibile',
+    'rec.fit_pref_tight': 'Vestibilità: {preference}, ma una taglia in meno sarebbe stretta per le tue misure',
+    'rec.confidence': 'Affidabilità: {level}',
+    'rec.confidence.high': 'alta',
+    'rec.confidence.medium': 'media',
+    'rec.confidence.low': 'bassa',
+    'rec.reason.anchored_on_usual': 'in base alla tua taglia abituale {value}',
+    'rec.reason.from_measurements': 'confrontata con la tabella taglie',
+    'rec.reason.derived_from_proportions': 'stimata da altezza e peso',
+    'rec.reason.no_body_data': 'senza altezza e peso',
+    'rec.reason.clamped': '{from} non è disponibile, quindi la taglia più vicina',
+    'rec.reason.gender_unknown': 'senza sapere se vesti uomo o donna',
+    'rec.reason.height_outside_length_table': 'la tua altezza è fuori dalla nostra guida alle lunghezze',
+    'rec.alternative': 'Tra due taglie: vale la pena considerare anche {size}',
+
+    'sizing.unavailable': 'Il calcolo della taglia non è disponibile al momento.',
+    'sizing.setup_profile': 'Impostiamo il tuo profilo taglie.',
+    'sizing.saved_profile': 'Ho già salvato queste misure:',
+    'sizing.profile_saved': 'Perfetto. Ho salvato:',
+    'sizing.profile_height': 'Altezza: {value}',
+    'sizing.profile_weight': 'Peso: {value}',
+    'sizing.still_correct': 'Sono ancora corrette?',
+    'sizing.yes_correct': 'Sì, sono corrette',
+    'sizing.no_update': 'No, aggiornale',
+    'sizing.no_adjust': 'No, modifica',
+    'sizing.update_body': 'Nessun problema. Aggiorniamo le tue misure.',
+    'sizing.ask_target': 'Per cosa vuoi la taglia?',
+    'sizing.ask_target_confirmed': 'Ottimo. Per cosa vuoi la taglia?',
+    'sizing.target_product': 'Un capo specifico',
+    'sizing.target_category': 'Una categoria di prodotti (taglia generale)',
+    'sizing.target_product_intro': 'Perfetto. Troviamo la taglia per un capo specifico.',
+    'sizing.target_category_intro': 'Perfetto. Facciamo una raccomandazione per categoria.',
+    'sizing.ask_height': 'Quanto sei alto/a in cm?',
+    'sizing.ask_weight': 'Quanto pesi in kg?',
+    'sizing.got_height': 'Ricevuto. Quanto pesi in kg?',
+    'sizing.retry_height': 'Indica la tua altezza in cm con un numero (es. 178).',
+    'sizing.retry_weight': 'Indica il tuo peso in kg con un numero (es. 75).',
+    'sizing.placeholder_height': 'es. 178',
+    'sizing.placeholder_weight': 'es. 75',
+    'sizing.ask_gender': 'Per chi stai acquistando?',
+    'sizing.gender_men': 'Uomo',
+    'sizing.gender_women': 'Donna',
+    'sizing.ask_category': 'Per quale categoria vuoi la taglia?',
+    'sizing.ask_product_type': 'Che tipo di capo vuoi misurare?',
+    'sizing.loading_categories': 'Caricamento categorie…',
+    'sizing.categories_failed': 'Non riesco a caricare le categorie ora. Riprova.',
+    'sizing.this_category': 'questa categoria',
+    'sizing.this_piece': 'questo capo',
+    'sizing.saved_usual': 'Ho salvato la tua taglia abituale per {category}: {size}.<br>Vuoi usarla?',
+    'sizing.use_saved': 'Sì, usa {size}',
+    'sizing.enter_different': 'No, inserisci un’altra taglia',
+    'sizing.calculating': 'Calcolo in corso…',
+    'sizing.calculating_message': 'Sto calcolando la taglia consigliata…',
+    'sizing.next_help': 'Perfetto. Come posso aiutarti ora?',
+    'sizing.adjust_category': 'Nessun problema. Modifichiamo la tua taglia abituale per questa categoria.',
+    'sizing.adjust_usual': 'Nessun problema. Modifichiamo la tua taglia abituale.',
+    'sizing.product_intro': 'Certo. Troviamo la tua taglia per un capo specifico.',
+    'sizing.current_intro': 'Certo. Troviamo la tua taglia per {title}.',
+    'sizing.current_failed': 'Non riesco a leggere questo capo. Scegliamolo insieme.',
+    'sizing.collection_preselected': 'Stai guardando {category}, quindi userò questa categoria.',
+    'sizing.collection_use': 'Continua con {category}',
+    'sizing.collection_change': 'Cambia',
+    'sizing.measure.offer': 'Questo capo ha una tabella taglie. Se conosci le tue misure ({measurements}), posso confrontarle con la tabella.',
+    'sizing.measure.use': 'Usa le mie misure',
+    'sizing.measure.use_body': 'Usa altezza e peso',
+    'sizing.measure.ask': 'Inviami le tue misure in cm, per esempio “petto 98, vita 84”. Questa tabella riporta {measurements}.',
+    'sizing.measure.placeholder': 'es. petto 98, vita 84',
+    'sizing.measure.retry': 'Non trovo una misura presente in questa tabella ({measurements}). Prova per esempio con “petto 98”.',
+    'sizing.measure.saved': 'Ho le tue misure: {measurements}.',
+    'sizing.measure.use_saved': 'Usa queste',
+    'sizing.measure.enter_new': 'No, inserisci nuove misure',
+    'sizing.measure.adjust': 'Nessun problema. Inviami di nuovo le tue misure.',
+    'sizing.measure.no_match': 'Queste misure non sono nella tabella di questo capo, quindi useremo altezza e peso.',
+    'sizing.measure.value': '{name} {value} cm',
+    'sizing.measure.name.chest': 'petto',
+    'sizing.measure.name.waist': 'vita',
+    'sizing.measure.name.hip': 'fianchi',
+    'sizing.measure.name.shoulder': 'spalle',
+    'sizing.measure.name.sleeve': 'manica',
+    'sizing.measure.name.inseam': 'cavallo interno',
+    'sizing.fit.ask': 'Come ti piace che vesta {category}?',
+    'sizing.fit.saved': 'Per {category} preferisci questa vestibilità: {preference}.<br>La manteniamo?',
+    'sizing.fit.keep': 'Sì, mantieni “{preference}”',
+    'sizing.fit.change': 'Cambia vestibilità',
+    'sizing.fit.close': 'Aderente',
+    'sizing.fit.true_to_size': 'Regolare',
+    'sizing.fit.relaxed': 'Morbida',
+    'sizing.fit.layering': 'Sopra la maglieria',
+    'sizing.converted': '{from} corrisponde a {to} nelle nostre taglie.',
+    'sizing.converted_brand': '{from} da {brand} corrisponde a {to} nelle nostre taglie.',
+    'sizing.ask_piece': 'Quale capo vuoi misurare?',
+    'sizing.loading_products': 'Caricamento prodotti…',
+    'sizing.loading_product': 'Caricamento prodotto…',
+    'sizing.no_pieces': 'Non ho trovato capi in questa categoria. Scegline un’altra.',
+    'sizing.products_failed': 'Non riesco a caricare i prodotti ora. Riprova.',
+    'sizing.calc_failed': 'Non sono riuscito a calcolare una taglia per questo capo.',
+    'sizing.size_another': 'Misura un altro capo',
+    'sizing.collar': 'Collo {value}',
+
+    'sizing.usual.usual_size_eu.ask': 'Qual è la tua taglia EU abituale?',
+    'sizing.usual.usual_size_eu.ask_for': 'Qual è la tua taglia EU abituale per {category}?',
+    'sizing.usual.usual_size_eu.placeholder': 'es. 48',
+    'sizing.usual.usual_size_eu.retry': 'Indica la tua taglia EU abituale con un numero (es. 48).',
+    'sizing.usual.shirt_size_eu.ask': 'Qual è la tua misura di collo abituale?',
+    'sizing.usual.shirt_size_eu.ask_for': 'Qual è la tua misura di collo abituale per {category}?',
+    'sizing.usual.shirt_size_eu.placeholder': 'es. 40',
+    'sizing.usual.shirt_size_eu.retry': 'Indica la misura del collo con un numero (es. 40).',
+    'sizing.usual.alpha_size.ask': 'Qual è la tua taglia abituale (XS–XXL)?',
+    'sizing.usual.alpha_size.ask_for': 'Qual è la tua taglia abituale (XS–XXL) per {category}?',
+    'sizing.usual.alpha_size.placeholder': 'es. M',
+    'sizing.usual.alpha_size.retry': 'Indica la tua taglia abituale come XS, S, M, L, XL o XXL.',
+    'sizing.usual.waist_inch.ask': 'Qual è la tua misura di vita abituale in pollici?',
+    'sizing.usual.waist_inch.ask_for': 'Qual è la tua misura di vita abituale in pollici per {category}?',
+    'sizing.usual.waist_inch.placeholder': 'es. W32',
+    'sizing.usual.waist_inch.retry': 'Indica la misura della vita in pollici (es. W32).',
+
+    'cart.add': 'Aggiungi taglia {size} · {length} alla borsa',
+    'cart.add_size': 'Aggiungi taglia {size} alla borsa',
+    'cart.add_variant': 'Aggiungi {variant} alla borsa',
+    'cart.adding': 'Aggiunta alla borsa…',
+    'cart.added': 'Ho aggiunto <strong>{title}</strong> ({variant}) alla tua borsa.',
+    'cart.count_one': 'Ora nella borsa c’è 1 articolo.',
+    'cart.count_other': 'Ora nella borsa ci sono {count} articoli.',
+    'cart.view': 'Vedi la borsa',
+    'cart.open_product': 'Apri la pagina del prodotto',
+    'cart.not_offered': '{variant} non è disponibile per questo capo.',
+    'cart.sold_out': '{variant} è esaurita al momento.',
+    'cart.alternatives': 'Queste sono disponibili:',
+    'cart.no_alternatives': 'Al momento non ci sono taglie vicine alla tua disponibili.',
+    'cart.failed': 'Non sono riuscito ad aggiungerlo alla borsa. Riprova o sceglilo nella pagina del prodotto.',
+    'cart.unavailable': 'L’aggiunta alla borsa non è disponibile al momento.',
+    'triggers.product_time': 'Non sei sicuro della vestibilità? Posso trovare la tua taglia per questo capo.',
+    'triggers.size_changes': 'Indeciso tra due taglie? Posso consigliarti quella giusta.',
+    'triggers.exit_intent': 'Prima di andare: posso aiutarti a trovare la tua taglia?',
+    'triggers.return_incomplete': 'Bentornato. Finiamo di trovare la tua taglia?',
+    'triggers.action': 'Iniziamo',
+    'triggers.dismiss': 'Chiudi',
+
+    'transcript.title': 'Drape Layers Co-Pilot — riepilogo taglie',
+    'transcript.email_subject': 'Il mio riepilogo taglie Drape Layers',
+    'transcript.date': 'Data: {date}',
+    'transcript.profile': 'Profilo',
+    'transcript.height': 'Altezza: {value}',
+    'transcript.weight': 'Peso: {value}',
+    'transcript.measurements': 'Misure: {value}',
+    'transcript.collection': 'Collezione: {value}',
+    'transcript.collection_men': 'Uomo',
+    'transcript.collection_women': 'Donna',
+    'transcript.saved_sizes': 'Taglie salvate',
+    'transcript.recommended': 'consigliata {value}',
+    'transcript.usual': 'abituale {value}',
+    'transcript.fit': 'vestibilità: {value}',
+    'transcript.general': 'Generale',
+    'transcript.conversation': 'Conversazione',
+    'transcript.you': 'Tu',
+    'transcript.copilot': 'Co-Pilot',
+    'transcript.ask': 'Posso riunire le tue taglie e la nostra conversazione in un unico riepilogo. Come preferisci riceverlo?',
+    'transcript.to_atelier': 'Invialo al nostro atelier',
+    'transcript.to_self': 'Invialo a me via email',
+    'transcript.print': 'Stampa o salva come PDF',
+    'transcript.download': 'Scarica come testo',
+    'transcript.filled': 'Ho aggiunto il riepilogo al modulo di contatto in questa pagina. Inserisci la tua email e premi invia.',
+    'transcript.redirect': 'Ti porto al modulo di contatto: il riepilogo sarà già compilato.',
+    'transcript.contact_failed': 'Non riesco ad aprire il modulo di contatto. Prova un’altra opzione.',
+    'transcript.emailed': 'Ho aperto una nuova email con il riepilogo. Aggiungi il tuo indirizzo e inviala a te stesso/a.',
+    'transcript.printed': 'Il riepilogo è aperto in una nuova finestra, pronto da stampare o salvare come PDF.',
+    'transcript.print_blocked': 'Il browser ha bloccato la finestra di stampa. Puoi invece scaricare il riepilogo.',
+    'transcript.downloading': 'Il download del riepilogo è in corso.',
+
+    'order.menu': 'Aiuto con il mio ordine',
+    'order.ask': 'Come posso aiutarti con il tuo ordine?',
+    'order.status': 'Stato dell’ordine',
+    'order.track_my_order': 'Traccia il mio ordine',
+    'order.view_status': 'Vedi lo stato dell’ordine',
+    'order.track_shipment': 'Traccia la spedizione',
+    'order.shipping_info': 'Informazioni sulla spedizione',
+    'order.returns': 'Resi e rimborsi',
+    'order.back_to_main': 'Torna alle opzioni principali',
+    'order.back_to_returns': 'Torna ai resi',
+    'order.how_to_refund': 'Come richiedere un rimborso',
+    'order.ask_number': 'Inserisci il numero dell’ordine.',
+    'order.ask_number_hint': 'Lo trovi nell’email di conferma.',
+    'order.number_placeholder': 'es. DL-10234',
+    'order.invalid_number': 'Inserisci un numero d’ordine valido.',
+    'order.noted': 'Grazie. Ho annotato l’ordine {number}.',
+    'order.can_help': 'Ecco come posso aiutarti:',
+    'order.status_body':
+      '<strong>Stato dell’ordine</strong><br><br>' +
+      'Tutti i capi Drape Layers sono realizzati su ordinazione.<br>' +
+      'Il tuo ordine attraversa quindi queste fasi:' +
+      '<ul>' +
+      '<li>Ordine confermato</li>' +
+      '<li>Assegnazione di modello e materiali</li>' +
+      '<li>Produzione</li>' +
+      '<li>Controllo qualità finale</li>' +
+      '<li>Spedizione</li>' +
+      '</ul>' +
+      'Riceverai aggiornamenti via email man mano che l’ordine avanza.',
+    'order.tracking_body':
+      '<strong>Tracciare il tuo ordine</strong><br><br>' +
+      'Quando l’ordine sarà spedito riceverai un’email di conferma della spedizione con:' +
+      '<ul>' +
+      '<li>Il numero di tracciamento</li>' +
+      '<li>Il corriere utilizzato</li>' +
+      '<li>Un link diretto per il tracciamento</li>' +
+      '</ul>' +
+      'Se non l’hai ancora ricevuta, il tuo ordine è ancora in produzione.',
+    'order.shipping_fallback':
+      '<p>I tempi di consegna variano in base al prodotto e alla destinazione.</p>' +
+      '<p>Tutti gli ordini vengono spediti al termine della produzione.</p>',
+    'order.returns_fallback':
+      '<p>Tutti i capi Drape Layers sono realizzati su ordinazione.</p>' +
+      '<p>Non effettuiamo cambi.</p>' +
+      '<p>Le richieste di rimborso possono essere inviate secondo la nostra politica di reso.</p>',
+    'order.refund_body':
+      '<strong>Richiedere un rimborso</strong><br><br>' +
+      'Per richiedere un rimborso contatta il nostro servizio clienti indicando:' +
+      '<ul>' +
+      '<li>Il numero dell’ordine</li>' +
+      '<li>Il motivo della richiesta</li>' +
+      '</ul>' +
+      'Ogni richiesta viene valutata singolarmente.',
+
+    'styling.menu': 'Crea un outfit',
+    'styling.missing_journal': 'Lo styling non è disponibile perché mancano i dati del journal.',
+    'styling.missing_products': 'Lo styling non è disponibile perché mancano i dati dei prodotti.',
+    'styling.ask_context': 'Per quale occasione ti vesti?',
+    'styling.context.everyday': 'Tutti i giorni',
+    'styling.context.work': 'Lavoro',
+    'styling.context.social_evening': 'Serata',
+    'styling.context.sunday_stroll': 'Passeggiata domenicale',
+    'styling.context.smart_casual': 'Smart casual',
+    'styling.great': 'Ottimo.',
+    'styling.ask_formality': 'Quanto deve essere formale?',
+    'styling.formality.relaxed': 'Rilassato',
+    'styling.formality.balanced': 'Equilibrato',
+    'styling.formality.sharp': 'Elegante',
+    'styling.perfect': 'Perfetto.',
+    'styling.curating': 'Seleziono gli outfit dal nostro journal…',
+    'styling.curating_short': 'Selezione in corso…',
+    'styling.no_outfit': 'Non ho trovato un outfit editoriale adatto.',
+    'styling.outfit_options': 'Ecco alcune proposte di outfit:',
+    'styling.outfit_n': 'Outfit {n}',
+    'styling.back_to_start': 'Torna all’inizio',
+    'styling.next': 'Cosa vuoi fare adesso?',
+    'styling.recommend_size': 'Consigliami la taglia',
+    'styling.another_outfit': 'Un altro outfit',
+    'styling.engine.formality_work': '“Lavoro” può voler dire molte cose. Quale livello di formalità si adatta alle tue giornate?',
+    'styling.engine.formality_everyday': '“Tutti i giorni” può voler dire molte cose. Quale livello di formalità preferisci?',
+    'styling.engine.formality': 'Quale livello di formalità preferisci?',
+    'styling.engine.outfit_header': 'Outfit editoriale {n} di {total}',
+    'styling.engine.prev': 'Outfit precedente',
+    'styling.engine.next': 'Outfit successivo',
+    'styling.engine.guide_size': 'Aiutami con la taglia',
+    'styling.engine.back_to_options': 'Torna alle opzioni di styling',
+    'styling.engine.ask_reference': 'Dammi un riferimento di prodotto (nostro o simile). Scrivi il nome di un prodotto.',
+    'styling.engine.reference_placeholder': 'Scrivi il nome di un prodotto',
+    'styling.engine.type_product': 'Scrivi il nome di un prodotto per continuare.',
+    'styling.engine.no_match': 'Nessun risultato. Prova con un altro nome.',
+    'styling.engine.no_outfits_for_piece': 'Non ho ancora outfit editoriali legati a questo capo. Prova un altro riferimento o torna alle opzioni di styling.',
+    'styling.engine.try_another': 'Prova un altro prodotto',
+    'styling.engine.type_another': 'Scrivi il nome di un altro prodotto.',
+    'styling.engine.no_outfits': 'Nessun outfit disponibile.',
+    'styling.engine.sizing_unavailable': 'Il calcolo della taglia non è disponibile al momento.'
+  });
+
+  /* ============================================================
+     ESPAÑOL
+  ============================================================ */
+
+  register('es', {
+    'core.greeting': 'Hola, soy el Co-Pilot de Drape Layers. ¿En qué puedo ayudarte hoy?',
+    'core.choose_option': 'Elige una opción de arriba',
+    'core.loading': 'Cargando…',
+    'core.step_failed': 'Lo sentimos, algo ha salido mal. Empecemos de nuevo.',
+    'core.option_unavailable': 'Lo sentimos, esta opción no está disponible ahora mismo.',
+    'core.main_menu': 'Menú principal',
+    'core.back': 'Atrás',
+    'core.back_aria': 'Volver un paso atrás',
+    'core.expired': 'Estas opciones han caducado.',
+    'core.composer.placeholder': 'Escribe tu mensaje…',
+    'core.composer.free_text': 'Elige una opción o escribe tu pregunta…',
+    'core.a11y.locked': 'No se puede escribir en este paso. {placeholder}.',
+    'core.a11y.free_text': 'Elige una de las opciones de arriba o escribe tu pregunta.',
+    'core.a11y.options': 'Opciones',
+    'core.a11y.choices': 'Selección',
+
+    'menu.size_new': 'Recomiéndame una talla',
+    'menu.size_review': 'Revisar mi talla recomendada',
+    'menu.size_product': 'Encontrar mi talla para una prenda',
+    'menu.size_this_piece': 'Encontrar mi talla para esta prenda',
+    'menu.transcript': 'Enviarme el resumen de tallas',
+
+    'classifier.confirm': 'Solo para confirmar: ¿a cuál de estas te refieres?',
+    'classifier.something_else': 'Otra cosa',
+    'classifier.no_problem': 'Sin problema. Esto es en lo que puedo ayudarte:',
+    'classifier.not_understood': 'No estoy seguro de haberte entendido. Esto es en lo que puedo ayudarte:',
+
+    'rec.intro': 'Para {title} te recomiendo:',
+    'rec.size': 'Talla',
+    'rec.length': 'Largo',
+    'rec.confirm': '¿Te parece correcto?',
+    'rec.fit_limiting': 'Medida decisiva: {measurement}, con {ease} de margen',
+    'rec.fit_short': 'Tu medida de {measurement} supera en {ease} incluso esta talla; nuestro atelier puede asesorarte',
+    'rec.by_measurement': 'Por medida',
+    'rec.fit_pref': 'Ajuste: {preference}',
+    'rec.fit_pref_up': 'Ajuste: {preference}, así que una talla más que {from}',
+    'rec.fit_pref_down': 'Ajuste: {preference}, así que una talla menos que {from}',
+    'rec.fit_pref_largest': 'Ajuste: {preference}, pero {size} ya es la talla más grande disponible',
+    'rec.fit_pref_smallest': 'Ajuste: {preference}, pero {size} ya es la talla más pequeña disponible',
+    'rec.fit_pref_tight': 'Ajuste: {preference}, pero una talla menos te quedaría justa según tus medidas',
+    'rec.confidence': 'Fiabilidad: {level}',
+    'rec.confidence.high': 'alta',
+    'rec.confidence.medium': 'media',
+    'rec.confidence.low': 'baja',
+    'rec.reason.anchored_on_usual': 'según tu talla habitual {value}',
+    'rec.reason.from_measurements': 'comparada con la tabla de tallas',
+    'rec.reason.derived_from_proportions': 'estimada a partir de tu altura y peso',
+    'rec.reason.no_body_data': 'sin tu altura ni tu peso',
+    'rec.reason.clamped': '{from} no está disponible, así que la talla más cercana',
+    'rec.reason.gender_unknown': 'sin saber si vistes hombre o mujer',
+    'rec.reason.height_outside_length_table': 'tu altura está fuera de nuestra guía de largos',
+    'rec.alternative': 'Entre dos tallas: también merece la pena considerar {size}',
+
+    'sizing.unavailable': 'El cálculo de talla no está disponible ahora mismo.',
+    'sizing.setup_profile': 'Vamos a crear tu perfil de tallas.',
+    'sizing.saved_profile': 'Ya tengo guardadas estas medidas:',
+    'sizing.profile_saved': 'Perfecto. He guardado:',
+    'sizing.profile_height': 'Altura: {value}',
+    'sizing.profile_weight': 'Peso: {value}',
+    'sizing.still_correct': '¿Siguen siendo correctas?',
+    'sizing.yes_correct': 'Sí, son correctas',
+    'sizing.no_update': 'No, actualizarlas',
+    'sizing.no_adjust': 'No, ajustar',
+    'sizing.update_body': 'Sin problema. Actualicemos tus medidas.',
+    'sizing.ask_target': '¿Para qué quieres la talla?',
+    'sizing.ask_target_confirmed': 'Genial. ¿Para qué quieres la talla?',
+    'sizing.target_product': 'Una prenda concreta',
+    'sizing.target_category': 'Una categoría de productos (talla general)',
+    'sizing.target_product_intro': 'Perfecto. Busquemos la talla de una prenda concreta.',
+    'sizing.target_category_intro': 'Perfecto. Hagamos una recomendación por categoría.',
+    'sizing.ask_height': '¿Cuánto mides en cm?',
+    'sizing.ask_weight': '¿Cuánto pesas en kg?',
+    'sizing.got_height': 'Entendido. ¿Cuánto pesas en kg?',
+    'sizing.retry_height': 'Indica tu altura en cm con un número (p. ej. 178).',
+    'sizing.retry_weight': 'Indica tu peso en kg con un número (p. ej. 75).',
+    'sizing.placeholder_height': 'p. ej. 178',
+    'sizing.placeholder_weight': 'p. ej. 75',
+    'sizing.ask_gender': '¿Para quién compras?',
+    'sizing.gender_men': 'Hombre',
+    'sizing.gender_women': 'Mujer',
+    'sizing.ask_category': '¿Para qué categoría quieres la talla?',
+    'sizing.ask_product_type': '¿Qué tipo de prenda quieres medir?',
+    'sizing.loading_categories': 'Cargando categorías…',
+    'sizing.categories_failed': 'No puedo cargar las categorías ahora. Inténtalo de nuevo.',
+    'sizing.this_category': 'esta categoría',
+    'sizing.this_piece': 'esta prenda',
+    'sizing.saved_usual': 'Tengo guardada tu talla habitual para {category}: {size}.<br>¿Quieres usarla?',
+    'sizing.use_saved': 'Sí, usar {size}',
+    'sizing.enter_different': 'No, introducir otra talla',
+    'sizing.calculating': 'Calculando…',
+    'sizing.calculating_message': 'Calculando tu talla recomendada…',
+    'sizing.next_help': 'Perfecto. ¿En qué más puedo ayudarte?',
+    'sizing.adjust_category': 'Sin problema. Ajustemos tu talla habitual para esta categoría.',
+    'sizing.adjust_usual': 'Sin problema. Ajustemos tu talla habitual.',
+    'sizing.product_intro': 'Claro. Busquemos tu talla para una prenda concreta.',
+    'sizing.current_intro': 'Claro. Busquemos tu talla para {title}.',
+    'sizing.current_failed': 'No he podido leer esta prenda. Elijámosla juntos.',
+    'sizing.collection_preselected': 'Estás viendo {category}, así que usaré esa categoría.',
+    'sizing.collection_use': 'Continuar con {category}',
+    'sizing.collection_change': 'Cambiar',
+    'sizing.measure.offer': 'Esta prenda tiene una tabla de tallas. Si conoces tus medidas ({measurements}), puedo compararlas con ella.',
+    'sizing.measure.use': 'Usar mis medidas',
+    'sizing.measure.use_body': 'Usar altura y peso',
+    'sizing.measure.ask': 'Envíame tus medidas en cm, por ejemplo “pecho 98, cintura 84”. Esta tabla incluye {measurements}.',
+    'sizing.measure.placeholder': 'p. ej. pecho 98, cintura 84',
+    'sizing.measure.retry': 'No encuentro ninguna medida de esta tabla ({measurements}). Prueba por ejemplo con “pecho 98”.',
+    'sizing.measure.saved': 'Tengo tus medidas: {measurements}.',
+    'sizing.measure.use_saved': 'Usar estas',
+    'sizing.measure.enter_new': 'No, introducir nuevas medidas',
+    'sizing.measure.adjust': 'Sin problema. Envíame de nuevo tus medidas.',
+    'sizing.measure.no_match': 'Esas medidas no están en la tabla de esta prenda, así que usaremos tu altura y peso.',
+    'sizing.measure.value': '{name} {value} cm',
+    'sizing.measure.name.chest': 'pecho',
+    'sizing.measure.name.waist': 'cintura',
+    'sizing.measure.name.hip': 'cadera',
+    'sizing.measure.name.shoulder': 'hombros',
+    'sizing.measure.name.sleeve': 'manga',
+    'sizing.measure.name.inseam': 'entrepierna',
+    'sizing.fit.ask': '¿Cómo te gusta que te quede {category}?',
+    'sizing.fit.saved': 'Para {category} prefieres este ajuste: {preference}.<br>¿Lo mantenemos?',
+    'sizing.fit.keep': 'Sí, mantener “{preference}”',
+    'sizing.fit.change': 'Cambiar ajuste',
+    'sizing.fit.close': 'Ceñido',
+    'sizing.fit.true_to_size': 'Fiel a la talla',
+    'sizing.fit.relaxed': 'Holgado',
+    'sizing.fit.layering': 'Sobre punto',
+    'sizing.converted': '{from} equivale a {to} en nuestras tallas.',
+    'sizing.converted_brand': '{from} en {brand} equivale a {to} en nuestras tallas.',
+    'sizing.ask_piece': '¿Qué prenda quieres medir?',
+    'sizing.loading_products': 'Cargando productos…',
+    'sizing.loading_product': 'Cargando producto…',
+    'sizing.no_pieces': 'No he encontrado prendas en esta categoría. Elige otra.',
+    'sizing.products_failed': 'No puedo cargar los productos ahora. Inténtalo de nuevo.',
+    'sizing.calc_failed': 'No he podido calcular una talla para esta prenda.',
+    'sizing.size_another': 'Medir otra prenda',
+    'sizing.collar': 'Cuello {value}',
+
+    'sizing.usual.usual_size_eu.ask': '¿Cuál es tu talla EU habitual?',
+    'sizing.usual.usual_size_eu.ask_for': '¿Cuál es tu talla EU habitual para {category}?',
+    'sizing.usual.usual_size_eu.placeholder': 'p. ej. 48',
+    'sizing.usual.usual_size_eu.retry': 'Indica tu talla EU habitual con un número (p. ej. 48).',
+    'sizing.usual.shirt_size_eu.ask': '¿Cuál es tu talla de cuello habitual?',
+    'sizing.usual.shirt_size_eu.ask_for': '¿Cuál es tu talla de cuello habitual para {category}?',
+    'sizing.usual.shirt_size_eu.placeholder': 'p. ej. 40',
+    'sizing.usual.shirt_size_eu.retry': 'Indica tu talla de cuello con un número (p. ej. 40).',
+    'sizing.usual.alpha_size.ask': '¿Cuál es tu talla habitual (XS–XXL)?',
+    'sizing.usual.alpha_size.ask_for': '¿Cuál es tu talla habitual (XS–XXL) para {category}?',
+    'sizing.usual.alpha_size.placeholder': 'p. ej. M',
+    'sizing.usual.alpha_size.retry': 'Indica tu talla habitual como XS, S, M, L, XL o XXL.',
+    'sizing.usual.waist_inch.ask': '¿Cuál es tu talla de cintura habitual en pulgadas?',
+    'sizing.usual.waist_inch.ask_for': '¿Cuál es tu talla de cintura habitual en pulgadas para {category}?',
+    'sizing.usual.waist_inch.placeholder': 'p. ej. W32',
+    'sizing.usual.waist_inch.retry': 'Indica tu cintura en pulgadas (p. ej. W32).',
+
+    'cart.add': 'Añadir talla {size} · {length} a la cesta',
+    'cart.add_size': 'Añadir talla {size} a la cesta',
+    'cart.add_variant': 'Añadir {variant} a la cesta',
+    'cart.adding': 'Añadiendo a tu cesta…',
+    'cart.added': 'He añadido <strong>{title}</strong> ({variant}) a tu cesta.',
+    'cart.count_one': 'Tu cesta tiene ahora 1 artículo.',
+    'cart.count_other': 'Tu cesta tiene ahora {count} artículos.',
+    'cart.view': 'Ver cesta',
+    'cart.open_product': 'Abrir la página del producto',
+    'cart.not_offered': '{variant} no está disponible para esta prenda.',
+    'cart.sold_out': '{variant} está agotada ahora mismo.',
+    'cart.alternatives': 'Estas están disponibles:',
+    'cart.no_alternatives': 'Ahora mismo no hay tallas cercanas a la tuya en stock.',
+    'cart.failed': 'No he podido añadirlo a tu cesta. Inténtalo de nuevo o elígelo en la página del producto.',
+    'cart.unavailable': 'Añadir a la cesta no está disponible ahora mismo.',
+    'triggers.product_time': '¿Dudas con el ajuste? Puedo encontrar tu talla para esta prenda.',
+    'triggers.size_changes': '¿Entre dos tallas? Puedo recomendarte la adecuada.',
+    'triggers.exit_intent': 'Antes de irte: ¿te ayudo a encontrar tu talla?',
+    'triggers.return_incomplete': 'Bienvenido de nuevo. ¿Terminamos de encontrar tu talla?',
+    'triggers.action': 'Vamos',
+    'triggers.dismiss': 'Cerrar',
+
+    'transcript.title': 'Drape Layers Co-Pilot — resumen de tallas',
+    'transcript.email_subject': 'Mi resumen de tallas de Drape Layers',
+    'transcript.date': 'Fecha: {date}',
+    'transcript.profile': 'Perfil',
+    'transcript.height': 'Altura: {value}',
+    'transcript.weight': 'Peso: {value}',
+    'transcript.measurements': 'Medidas: {value}',
+    'transcript.collection': 'Colección: {value}',
+    'transcript.collection_men': 'Hombre',
+    'transcript.collection_women': 'Mujer',
+    'transcript.saved_sizes': 'Tallas guardadas',
+    'transcript.recommended': 'recomendada {value}',
+    'transcript.usual': 'habitual {value}',
+    'transcript.fit': 'ajuste: {value}',
+    'transcript.general': 'General',
+    'transcript.conversation': 'Conversación',
+    'transcript.you': 'Tú',
+    'transcript.copilot': 'Co-Pilot',
+    'transcript.ask': 'Puedo reunir tus tallas y nuestra conversación en un solo resumen. ¿Cómo lo quieres?',
+    'transcript.to_atelier': 'Enviarlo a nuestro atelier',
+    'transcript.to_self': 'Enviármelo por email',
+    'transcript.print': 'Imprimir o guardar como PDF',
+    'transcript.download': 'Descargar como texto',
+    'transcript.filled': 'He añadido tu resumen al formulario de contacto de esta página. Añade tu email y pulsa enviar.',
+    'transcript.redirect': 'Te llevo a nuestro formulario de contacto; tu resumen ya estará incluido.',
+    'transcript.contact_failed': 'No he podido abrir el formulario de contacto. Prueba otra opción.',
+    'transcript.emailed': 'He abierto un nuevo email con tu resumen. Añade tu dirección y envíatelo.',
+    'transcript.printed': 'Tu resumen está abierto en una nueva ventana, listo para imprimir o guardar como PDF.',
+    'transcript.print_blocked': 'Tu navegador ha bloqueado la ventana de impresión. Puedes descargar el resumen.',
+    'transcript.downloading': 'Tu resumen se está descargando.',
+
+    'order.menu': 'Ayuda con mi pedido',
+    'order.ask': '¿Cómo puedo ayudarte con tu pedido?',
+    'order.status': 'Estado del pedido',
+    'order.track_my_order': 'Seguir mi pedido',
+    'order.view_status': 'Ver estado del pedido',
+    'order.track_shipment': 'Seguir el envío',
+    'order.shipping_info': 'Información de envío',
+    'order.returns': 'Devoluciones y reembolsos',
+    'order.back_to_main': 'Volver a las opciones principales',
+    'order.back_to_returns': 'Volver a devoluciones',
+    'order.how_to_refund': 'Cómo solicitar un reembolso',
+    'order.ask_number': 'Introduce tu número de pedido.',
+    'order.ask_number_hint': 'Lo encontrarás en el email de confirmación.',
+    'order.number_placeholder': 'p. ej. DL-10234',
+    'order.invalid_number': 'Introduce un número de pedido válido.',
+    'order.noted': 'Gracias. He anotado el pedido {number}.',
+    'order.can_help': 'Esto es en lo que puedo ayudarte:',
+    'order.status_body':
+      '<strong>Estado del pedido</strong><br><br>' +
+      'Todas las prendas de Drape Layers se confeccionan por encargo.<br>' +
+      'Por eso tu pedido pasa por estas fases:' +
+      '<ul>' +
+      '<li>Pedido confirmado</li>' +
+      '<li>Asignación de patrón y materiales</li>' +
+      '<li>Producción</li>' +
+      '<li>Control de calidad final</li>' +
+      '<li>Envío</li>' +
+      '</ul>' +
+      'Recibirás actualizaciones por email a medida que avance tu pedido.',
+    'order.tracking_body':
+      '<strong>Seguimiento de tu pedido</strong><br><br>' +
+      'Cuando tu pedido se envíe, recibirás un email de confirmación de envío con:' +
+      '<ul>' +
+      '<li>Tu número de seguimiento</li>' +
+      '<li>La empresa de transporte</li>' +
+      '<li>Un enlace directo de seguimiento</li>' +
+      '</ul>' +
+      'Si aún no lo has recibido, tu pedido sigue en producción.',
+    'order.shipping_fallback':
+      '<p>Los plazos de entrega varían según el producto y el destino.</p>' +
+      '<p>Todos los pedidos se envían una vez finalizada la producción.</p>',
+    'order.returns_fallback':
+      '<p>Todas las prendas de Drape Layers se confeccionan por encargo.</p>' +
+      '<p>No ofrecemos cambios.</p>' +
+      '<p>Las solicitudes de reembolso pueden enviarse de acuerdo con nuestra política de devoluciones.</p>',
+    'order.refund_body':
+      '<strong>Solicitar un reembolso</strong><br><br>' +
+      'Para solicitar un reembolso, contacta con nuestro equipo de atención e incluye:' +
+      '<ul>' +
+      '<li>Tu número de pedido</li>' +
+      '<li>El motivo de la solicitud</li>' +
+      '</ul>' +
+      'Cada solicitud se revisa de forma individual.',
+
+    'styling.menu': 'Crear un look',
+    'styling.missing_journal': 'El estilismo no está disponible porque faltan los datos del journal.',
+    'styling.missing_products': 'El estilismo no está disponible porque faltan los datos de productos.',
+    'styling.ask_context': '¿Para qué ocasión te vistes?',
+    'styling.context.everyday': 'Día a día',
+    'styling.context.work': 'Trabajo',
+    'styling.context.social_evening': 'Noche',
+    'styling.context.sunday_stroll': 'Paseo de domingo',
+    'styling.context.smart_casual': 'Smart casual',
+    'styling.great': 'Genial.',
+    'styling.ask_formality': '¿Cómo de formal debe ser?',
+    'styling.formality.relaxed': 'Relajado',
+    'styling.formality.balanced': 'Equilibrado',
+    'styling.formality.sharp': 'Elegante',
+    'styling.perfect': 'Perfecto.',
+    'styling.curating': 'Seleccionando looks de nuestro journal…',
+    'styling.curating_short': 'Seleccionando…',
+    'styling.no_outfit': 'No he encontrado un look editorial adecuado.',
+    'styling.outfit_options': 'Aquí tienes algunas propuestas de look:',
+    'styling.outfit_n': 'Look {n}',
+    'styling.back_to_start': 'Volver al inicio',
+    'styling.next': '¿Qué quieres hacer ahora?',
+    'styling.recommend_size': 'Recomiéndame una talla',
+    'styling.another_outfit': 'Otro look',
+    'styling.engine.formality_work': '«Trabajo» puede significar muchas cosas. ¿Qué nivel de formalidad encaja con tu día a día?',
+    'styling.engine.formality_everyday': '«Día a día» puede significar muchas cosas. ¿Qué nivel de formalidad prefieres?',
+    'styling.engine.formality': '¿Qué nivel de formalidad prefieres?',
+    'styling.engine.outfit_header': 'Look editorial {n} de {total}',
+    'styling.engine.prev': 'Look anterior',
+    'styling.engine.next': 'Look siguiente',
+    'styling.engine.guide_size': 'Ayúdame con la talla',
+    'styling.engine.back_to_options': 'Volver a las opciones de estilismo',
+    'styling.engine.ask_reference': 'Dame una referencia de producto (nuestra o similar). Escribe el nombre de un producto.',
+    'styling.engine.reference_placeholder': 'Escribe el nombre de un producto',
+    'styling.engine.type_product': 'Escribe el nombre de un producto para continuar.',
+    'styling.engine.no_match': 'Sin resultados. Prueba con otro nombre.',
+    'styling.engine.no_outfits_for_piece': 'Todavía no tengo looks editoriales con esta prenda. Prueba otra referencia o vuelve a las opciones de estilismo.',
+    'styling.engine.try_another': 'Probar otro producto',
+    'styling.engine.type_another': 'Escribe el nombre de otro producto.',
+    'styling.engine.no_outfits': 'No hay looks disponibles.',
+    'styling.engine.sizing_unavailable': 'El cálculo de talla no está disponible ahora mismo.'
+  });
+
+  /* ============================================================
+     DEUTSCH
+  ============================================================ */
+
+  register('de', {
+    'core.greeting': 'Hallo, ich bin der Drape Layers Co-Pilot. Wie kann ich dir heute helfen?',
+    'core.choose_option': 'Bitte wähle oben eine Option',
+    'core.loading': 'Wird geladen…',
+    'core.step_failed': 'Entschuldigung, da ist etwas schiefgelaufen. Fangen wir neu an.',
+    'core.option_unavailable': 'Entschuldigung, diese Option ist gerade nicht verfügbar.',
+    'core.main_menu': 'Hauptmenü',
+    'core.back': 'Zurück',
+    'core.back_aria': 'Einen Schritt zurück',
+    'core.expired': 'Diese Optionen sind abgelaufen.',
+    'core.composer.placeholder': 'Nachricht eingeben…',
+    'core.composer.free_text': 'Wähle eine Option oder stelle deine Frage…',
+    'core.a11y.locked': 'In diesem Schritt ist keine Texteingabe möglich. {placeholder}.',
+    'core.a11y.free_text': 'Wähle eine der Optionen oben oder stelle deine Frage.',
+    'core.a11y.options': 'Optionen',
+    'core.a11y.choices': 'Auswahl',
+
+    'menu.size_new': 'Größe empfehlen',
+    'menu.size_review': 'Meine empfohlene Größe ansehen',
+    'menu.size_product': 'Meine Größe für ein Produkt finden',
+    'menu.size_this_piece': 'Meine Größe für dieses Teil finden',
+    'menu.transcript': 'Größenübersicht zusenden',
+
+    'classifier.confirm': 'Nur zur Sicherheit – welche davon meinst du?',
+    'classifier.something_else': 'Etwas anderes',
+    'classifier.no_problem': 'Kein Problem. Dabei kann ich dir helfen:',
+    'classifier.not_understood': 'Ich bin nicht sicher, ob ich dich richtig verstanden habe. Dabei kann ich dir helfen:',
+
+    'rec.intro': 'Für {title} empfehle ich:',
+    'rec.size': 'Größe',
+    'rec.length': 'Länge',
+    'rec.confirm': 'Passt das?',
+    'rec.fit_limiting': 'Entscheidendes Maß: {measurement}, {ease} Spielraum',
+    'rec.fit_short': 'Dein Maß für {measurement} liegt selbst bei dieser Größe {ease} darüber; unser Atelier berät dich gern',
+    'rec.by_measurement': 'Nach Maß',
+    'rec.fit_pref': 'Passform: {preference}',
+    'rec.fit_pref_up': 'Passform: {preference}, daher eine Größe größer als {from}',
+    'rec.fit_pref_down': 'Passform: {preference}, daher eine Größe kleiner als {from}',
+    'rec.fit_pref_largest': 'Passform: {preference}, aber {size} ist bereits die größte verfügbare Größe',
+    'rec.fit_pref_smallest': 'Passform: {preference}, aber {size} ist bereits die kleinste verfügbare Größe',
+    'rec.fit_pref_tight': 'Passform: {preference}, aber eine Größe kleiner wäre für deine Maße zu eng',
+    'rec.confidence': 'Sicherheit: {level}',
+    'rec.confidence.high': 'hoch',
+    'rec.confidence.medium': 'mittel',
+    'rec.confidence.low': 'niedrig',
+    'rec.reason.anchored_on_usual': 'basierend auf deiner üblichen Größe {value}',
+    'rec.reason.from_measurements': 'mit der Größentabelle abgeglichen',
+    'rec.reason.derived_from_proportions': 'aus Größe und Gewicht geschätzt',
+    'rec.reason.no_body_data': 'ohne Größe und Gewicht',
+    'rec.reason.clamped': '{from} gibt es nicht, daher die nächste Größe',
+    'rec.reason.gender_unknown': 'ohne zu wissen, ob du Herren- oder Damenmode trägst',
+    'rec.reason.height_outside_length_table': 'deine Körpergröße liegt außerhalb unserer Längentabelle',
+    'rec.alternative': 'Zwischen zwei Größen: {size} ist auch eine Überlegung wert',
+
+    'sizing.unavailable': 'Die Größenberechnung ist gerade nicht verfügbar.',
+    'sizing.setup_profile': 'Lass uns dein Größenprofil anlegen.',
+    'sizing.saved_profile': 'Ich habe bereits diese Maße gespeichert:',
+    'sizing.profile_saved': 'Perfekt. Gespeichert:',
+    'sizing.profile_height': 'Größe: {value}',
+    'sizing.profile_weight': 'Gewicht: {value}',
+    'sizing.still_correct': 'Stimmt das noch?',
+    'sizing.yes_correct': 'Ja, das stimmt',
+    'sizing.no_update': 'Nein, aktualisieren',
+    'sizing.no_adjust': 'Nein, anpassen',
+    'sizing.update_body': 'Kein Problem. Aktualisieren wir deine Maße.',
+    'sizing.ask_target': 'Wofür möchtest du eine Größenberatung?',
+    'sizing.ask_target_confirmed': 'Super. Wofür möchtest du eine Größenberatung?',
+    'sizing.target_product': 'Ein bestimmtes Produkt',
+    'sizing.target_category': 'Eine Produktkategorie (allgemeine Größe)',
+    'sizing.target_product_intro': 'Perfekt. Finden wir die Größe für ein bestimmtes Produkt.',
+    'sizing.target_category_intro': 'Perfekt. Machen wir eine Empfehlung nach Kategorie.',
+    'sizing.ask_height': 'Wie groß bist du in cm?',
+    'sizing.ask_weight': 'Wie viel wiegst du in kg?',
+    'sizing.got_height': 'Verstanden. Wie viel wiegst du in kg?',
+    'sizing.retry_height': 'Bitte gib deine Körpergröße als Zahl in cm an (z. B. 178).',
+    'sizing.retry_weight': 'Bitte gib dein Gewicht als Zahl in kg an (z. B. 75).',
+    'sizing.placeholder_height': 'z. B. 178',
+    'sizing.placeholder_weight': 'z. B. 75',
+    'sizing.ask_gender': 'Für wen kaufst du ein?',
+    'sizing.gender_men': 'Herren',
+    'sizing.gender_women': 'Damen',
+    'sizing.ask_category': 'Für welche Kategorie möchtest du eine Größe?',
+    'sizing.ask_product_type': 'Welche Art von Produkt möchtest du ausmessen?',
+    'sizing.loading_categories': 'Kategorien werden geladen…',
+    'sizing.categories_failed': 'Die Kategorien konnten gerade nicht geladen werden. Bitte versuche es erneut.',
+    'sizing.this_category': 'diese Kategorie',
+    'sizing.this_piece': 'dieses Teil',
+    'sizing.saved_usual': 'Ich habe deine übliche Größe für {category} gespeichert: {size}.<br>Möchtest du sie verwenden?',
+    'sizing.use_saved': 'Ja, {size} verwenden',
+    'sizing.enter_different': 'Nein, andere Größe eingeben',
+    'sizing.calculating': 'Wird berechnet…',
+    'sizing.calculating_message': 'Deine empfohlene Größe wird berechnet…',
+    'sizing.next_help': 'Perfekt. Wie kann ich dir noch helfen?',
+    'sizing.adjust_category': 'Kein Problem. Passen wir deine übliche Größe für diese Kategorie an.',
+    'sizing.adjust_usual': 'Kein Problem. Passen wir deine übliche Größe an.',
+    'sizing.product_intro': 'Gern. Finden wir deine Größe für ein bestimmtes Produkt.',
+    'sizing.current_intro': 'Gern. Finden wir deine Größe für {title}.',
+    'sizing.current_failed': 'Ich konnte dieses Teil nicht lesen. Wählen wir es gemeinsam aus.',
+    'sizing.collection_preselected': 'Du siehst dir gerade {category} an, also nehme ich diese Kategorie.',
+    'sizing.collection_use': 'Weiter mit {category}',
+    'sizing.collection_change': 'Ändern',
+    'sizing.measure.offer': 'Für dieses Teil gibt es eine Größentabelle. Wenn du deine Maße kennst ({measurements}), gleiche ich sie damit ab.',
+    'sizing.measure.use': 'Meine Maße verwenden',
+    'sizing.measure.use_body': 'Größe und Gewicht verwenden',
+    'sizing.measure.ask': 'Schick mir deine Maße in cm, zum Beispiel „Brust 98, Taille 84“. Diese Tabelle enthält {measurements}.',
+    'sizing.measure.placeholder': 'z. B. Brust 98, Taille 84',
+    'sizing.measure.retry': 'Ich finde kein Maß aus dieser Tabelle ({measurements}). Versuch es zum Beispiel mit „Brust 98“.',
+    'sizing.measure.saved': 'Ich habe deine Maße: {measurements}.',
+    'sizing.measure.use_saved': 'Diese verwenden',
+    'sizing.measure.enter_new': 'Nein, neue Maße eingeben',
+    'sizing.measure.adjust': 'Kein Problem. Schick mir deine Maße noch einmal.',
+    'sizing.measure.no_match': 'Diese Maße stehen nicht in der Tabelle dieses Teils, also nehmen wir Größe und Gewicht.',
+    'sizing.measure.value': '{name} {value} cm',
+    'sizing.measure.name.chest': 'Brust',
+    'sizing.measure.name.waist': 'Taille',
+    'sizing.measure.name.hip': 'Hüfte',
+    'sizing.measure.name.shoulder': 'Schultern',
+    'sizing.measure.name.sleeve': 'Ärmel',
+    'sizing.measure.name.inseam': 'Schrittlänge',
+    'sizing.fit.ask': 'Wie soll {category} bei dir sitzen?',
+    'sizing.fit.saved': 'Für {category} bevorzugst du diese Passform: {preference}.<br>Beibehalten?',
+    'sizing.fit.keep': 'Ja, „{preference}“ beibehalten',
+    'sizing.fit.change': 'Passform ändern',
+    'sizing.fit.close': 'Körpernah',
+    'sizing.fit.true_to_size': 'Normal',
+    'sizing.fit.relaxed': 'Locker',
+    'sizing.fit.layering': 'Über Strick',
+    'sizing.converted': '{from} entspricht {to} in unseren Größen.',
+    'sizing.converted_brand': '{from} bei {brand} entspricht {to} in unseren Größen.',
+    'sizing.ask_piece': 'Welches Teil möchtest du ausmessen?',
+    'sizing.loading_products': 'Produkte werden geladen…',
+    'sizing.loading_product': 'Produkt wird geladen…',
+    'sizing.no_pieces': 'In dieser Kategorie habe ich keine Teile gefunden. Bitte wähle eine andere.',
+    'sizing.products_failed': 'Die Produkte konnten gerade nicht geladen werden. Bitte versuche es erneut.',
+    'sizing.calc_failed': 'Für dieses Teil konnte ich keine Größe berechnen.',
+    'sizing.size_another': 'Anderes Teil ausmessen',
+    'sizing.collar': 'Kragen {value}',
+
+    'sizing.usual.usual_size_eu.ask': 'Welche EU-Größe trägst du normalerweise?',
+    'sizing.usual.usual_size_eu.ask_for': 'Welche EU-Größe trägst du normalerweise bei {category}?',
+    'sizing.usual.usual_size_eu.placeholder': 'z. B. 48',
+    'sizing.usual.usual_size_eu.retry': 'Bitte gib deine übliche EU-Größe als Zahl an (z. B. 48).',
+    'sizing.usual.shirt_size_eu.ask': 'Welche Kragenweite trägst du normalerweise?',
+    'sizing.usual.shirt_size_eu.ask_for': 'Welche Kragenweite trägst du normalerweise bei {category}?',
+    'sizing.usual.shirt_size_eu.placeholder': 'z. B. 40',
+    'sizing.usual.shirt_size_eu.retry': 'Bitte gib deine Kragenweite als Zahl an (z. B. 40).',
+    'sizing.usual.alpha_size.ask': 'Welche Größe trägst du normalerweise (XS–XXL)?',
+    'sizing.usual.alpha_size.ask_for': 'Welche Größe trägst du normalerweise (XS–XXL) bei {category}?',
+    'sizing.usual.alpha_size.placeholder': 'z. B. M',
+    'sizing.usual.alpha_size.retry': 'Bitte gib deine übliche Größe als XS, S, M, L, XL oder XXL an.',
+    'sizing.usual.waist_inch.ask': 'Welche Bundweite in Zoll trägst du normalerweise?',
+    'sizing.usual.waist_inch.ask_for': 'Welche Bundweite in Zoll trägst du normalerweise bei {category}?',
+    'sizing.usual.waist_inch.placeholder': 'z. B. W32',
+    'sizing.usual.waist_inch.retry': 'Bitte gib deine Bundweite in Zoll an (z. B. W32).',
+
+    'cart.add': 'Größe {size} · {length} in den Warenkorb',
+    'cart.add_size': 'Größe {size} in den Warenkorb',
+    'cart.add_variant': '{variant} in den Warenkorb',
+    'cart.adding': 'Wird in den Warenkorb gelegt…',
+    'cart.added': '<strong>{title}</strong> ({variant}) liegt jetzt in deinem Warenkorb.',
+    'cart.count_one': 'Dein Warenkorb enthält jetzt 1 Artikel.',
+    'cart.count_other': 'Dein Warenkorb enthält jetzt {count} Artikel.',
+    'cart.view': 'Warenkorb ansehen',
+    'cart.open_product': 'Produktseite öffnen',
+    'cart.not_offered': '{variant} gibt es für dieses Teil nicht.',
+    'cart.sold_out': '{variant} ist gerade ausverkauft.',
+    'cart.alternatives': 'Diese sind stattdessen verfügbar:',
+    'cart.no_alternatives': 'Gerade ist keine Größe in deiner Nähe vorrätig.',
+    'cart.failed': 'Das konnte ich nicht in den Warenkorb legen. Bitte versuche es erneut oder wähle es auf der Produktseite.',
+    'cart.unavailable': 'Das Hinzufügen zum Warenkorb ist gerade nicht verfügbar.',
+    'triggers.product_time': 'Unsicher bei der Passform? Ich finde deine Größe für dieses Teil.',
+    'triggers.size_changes': 'Zwischen zwei Größen? Ich empfehle dir die richtige.',
+    'triggers.exit_intent': 'Bevor du gehst: Soll ich dir helfen, deine Größe zu finden?',
+    'triggers.return_incomplete': 'Willkommen zurück. Sollen wir deine Größe zu Ende bestimmen?',
+    'triggers.action': 'Los geht’s',
+    'triggers.dismiss': 'Schließen',
+
+    'transcript.title': 'Drape Layers Co-Pilot – Größenübersicht',
+    'transcript.email_subject': 'Meine Drape Layers Größenübersicht',
+    'transcript.date': 'Datum: {date}',
+    'transcript.profile': 'Profil',
+    'transcript.height': 'Größe: {value}',
+    'transcript.weight': 'Gewicht: {value}',
+    'transcript.measurements': 'Maße: {value}',
+    'transcript.collection': 'Kollektion: {value}',
+    'transcript.collection_men': 'Herren',
+    'transcript.collection_women': 'Damen',
+    'transcript.saved_sizes': 'Gespeicherte Größen',
+    'transcript.recommended': 'empfohlen {value}',
+    'transcript.usual': 'üblich {value}',
+    'transcript.fit': 'Passform: {value}',
+    'transcript.general': 'Allgemein',
+    'transcript.conversation': 'Unterhaltung',
+    'transcript.you': 'Du',
+    'transcript.copilot': 'Co-Pilot',
+    'transcript.ask': 'Ich kann deine Größen und unsere Unterhaltung in einer Übersicht zusammenfassen. Wie möchtest du sie erhalten?',
+    'transcript.to_atelier': 'An unser Atelier senden',
+    'transcript.to_self': 'Mir per E-Mail senden',
+    'transcript.print': 'Drucken oder als PDF speichern',
+    'transcript.download': 'Als Text herunterladen',
+    'transcript.filled': 'Ich habe deine Übersicht in das Kontaktformular auf dieser Seite eingefügt. Gib deine E-Mail-Adresse ein und sende es ab.',
+    'transcript.redirect': 'Ich bringe dich zu unserem Kontaktformular – deine Übersicht wird dort eingefügt.',
+    'transcript.contact_failed': 'Das Kontaktformular konnte nicht geöffnet werden. Bitte wähle eine andere Option.',
+    'transcript.emailed': 'Ich habe eine neue E-Mail mit deiner Übersicht geöffnet. Gib deine Adresse ein und sende sie an dich selbst.',
+    'transcript.printed': 'Deine Übersicht ist in einem neuen Fenster geöffnet und kann gedruckt oder als PDF gespeichert werden.',
+    'transcript.print_blocked': 'Dein Browser hat das Druckfenster blockiert. Du kannst die Übersicht stattdessen herunterladen.',
+    'transcript.downloading': 'Deine Übersicht wird heruntergeladen.',
+
+    'order.menu': 'Hilfe zu meiner Bestellung',
+    'order.ask': 'Wie kann ich dir bei deiner Bestellung helfen?',
+    'order.status': 'Bestellstatus',
+    'order.track_my_order': 'Bestellung verfolgen',
+    'order.view_status': 'Bestellstatus ansehen',
+    'order.track_shipment': 'Sendung verfolgen',
+    'order.shipping_info': 'Versandinformationen',
+    'order.returns': 'Rücksendungen & Erstattungen',
+    'order.back_to_main': 'Zurück zu den Hauptoptionen',
+    'order.back_to_returns': 'Zurück zu Rücksendungen',
+    'order.how_to_refund': 'Erstattung beantragen',
+    'order.ask_number': 'Bitte gib deine Bestellnummer ein.',
+    'order.ask_number_hint': 'Du findest sie in deiner Bestätigungs-E-Mail.',
+    'order.number_placeholder': 'z. B. DL-10234',
+    'order.invalid_number': 'Bitte gib eine gültige Bestellnummer ein.',
+    'order.noted': 'Danke. Ich habe die Bestellung {number} notiert.',
+    'order.can_help': 'Dabei kann ich dir helfen:',
+    'order.status_body':
+      '<strong>Bestellstatus</strong><br><br>' +
+      'Alle Teile von Drape Layers werden auf Bestellung gefertigt.<br>' +
+      'Deine Bestellung durchläuft daher folgende Phasen:' +
+      '<ul>' +
+      '<li>Bestellung bestätigt</li>' +
+      '<li>Zuweisung von Schnitt und Material</li>' +
+      '<li>Produktion</li>' +
+      '<li>Abschließende Qualitätskontrolle</li>' +
+      '<li>Versand</li>' +
+      '</ul>' +
+      'Du erhältst E-Mail-Updates, sobald deine Bestellung fortschreitet.',
+    'order.tracking_body':
+      '<strong>Deine Bestellung verfolgen</strong><br><br>' +
+      'Sobald deine Bestellung versendet wurde, erhältst du eine Versandbestätigung per E-Mail mit:' +
+      '<ul>' +
+      '<li>Deiner Sendungsnummer</li>' +
+      '<li>Dem Versanddienstleister</li>' +
+      '<li>Einem direkten Tracking-Link</li>' +
+      '</ul>' +
+      'Falls du sie noch nicht erhalten hast, ist deine Bestellung noch in Produktion.',
+    'order.shipping_fallback':
+      '<p>Die Lieferzeiten hängen von Produkt und Zielort ab.</p>' +
+      '<p>Alle Bestellungen werden nach Abschluss der Produktion versendet.</p>',
+    'order.returns_fallback':
+      '<p>Alle Teile von Drape Layers werden auf Bestellung gefertigt.</p>' +
+      '<p>Ein Umtausch ist nicht möglich.</p>' +
+      '<p>Erstattungsanträge können gemäß unseren Rückgabebedingungen gestellt werden.</p>',
+    'order.refund_body':
+      '<strong>Erstattung beantragen</strong><br><br>' +
+      'Um eine Erstattung zu beantragen, kontaktiere bitte unser Support-Team und gib Folgendes an:' +
+      '<ul>' +
+      '<li>Deine Bestellnummer</li>' +
+      '<li>Den Grund der Anfrage</li>' +
+      '</ul>' +
+      'Jede Anfrage wird einzeln geprüft.',
+
+    'styling.menu': 'Outfit zusammenstellen',
+    'styling.missing_journal': 'Styling ist nicht verfügbar, weil die Journal-Daten fehlen.',
+    'styling.missing_products': 'Styling ist nicht verfügbar, weil die Produktdaten fehlen.',
+    'styling.ask_context': 'Wofür ziehst du dich an?',
+    'styling.context.everyday': 'Alltag',
+    'styling.context.work': 'Arbeit',
+    'styling.context.social_evening': 'Abendanlass',
+    'styling.context.sunday_stroll': 'Sonntagsspaziergang',
+    'styling.context.smart_casual': 'Smart Casual',
+    'styling.great': 'Super.',
+    'styling.ask_formality': 'Wie formell soll es wirken?',
+    'styling.formality.relaxed': 'Lässig',
+    'styling.formality.balanced': 'Ausgewogen',
+    'styling.formality.sharp': 'Elegant',
+    'styling.perfect': 'Perfekt.',
+    'styling.curating': 'Ich stelle Outfits aus unserem Journal zusammen…',
+    'styling.curating_short': 'Wird zusammengestellt…',
+    'styling.no_outfit': 'Ich konnte kein passendes Editorial-Outfit finden.',
+    'styling.outfit_options': 'Hier sind einige Outfit-Vorschläge:',
+    'styling.outfit_n': 'Outfit {n}',
+    'styling.back_to_start': 'Zurück zum Anfang',
+    'styling.next': 'Was möchtest du als Nächstes tun?',
+    'styling.recommend_size': 'Größe empfehlen',
+    'styling.another_outfit': 'Anderes Outfit',
+    'styling.engine.formality_work': '„Arbeit“ kann vieles bedeuten. Welcher Grad an Formalität passt zu deinem Alltag?',
+    'styling.engine.formality_everyday': '„Alltag“ kann vieles bedeuten. Welchen Grad an Formalität möchtest du?',
+    'styling.engine.formality': 'Welchen Grad an Formalität möchtest du?',
+    'styling.engine.outfit_header': 'Editorial-Outfit {n} von {total}',
+    'styling.engine.prev': 'Vorheriges Outfit',
+    'styling.engine.next': 'Nächstes Outfit',
+    'styling.engine.guide_size': 'Hilf mir bei der Größe',
+    'styling.engine.back_to_options': 'Zurück zu den Styling-Optionen',
+    'styling.engine.ask_reference': 'Nenne mir ein Referenzprodukt (von uns oder ähnlich). Gib einen Produktnamen ein.',
+    'styling.engine.reference_placeholder': 'Produktnamen eingeben',
+    'styling.engine.type_product': 'Gib einen Produktnamen ein, um fortzufahren.',
+    'styling.engine.no_match': 'Kein Treffer. Versuche einen anderen Produktnamen.',
+    'styling.engine.no_outfits_for_piece': 'Zu diesem Teil habe ich noch keine Editorial-Outfits. Versuche eine andere Referenz oder kehre zu den Styling-Optionen zurück.',
+    'styling.engine.try_another': 'Anderes Produkt versuchen',
+    'styling.engine.type_another': 'Gib einen anderen Produktnamen ein.',
+    'styling.engine.no_outfits': 'Keine Outfits verfügbar.',
+    'styling.engine.sizing_unavailable': 'Die Größenberechnung ist gerade nicht verfügbar.'
+  });
+
+  /* ============================================================
+     FRANÇAIS
+  ============================================================ */
+
+  register('fr', {
+    'core.greeting': 'Bonjour, je suis le Co-Pilot Drape Layers. Comment puis-je vous aider aujourd’hui ?',
+    'core.choose_option': 'Veuillez choisir une option ci-dessus',
+    'core.loading': 'Chargement…',
+    'core.step_failed': 'Désolé, un problème est survenu. Recommençons.',
+    'core.option_unavailable': 'Désolé, cette option n’est pas disponible pour le moment.',
+    'core.main_menu': 'Menu principal',
+    'core.back': 'Retour',
+    'core.back_aria': 'Revenir à l’étape précédente',
+    'core.expired': 'Ces options ont expiré.',
+    'core.composer.placeholder': 'Écrivez votre message…',
+    'core.composer.free_text': 'Choisissez une option ou posez votre question…',
+    'core.a11y.locked': 'La saisie n’est pas disponible à cette étape. {placeholder}.',
+    'core.a11y.free_text': 'Choisissez l’une des options ci-dessus ou posez votre question.',
+    'core.a11y.options': 'Options',
+    'core.a11y.choices': 'Choix',
+
+    'menu.size_new': 'Recommandez-moi une taille',
+    'menu.size_review': 'Revoir ma taille recommandée',
+    'menu.size_product': 'Trouver ma taille pour un article',
+    'menu.size_this_piece': 'Trouver ma taille pour cette pièce',
+    'menu.transcript': 'M’envoyer mon récapitulatif de tailles',
+
+    'classifier.confirm': 'Juste pour vérifier : laquelle de ces options voulez-vous dire ?',
+    'classifier.something_else': 'Autre chose',
+    'classifier.no_problem': 'Pas de souci. Voici ce que je peux faire pour vous :',
+    'classifier.not_understood': 'Je ne suis pas sûr d’avoir compris. Voici ce que je peux faire pour vous :',
+
+    'rec.intro': 'Pour {title}, je vous recommande :',
+    'rec.size': 'Taille',
+    'rec.length': 'Longueur',
+    'rec.confirm': 'Cela vous semble-t-il juste ?',
+    'rec.fit_limiting': 'Mesure déterminante : {measurement}, {ease} d’aisance',
+    'rec.fit_short': 'Votre mesure ({measurement}) dépasse de {ease} même cette taille ; notre atelier peut vous conseiller',
+    'rec.by_measurement': 'Par mesure',
+    'rec.fit_pref': 'Coupe : {preference}',
+    'rec.fit_pref_up': 'Coupe : {preference}, donc une taille au-dessus de {from}',
+    'rec.fit_pref_down': 'Coupe : {preference}, donc une taille en dessous de {from}',
+    'rec.fit_pref_largest': 'Coupe : {preference}, mais {size} est déjà la plus grande taille disponible',
+    'rec.fit_pref_smallest': 'Coupe : {preference}, mais {size} est déjà la plus petite taille disponible',
+    'rec.fit_pref_tight': 'Coupe : {preference}, mais une taille en dessous serait trop juste pour vos mesures',
+    'rec.confidence': 'Fiabilité : {level}',
+    'rec.confidence.high': 'élevée',
+    'rec.confidence.medium': 'moyenne',
+    'rec.confidence.low': 'faible',
+    'rec.reason.anchored_on_usual': 'd’après votre taille habituelle {value}',
+    'rec.reason.from_measurements': 'comparée au guide des tailles',
+    'rec.reason.derived_from_proportions': 'estimée d’après votre taille et votre poids',
+    'rec.reason.no_body_data': 'sans votre taille ni votre poids',
+    'rec.reason.clamped': '{from} n’est pas proposée, donc la taille la plus proche',
+    'rec.reason.gender_unknown': 'sans savoir si vous portez homme ou femme',
+    'rec.reason.height_outside_length_table': 'votre taille sort de notre guide des longueurs',
+    'rec.alternative': 'Entre deux tailles : {size} mérite aussi d’être envisagée',
+
+    'sizing.unavailable': 'Le calcul de taille n’est pas disponible pour le moment.',
+    'sizing.setup_profile': 'Créons votre profil de tailles.',
+    'sizing.saved_profile': 'J’ai déjà enregistré ces mesures :',
+    'sizing.profile_saved': 'Parfait. J’ai enregistré :',
+    'sizing.profile_height': 'Taille : {value}',
+    'sizing.profile_weight': 'Poids : {value}',
+    'sizing.still_correct': 'Sont-elles toujours exactes ?',
+    'sizing.yes_correct': 'Oui, c’est exact',
+    'sizing.no_update': 'Non, les mettre à jour',
+    'sizing.no_adjust': 'Non, ajuster',
+    'sizing.update_body': 'Pas de souci. Mettons à jour vos mesures.',
+    'sizing.ask_target': 'Pour quoi souhaitez-vous une taille ?',
+    'sizing.ask_target_confirmed': 'Très bien. Pour quoi souhaitez-vous une taille ?',
+    'sizing.target_product': 'Un article précis',
+    'sizing.target_category': 'Une catégorie de produits (taille générale)',
+    'sizing.target_product_intro': 'Parfait. Trouvons la taille d’un article précis.',
+    'sizing.target_category_intro': 'Parfait. Faisons une recommandation par catégorie.',
+    'sizing.ask_height': 'Quelle est votre taille en cm ?',
+    'sizing.ask_weight': 'Quel est votre poids en kg ?',
+    'sizing.got_height': 'C’est noté. Quel est votre poids en kg ?',
+    'sizing.retry_height': 'Veuillez indiquer votre taille en cm avec un nombre (ex. 178).',
+    'sizing.retry_weight': 'Veuillez indiquer votre poids en kg avec un nombre (ex. 75).',
+    'sizing.placeholder_height': 'ex. 178',
+    'sizing.placeholder_weight': 'ex. 75',
+    'sizing.ask_gender': 'Pour qui faites-vous vos achats ?',
+    'sizing.gender_men': 'Homme',
+    'sizing.gender_women': 'Femme',
+    'sizing.ask_category': 'Pour quelle catégorie souhaitez-vous une taille ?',
+    'sizing.ask_product_type': 'Quel type d’article souhaitez-vous mesurer ?',
+    'sizing.loading_categories': 'Chargement des catégories…',
+    'sizing.categories_failed': 'Impossible de charger les catégories pour le moment. Veuillez réessayer.',
+    'sizing.this_category': 'cette catégorie',
+    'sizing.this_piece': 'cet article',
+    'sizing.saved_usual': 'J’ai enregistré votre taille habituelle pour {category} : {size}.<br>Voulez-vous l’utiliser ?',
+    'sizing.use_saved': 'Oui, utiliser {size}',
+    'sizing.enter_different': 'Non, saisir une autre taille',
+    'sizing.calculating': 'Calcul en cours…',
+    'sizing.calculating_message': 'Calcul de votre taille recommandée…',
+    'sizing.next_help': 'Parfait. Que puis-je faire d’autre pour vous ?',
+    'sizing.adjust_category': 'Pas de souci. Ajustons votre taille habituelle pour cette catégorie.',
+    'sizing.adjust_usual': 'Pas de souci. Ajustons votre taille habituelle.',
+    'sizing.product_intro': 'Bien sûr. Trouvons votre taille pour un article précis.',
+    'sizing.current_intro': 'Bien sûr. Trouvons votre taille pour {title}.',
+    'sizing.current_failed': 'Je n’ai pas pu lire cette pièce. Choisissons-la ensemble.',
+    'sizing.collection_preselected': 'Vous consultez {category}, je vais donc partir de là.',
+    'sizing.collection_use': 'Continuer avec {category}',
+    'sizing.collection_change': 'Modifier',
+    'sizing.measure.offer': 'Cette pièce a un guide des tailles. Si vous connaissez vos mensurations ({measurements}), je peux les comparer au guide.',
+    'sizing.measure.use': 'Utiliser mes mensurations',
+    'sizing.measure.use_body': 'Utiliser taille et poids',
+    'sizing.measure.ask': 'Envoyez-moi vos mensurations en cm, par exemple « poitrine 98, tour de taille 84 ». Ce guide indique {measurements}.',
+    'sizing.measure.placeholder': 'ex. poitrine 98, tour de taille 84',
+    'sizing.measure.retry': 'Je ne trouve aucune mesure de ce guide ({measurements}). Essayez par exemple « poitrine 98 ».',
+    'sizing.measure.saved': 'J’ai vos mensurations : {measurements}.',
+    'sizing.measure.use_saved': 'Utiliser celles-ci',
+    'sizing.measure.enter_new': 'Non, saisir de nouvelles mensurations',
+    'sizing.measure.adjust': 'Pas de problème. Renvoyez-moi vos mensurations.',
+    'sizing.measure.no_match': 'Ces mensurations ne figurent pas dans le guide de cette pièce ; utilisons votre taille et votre poids.',
+    'sizing.measure.value': '{name} {value} cm',
+    'sizing.measure.name.chest': 'poitrine',
+    'sizing.measure.name.waist': 'tour de taille',
+    'sizing.measure.name.hip': 'hanches',
+    'sizing.measure.name.shoulder': 'épaules',
+    'sizing.measure.name.sleeve': 'manche',
+    'sizing.measure.name.inseam': 'entrejambe',
+    'sizing.fit.ask': 'Comment aimez-vous porter {category} ?',
+    'sizing.fit.saved': 'Pour {category}, vous préférez cette coupe : {preference}.<br>On la garde ?',
+    'sizing.fit.keep': 'Oui, garder « {preference} »',
+    'sizing.fit.change': 'Changer de coupe',
+    'sizing.fit.close': 'Ajustée',
+    'sizing.fit.true_to_size': 'Taille normale',
+    'sizing.fit.relaxed': 'Ample',
+    'sizing.fit.layering': 'Sur une maille',
+    'sizing.converted': '{from} correspond à {to} dans nos tailles.',
+    'sizing.converted_brand': '{from} chez {brand} correspond à {to} dans nos tailles.',
+    'sizing.ask_piece': 'Quel article souhaitez-vous mesurer ?',
+    'sizing.loading_products': 'Chargement des produits…',
+    'sizing.loading_product': 'Chargement du produit…',
+    'sizing.no_pieces': 'Je n’ai trouvé aucun article dans cette catégorie. Veuillez en choisir une autre.',
+    'sizing.products_failed': 'Impossible de charger les produits pour le moment. Veuillez réessayer.',
+    'sizing.calc_failed': 'Je n’ai pas pu calculer de taille pour cet article.',
+    'sizing.size_another': 'Mesurer un autre article',
+    'sizing.collar': 'Col {value}',
+
+    'sizing.usual.usual_size_eu.ask': 'Quelle est votre taille EU habituelle ?',
+    'sizing.usual.usual_size_eu.ask_for': 'Quelle est votre taille EU habituelle pour {category} ?',
+    'sizing.usual.usual_size_eu.placeholder': 'ex. 48',
+    'sizing.usual.usual_size_eu.retry': 'Veuillez indiquer votre taille EU habituelle avec un nombre (ex. 48).',
+    'sizing.usual.shirt_size_eu.ask': 'Quel est votre tour de cou habituel ?',
+    'sizing.usual.shirt_size_eu.ask_for': 'Quel est votre tour de cou habituel pour {category} ?',
+    'sizing.usual.shirt_size_eu.placeholder': 'ex. 40',
+    'sizing.usual.shirt_size_eu.retry': 'Veuillez indiquer votre tour de cou avec un nombre (ex. 40).',
+    'sizing.usual.alpha_size.ask': 'Quelle est votre taille habituelle (XS–XXL) ?',
+    'sizing.usual.alpha_size.ask_for': 'Quelle est votre taille habituelle (XS–XXL) pour {category} ?',
+    'sizing.usual.alpha_size.placeholder': 'ex. M',
+    'sizing.usual.alpha_size.retry': 'Veuillez indiquer votre taille habituelle : XS, S, M, L, XL ou XXL.',
+    'sizing.usual.waist_inch.ask': 'Quel est votre tour de taille habituel en pouces ?',
+    'sizing.usual.waist_inch.ask_for': 'Quel est votre tour de taille habituel en pouces pour {category} ?',
+    'sizing.usual.waist_inch.placeholder': 'ex. W32',
+    'sizing.usual.waist_inch.retry': 'Veuillez indiquer votre tour de taille en pouces (ex. W32).',
+
+    'cart.add': 'Ajouter la taille {size} · {length} au panier',
+    'cart.add_size': 'Ajouter la taille {size} au panier',
+    'cart.add_variant': 'Ajouter {variant} au panier',
+    'cart.adding': 'Ajout au panier…',
+    'cart.added': 'J’ai ajouté <strong>{title}</strong> ({variant}) à votre panier.',
+    'cart.count_one': 'Votre panier contient maintenant 1 article.',
+    'cart.count_other': 'Votre panier contient maintenant {count} articles.',
+    'cart.view': 'Voir le panier',
+    'cart.open_product': 'Ouvrir la page produit',
+    'cart.not_offered': '{variant} n’est pas proposée pour cet article.',
+    'cart.sold_out': '{variant} est épuisée pour le moment.',
+    'cart.alternatives': 'Celles-ci sont disponibles :',
+    'cart.no_alternatives': 'Aucune taille proche de la vôtre n’est en stock pour le moment.',
+    'cart.failed': 'Je n’ai pas pu l’ajouter à votre panier. Veuillez réessayer ou le choisir sur la page produit.',
+    'cart.unavailable': 'L’ajout au panier n’est pas disponible pour le moment.',
+    'triggers.product_time': 'Un doute sur la coupe ? Je peux trouver votre taille pour cette pièce.',
+    'triggers.size_changes': 'Entre deux tailles ? Je peux vous recommander la bonne.',
+    'triggers.exit_intent': 'Avant de partir : puis-je vous aider à trouver votre taille ?',
+    'triggers.return_incomplete': 'Bon retour. On termine de trouver votre taille ?',
+    'triggers.action': 'C’est parti',
+    'triggers.dismiss': 'Fermer',
+
+    'transcript.title': 'Drape Layers Co-Pilot — récapitulatif de tailles',
+    'transcript.email_subject': 'Mon récapitulatif de tailles Drape Layers',
+    'transcript.date': 'Date : {date}',
+    'transcript.profile': 'Profil',
+    'transcript.height': 'Taille : {value}',
+    'transcript.weight': 'Poids : {value}',
+    'transcript.measurements': 'Mensurations : {value}',
+    'transcript.collection': 'Collection : {value}',
+    'transcript.collection_men': 'Homme',
+    'transcript.collection_women': 'Femme',
+    'transcript.saved_sizes': 'Tailles enregistrées',
+    'transcript.recommended': 'recommandée {value}',
+    'transcript.usual': 'habituelle {value}',
+    'transcript.fit': 'coupe : {value}',
+    'transcript.general': 'Général',
+    'transcript.conversation': 'Conversation',
+    'transcript.you': 'Vous',
+    'transcript.copilot': 'Co-Pilot',
+    'transcript.ask': 'Je peux réunir vos tailles et notre conversation dans un seul récapitulatif. Comment souhaitez-vous le recevoir ?',
+    'transcript.to_atelier': 'L’envoyer à notre atelier',
+    'transcript.to_self': 'Me l’envoyer par e-mail',
+    'transcript.print': 'Imprimer ou enregistrer en PDF',
+    'transcript.download': 'Télécharger en texte',
+    'transcript.filled': 'J’ai ajouté votre récapitulatif au formulaire de contact de cette page. Ajoutez votre e-mail et envoyez.',
+    'transcript.redirect': 'Je vous emmène vers notre formulaire de contact — votre récapitulatif y sera ajouté.',
+    'transcript.contact_failed': 'Impossible d’ouvrir le formulaire de contact. Veuillez essayer une autre option.',
+    'transcript.emailed': 'J’ai ouvert un nouvel e-mail avec votre récapitulatif. Ajoutez votre adresse et envoyez-le-vous.',
+    'transcript.printed': 'Votre récapitulatif est ouvert dans une nouvelle fenêtre, prêt à être imprimé ou enregistré en PDF.',
+    'transcript.print_blocked': 'Votre navigateur a bloqué la fenêtre d’impression. Vous pouvez télécharger le récapitulatif à la place.',
+    'transcript.downloading': 'Votre récapitulatif est en cours de téléchargement.',
+
+    'order.menu': 'Aide pour ma commande',
+    'order.ask': 'Comment puis-je vous aider avec votre commande ?',
+    'order.status': 'Statut de la commande',
+    'order.track_my_order': 'Suivre ma commande',
+    'order.view_status': 'Voir le statut de la commande',
+    'order.track_shipment': 'Suivre l’expédition',
+    'order.shipping_info': 'Informations de livraison',
+    'order.returns': 'Retours et remboursements',
+    'order.back_to_main': 'Retour aux options principales',
+    'order.back_to_returns': 'Retour aux retours',
+    'order.how_to_refund': 'Demander un remboursement',
+    'order.ask_number': 'Veuillez saisir votre numéro de commande.',
+    'order.ask_number_hint': 'Vous le trouverez dans votre e-mail de confirmation.',
+    'order.number_placeholder': 'ex. DL-10234',
+    'order.invalid_number': 'Veuillez saisir un numéro de commande valide.',
+    'order.noted': 'Merci. J’ai noté la commande {number}.',
+    'order.can_help': 'Voici ce que je peux faire pour vous :',
+    'order.status_body':
+      '<strong>Statut de la commande</strong><br><br>' +
+      'Toutes les pièces Drape Layers sont fabriquées à la commande.<br>' +
+      'Votre commande passe donc par les étapes suivantes :' +
+      '<ul>' +
+      '<li>Commande confirmée</li>' +
+      '<li>Attribution du patron et des matières</li>' +
+      '<li>Production</li>' +
+      '<li>Contrôle qualité final</li>' +
+      '<li>Expédition</li>' +
+      '</ul>' +
+      'Vous recevrez des e-mails à chaque étape de votre commande.',
+    'order.tracking_body':
+      '<strong>Suivre votre commande</strong><br><br>' +
+      'Une fois votre commande expédiée, vous recevrez un e-mail de confirmation d’expédition avec :' +
+      '<ul>' +
+      '<li>Votre numéro de suivi</li>' +
+      '<li>Le transporteur</li>' +
+      '<li>Un lien de suivi direct</li>' +
+      '</ul>' +
+      'Si vous ne l’avez pas encore reçu, votre commande est toujours en production.',
+    'order.shipping_fallback':
+      '<p>Les délais de livraison varient selon le produit et la destination.</p>' +
+      '<p>Toutes les commandes sont expédiées une fois la production terminée.</p>',
+    'order.returns_fallback':
+      '<p>Toutes les pièces Drape Layers sont fabriquées à la commande.</p>' +
+      '<p>Nous ne proposons pas d’échanges.</p>' +
+      '<p>Les demandes de remboursement peuvent être effectuées conformément à notre politique de retour.</p>',
+    'order.refund_body':
+      '<strong>Demander un remboursement</strong><br><br>' +
+      'Pour demander un remboursement, contactez notre service client en indiquant :' +
+      '<ul>' +
+      '<li>Votre numéro de commande</li>' +
+      '<li>Le motif de la demande</li>' +
+      '</ul>' +
+      'Chaque demande est examinée individuellement.',
+
+    'styling.menu': 'Composer une tenue',
+    'styling.missing_journal': 'Le stylisme n’est pas disponible car les données du journal sont manquantes.',
+    'styling.missing_products': 'Le stylisme n’est pas disponible car les données produits sont manquantes.',
+    'styling.ask_context': 'Pour quelle occasion vous habillez-vous ?',
+    'styling.context.everyday': 'Quotidien',
+    'styling.context.work': 'Travail',
+    'styling.context.social_evening': 'Soirée',
+    'styling.context.sunday_stroll': 'Balade du dimanche',
+    'styling.context.smart_casual': 'Smart casual',
+    'styling.great': 'Très bien.',
+    'styling.ask_formality': 'Quel niveau de formalité souhaitez-vous ?',
+    'styling.formality.relaxed': 'Décontracté',
+    'styling.formality.balanced': 'Équilibré',
+    'styling.formality.sharp': 'Habillé',
+    'styling.perfect': 'Parfait.',
+    'styling.curating': 'Je sélectionne des tenues dans notre journal…',
+    'styling.curating_short': 'Sélection en cours…',
+    'styling.no_outfit': 'Je n’ai pas trouvé de tenue éditoriale adaptée.',
+    'styling.outfit_options': 'Voici quelques propositions de tenues :',
+    'styling.outfit_n': 'Tenue {n}',
+    'styling.back_to_start': 'Retour au début',
+    'styling.next': 'Que souhaitez-vous faire ensuite ?',
+    'styling.recommend_size': 'Recommandez-moi une taille',
+    'styling.another_outfit': 'Une autre tenue',
+    'styling.engine.formality_work': '« Travail » peut vouloir dire beaucoup de choses. Quel niveau de formalité convient à votre quotidien ?',
+    'styling.engine.formality_everyday': '« Quotidien » peut vouloir dire beaucoup de choses. Quel niveau de formalité souhaitez-vous ?',
+    'styling.engine.formality': 'Quel niveau de formalité souhaitez-vous ?',
+    'styling.engine.outfit_header': 'Tenue éditoriale {n} sur {total}',
+    'styling.engine.prev': 'Tenue précédente',
+    'styling.engine.next': 'Tenue suivante',
+    'styling.engine.guide_size': 'Aidez-moi pour la taille',
+    'styling.engine.back_to_options': 'Retour aux options de stylisme',
+    'styling.engine.ask_reference': 'Donnez-moi une référence produit (de chez nous ou similaire). Saisissez un nom de produit.',
+    'styling.engine.reference_placeholder': 'Saisissez un nom de produit',
+    'styling.engine.type_product': 'Saisissez un nom de produit pour continuer.',
+    'styling.engine.no_match': 'Aucun résultat. Essayez un autre nom de produit.',
+    'styling.engine.no_outfits_for_piece': 'Je n’ai pas encore de tenues éditoriales avec cette pièce. Essayez une autre référence ou revenez aux options de stylisme.',
+    'styling.engine.try_another': 'Essayer un autre produit',
+    'styling.engine.type_another': 'Saisissez un autre nom de produit.',
+    'styling.engine.no_outfits': 'Aucune tenue disponible.',
+    'styling.engine.sizing_unavailable': 'Le calcul de taille n’est pas disponible pour le moment.'
+  });
+})();
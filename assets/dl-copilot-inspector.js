@@ -0,0 +1,404 @@
+/* ============================================================
+   DL CO-PILOT — DEBUG INSPECTOR
+   File: assets/dl-copilot-inspector.js
+   ------------------------------------------------------------
+   Only active when window.DL_COPILOT_DEBUG is set before the
+   scripts load; otherwise this file does nothing.
+
+   Adds an "Inspector" tab to the panel's top bar. The tab shows:
+   - live state (flow, sizing, modules)
+   - the bus event log with payloads (core api.debug.events())
+   - registered modules and flows
+   - DLCopilotProducts / DLCopilotJournal cache contents and ages
+   - the last sizing schema and its notes
+
+   Actions: clear each cache, clear the event log, replay the
+   current route (same intent + payload, fresh routeId).
+
+   Developer-only: strings are not in the copy catalog.
+============================================================ */
+
+(function () {
+  'use strict';
+
+  if (!window.DLCopilot || !window.DLCopilot.__coreInitialized) {
+    throw new Error('dl-copilot-core.js must be loaded before dl-copilot-inspector.js');
+  }
+
+  if (!window.DLCopilot.config.debug) return;
+
+  window.DLCopilot.registerModule('inspector', function (api) {
+    /* ============================================================
+       MODULE CONSTANTS
+    ============================================================ */
+
+    var CONFIG = {
+      selectors: {
+        panel: '#DLCopilotPanel',
+        top: '.dl-copilot-panel__top',
+        close: '#DLCopilotClose'
+      },
+
+      // Live sections re-render at this rate while the tab is shown
+      refreshMs: 1000,
+
+      // Newest first; the full log stays in api.debug.events()
+      maxEventsShown: 80
+    };
+
+    var STATE = {
+      started: false,
+      visible: false,
+      timer: null,
+      panel: null,
+      tab: null,
+      pane: null,
+      sections: {}
+    };
+
+    var toStr = api.utils.toStr;
+
+    function now() {
+      return Date.now ? Date.now() : new Date().getTime();
+    }
+
+    function json(value) {
+      try { return JSON.stringify(value, null, 2); } catch (e) { return toStr(value); }
+    }
+
+    function clockTime(ts) {
+      var d = new Date(ts);
+      function pad(n, w) { n = String(n); while (n.length < (w || 2)) n = '0' + n; return n; }
+      return pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds()) + '.' + pad(d.getMilliseconds(), 3);
+    }
+
+    function age(ms) {
+      if (!(ms >= 0)) return '—';
+      var s = Math.round(ms / 1000);
+      if (s < 60) return s + 's';
+      if (s < 3600) return Math.floor(s / 60) + 'm ' + (s % 60) + 's';
+      return Math.floor(s / 3600) + 'h ' + Math.floor((s % 3600) / 60) + 'm';
+    }
+
+    function el(tag, className, text) {
+      var node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text != null) node.textContent = text;
+      return node;
+    }
+
+    function button(label, onClick, name) {
+      var b = el('button', 'dl-copilot-inspector__btn', label);
+      b.type = 'button';
+      if (name) b.setAttribute('data-dl-copilot-inspector-action', name);
+      b.addEventListener('click', function (e) {
+        e.preventDefault();
+        try { onClick(); } catch (err) { try { console.warn('[DL Copilot inspector]', err); } catch (e2) {} }
+        render();
+      });
+      return b;
+    }
+
+    /* ============================================================
+       CACHES
+       Both modules store { ts, <payload> } under a config key.
+    ============================================================ */
+
+    function readCache(key, ttlMs, field) {
+      var info = { key: key, present: false, ts: null, age: null, expired: false, size: 0, data: null };
+      if (!key) return info;
+
+      try {
+        var raw = localStorage.getItem(key);
+        if (!raw) return info;
+        var parsed = JSON.parse(raw);
+        info.present = true;
+        info.ts = parsed && parsed.ts ? parsed.ts : null;
+        info.age = info.ts ? now() - info.ts : null;
+        info.expired = !!(ttlMs && info.age != null && info.age > ttlMs);
+        info.data = parsed ? parsed[field] : null;
+      } catch (e) {
+        info.data = null;
+      }
+
+      return info;
+    }
+
+    function productsCache() {
+      var P = window.DLCopilotProducts;
+      var cfg = (P && P.config) || {};
+      var info = readCache(cfg.CACHE_KEY, cfg.CACHE_TTL_MS, 'items');
+      info.available = !!P;
+      info.size = info.data && typeof info.data === 'object' ? Object.keys(info.data).length : 0;
+      info.unit = ['product', 'products'];
+      return info;
+    }
+
+    function journalCache() {
+      var J = window.DLCopilotJournal;
+      var cfg = (J && J.config) || {};
+      var info = readCache(cfg.LS_KEY, cfg.LS_TTL_MS, 'data');
+      info.available = !!J;
+      info.size = info.data && Array.isArray(info.data.outfits) ? info.data.outfits.length : 0;
+      info.unit = ['outfit', 'outfits'];
+      return info;
+    }
+
+    function clearProductsCache() {
+      if (window.DLCopilotProducts && typeof window.DLCopilotProducts.clearCache === 'function') {
+        window.DLCopilotProducts.clearCache();
+      }
+    }
+
+    function clearJournalCache() {
+      if (window.DLCopilotJournal && typeof window.DLCopilotJournal.clearCache === 'function') {
+        window.DLCopilotJournal.clearCache();
+      }
+    }
+
+    /* ============================================================
+       REPLAY
+       Same intent + payload as the current route; a fresh routeId
+       so core's dedupe lets it through.
+    ============================================================ */
+
+    function currentRoute() {
+      var flow = api.state.flow || {};
+      if (!flow.intent) return null;
+      return { intent: flow.intent, payload: flow.payload || {}, routeId: flow.routeId || null };
+    }
+
+    function replayRoute() {
+      var route = currentRoute();
+      if (!route) return;
+
+      api.removeExistingChoiceUIs();
+      api.route({ intent: route.intent, payload: JSON.parse(JSON.stringify(route.payload)) });
+      hide();
+    }
+
+    /* ============================================================
+       RENDER
+    ============================================================ */
+
+    function section(id, title) {
+      var box = el('section', 'dl-copilot-inspector__section');
+      box.setAttribute('data-dl-copilot-inspector-section', id);
+      box.appendChild(el('h4', 'dl-copilot-inspector__heading', title));
+      var body = el('div', 'dl-copilot-inspector__content');
+      box.appendChild(body);
+      STATE.sections[id] = body;
+      return box;
+    }
+
+    function pre(value) {
+      return el('pre', 'dl-copilot-inspector__pre', typeof value === 'string' ? value : json(value));
+    }
+
+    function renderState(body) {
+      var s = api.getState();
+      body.appendChild(pre({ flow: s.flow, sizing: s.sizing, modules: s.modules }));
+    }
+
+    function renderEvents(body) {
+      var events = api.debug.events();
+      body.appendChild(el('p', 'dl-copilot-inspector__meta', events.length + ' recorded'));
+
+      var list = el('ol', 'dl-copilot-inspector__events');
+      events.slice(-CONFIG.maxEventsShown).reverse().forEach(function (entry) {
+        var item = el('li', 'dl-copilot-inspector__event');
+        var head = el('div', 'dl-copilot-inspector__event-head');
+        head.appendChild(el('time', null, clockTime(entry.ts)));
+        head.appendChild(el('strong', null, ' ' + entry.evt));
+        item.appendChild(head);
+        if (entry.payload != null) item.appendChild(pre(entry.payload));
+        list.appendChild(item);
+      });
+      body.appendChild(list);
+
+      body.appendChild(button('Clear event log', function () { api.debug.clearEvents(); }, 'clear-events'));
+    }
+
+    function renderRegistry(body) {
+      var reg = api.getRegistry();
+
+      body.appendChild(el('p', 'dl-copilot-inspector__meta', 'Modules'));
+      body.appendChild(pre(reg.modules.map(function (m) {
+        return m.id + (m.intent ? ' → ' + m.intent : '') + (m.initialized ? '' : ' (failed)');
+      }).join('\n')));
+
+      body.appendChild(el('p', 'dl-copilot-inspector__meta', 'Flows'));
+      body.appendChild(pre(reg.flows.map(function (f) {
+        var line = f.priority + '  ' + f.intent + '  [' + (f.module || 'core') + ']';
+        if (f.aliases.length) line += '  aka ' + f.aliases.join(', ');
+        if (!f.hasStart) line += '  (no start)';
+        return line;
+      }).join('\n')));
+    }
+
+    function renderCache(body, label, info, onClear, name) {
+      var line;
+      if (!info.available) line = label + ': module not loaded';
+      else if (!info.present) line = label + ': empty';
+      else {
+        line = label + ': ' + info.size + ' ' + info.unit[info.size === 1 ? 0 : 1] + ', age ' + age(info.age) + (info.expired ? ' (expired)' : '');
+      }
+
+      body.appendChild(el('p', 'dl-copilot-inspector__meta', line));
+      if (info.present) {
+        var details = el('details', 'dl-copilot-inspector__details');
+        details.appendChild(el('summary', null, info.key));
+        details.appendChild(pre(info.data));
+        body.appendChild(details);
+      }
+      body.appendChild(button('Clear ' + label.toLowerCase() + ' cache', onClear, name));
+    }
+
+    function renderCaches(body) {
+      renderCache(body, 'Products', productsCache(), clearProductsCache, 'clear-products');
+      renderCache(body, 'Journal', journalCache(), clearJournalCache, 'clear-journal');
+    }
+
+    function renderSchema(body) {
+      var last = api.debug.lastSchema();
+      if (!last) {
+        body.appendChild(el('p', 'dl-copilot-inspector__meta', 'No recommendation computed yet.'));
+        return;
+      }
+
+      var schema = last.schema || {};
+      var notes = Array.isArray(schema.notes) ? schema.notes : [];
+
+      body.appendChild(el('p', 'dl-copilot-inspector__meta', last.source + ', ' + age(now() - last.ts) + ' ago'));
+      body.appendChild(el('p', 'dl-copilot-inspector__meta', 'Notes: ' + (notes.length ? notes.join(', ') : 'none')));
+      body.appendChild(pre(schema));
+    }
+
+    function renderRoute(body) {
+      var route = currentRoute();
+      body.appendChild(pre(route || 'No active route (menu).'));
+
+      var replay = button('Replay route', replayRoute, 'replay-route');
+      replay.disabled = !route;
+      body.appendChild(replay);
+    }
+
+    var RENDERERS = {
+      route: renderRoute,
+      state: renderState,
+      events: renderEvents,
+      registry: renderRegistry,
+      caches: renderCaches,
+      schema: renderSchema
+    };
+
+    function render() {
+      if (!STATE.pane || !STATE.visible) return;
+
+      Object.keys(RENDERERS).forEach(function (id) {
+        var body = STATE.sections[id];
+        if (!body) return;
+
+        // Keep open <details> and scroll positions across live refreshes.
+        var open = Array.prototype.map.call(body.querySelectorAll('details'), function (d) { return d.open; });
+        var scroll = body.scrollTop;
+
+        body.innerHTML = '';
+        RENDERERS[id](body);
+
+        Array.prototype.forEach.call(body.querySelectorAll('details'), function (d, i) { d.open = !!open[i]; });
+        body.scrollTop = scroll;
+      });
+    }
+
+    /* ============================================================
+       TAB
+    ============================================================ */
+
+    function show() {
+      if (!STATE.pane) return;
+      STATE.visible = true;
+      STATE.pane.hidden = false;
+      STATE.panel.classList.add('is-inspecting');
+      STATE.tab.setAttribute('aria-pressed', 'true');
+
+      render();
+      if (!STATE.timer) STATE.timer = setInterval(render, CONFIG.refreshMs);
+    }
+
+    function hide() {
+      if (!STATE.pane) return;
+      STATE.visible = false;
+      STATE.pane.hidden = true;
+      STATE.panel.classList.remove('is-inspecting');
+      STATE.tab.setAttribute('aria-pressed', 'false');
+
+      if (STATE.timer) {
+        clearInterval(STATE.timer);
+        STATE.timer = null;
+      }
+    }
+
+    function toggle() {
+      if (STATE.visible) hide();
+      else show();
+    }
+
+    function mount() {
+      var panel = document.querySelector(CONFIG.selectors.panel);
+      var top = panel && panel.querySelector(CONFIG.selectors.top);
+      if (!top) return false;
+
+      STATE.panel = panel;
+
+      var tab = el('button', 'dl-copilot-inspector__tab', 'Inspector');
+      tab.type = 'button';
+      tab.setAttribute('data-dl-copilot-inspector-tab', '');
+      tab.setAttribute('aria-controls', 'DLCopilotInspector');
+      tab.setAttribute('aria-pressed', 'false');
+      tab.addEventListener('click', function (e) {
+        e.preventDefault();
+        toggle();
+      });
+
+      var close = panel.querySelector(CONFIG.selectors.close);
+      if (close && close.parentNode === top) top.insertBefore(tab, close);
+      else top.appendChild(tab);
+
+      var pane = el('div', 'dl-copilot-inspector');
+      pane.id = 'DLCopilotInspector';
+      pane.hidden = true;
+
+      pane.appendChild(section('route', 'Route'));
+      pane.appendChild(section('state', 'State'));
+      pane.appendChild(section('events', 'Bus events'));
+      pane.appendChild(section('registry', 'Registry'));
+      pane.appendChild(section('caches', 'Caches'));
+      pane.appendChild(section('schema', 'Last sizing schema'));
+
+      top.parentNode.insertBefore(pane, top.nextSibling);
+
+      STATE.tab = tab;
+      STATE.pane = pane;
+      return true;
+    }
+
+    function start() {
+      if (STATE.started) return;
+      STATE.started = mount();
+    }
+
+    // Closing the panel stops the live refresh.
+    api.on('panel:close', function () { hide(); });
+
+    api.on('core:ready', start, { replay: true });
+
+    window.DLCopilotInspector = {
+      __v: 1,
+      show: show,
+      hide: hide,
+      render: render,
+      replayRoute: replayRoute
+    };
+  });
+})();
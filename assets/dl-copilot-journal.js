@@ -839,6 +839,34 @@
     });
   }
 
+  /* ============================================================
+     LOOKUPS USED BY THE STYLING ENGINE
+     - Both resolve to outfit records (same shape as above)
+     - Context: journal blocks rarely carry occasion tags yet, so if
+       nothing is tagged we return all outfits (journal stays priority)
+  ============================================================ */
+  function getOutfitsByContext(opts) {
+    opts = opts || {};
+    var context = trim(opts.context || '');
+
+    return getJournalOutfits().then(function (outfits) {
+      if (!context) return outfits;
+      var tagged = filterOutfitsByOccasion(outfits, context);
+      return tagged.length ? tagged : outfits;
+    });
+  }
+
+  function getOutfitsByProduct(handle) {
+    handle = normalizeHandle(handle);
+    if (!handle) return Promise.resolve([]);
+
+    return getJournalOutfits().then(function (outfits) {
+      return (outfits || []).filter(function (o) {
+        return o && o.handles && o.handles.indexOf(handle) !== -1;
+      });
+    });
+  }
+
   /* ============================================================
      DIAGNOSTICS (FOR YOU)
   ============================================================ */
@@ -881,6 +909,14 @@
     return filterOutfitsByOccasion(enrichedOutfits, occasionTag);
   };
 
+  DLCopilotJournal.getOutfitsByContext = function (opts) {
+    return getOutfitsByContext(opts);
+  };
+
+  DLCopilotJournal.getOutfitsByProduct = function (handle) {
+    return getOutfitsByProduct(handle);
+  };
+
   DLCopilotJournal.debugExtractFromCurrentPage = function () {
     return debugExtractFromCurrentPage();
   };
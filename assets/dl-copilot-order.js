@@ -40,6 +40,83 @@
     }
   }
 
+  /* ============================================================
+     COPY (ENGLISH DEFAULTS)
+     Pulled by key through the core catalog so translations and
+     merchant overrides apply (see core 2.1).
+  ============================================================ */
+
+  var ORDER_COPY = {
+    'order.menu': 'Help with my order',
+    'order.ask': 'How can I help with your order?',
+    'order.status': 'Order status',
+    'order.track_my_order': 'Track my order',
+    'order.view_status': 'View order status',
+    'order.track_shipment': 'Track shipment',
+    'order.shipping_info': 'Shipping information',
+    'order.returns': 'Returns & refunds',
+    'order.back_to_main': 'Back to main options',
+    'order.back_to_returns': 'Back to returns',
+    'order.how_to_refund': 'How to request a refund',
+    'order.ask_number': 'Please enter your order number.',
+    'order.ask_number_hint': 'You can find it in your confirmation email.',
+    'order.number_placeholder': 'e.g. DL-10234',
+    'order.invalid_number': 'Please enter a valid order number.',
+    'order.noted': 'Thanks. I’ve noted order {number}.',
+    'order.can_help': 'Here’s what I can help you with:',
+    'order.status_body':
+      '<strong>Order status</strong><br><br>' +
+      'All Drape Layers pieces are made to order.<br>' +
+      'This means your order goes through the following stages:' +
+      '<ul>' +
+      '<li>Order confirmed</li>' +
+      '<li>Pattern & material allocation</li>' +
+      '<li>Production</li>' +
+      '<li>Final quality control</li>' +
+      '<li>Shipment</li>' +
+      '</ul>' +
+      'You will receive email updates as your order progresses.',
+    'order.tracking_body':
+      '<strong>Tracking your order</strong><br><br>' +
+      'Once your order has shipped, you will receive a shipping confirmation email with:' +
+      '<ul>' +
+      '<li>Your tracking number</li>' +
+      '<li>The courier used</li>' +
+      '<li>A direct tracking link</li>' +
+      '</ul>' +
+      'If you haven’t received this yet, your order is still in production.',
+    'order.shipping_fallback':
+      '<p>Delivery times vary depending on product and destination.</p>' +
+      '<p>All orders are shipped once production is completed.</p>',
+    'order.returns_fallback':
+      '<p>All Drape Layers garments are made to order.</p>' +
+      '<p>We do not offer exchanges.</p>' +
+      '<p>Refund requests can be submitted in accordance with our return policy.</p>',
+    'order.refund_body':
+      '<strong>Requesting a refund</strong><br><br>' +
+      'To request a refund, please contact our support team and include:' +
+      '<ul>' +
+      '<li>Your order number</li>' +
+      '<li>The reason for the request</li>' +
+      '</ul>' +
+      'Each request is reviewed individually.'
+  };
+
+  if (window.DLCopilotCore && typeof window.DLCopilotCore.registerMessages === 'function') {
+    window.DLCopilotCore.registerMessages('en', ORDER_COPY);
+  }
+
+  function t(key, vars) {
+    var core = window.DLCopilotCore;
+    if (core && typeof core.t === 'function') return core.t(key, vars);
+
+    return safeString(ORDER_COPY[key] || key).replace(/\{(\w+)\}/g, function (whole, name) {
+      return vars && vars[name] != null ? String(vars[name]) : whole;
+    });
+  }
+
+  window.DLCopilotOrder.copy = ORDER_COPY;
+
   /* ============================================================
      INTERNAL STATE (ISOLATED)
   ============================================================ */
@@ -58,41 +135,45 @@
      ENTRY POINT
   ============================================================ */
 
-  function startOrderFlow() {
+  function startOrderFlow(route) {
     assertDeps();
     resetState();
     state.step = 'entry';
 
+    // Free text like "where is order #10234" arrives with the number already extracted.
+    var payload = (route && route.payload) || {};
+    if (payload.order_number) return handleOrderNumber(payload.order_number);
+
     return {
       type: 'pills',
-      message: 'How can I help with your order?',
+      message: t('order.ask'),
       options: [
         {
-          label: 'Order status',
+          label: t('order.status'),
           onSelect: function () {
             return askForOrderNumber();
           }
         },
         {
-          label: 'Track my order',
+          label: t('order.track_my_order'),
           onSelect: function () {
             return askForOrderNumber();
           }
         },
         {
-          label: 'Shipping information',
+          label: t('order.shipping_info'),
           onSelect: function () {
             return showShippingPolicy();
           }
         },
         {
-          label: 'Returns & refunds',
+          label: t('order.returns'),
           onSelect: function () {
             return showReturnPolicy();
           }
         },
         {
-          label: 'Back to main options',
+          label: t('order.back_to_main'),
           onSelect: function () {
             return window.DLCopilotCore.restart();
           }
@@ -111,20 +192,12 @@
     return {
       type: 'input',
       message:
-        'Please enter your order number.<br>' +
-        '<span style="opacity:.7">You can find it in your confirmation email.</span>',
-      placeholder: 'e.g. DL-10234',
+        t('order.ask_number') + '<br>' +
+        '<span style="opacity:.7">' + t('order.ask_number_hint') + '</span>',
+      placeholder: t('order.number_placeholder'),
       onSubmit: function (value) {
         return handleOrderNumber(value);
-      },
-      actions: [
-        {
-          label: 'Back',
-          onClick: function () {
-            return startOrderFlow();
-          }
-        }
-      ]
+      }
     };
   }
 
@@ -134,7 +207,7 @@
     if (!v) {
       return {
         type: 'message',
-        message: 'Please enter a valid order number.',
+        message: t('order.invalid_number'),
         next: function () {
           return askForOrderNumber();
         }
@@ -148,37 +221,36 @@
     return {
       type: 'message',
       message:
-        'Thanks. I’ve noted order <strong>' +
-        escapeHtml(v) +
-        '</strong>.<br><br>' +
-        'Here’s what I can help you with:',
+        t('order.noted', { number: '<strong>' + escapeHtml(v) + '</strong>' }) +
+        '<br><br>' +
+        t('order.can_help'),
       actions: [
         {
-          label: 'View order status',
+          label: t('order.view_status'),
           onClick: function () {
             return showOrderStatusInfo();
           }
         },
         {
-          label: 'Track shipment',
+          label: t('order.track_shipment'),
           onClick: function () {
             return showTrackingInfo();
           }
         },
         {
-          label: 'Shipping information',
+          label: t('order.shipping_info'),
           onClick: function () {
             return showShippingPolicy();
           }
         },
         {
-          label: 'Returns & refunds',
+          label: t('order.returns'),
           onClick: function () {
             return showReturnPolicy();
           }
         },
         {
-          label: 'Back to main options',
+          label: t('order.back_to_main'),
           onClick: function () {
             return window.DLCopilotCore.restart();
           }
@@ -196,36 +268,19 @@
 
     return {
       type: 'message',
-      message:
-        '<strong>Order status</strong><br><br>' +
-        'All Drape Layers pieces are made to order.<br>' +
-        'This means your order goes through the following stages:' +
-        '<ul>' +
-        '<li>Order confirmed</li>' +
-        '<li>Pattern & material allocation</li>' +
-        '<li>Production</li>' +
-        '<li>Final quality control</li>' +
-        '<li>Shipment</li>' +
-        '</ul>' +
-        'You will receive email updates as your order progresses.',
+      message: t('order.status_body'),
       actions: [
         {
-          label: 'Track shipment',
+          label: t('order.track_shipment'),
           onClick: function () {
             return showTrackingInfo();
           }
         },
         {
-          label: 'Shipping information',
+          label: t('order.shipping_info'),
           onClick: function () {
             return showShippingPolicy();
           }
-        },
-        {
-          label: 'Back',
-          onClick: function () {
-            return startOrderFlow();
-          }
         }
       ]
     };
@@ -240,27 +295,13 @@
 
     return {
       type: 'message',
-      message:
-        '<strong>Tracking your order</strong><br><br>' +
-        'Once your order has shipped, you will receive a shipping confirmation email with:' +
-        '<ul>' +
-        '<li>Your tracking number</li>' +
-        '<li>The courier used</li>' +
-        '<li>A direct tracking link</li>' +
-        '</ul>' +
-        'If you haven’t received this yet, your order is still in production.',
+      message: t('order.tracking_body'),
       actions: [
         {
-          label: 'Shipping information',
+          label: t('order.shipping_info'),
           onClick: function () {
             return showShippingPolicy();
           }
-        },
-        {
-          label: 'Back',
-          onClick: function () {
-            return startOrderFlow();
-          }
         }
       ]
     };
@@ -277,24 +318,13 @@
 
     return {
       type: 'policy',
-      title: 'Shipping information',
-      content: policy || defaultShippingFallback(),
-      actions: [
-        {
-          label: 'Back',
-          onClick: function () {
-            return startOrderFlow();
-          }
-        }
-      ]
+      title: t('order.shipping_info'),
+      content: policy || defaultShippingFallback()
     };
   }
 
   function defaultShippingFallback() {
-    return (
-      '<p>Delivery times vary depending on product and destination.</p>' +
-      '<p>All orders are shipped once production is completed.</p>'
-    );
+    return t('order.shipping_fallback');
   }
 
   /* ============================================================
@@ -308,33 +338,23 @@
 
     return {
       type: 'policy',
-      title: 'Returns & refunds',
+      title: t('order.returns'),
       content:
         policy ||
         defaultReturnFallback(),
       actions: [
         {
-          label: 'How to request a refund',
+          label: t('order.how_to_refund'),
           onClick: function () {
             return showRefundInstructions();
           }
-        },
-        {
-          label: 'Back',
-          onClick: function () {
-            return startOrderFlow();
-          }
         }
       ]
     };
   }
 
   function defaultReturnFallback() {
-    return (
-      '<p>All Drape Layers garments are made to order.</p>' +
-      '<p>We do not offer exchanges.</p>' +
-      '<p>Refund requests can be submitted in accordance with our return policy.</p>'
-    );
+    return t('order.returns_fallback');
   }
 
   function showRefundInstructions() {
@@ -342,23 +362,16 @@
 
     return {
       type: 'message',
-      message:
-        '<strong>Requesting a refund</strong><br><br>' +
-        'To request a refund, please contact our support team and include:' +
-        '<ul>' +
-        '<li>Your order number</li>' +
-        '<li>The reason for the request</li>' +
-        '</ul>' +
-        'Each request is reviewed individually.',
+      message: t('order.refund_body'),
       actions: [
         {
-          label: 'Back to returns',
+          label: t('order.back_to_returns'),
           onClick: function () {
             return showReturnPolicy();
           }
         },
         {
-          label: 'Back to main options',
+          label: t('order.back_to_main'),
           onClick: function () {
             return window.DLCopilotCore.restart();
           }
@@ -412,11 +425,23 @@
      SHIPPING POLICY
   ------------------------------------------------------------ */
 
+  // Policy bodies come from the merchant's rich text; pass them through
+  // the core allowlist before they reach the panel.
+  function policyHtml(el) {
+    var html = el.innerHTML;
+    var core = window.DLCopilotCore;
+
+    if (core && core.utils && typeof core.utils.sanitizeHtml === 'function') {
+      return core.utils.sanitizeHtml(html);
+    }
+    return html;
+  }
+
   window.DLCopilotPolicies.getShippingPolicy = function () {
     var el = document.getElementById('DLCopilotShippingPolicy');
 
     if (el && el.innerHTML.trim().length) {
-      return el.innerHTML;
+      return policyHtml(el);
     }
 
     return null;
@@ -430,7 +455,7 @@
     var el = document.getElementById('DLCopilotReturnPolicy');
 
     if (el && el.innerHTML.trim().length) {
-      return el.innerHTML;
+      return policyHtml(el);
     }
 
     return null;
@@ -474,7 +499,16 @@
 
   if (window.DLCopilotCore && typeof window.DLCopilotCore.registerFlow === 'function') {
     window.DLCopilotCore.registerFlow('order_support', {
-      label: 'Help with my order',
+      label: function () {
+        var core = window.DLCopilotCore;
+        return core && typeof core.t === 'function' ? core.t('order.menu') : window.DLCopilotOrder.copy['order.menu'];
+      },
+      aliases: ['order', 'help_with_order'],
+      keywords: {
+        'order': 2, 'parcel': 2, 'package': 2, 'delivery': 2, 'deliver': 1, 'shipping': 2, 'ship': 1,
+        'track': 2, 'tracking': 2, 'courier': 2, 'arrive': 1, 'return': 2, 'refund': 2, 'exchange': 1,
+        'where is': 2, 'not arrived': 2
+      },
       start: window.DLCopilotOrder.start,
       priority: 30
     });
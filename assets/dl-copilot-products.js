@@ -10,7 +10,10 @@
    - NO UI
    - NO CHAT LOGIC
    - NO JOURNAL PARSING
-   - NO SIZE LOGIC (only expose data)
+   - NO SIZE LOGIC (sizes come from dl-copilot-sizing.js;
+     resolveVariant only maps a recommendation onto variants)
+   - Size charts are extracted as data only (metafield / description
+     <table>, see SIZE CHARTS); matching is dl-copilot-sizing.js
    - Shopify compliant
 
    USED BY
@@ -41,7 +44,9 @@
        options: [],
        price,
        compare_at_price
-     }]
+     }],
+     size_chart,           // see SIZE CHARTS, or null
+     size_chart_source     // 'metafield' | 'description' | 'none', null = not asked yet
    }
 
 ============================================================ */
@@ -66,7 +71,10 @@
     CACHE_KEY: 'dl_copilot_products_cache_v1',
     CACHE_TTL_MS: 1000 * 60 * 30, // 30 minutes
 
-    MAX_BATCH_SIZE: 20
+    MAX_BATCH_SIZE: 20,
+
+    // Alternate product template rendering the size chart metafield as JSON
+    SIZE_CHART_VIEW: 'dl-copilot-size-chart'
   };
 
   /* ============================================================
@@ -134,6 +142,16 @@
     } catch (e) {}
   }
 
+  // Cached products only, no network (used by core's free-text classifier).
+  function getCachedProducts() {
+    var cache = loadCache() || {};
+    return Object.keys(cache).map(function (h) {
+      return cache[h];
+    }).filter(function (p) {
+      return p && p.handle && p.title;
+    });
+  }
+
   function clearCache() {
     try {
       localStorage.removeItem(CONFIG.CACHE_KEY);
@@ -215,7 +233,8 @@
     var options = [];
     for (var o = 0; o < (raw.options || []).length; o++) {
       options.push({
-        name: raw.options[o],
+        // product.js sends names; product.json sends { name, position, values }
+        name: raw.options[o] && typeof raw.options[o] === 'object' ? raw.options[o].name : raw.options[o],
         values: uniq(
           raw.variants.map(function (v) {
             return v['option' + (o + 1)];
@@ -254,7 +273,11 @@
       price_max: toMoney(raw.price_max),
       images: images,
       options: options,
-      variants: variants
+      variants: variants,
+
+      // Description table for now; getSizeChart() prefers the metafield.
+      size_chart: raw.size_chart ? normalizeSizeChart(raw.size_chart, raw.size_chart.source) : extractSizeChartFromHtml(raw.description),
+      size_chart_source: raw.size_chart_source || null
     };
 
     return normalized;
@@ -344,6 +367,332 @@
     });
   }
 
+  /* ============================================================
+     SIZE CHARTS
+     ------------------------------------------------------------
+     Data only: matching measurements to sizes lives in
+     dl-copilot-sizing.js (recommendFromMeasurements).
+
+     Sources, best first:
+     1. JSON metafield, read through the alternate product template
+        templates/product.dl-copilot-size-chart.liquid
+        (GET /products/{handle}?view=dl-copilot-size-chart)
+     2. A size guide <table> in the product description
+
+     Normalized shape (cached on the product as size_chart):
+     {
+       kind: 'body' | 'garment',
+       system: 'eu_numeric' | 'alpha' | 'waist_inch' | null,
+       unit: 'cm',                 // always; source_unit says what it was
+       source_unit: 'cm' | 'in',
+       source: 'metafield' | 'description',
+       covers: ['chest', ...],     // measurements the rows have
+       rows: [{ size: '48', measurements: { chest: { min: 94, max: 98 } } }]
+     }
+     This is the one chart normalizer: DLCopilotSizing matches against
+     its output as is, and reads MEASUREMENT_WORDS for customers' own
+     "chest 98, waist 84".
+     Metafield JSON may be { kind, system, unit, rows: [...] } or just
+     the rows; row keys can be measurement names in any language the
+     table parser knows ("Chest (cm)", "Brust").
+  ============================================================ */
+  var CM_PER_INCH = 2.54;
+
+  // Measurement keys and their words (en / it / es / de / fr), whole
+  // words only: chart headers here, customers' messages in sizing.js.
+  var MEASUREMENT_WORDS = {
+    chest: ['chest', 'bust', 'petto', 'torace', 'pecho', 'busto', 'brust', 'brustumfang', 'brustweite', 'poitrine', 'tour de poitrine'],
+    waist: ['waist', 'vita', 'cintura', 'taille', 'bund', 'bundweite', 'taillenumfang', 'tour de taille'],
+    hip: ['hip', 'hips', 'seat', 'fianchi', 'bacino', 'cadera', 'caderas', 'hüfte', 'hüften', 'hüftumfang', 'hufte', 'hanche', 'hanches', 'tour de hanches'],
+    shoulder: ['shoulder', 'shoulders', 'spalla', 'spalle', 'hombro', 'hombros', 'schulter', 'schultern', 'schulterbreite', 'épaule', 'épaules', 'epaule', 'epaules'],
+    sleeve: ['sleeve', 'sleeves', 'arm', 'arm length', 'manica', 'maniche', 'manga', 'mangas', 'ärmel', 'armel', 'ärmellänge', 'armlänge', 'manche', 'manches'],
+    inseam: ['inseam', 'inside leg', 'leg', 'leg length', 'cavallo', 'cavallo interno', 'interno gamba', 'entrepierna', 'schritt', 'schrittlänge', 'innenbein', 'entrejambe']
+  };
+
+  var MEASUREMENT_KEYS = Object.keys(MEASUREMENT_WORDS);
+
+  // Garment-only columns that would otherwise read as one of the above
+  var NOT_A_MEASUREMENT = /hole|opening|\bhem\b|apertura|fondo|saum|ourlet/i;
+
+  var SIZE_HEADER = /^\s*(size|sizes|taglia|talla|gr(ö|oe)(ß|ss)e|taille|eu|it|fr|uk|us)\b/i;
+
+  var GARMENT_HINT = /garment|finished|flat|capo finito|prenda|kleidungsst(ü|u)ck|v(ê|e)tement/i;
+
+  function measurementKeyFromHeader(text) {
+    text = ' ' + trim(text).toLowerCase() + ' ';
+    if (!trim(text) || NOT_A_MEASUREMENT.test(text)) return null;
+
+    for (var i = 0; i < MEASUREMENT_KEYS.length; i++) {
+      var words = MEASUREMENT_WORDS[MEASUREMENT_KEYS[i]];
+      for (var j = 0; j < words.length; j++) {
+        var at = text.indexOf(words[j]);
+        while (at !== -1) {
+          if (!/[a-zà-ÿ]/.test(text.charAt(at - 1)) && !/[a-zà-ÿ]/.test(text.charAt(at + words[j].length))) return MEASUREMENT_KEYS[i];
+          at = text.indexOf(words[j], at + 1);
+        }
+      }
+    }
+    return null;
+  }
+
+  function unitFromText(text) {
+    text = String(text || '').toLowerCase();
+    if (/\bcm\b/.test(text)) return 'cm';
+    if (/\b(in|inch|inches)\b|["″]/.test(text)) return 'in';
+    return null;
+  }
+
+  function roundHalf(n) {
+    return Math.round(n * 2) / 2;
+  }
+
+  // "94-98" | "96" | "37 ½" | 96 | [94, 98] | { min, max } → { min, max } in cm
+  function parseChartValue(v, unit) {
+    var factor = unit === 'in' ? CM_PER_INCH : 1;
+    var nums = [];
+
+    if (typeof v === 'number') nums = [v];
+    else if (Array.isArray(v)) nums = v.map(parseFloat);
+    else if (v && typeof v === 'object') nums = [parseFloat(v.min), parseFloat(v.max)];
+    else if (isString(v)) {
+      var text = v.replace(/\s*½/g, '.5').replace(/(\d),(\d)/g, '$1.$2');
+      nums = (text.match(/\d+(?:\.\d+)?/g) || []).slice(0, 2).map(parseFloat);
+    }
+
+    nums = nums.filter(function (n) { return typeof n === 'number' && isFinite(n) && n > 0; });
+    if (!nums.length) return null;
+
+    var min = Math.min.apply(null, nums) * factor;
+    var max = Math.max.apply(null, nums) * factor;
+    return { min: roundHalf(min), max: roundHalf(max) };
+  }
+
+  function detectChartSystem(sizes) {
+    if (!sizes.length) return null;
+    var all = function (re) { return sizes.every(function (s) { return re.test(s); }); };
+    if (all(/^(x{0,3}s|m|x{0,3}l|[2-4]xl)$/i)) return 'alpha';
+    if (all(/^w\s*\d{2}$|^\d{2}\s*w$/i)) return 'waist_inch';
+    if (all(/^\d{2}(\.\d)?$/)) return 'eu_numeric';
+    return null;
+  }
+
+  // rows: [{ size, measurements: { key: raw } }] with raw values
+  function buildChart(rows, meta) {
+    var out = [];
+    var sourceUnit = 'cm';
+    var present = {};
+
+    rows.forEach(function (row) {
+      var size = trim(String(row.size == null ? '' : row.size)).replace(/\s+/g, ' ');
+      if (!size) return;
+
+      var measurements = {};
+      var any = false;
+      Object.keys(row.measurements || {}).forEach(function (key) {
+        var cell = row.measurements[key];
+        var unit = cell.unit || meta.unit;
+        if (unit === 'in') sourceUnit = 'in';
+        var v = parseChartValue(cell.value, unit);
+        if (v) { measurements[key] = v; present[key] = true; any = true; }
+      });
+
+      if (any) out.push({ size: size, measurements: measurements });
+    });
+
+    if (!out.length) return null;
+
+    return {
+      kind: meta.kind === 'garment' ? 'garment' : 'body',
+      system: meta.system || detectChartSystem(out.map(function (r) { return r.size; })),
+      unit: 'cm',
+      source_unit: meta.sourceUnit || sourceUnit,
+      source: meta.source,
+      covers: MEASUREMENT_KEYS.filter(function (k) { return present[k]; }),
+      rows: out
+    };
+  }
+
+  // Metafield JSON (or an already normalized chart) → normalized chart
+  function normalizeSizeChart(raw, source) {
+    if (isString(raw)) {
+      try { raw = JSON.parse(raw); } catch (e) { return null; }
+    }
+    if (Array.isArray(raw)) raw = { rows: raw };
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.rows)) return null;
+
+    var unit = unitFromText(raw.unit) || 'cm';
+
+    var rows = raw.rows.map(function (row) {
+      if (!row || typeof row !== 'object') return null;
+      var src = row.measurements && typeof row.measurements === 'object' ? row.measurements : row;
+      var measurements = {};
+      Object.keys(src).forEach(function (name) {
+        if (name === 'size') return;
+        var key = measurementKeyFromHeader(name.replace(/_/g, ' '));
+        if (key && !measurements[key]) measurements[key] = { value: src[name], unit: unitFromText(name.replace(/_/g, ' ')) };
+      });
+      return { size: row.size, measurements: measurements };
+    }).filter(Boolean);
+
+    return buildChart(rows, {
+      kind: String(raw.kind || '').toLowerCase(),
+      system: raw.system || null,
+      unit: unit,
+      sourceUnit: raw.source_unit === 'in' ? 'in' : null,
+      source: source || raw.source || 'metafield'
+    });
+  }
+
+  function tableGrid(table) {
+    return Array.prototype.map.call(table.querySelectorAll('tr'), function (tr) {
+      return Array.prototype.map.call(tr.querySelectorAll('th, td'), function (cell) {
+        return trim(cell.textContent).replace(/\s+/g, ' ');
+      });
+    }).filter(function (cells) { return cells.length >= 2; });
+  }
+
+  // Sizes down the first column, measurements across the header row
+  function chartRowsByColumn(grid, tableUnit) {
+    var header = grid[0];
+    var sizeCol = SIZE_HEADER.test(header[0]) || !measurementKeyFromHeader(header[0]) ? 0 : -1;
+    if (sizeCol === -1) {
+      for (var c = 1; c < header.length; c++) {
+        if (SIZE_HEADER.test(header[c])) { sizeCol = c; break; }
+      }
+    }
+    if (sizeCol === -1) return [];
+
+    var columns = [];
+    header.forEach(function (text, i) {
+      if (i === sizeCol) return;
+      var key = measurementKeyFromHeader(text);
+      if (key) columns.push({ index: i, key: key, unit: unitFromText(text) || tableUnit });
+    });
+    if (!columns.length) return [];
+
+    return grid.slice(1).map(function (cells) {
+      var measurements = {};
+      columns.forEach(function (col) {
+        if (!measurements[col.key] && cells[col.index] != null) measurements[col.key] = { value: cells[col.index], unit: col.unit };
+      });
+      return { size: cells[sizeCol], measurements: measurements };
+    });
+  }
+
+  // Sizes across the header row, one measurement per row
+  function chartRowsByRow(grid, tableUnit) {
+    var sizes = grid[0].slice(1);
+    var rows = sizes.map(function (size) { return { size: size, measurements: {} }; });
+    var found = false;
+
+    grid.slice(1).forEach(function (cells) {
+      var key = measurementKeyFromHeader(cells[0]);
+      if (!key) return;
+      found = true;
+      var unit = unitFromText(cells[0]) || tableUnit;
+      sizes.forEach(function (size, i) {
+        if (!rows[i].measurements[key] && cells[i + 1] != null) rows[i].measurements[key] = { value: cells[i + 1], unit: unit };
+      });
+    });
+
+    return found ? rows : [];
+  }
+
+  // First size guide <table> in description HTML → normalized chart
+  function extractSizeChartFromHtml(html) {
+    if (!isString(html) || html.indexOf('<table') === -1 || typeof DOMParser === 'undefined') return null;
+
+    var doc;
+    try {
+      doc = new DOMParser().parseFromString(html, 'text/html');
+    } catch (e) {
+      return null;
+    }
+
+    var tables = doc.querySelectorAll('table');
+    for (var t = 0; t < tables.length; t++) {
+      var grid = tableGrid(tables[t]);
+      if (grid.length < 2) continue;
+
+      var caption = tables[t].querySelector('caption');
+      var context = (caption ? caption.textContent : '') + ' ' + grid[0].join(' ');
+      var meta = {
+        kind: GARMENT_HINT.test(context) ? 'garment' : 'body',
+        unit: unitFromText(caption ? caption.textContent : '') || 'cm',
+        source: 'description'
+      };
+
+      var rows = chartRowsByColumn(grid, meta.unit);
+      var chart = rows.length ? buildChart(rows, meta) : null;
+      if (!chart) chart = buildChart(chartRowsByRow(grid, meta.unit), meta);
+      if (chart) return chart;
+    }
+
+    return null;
+  }
+
+  function fetchSizeChartMetafield(handle) {
+    var url =
+      (window.location && window.location.origin ? window.location.origin : '') +
+      '/products/' + handle + '?view=' + encodeURIComponent(CONFIG.SIZE_CHART_VIEW);
+
+    return fetch(url, { method: 'GET', credentials: 'same-origin' })
+      .then(function (res) {
+        if (!res.ok) return null;
+        return res.text();
+      })
+      .then(function (text) {
+        // Without the template Shopify renders the normal product page.
+        return text ? normalizeSizeChart(text, 'metafield') : null;
+      })
+      .catch(function () {
+        return null;
+      });
+  }
+
+  /*
+    getSizeChart(handle, options) → Promise<chart | null>
+    - options.product: raw product.js / product JSON already loaded
+      by the caller (saves a request; its description is parsed)
+    - options.forceRefresh: ignore the cached answer
+    The metafield is asked once per cache lifetime; the answer (chart or
+    null) is cached on the product with size_chart_source.
+  */
+  function getSizeChart(handle, options) {
+    options = options || {};
+    handle = normalizeHandle(handle || (options.product && options.product.handle));
+    if (!handle) return Promise.resolve(null);
+
+    var cache = loadCache() || {};
+    var cached = cache[handle];
+    if (cached && cached.size_chart_source && !options.forceRefresh) {
+      return Promise.resolve(cached.size_chart || null);
+    }
+
+    var productReady = options.product && options.product.handle
+      ? Promise.resolve(options.product).then(normalizeProduct)
+      : getProduct(handle, options);
+
+    return productReady.then(function (product) {
+      if (!product) return null;
+
+      return fetchSizeChartMetafield(handle).then(function (chart) {
+        chart = chart || product.size_chart || null;
+
+        product.size_chart = chart;
+        product.size_chart_source = chart ? chart.source : 'none';
+
+        var latest = loadCache() || {};
+        latest[handle] = product;
+        saveCache(latest);
+
+        return chart;
+      });
+    }).catch(function () {
+      return null;
+    });
+  }
+
   /* ============================================================
      FILTER HELPERS (OPTIONAL)
   ============================================================ */
@@ -378,6 +727,232 @@
     });
   }
 
+  /* ============================================================
+     VARIANT RESOLUTION
+     ------------------------------------------------------------
+     resolveVariant(product, recommendation, opts) maps a sizing
+     recommendation (DLCopilotSizing.recommend / recommendForProduct)
+     onto the normalized product's positional variants[].options.
+
+     - Size and length options are found by name (any language the
+       sizing lib understands), falling back to position
+     - Lengths are compared through LENGTH_SYNONYMS, so "Standard",
+       "Regular" and "R" are the same length
+     - Sizes compare numerically (EU, collar, waist) or by the
+       XXS…XXXL ladder
+     - Size values that carry the leg too ("32/34", "W32 L34") are
+       split; without a length option the legs are the length, short
+       the shortest, long the longest, standard the middle one
+
+     Returns:
+     {
+       exact,          // variant matching size + length, or null
+       reason,         // 'exact_match' | 'sold_out' | 'not_offered' | 'no_size'
+       requested: { size, length, label },
+       option_index: { size, length },   // -1 when absent
+       alternatives: [{ variant, label, distance, size_steps, length_steps, reason }]
+     }
+     Alternative reasons: 'other_length', 'size_up', 'size_down',
+     'size_up_other_length', 'size_down_other_length'.
+     Distance counts steps along the product's own size list; a length
+     step weighs VARIANT_DISTANCE.lengthStep so the same size in
+     another length ranks before the next size.
+
+     opts:
+     - maxAlternatives (default 3)
+     - includeUnavailable: also rank sold-out variants (default false)
+  ============================================================ */
+
+  var SIZE_OPTION_NAMES = /^(size|taglia|talla|gr(ö|oe)(ß|ss)e|taille|collar|waist)/i;
+  var LENGTH_OPTION_NAMES = /^(length|lunghezza|largo|l(ä|ae)nge|longueur|leg)/i;
+
+  // Canonical length → spellings seen in option values (lowercase).
+  var LENGTH_SYNONYMS = {
+    short: ['short', 's', 'sh', 'corto', 'corta', 'kurz', 'court', 'courte'],
+    standard: ['standard', 'regular', 'reg', 'r', 'normal', 'normale', 'regolare', 'estándar', 'estandar'],
+    long: ['long', 'l', 'lg', 'lungo', 'lunga', 'largo', 'larga', 'lang', 'longue']
+  };
+
+  var LENGTH_ORDER = ['short', 'standard', 'long'];
+  var ALPHA_ORDER = ['xxs', 'xs', 's', 'm', 'l', 'xl', 'xxl', 'xxxl'];
+
+  var VARIANT_DISTANCE = {
+    sizeStep: 1,
+    lengthStep: 0.5
+  };
+
+  function optionNameIndex(product, re) {
+    var options = (product && product.options) || [];
+    for (var i = 0; i < options.length; i++) {
+      if (re.test(trim(options[i] && options[i].name))) return i;
+    }
+    return -1;
+  }
+
+  function canonicalLength(value) {
+    var v = String(value == null ? '' : value).trim().toLowerCase();
+    if (!v) return null;
+    for (var i = 0; i < LENGTH_ORDER.length; i++) {
+      if (LENGTH_SYNONYMS[LENGTH_ORDER[i]].indexOf(v) !== -1) return LENGTH_ORDER[i];
+    }
+    return null;
+  }
+
+  function sizeKey(value) {
+    return String(value == null ? '' : value)
+      .toLowerCase()
+      .replace(/^(eu|it|w)\s*/, '')
+      .replace(/[^a-z0-9.]/g, '');
+  }
+
+  function sizeSortValue(key) {
+    var n = parseFloat(key);
+    if (!isNaN(n)) return n;
+    var a = ALPHA_ORDER.indexOf(key);
+    return a === -1 ? null : 1000 + a;
+  }
+
+  function recommendedSize(rec) {
+    if (!rec) return null;
+    if (rec.shirt_size_eu) return { key: sizeKey(rec.shirt_size_eu), label: String(rec.shirt_size_eu) };
+    if (rec.alpha_size) return { key: sizeKey(rec.alpha_size), label: String(rec.alpha_size).toUpperCase() };
+    if (rec.waist_inch) return { key: sizeKey(rec.waist_inch), label: 'W' + rec.waist_inch };
+    if (rec.size_eu) return { key: sizeKey(rec.size_eu), label: String(rec.size_eu) };
+    return null;
+  }
+
+  function capitalize(s) {
+    s = String(s || '');
+    return s ? s.charAt(0).toUpperCase() + s.slice(1) : '';
+  }
+
+  // "32/34", "W32 L34", "32x34" → { size: '32', leg: '34' }
+  var COMBINED_SIZE_RE = /^w?\s*(\d{2,3})\s*(?:[\/x\u00d7]|\s)\s*l?\s*(\d{2,3})$/i;
+
+  function splitSizeValue(value) {
+    var v = String(value == null ? '' : value).trim();
+    var m = v.match(COMBINED_SIZE_RE);
+    return m ? { size: m[1], leg: m[2] } : { size: v, leg: null };
+  }
+
+  function legForLength(legs, length) {
+    var canonical = canonicalLength(length);
+    if (!legs.length || !canonical) return null;
+    if (canonical === 'short') return legs[0];
+    if (canonical === 'long') return legs[legs.length - 1];
+    return legs[Math.floor((legs.length - 1) / 2)];
+  }
+
+  function variantLabel(variant) {
+    return ((variant && variant.options) || []).join(' · ');
+  }
+
+  function resolveVariant(product, recommendation, opts) {
+    opts = opts || {};
+    var max = typeof opts.maxAlternatives === 'number' ? opts.maxAlternatives : 3;
+
+    var variants = (product && Array.isArray(product.variants)) ? product.variants : [];
+    var sizeIdx = optionNameIndex(product, SIZE_OPTION_NAMES);
+    var lengthIdx = optionNameIndex(product, LENGTH_OPTION_NAMES);
+    if (sizeIdx === -1) sizeIdx = lengthIdx === 0 ? 1 : 0;
+
+    var size = recommendedSize(recommendation);
+    var parts = variants.map(function (v) { return splitSizeValue((v.options || [])[sizeIdx]); });
+    var legs = uniq(parts.map(function (p) { return p.leg; })).sort(function (a, b) { return a - b; });
+    var combined = lengthIdx === -1 && legs.length > 0;
+    var lengthLadder = combined ? legs : LENGTH_ORDER;
+    var wantLength = combined
+      ? legForLength(legs, recommendation && recommendation.length)
+      : (lengthIdx !== -1 ? canonicalLength(recommendation && recommendation.length) : null);
+
+    var result = {
+      exact: null,
+      reason: 'no_size',
+      requested: {
+        size: size ? size.label : null,
+        length: wantLength,
+        label: size ? size.label + (wantLength ? ' · ' + (combined ? 'L' + wantLength : capitalize(wantLength)) : '') : ''
+      },
+      option_index: { size: sizeIdx, length: lengthIdx },
+      alternatives: []
+    };
+
+    if (!size || !variants.length) return result;
+
+    // The product's own size ladder, so distance is in "sizes", not units.
+    var ladder = uniq(parts.map(function (p) {
+      return sizeKey(p.size);
+    })).sort(function (a, b) {
+      var sa = sizeSortValue(a);
+      var sb = sizeSortValue(b);
+      if (sa === null || sb === null) return 0;
+      return sa - sb;
+    });
+    var wantPos = ladder.indexOf(size.key);
+    var wantValue = sizeSortValue(size.key);
+
+    // Recommended size not offered: measure from where it would sit.
+    var insertAt = -1;
+    if (wantPos === -1 && wantValue !== null) {
+      insertAt = ladder.filter(function (k) {
+        var sv = sizeSortValue(k);
+        return sv !== null && sv < wantValue;
+      }).length;
+    }
+
+    var ranked = [];
+
+    variants.forEach(function (v, i) {
+      var values = v.options || [];
+      var key = sizeKey(parts[i].size);
+      var len = combined ? parts[i].leg : (lengthIdx !== -1 ? canonicalLength(values[lengthIdx]) : null);
+
+      var pos = ladder.indexOf(key);
+      var sizeSteps = null;
+      if (key === size.key) sizeSteps = 0;
+      else if (pos !== -1 && wantPos !== -1) sizeSteps = pos - wantPos;
+      else if (pos !== -1 && insertAt !== -1 && sizeSortValue(key) !== null) sizeSteps = pos >= insertAt ? pos - insertAt + 1 : pos - insertAt;
+      if (sizeSteps === null) return;
+
+      var lengthSteps = (wantLength && len) ? lengthLadder.indexOf(len) - lengthLadder.indexOf(wantLength) : 0;
+
+      if (sizeSteps === 0 && lengthSteps === 0 && !result.exact) {
+        result.exact = v;
+        return;
+      }
+
+      if (!v.available && !opts.includeUnavailable) return;
+
+      var reason = sizeSteps === 0 ? 'other_length' : (sizeSteps > 0 ? 'size_up' : 'size_down');
+      if (sizeSteps !== 0 && lengthSteps !== 0) reason += '_other_length';
+
+      ranked.push({
+        variant: v,
+        label: variantLabel(v),
+        distance: Math.abs(sizeSteps) * VARIANT_DISTANCE.sizeStep + Math.abs(lengthSteps) * VARIANT_DISTANCE.lengthStep,
+        size_steps: sizeSteps,
+        length_steps: lengthSteps,
+        reason: reason
+      });
+    });
+
+    ranked.sort(function (a, b) {
+      if (a.distance !== b.distance) return a.distance - b.distance;
+      return Math.abs(a.size_steps) - Math.abs(b.size_steps);
+    });
+
+    result.alternatives = ranked.slice(0, max);
+
+    if (result.exact) {
+      result.reason = result.exact.available ? 'exact_match' : 'sold_out';
+      result.requested.label = variantLabel(result.exact);
+    } else {
+      result.reason = 'not_offered';
+    }
+
+    return result;
+  }
+
   /* ============================================================
      PUBLIC SURFACE
   ============================================================ */
@@ -387,11 +962,20 @@
 
   DLCopilotProducts.getProduct = getProduct;
   DLCopilotProducts.getProducts = getProducts;
+  DLCopilotProducts.getCachedProducts = getCachedProducts;
 
   DLCopilotProducts.filterByCategory = filterByCategory;
   DLCopilotProducts.filterByGender = filterByGender;
   DLCopilotProducts.filterByTag = filterByTag;
 
+  DLCopilotProducts.normalizeProduct = normalizeProduct;
+  DLCopilotProducts.resolveVariant = resolveVariant;
+
+  DLCopilotProducts.getSizeChart = getSizeChart;
+  DLCopilotProducts.normalizeSizeChart = normalizeSizeChart;
+  DLCopilotProducts.extractSizeChartFromHtml = extractSizeChartFromHtml;
+  DLCopilotProducts.MEASUREMENT_WORDS = MEASUREMENT_WORDS;
+
   window.DLCopilotProducts = DLCopilotProducts;
 })();
 /* ============================================================
@@ -404,12 +988,83 @@
 (function () {
   'use strict';
 
-  if (!window.DLCopilotStyling || window.DLCopilotStyling.__v !== 1) {
+  // Part 1 (simple starter) is optional; the engine below is self-contained.
+  if (!window.DLCopilotStyling) {
+    window.DLCopilotStyling = { __v: 1 };
+  }
+
+  if (window.DLCopilotStyling.__v !== 1) {
     return;
   }
 
   var Styling = window.DLCopilotStyling;
 
+  /* ============================================================
+     ENGINE CONSTANTS
+  ============================================================ */
+
+  // Labels double as product tags (see normalizeContextTag)
+  var CONTEXTS = ['Everyday', 'Work', 'Social Evening', 'Sunday Stroll', 'Smart Casual'];
+
+  // Contexts that need a formality follow-up question
+  var AMBIGUOUS_CONTEXTS = ['Everyday', 'Work'];
+
+  var FORMALITY_LEVELS = ['Relaxed', 'Balanced', 'Sharp'];
+
+  /* ============================================================
+     ENGINE COPY (ENGLISH DEFAULTS)
+     Context/formality values above stay English (they are product
+     tags); only their display labels are translated.
+  ============================================================ */
+
+  var ENGINE_COPY = {
+    'styling.ask_context': 'What are you dressing for?',
+    'styling.context.everyday': 'Everyday',
+    'styling.context.work': 'Work',
+    'styling.context.social_evening': 'Social Evening',
+    'styling.context.sunday_stroll': 'Sunday Stroll',
+    'styling.context.smart_casual': 'Smart Casual',
+    'styling.formality.relaxed': 'Relaxed',
+    'styling.formality.balanced': 'Balanced',
+    'styling.formality.sharp': 'Sharp',
+    'styling.engine.formality_work': 'Work can mean different things. What level of formality fits your day-to-day?',
+    'styling.engine.formality_everyday': 'Everyday can mean different things. What level of formality do you want?',
+    'styling.engine.formality': 'What level of formality do you want?',
+    'styling.engine.outfit_header': 'Editorial outfit {n} of {total}',
+    'styling.engine.prev': 'Previous outfit',
+    'styling.engine.next': 'Next outfit',
+    'styling.engine.guide_size': 'Guide me on size',
+    'styling.engine.back_to_options': 'Back to styling options',
+    'styling.engine.ask_reference': 'Give me a product reference (ours or similar). Type a product name.',
+    'styling.engine.reference_placeholder': 'Type a product name',
+    'styling.engine.type_product': 'Type a product name to continue.',
+    'styling.engine.no_match': 'No match found. Try a different product name.',
+    'styling.engine.no_outfits_for_piece': 'I don’t have editorial outfits tied to that piece yet. Try another reference or return to styling options.',
+    'styling.engine.try_another': 'Try another product',
+    'styling.engine.type_another': 'Type another product name.',
+    'styling.engine.no_outfits': 'No outfits available.',
+    'styling.engine.sizing_unavailable': 'Sizing is not available right now.'
+  };
+
+  if (window.DLCopilotCore && typeof window.DLCopilotCore.registerMessages === 'function') {
+    window.DLCopilotCore.registerMessages('en', ENGINE_COPY);
+  }
+
+  function copy(key, vars) {
+    var core = window.DLCopilotCore;
+    if (core && typeof core.t === 'function') return core.t(key, vars);
+
+    return safeString(ENGINE_COPY[key] || key).replace(/\{(\w+)\}/g, function (whole, name) {
+      return vars && vars[name] != null ? String(vars[name]) : whole;
+    });
+  }
+
+  // 'Social Evening' → copy('styling.context.social_evening')
+  function displayLabel(group, value) {
+    var key = 'styling.' + group + '.' + lower(value).replace(/\s+/g, '_');
+    return ENGINE_COPY[key] ? copy(key) : safeString(value);
+  }
+
   /* ============================================================
      INTERNAL HELPERS (PURE)
   ============================================================ */
@@ -478,12 +1133,12 @@
     var c = lower(context);
 
     if (c === 'work') {
-      return 'Work can mean different things. What level of formality fits your day-to-day?';
+      return copy('styling.engine.formality_work');
     }
     if (c === 'everyday') {
-      return 'Everyday can mean different things. What level of formality do you want?';
+      return copy('styling.engine.formality_everyday');
     }
-    return 'What level of formality do you want?';
+    return copy('styling.engine.formality');
   }
 
   function packMessage(text) {
@@ -521,7 +1176,8 @@
 
     var o = raw || {};
 
-    var products = Array.isArray(o.products) ? o.products : [];
+    // dl-copilot-journal.js records carry handles[] + source.url
+    var products = Array.isArray(o.products) ? o.products : (Array.isArray(o.handles) ? o.handles : []);
     products = products
       .map(function (h) {
         return safeString(h).trim();
@@ -534,7 +1190,7 @@
 
     return {
       image: o.image || null,
-      article_handle: o.article_handle || o.article || null,
+      article_handle: o.article_handle || o.article || (o.source && o.source.url) || null,
       context: o.context || null,
       tags: Array.isArray(o.tags) ? o.tags : [],
       products: products,
@@ -563,21 +1219,24 @@
     var ctxTag = normalizeContextTag(context);
     var form = normalizeFormality(formality);
 
-    var raw =
+    // Journal lookups may be sync or async (network scan) — always resolve.
+    return Promise.resolve(
       window.DLCopilotJournal.getOutfitsByContext({
         context: context,
         context_tag: ctxTag,
         formality: form
-      }) || [];
-
-    return normalizeOutfits(raw);
+      })
+    ).then(function (raw) {
+      return normalizeOutfits(raw || []);
+    });
   }
 
   function getJournalOutfitsByProduct(handle) {
     var h = safeString(handle).trim();
-    if (!h) return [];
-    var raw = window.DLCopilotJournal.getOutfitsByProduct(h) || [];
-    return normalizeOutfits(raw);
+    if (!h) return Promise.resolve([]);
+    return Promise.resolve(window.DLCopilotJournal.getOutfitsByProduct(h)).then(function (raw) {
+      return normalizeOutfits(raw || []);
+    });
   }
 
   /* ============================================================
@@ -634,9 +1293,9 @@
     var t = typeof total === 'number' ? total : 1;
     i = clamp(i, 0, Math.max(0, t - 1));
 
-    var label = safeString(contextLabel);
+    var label = contextLabel ? displayLabel('context', contextLabel) : '';
     var prefix = label ? (label + ' • ') : '';
-    return prefix + 'Editorial outfit ' + (i + 1) + ' of ' + t;
+    return prefix + copy('styling.engine.outfit_header', { n: i + 1, total: t });
   }
 
   function presentOutfitActions(index, total) {
@@ -644,25 +1303,25 @@
 
     if (index > 0) {
       actions.push({
-        label: 'Previous outfit',
+        label: copy('styling.engine.prev'),
         action: 'prev'
       });
     }
 
     if (index < total - 1) {
       actions.push({
-        label: 'Next outfit',
+        label: copy('styling.engine.next'),
         action: 'next'
       });
     }
 
     actions.push({
-      label: 'Guide me on size',
+      label: copy('styling.engine.guide_size'),
       action: 'size'
     });
 
     actions.push({
-      label: 'Back to styling options',
+      label: copy('styling.engine.back_to_options'),
       action: 'restart'
     });
 
@@ -693,14 +1352,17 @@
     engine.sourceProduct = null;
   }
 
-  function engineStart() {
+  function engineStart(opts) {
     assertDepsSafe();
     engineReset();
     engine.step = 'context';
 
+    // A known product from free text ("what goes with the Linen Field Jacket")
+    if (opts && opts.product_handle) return engineResolveFromProductQuery(opts.product_handle);
+
     return {
       type: 'pills',
-      message: 'What are you dressing for?',
+      message: copy('styling.ask_context'),
       options: buildContextPills()
     };
   }
@@ -719,7 +1381,7 @@
     for (var i = 0; i < CONTEXTS.length; i++) {
       (function (ctx) {
         opts.push({
-          label: ctx,
+          label: displayLabel('context', ctx),
           value: ctx,
           onSelect: function () {
             return engineSelectContext(ctx);
@@ -752,7 +1414,7 @@
     for (var i = 0; i < FORMALITY_LEVELS.length; i++) {
       (function (label) {
         opts.push({
-          label: label,
+          label: displayLabel('formality', label),
           value: label,
           onSelect: function () {
             engine.formality = normalizeFormality(label);
@@ -767,32 +1429,31 @@
   function engineResolveJournalFirst() {
     engine.step = 'journal';
 
-    var outfits = getJournalOutfitsByContext(engine.context, engine.formality);
-
-    if (outfits && outfits.length) {
-      engine.outfits = outfits;
-      engine.index = 0;
-      engine.step = 'outfits';
-      return enginePresentCurrentOutfit();
-    }
-
-    // No journal outfits → fallback to product reference
-    engine.step = 'product_search';
-    return {
-      type: 'input',
-      message:
-        'Give me a product reference (ours or similar). Type a product name.',
-      placeholder: 'Type a product name',
-      onSubmit: function (value) {
-        return engineResolveFromProductQuery(value);
+    return getJournalOutfitsByContext(engine.context, engine.formality).then(function (outfits) {
+      if (outfits && outfits.length) {
+        engine.outfits = outfits;
+        engine.index = 0;
+        engine.step = 'outfits';
+        return enginePresentCurrentOutfit();
       }
-    };
+
+      // No journal outfits → fallback to product reference
+      engine.step = 'product_search';
+      return {
+        type: 'input',
+        message: copy('styling.engine.ask_reference'),
+        placeholder: copy('styling.engine.reference_placeholder'),
+        onSubmit: function (value) {
+          return engineResolveFromProductQuery(value);
+        }
+      };
+    });
   }
 
   function engineResolveFromProductQuery(query) {
     var q = safeString(query).trim();
     if (!q) {
-      return packMessage('Type a product name to continue.');
+      return packMessage(copy('styling.engine.type_product'));
     }
 
     engine.step = 'product_search';
@@ -806,7 +1467,7 @@
       if (!products.length) {
         return {
           type: 'message',
-          message: 'No match found. Try a different product name.',
+          message: copy('styling.engine.no_match'),
           next: function () {
             return engineStart();
           }
@@ -816,22 +1477,24 @@
       var p = products[0];
       engine.sourceProduct = p.handle || null;
 
-      var outfits = getJournalOutfitsByProduct(engine.sourceProduct);
+      return getJournalOutfitsByProduct(engine.sourceProduct);
+    }).then(function (outfits) {
+      // Already a step (no product match)
+      if (!Array.isArray(outfits)) return outfits;
 
       if (!outfits.length) {
         return {
           type: 'message',
-          message:
-            'I don’t have editorial outfits tied to that piece yet. Try another reference or return to styling options.',
+          message: copy('styling.engine.no_outfits_for_piece'),
           actions: [
             {
-              label: 'Try another product',
+              label: copy('styling.engine.try_another'),
               onClick: function () {
                 engine.step = 'product_search';
                 return {
                   type: 'input',
-                  message: 'Type another product name.',
-                  placeholder: 'Type a product name',
+                  message: copy('styling.engine.type_another'),
+                  placeholder: copy('styling.engine.reference_placeholder'),
                   onSubmit: function (value) {
                     return engineResolveFromProductQuery(value);
                   }
@@ -839,7 +1502,7 @@
               }
             },
             {
-              label: 'Back to styling options',
+              label: copy('styling.engine.back_to_options'),
               onClick: function () {
                 return engineStart();
               }
@@ -861,7 +1524,7 @@
     if (!total) {
       return {
         type: 'message',
-        message: 'No outfits available.',
+        message: copy('styling.engine.no_outfits'),
         next: function () {
           return engineStart();
         }
@@ -921,9 +1584,18 @@
       if (window.DLCopilotSizing && typeof window.DLCopilotSizing.start === 'function') {
         return window.DLCopilotSizing.start();
       }
+      // Sizing flows are owned by core; hand over through the router.
+      if (window.DLCopilotCore && typeof window.DLCopilotCore.route === 'function') {
+        var current = engine.outfits[engine.index] || {};
+        window.DLCopilotCore.route({
+          intent: 'size_product',
+          payload: { from: 'styling', handles: current.products || [] }
+        });
+        return null;
+      }
       return {
         type: 'message',
-        message: 'Sizing is not available right now.',
+        message: copy('styling.engine.sizing_unavailable'),
         next: function () {
           return engineStart();
         }
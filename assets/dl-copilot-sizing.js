@@ -3,6 +3,15 @@
    - Pure logic module (NO DOM, NO CTA, NO panel UI)
    - Shopify-safe (no external deps)
    - Dynamic: derives schema from product when available, else from category intent
+   - Body measurements (chest, waist, …) against a product's size chart;
+     charts and measurement words come from DLCopilotProducts
+     (dl-copilot-products.js, loaded before this file)
+   - Fit preference (close / true to size / relaxed / layering) shifts
+     the result across the product's sizes
+   - Every recommendation carries a confidence level, machine-readable
+     reasons and, where one exists, the alternative size
+   - Size conversion: IT / FR / UK / US / JP labels and brand offsets
+     (assets/dl-copilot-brand-sizes.json) → the schema's system
    - Supports:
      • EU numeric (mens jackets/trousers, womens 34–46)
      • Shirts collar sizes (EU 37–46)
@@ -50,6 +59,12 @@
     return out;
   }
 
+  function copyObj(o) {
+    var out = {};
+    Object.keys(o || {}).forEach(function (k) { out[k] = o[k]; });
+    return out;
+  }
+
   function clamp(n, min, max) {
     if (!isNum(n)) return n;
     if (n < min) return min;
@@ -526,6 +541,17 @@
       schema.notes.push('no_product_size_option_detected');
     }
 
+    // Structured size chart (body or garment measurements per size)
+    var chart = sizeChartOf(product.size_chart);
+    if (chart) {
+      if (!chart.system) {
+        chart = copyObj(chart);   // the product's (cached) chart stays as extracted
+        chart.system = schema.system;
+      }
+      schema.sizeChart = chart;
+      schema.notes.push('product_has_' + chart.kind + '_size_chart');
+    }
+
     // Attach availability info for clamping later (optional)
     schema.available = extractAvailableSizes(product, schema);
 
@@ -558,6 +584,279 @@
     return missing;
   }
 
+  /* ============================================================
+     SIZE CONVERSION — countries, labels, brands
+     - "IT 50", "UK 40R", "US 8", "FR 38", "JP 3", "M at Uniqlo",
+       "50 at Zara" → the schema's system (EU numeric / alpha / waist /
+       collar) before recommend() runs.
+     - SIZE_TABLES: one row per size, smallest → largest, the same size
+       in every label system (men's tailoring, women's ready-to-wear).
+       COLLAR_TABLE: shirt collars, EU cm ↔ UK/US inches.
+       Men's UK/US sizes for trousers are the waist column.
+     - UK/US men's "40R" / "38S" / "42L": the letter is the jacket
+       length (short / standard / long), returned as `length`.
+     - Brand offsets come from assets/dl-copilot-brand-sizes.json
+       (setBrandOffsets). offset = size rows to add to the brand's
+       size to get ours; positive = the brand runs large.
+     - convertSize(label, schema, brand) →
+         {
+           from: { country, value, suffix, brand, brand_name, raw },
+           row: { eu, it, fr, uk, us, jp, alpha, waist } | null,
+           offset: 0,
+           usual_size_eu | alpha_size | waist_inch | shirt_size_eu,
+           length: 'short' | 'standard' | 'long' | null
+         }
+       or null when the size isn't in the tables.
+  ============================================================ */
+  var COUNTRY_WORDS = {
+    eu: 'eu', europe: 'eu', european: 'eu',
+    it: 'it', ita: 'it', italy: 'it', italian: 'it',
+    fr: 'fr', france: 'fr', french: 'fr',
+    uk: 'uk', gb: 'uk', british: 'uk',
+    us: 'us', usa: 'us', american: 'us',
+    jp: 'jp', japan: 'jp', japanese: 'jp'
+  };
+
+  // Also English words ("it's 42", "give us 50"): a country only when
+  // written in capitals or when the message is nothing but the label.
+  var AMBIGUOUS_COUNTRY_WORDS = ['it', 'us'];
+
+  var SIZE_LABEL_RE = new RegExp(
+    '\\b(' + Object.keys(COUNTRY_WORDS).join('|') + ')\\s*(?:size\\s*)?(\\d{1,2}(?:[.,]\\d{1,2})?)(?:\\s*([rsl]))?\\b',
+    'g'
+  );
+
+  var SIZE_TABLES = {
+    male: [
+      { eu: 44, it: 44, fr: 44, uk: 34, us: 34, jp: null, alpha: 'XS', waist: 28 },
+      { eu: 46, it: 46, fr: 46, uk: 36, us: 36, jp: 1, alpha: 'S', waist: 30 },
+      { eu: 48, it: 48, fr: 48, uk: 38, us: 38, jp: 2, alpha: 'M', waist: 32 },
+      { eu: 50, it: 50, fr: 50, uk: 40, us: 40, jp: 3, alpha: 'L', waist: 34 },
+      { eu: 52, it: 52, fr: 52, uk: 42, us: 42, jp: 4, alpha: 'XL', waist: 36 },
+      { eu: 54, it: 54, fr: 54, uk: 44, us: 44, jp: 5, alpha: 'XXL', waist: 38 },
+      { eu: 56, it: 56, fr: 56, uk: 46, us: 46, jp: null, alpha: 'XXXL', waist: 40 },
+      { eu: 58, it: 58, fr: 58, uk: 48, us: 48, jp: null, alpha: null, waist: 42 },
+      { eu: 60, it: 60, fr: 60, uk: 50, us: 50, jp: null, alpha: null, waist: 44 }
+    ],
+    female: [
+      { eu: 32, it: 36, fr: 34, uk: 4, us: 2, jp: 5, alpha: 'XXS', waist: 24 },
+      { eu: 34, it: 38, fr: 36, uk: 6, us: 4, jp: 7, alpha: 'XS', waist: 25 },
+      { eu: 36, it: 40, fr: 38, uk: 8, us: 6, jp: 9, alpha: 'S', waist: 27 },
+      { eu: 38, it: 42, fr: 40, uk: 10, us: 8, jp: 11, alpha: 'M', waist: 28 },
+      { eu: 40, it: 44, fr: 42, uk: 12, us: 10, jp: 13, alpha: 'L', waist: 30 },
+      { eu: 42, it: 46, fr: 44, uk: 14, us: 12, jp: 15, alpha: 'XL', waist: 32 },
+      { eu: 44, it: 48, fr: 46, uk: 16, us: 14, jp: 17, alpha: 'XXL', waist: 34 },
+      { eu: 46, it: 50, fr: 48, uk: 18, us: 16, jp: 19, alpha: 'XXXL', waist: 36 },
+      { eu: 48, it: 52, fr: 50, uk: 20, us: 18, jp: 21, alpha: null, waist: 38 }
+    ]
+  };
+
+  var COLLAR_TABLE = [
+    { eu: 37, uk: 14.5, us: 14.5 },
+    { eu: 38, uk: 15, us: 15 },
+    { eu: 39, uk: 15.5, us: 15.5 },
+    { eu: 40, uk: 15.75, us: 15.75 },
+    { eu: 41, uk: 16, us: 16 },
+    { eu: 42, uk: 16.5, us: 16.5 },
+    { eu: 43, uk: 17, us: 17 },
+    { eu: 44, uk: 17.5, us: 17.5 },
+    { eu: 45, uk: 17.75, us: 17.75 },
+    { eu: 46, uk: 18, us: 18 }
+  ];
+
+  var LENGTH_SUFFIX = { s: 'short', r: 'standard', l: 'long' };
+
+  // key → { name, aliases: [], offset: { male, female } }
+  var brandOffsets = {};
+
+  function brandOffsetValue(v) {
+    var n = isNum(v) ? v : parseFloat(v);
+    return isNum(n) ? clamp(Math.round(n), -3, 3) : 0;
+  }
+
+  // JSON: { brands: { key: { name, aliases: [], offset: n | { male: n, female: n } } } }
+  function setBrandOffsets(data) {
+    var brands = isObj(data) && isObj(data.brands) ? data.brands : {};
+    var next = {};
+
+    Object.keys(brands).forEach(function (key) {
+      var b = brands[key];
+      if (!isObj(b)) return;
+      var offset = isObj(b.offset) ? b.offset : { male: b.offset, female: b.offset };
+      next[normalizeHandle(key)] = {
+        name: toStr(b.name || key),
+        aliases: uniq([lower(b.name || key)].concat(Array.isArray(b.aliases) ? b.aliases.map(lower) : [])).filter(Boolean),
+        offset: { male: brandOffsetValue(offset.male), female: brandOffsetValue(offset.female) }
+      };
+    });
+
+    brandOffsets = next;
+    return Object.keys(next).length;
+  }
+
+  function escapeRegExp(s) {
+    return toStr(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // { key, index } of the brand named in the text; longest alias wins
+  // ("uniqlo u" over "uniqlo")
+  function findBrand(text) {
+    var t = lower(text);
+    var best = null;
+    Object.keys(brandOffsets).forEach(function (key) {
+      brandOffsets[key].aliases.forEach(function (alias) {
+        if (best && best.alias.length >= alias.length) return;
+        var m = new RegExp('(^|[^a-z0-9])' + escapeRegExp(alias) + '(?![a-z0-9])').exec(t);
+        if (m) best = { key: key, alias: alias, index: m.index + m[1].length };
+      });
+    });
+    return best;
+  }
+
+  // The 2-digit number nearest the brand name ("182, 80, 50 at Zara" → 50)
+  function numberNearBrand(t, brand) {
+    var re = /\b\d{2}\b/g;
+    var best = null;
+    var m;
+    while ((m = re.exec(t))) {
+      var d = Math.abs(m.index - brand.index);
+      if (!best || d < best.distance) best = { value: parseIntSafe(m[0]), raw: m[0], distance: d };
+    }
+    return best;
+  }
+
+  function findTableRow(rows, column, value) {
+    var best = -1;
+    var bestDiff = Infinity;
+    for (var i = 0; i < rows.length; i++) {
+      var v = rows[i][column];
+      if (v == null) continue;
+      if (column === 'alpha') {
+        if (v === value) return i;
+        continue;
+      }
+      var d = Math.abs(v - value);
+      if (d < bestDiff) { best = i; bestDiff = d; }
+    }
+    // Between two rows (UK 39) is fine; off the table is not.
+    return bestDiff <= 1 ? best : -1;
+  }
+
+  function convertCollar(label) {
+    var column = label.country === 'uk' || label.country === 'us' ? label.country : 'eu';
+    var i = findTableRow(COLLAR_TABLE, column, label.value);
+    if (i === -1) return null;
+    return { shirt_size_eu: COLLAR_TABLE[i].eu };
+  }
+
+  function convertSize(label, schema, brand) {
+    if (!label || label.value == null) return null;
+
+    var system = schema ? schema.system : SIZE_SYSTEMS.EU_NUMERIC;
+    var from = {
+      country: label.country || null,
+      value: label.value,
+      suffix: label.suffix || null,
+      brand: brand || null,
+      brand_name: brand && brandOffsets[brand] ? brandOffsets[brand].name : null,
+      raw: label.raw || ''
+    };
+
+    if (system === SIZE_SYSTEMS.SHIRT_COLLAR_EU && isNum(label.value)) {
+      var collar = convertCollar(label);
+      if (collar) return { from: from, row: null, offset: 0, length: null, shirt_size_eu: collar.shirt_size_eu };
+    }
+
+    var column = isNum(label.value) ? (label.country || 'eu') : 'alpha';
+    var preferred = schema && schema.gender === 'female' ? 'female' : 'male';
+    var genders = [preferred, preferred === 'male' ? 'female' : 'male'];
+
+    // Men's UK / US trouser sizes are the waist in inches
+    var bottoms = schema && (system === SIZE_SYSTEMS.WAIST_INCH || schema.category === CATEGORIES.TROUSER || schema.category === CATEGORIES.BOTTOM);
+
+    for (var g = 0; g < genders.length; g++) {
+      var rows = SIZE_TABLES[genders[g]];
+      var col = bottoms && genders[g] === 'male' && (column === 'uk' || column === 'us') ? 'waist' : column;
+      var i = findTableRow(rows, col, label.value);
+      if (i === -1) continue;
+
+      var offset = brand && brandOffsets[brand] ? brandOffsets[brand].offset[genders[g]] : 0;
+      var row = rows[clamp(i + offset, 0, rows.length - 1)];
+
+      var out = {
+        from: from,
+        row: copyObj(row),
+        offset: offset,
+        length: label.suffix ? LENGTH_SUFFIX[label.suffix] || null : null
+      };
+
+      if (system === SIZE_SYSTEMS.ALPHA) out.alpha_size = row.alpha;
+      else if (system === SIZE_SYSTEMS.WAIST_INCH) out.waist_inch = row.waist;
+      else out.usual_size_eu = row.eu;
+
+      return out;
+    }
+
+    return null;
+  }
+
+  // The labelled / branded size in free text, converted; null when none
+  // First "<country> <size>" in the text, skipping "it"/"us" used as words.
+  function matchCountryLabel(text) {
+    var src = toStr(text).replace(/[’']\w*/g, '');
+    var t = src.toLowerCase();
+    var whole = lower(text).trim();
+    var m;
+
+    SIZE_LABEL_RE.lastIndex = 0;
+    while ((m = SIZE_LABEL_RE.exec(t))) {
+      if (AMBIGUOUS_COUNTRY_WORDS.indexOf(m[1]) === -1) return m;
+      if (src.substr(m.index, m[1].length) === m[1].toUpperCase() || whole === m[0]) return m;
+    }
+    return null;
+  }
+
+  var ALPHA_TOKEN = '(xxxs|xxs|xs|s|m|l|xl|xxl|xxxl)';
+
+  // A lone letter is a size only as the whole answer ("m"), after a size
+  // word ("size m") or next to a brand ("m at Uniqlo"); not in
+  // "182 cm, 80 kg, m".
+  function bareAlphaSize(t, brand) {
+    var m = t.match(new RegExp('^\\s*' + ALPHA_TOKEN + '\\s*$')) ||
+      t.match(new RegExp('\\b(?:size|taglia|talla|gr(?:ö|oe)(?:ß|ss)e|taille)(?:\\s*:\\s*|\\s+)' + ALPHA_TOKEN + '\\b'));
+
+    if (!m && brand) {
+      var alias = escapeRegExp(brand.alias);
+      m = t.match(new RegExp('\\b' + ALPHA_TOKEN + '\\s+(?:[a-z]+\\s+)?' + alias + '(?![a-z0-9])')) ||
+        t.match(new RegExp(alias + '\\s+(?:[a-z]+\\s+)?' + ALPHA_TOKEN + '\\b'));
+    }
+    return m ? m[1] : null;
+  }
+
+  function parseSizeLabel(text, schema) {
+    var t = lower(text).replace(/[’']\w*/g, '');
+    var brand = findBrand(t);
+    var near = brand ? numberNearBrand(t, brand) : null;
+    var m;
+    var label = null;
+
+    if ((m = matchCountryLabel(text))) {
+      label = { country: COUNTRY_WORDS[m[1]], value: parseFloat(m[2].replace(',', '.')), suffix: m[3] || null, raw: m[0] };
+    } else if ((m = t.match(/\b(\d{2})([rsl])\b/))) {
+      label = { country: 'uk', value: parseIntSafe(m[1]), suffix: m[2], raw: m[0] };
+    } else if (near) {
+      label = { country: null, value: near.value, raw: near.raw };
+    } else if ((m = bareAlphaSize(t, brand))) {
+      // A bare letter is already the alpha system; convert when there is
+      // a brand to offset or the schema is numeric.
+      if (brand || (schema && schema.system !== SIZE_SYSTEMS.ALPHA)) {
+        label = { country: null, value: normalizeAlphaSize(m), raw: m };
+      }
+    }
+
+    return label ? convertSize(label, schema, brand && brand.key) : null;
+  }
+
   /* ============================================================
      USER INPUT PARSERS
      - Parses free text like:
@@ -567,6 +866,8 @@
        "shirt 40"
        "W32"
        "M"
+       "UK 40R", "US 8", "M at Uniqlo" (see SIZE CONVERSION; the result
+       is in out.converted, the size in the schema's field)
   ============================================================ */
   function parseUserInput(text, schema) {
     var t = lower(text);
@@ -577,6 +878,8 @@
       shirt_size_eu: null,
       alpha_size: null,
       waist_inch: null,
+      length: null,
+      converted: null,
       ambiguous_numbers: []
     };
 
@@ -623,6 +926,9 @@
     var shirtMatch = t.match(/\b(shirt|collar)\s*(\d{2})\b/);
     if (shirtMatch && shirtMatch[2]) out.shirt_size_eu = parseIntSafe(shirtMatch[2]);
 
+    // Labelled / branded sizes, converted to the schema's system
+    var converted = parseSizeLabel(text, schema);
+
     // Now parse remaining bare numbers (2–3 digits)
     var nums = t.match(/\b\d{2,3}\b/g) || [];
     var used = {};
@@ -634,6 +940,15 @@
     if (out.usual_size_eu) markUsed(out.usual_size_eu);
     if (out.shirt_size_eu) markUsed(out.shirt_size_eu);
     if (out.waist_inch) markUsed(out.waist_inch);
+    if (converted && isNum(converted.from.value) && converted.from.value >= 10) markUsed(Math.floor(converted.from.value));
+
+    if (converted) {
+      out.converted = converted;
+      ['usual_size_eu', 'shirt_size_eu', 'alpha_size', 'waist_inch'].forEach(function (k) {
+        if (converted[k] != null) out[k] = converted[k];
+      });
+      out.length = converted.length;
+    }
 
     // Assign bare numbers by schema/system preference
     for (var i = 0; i < nums.length; i++) {
@@ -733,6 +1048,11 @@
      - If usual size missing, derives from proportions
      - Always clamps to product availability when provided
   ============================================================ */
+  // A length the customer gave with their size ("UK 42L"), else null
+  function givenLength(length) {
+    return length === 'short' || length === 'standard' || length === 'long' ? length : null;
+  }
+
   function resolveLength(height_cm, gender) {
     if (!height_cm) return 'standard';
 
@@ -939,14 +1259,31 @@
       system: schema.system,
       gender: schema.gender || null,
       category: schema.category || CATEGORIES.UNKNOWN,
-      length: resolveLength(user.height_cm, schema.gender),
+      length: givenLength(user.length) || resolveLength(user.height_cm, schema.gender),
       size_eu: null,
       shirt_size_eu: null,
       alpha_size: null,
       waist_inch: null,
-      used_usual_as_anchor: false
+      used_usual_as_anchor: false,
+      fit_preference: null,
+      fit_shift: null,
+      reasons: [],
+      confidence: null,
+      confidence_score: null,
+      alternative: null
     };
 
+    // Measurement mode: the schema has a size chart and the customer gave
+    // measurements that are on it. The chart's sizes are the product's.
+    var fit = schema.sizeChart && user.measurements ? recommendFromMeasurements(schema.sizeChart, user.measurements) : null;
+    if (fit) {
+      rec.mode = 'measurements';
+      rec.measurement_fit = fit;
+      applyChartSize(rec, schema.system, fit.size);
+      applyFitPreference(schema, rec, user);
+      return explainRecommendation(schema, rec, user, null);
+    }
+
     // EU numeric system
     if (schema.system === SIZE_SYSTEMS.EU_NUMERIC) {
       if (user.usual_size_eu) {
@@ -988,8 +1325,532 @@
     }
 
     // Clamp to product availability if we have it
+    var sys = SYSTEM_FIELDS[schema.system];
+    var unclamped = sys ? rec[sys.field] : null;
     rec = clampRecommendationToProduct(schema, rec);
+    var clamped = sys && unclamped != null && rec[sys.field] !== unclamped ? { from: unclamped, to: rec[sys.field] } : null;
+
+    // Then move across the product's sizes for the preferred fit
+    applyFitPreference(schema, rec, user);
+
+    return explainRecommendation(schema, rec, user, clamped);
+  }
+
+  /* ============================================================
+     FIT PREFERENCE
+     - How the customer likes the category to fit:
+         close        → one size down
+         true_to_size → as anchored
+         relaxed      → one size up
+         layering     → one size up, outerwear only (worn over knitwear)
+     - The shift walks the product's own sizes (schema.available, or the
+       size chart's rows in measurement mode), so it never lands on a
+       size the piece isn't cut in. Without a product it steps the system
+       (EU numeric by 2, alpha by one letter, collar/waist by 1).
+     - Close never goes below a size the measurements fit.
+     - rec.fit_shift = { preference, from, to, steps, limit }
+       limit: null | 'smallest' | 'largest' | 'measurements'
+       (why the size moved less than the preference asked for)
+  ============================================================ */
+  var FIT_PREFERENCES = {
+    close: -1,
+    true_to_size: 0,
+    relaxed: 1,
+    layering: 1
+  };
+
+  var OUTERWEAR_CATEGORIES = [CATEGORIES.OUTERWEAR, CATEGORIES.COAT, CATEGORIES.JACKET];
+
+  // A CATEGORIES value, or a collection handle such as 'mens-jackets'
+  function isOuterwear(category) {
+    if (OUTERWEAR_CATEGORIES.indexOf(category) !== -1) return true;
+    return containsAny(category, ['coat', 'jacket', 'blouson', 'parka', 'outerwear']);
+  }
+
+  function fitPreferencesFor(category) {
+    var out = ['close', 'true_to_size', 'relaxed'];
+    if (isOuterwear(category)) out.push('layering');
+    return out;
+  }
+
+  function normalizeFitPreference(pref, category) {
+    var p = lower(pref).replace(/[\s-]+/g, '_');
+    if (p === 'layering' && category && !isOuterwear(category)) return 'relaxed';
+    return FIT_PREFERENCES.hasOwnProperty(p) ? p : null;
+  }
+
+  // Per system: the rec field carrying the size, the user field anchoring
+  // it, its step without a product and the schema.available list
+  var SYSTEM_FIELDS = {};
+  SYSTEM_FIELDS[SIZE_SYSTEMS.EU_NUMERIC] = { field: 'size_eu', usual: 'usual_size_eu', step: 2, list: 'numeric' };
+  SYSTEM_FIELDS[SIZE_SYSTEMS.SHIRT_COLLAR_EU] = { field: 'shirt_size_eu', usual: 'shirt_size_eu', step: 1, list: 'numeric' };
+  SYSTEM_FIELDS[SIZE_SYSTEMS.ALPHA] = { field: 'alpha_size', usual: 'alpha_size', step: 1, list: 'alpha' };
+  SYSTEM_FIELDS[SIZE_SYSTEMS.WAIST_INCH] = { field: 'waist_inch', usual: 'waist_inch', step: 1, list: 'waist' };
+
+  function shiftOnLadder(ladder, value, steps) {
+    var i = -1;
+    for (var j = 0; j < ladder.length; j++) {
+      if (lower(ladder[j]) === lower(value)) { i = j; break; }
+    }
+    if (i === -1) return { value: value, moved: 0, limit: null };
+
+    var target = clamp(i + steps, 0, ladder.length - 1);
+    var limit = null;
+    if (target !== i + steps) limit = steps < 0 ? 'smallest' : 'largest';
+    return { value: ladder[target], moved: target - i, limit: limit };
+  }
+
+  function shiftBySystem(schema, rec, steps) {
+    var sys = SYSTEM_FIELDS[schema.system];
+    if (!sys || rec[sys.field] == null) return null;
+
+    var from = rec[sys.field];
+    var avail = schema.available && schema.available[sys.list];
+
+    if (avail && avail.length) {
+      var r = shiftOnLadder(avail, from, steps);
+      rec[sys.field] = r.value;
+      return { from: from, to: r.value, steps: r.moved, limit: r.limit };
+    }
+
+    if (schema.system === SIZE_SYSTEMS.ALPHA) {
+      var a = shiftOnLadder(ALPHA_ORDER, lower(from), steps);
+      rec.alpha_size = normalizeAlphaSize(a.value) || from;
+      return { from: from, to: rec.alpha_size, steps: a.moved, limit: a.limit };
+    }
+
+    if (!isNum(from)) return null;
+    rec[sys.field] = from + steps * sys.step;
+    return { from: from, to: rec[sys.field], steps: steps, limit: null };
+  }
+
+  // Measurement mode: walk the chart's rows from the fitted size.
+  function shiftByChart(schema, rec, steps, measurements) {
+    var chart = sizeChartOf(schema.sizeChart);
+    var fit = rec.measurement_fit;
+    if (!chart || !fit) return null;
+
+    var m = normalizeMeasurements(measurements);
+    var target = clamp(fit.index + steps, 0, chart.rows.length - 1);
+    var limit = target !== fit.index + steps ? (steps < 0 ? 'smallest' : 'largest') : null;
+
+    // Going down only while every girth still fits
+    while (target < fit.index) {
+      var row = chart.rows[target];
+      var tight = GIRTHS.some(function (k) {
+        var room = m[k] != null ? chartRoom(chart, row, k, m[k]) : null;
+        return room !== null && room < 0;
+      });
+      if (!tight) break;
+      target++;
+      limit = 'measurements';
+    }
+
+    var from = rec.size_label || fit.size;
+    if (target !== fit.index) applyChartSize(rec, schema.system, chart.rows[target].size);
+    return { from: from, to: rec.size_label || from, steps: target - fit.index, limit: limit };
+  }
 
+  function applyFitPreference(schema, rec, user) {
+    var pref = normalizeFitPreference(user.fit_preference, schema.category);
+    rec.fit_preference = pref;
+    if (!pref) return rec;
+
+    var steps = FIT_PREFERENCES[pref];
+    var shift = rec.mode === 'measurements'
+      ? shiftByChart(schema, rec, steps, user.measurements)
+      : shiftBySystem(schema, rec, steps);
+
+    if (shift) {
+      shift.preference = pref;
+      rec.fit_shift = shift;
+    }
+    return rec;
+  }
+
+  /* ============================================================
+     CONFIDENCE & REASONS
+     - Every recommendation says how it was reached:
+         rec.reasons          [{ code, ...details }] in the order they applied
+         rec.confidence       'high' | 'medium' | 'low'
+         rec.confidence_score 0..1
+         rec.alternative      the neighbouring size worth considering, same
+                              size fields as rec (+ size_label on charts), or null
+     - Codes:
+         anchored_on_usual            { value }
+         from_measurements            { limiting, fits }
+         measurement_over             { measurement, ease_cm }  a girth is over even this size
+         derived_from_proportions     { height_cm, weight_kg }
+         no_body_data                 proportions without height + weight
+         clamped                      { from, to, steps }  `from` is not offered
+         fit_preference               { preference, steps, limit }
+         gender_unknown
+         height_outside_length_table  { height_cm, range }
+         no_height                    length defaulted to standard
+     - Score: the basis (first reason) minus a penalty per weakening
+       reason (clamped: per size it was bent by).
+     - Alternative: towards the size we bent away from (clamp, fit
+       preference), else one size up (more room is easier to alter).
+  ============================================================ */
+  var CONFIDENCE_BASE = {
+    anchored_on_usual: 0.9,
+    from_measurements: 0.9,
+    derived_from_proportions: 0.55,
+    no_body_data: 0.2
+  };
+
+  var CONFIDENCE_PENALTY = {
+    measurement_over: 0.3,
+    clamped: 0.25,
+    gender_unknown: 0.1,
+    height_outside_length_table: 0.05,
+    no_height: 0.05
+  };
+
+  var CONFIDENCE_LEVELS = [
+    { level: 'high', min: 0.75 },
+    { level: 'medium', min: 0.5 },
+    { level: 'low', min: 0 }
+  ];
+
+  // Heights the short / standard / long buckets of resolveLength() are cut for
+  var LENGTH_TABLE_RANGE_CM = {
+    male: [160, 198],
+    female: [150, 186],
+    unknown: [155, 195]
+  };
+
+  function sizeFields(rec) {
+    return {
+      size_eu: rec.size_eu,
+      shirt_size_eu: rec.shirt_size_eu,
+      alpha_size: rec.alpha_size,
+      waist_inch: rec.waist_inch
+    };
+  }
+
+  function clampSteps(schema, clamped) {
+    var sys = SYSTEM_FIELDS[schema.system];
+    if (isNum(clamped.from) && isNum(clamped.to)) return Math.max(1, Math.round(Math.abs(clamped.from - clamped.to) / (sys ? sys.step : 1)));
+    var a = alphaToIndex(clamped.from);
+    var b = alphaToIndex(clamped.to);
+    return a !== null && b !== null ? Math.max(1, Math.abs(a - b)) : 1;
+  }
+
+  // atEdge: the size was pinned to the end of the range (clamped, or a fit
+  // preference that ran out of sizes), so only `dir` leads back toward the
+  // customer; the other neighbour would move further away.
+  function alternativeSize(schema, rec, dir, atEdge) {
+    if (rec.mode === 'measurements') {
+      var chart = sizeChartOf(schema.sizeChart);
+      if (!chart) return null;
+      var i = -1;
+      for (var j = 0; j < chart.rows.length; j++) {
+        if (chart.rows[j].size === rec.size_label) { i = j; break; }
+      }
+      var row = i === -1 ? null : (chart.rows[i + dir] || (atEdge ? null : chart.rows[i - dir]));
+      return row ? applyChartSize({}, schema.system, row.size) : null;
+    }
+
+    var tries = atEdge ? [dir] : [dir, -dir];
+    for (var t = 0; t < tries.length; t++) {
+      var alt = sizeFields(rec);
+      var shift = shiftBySystem(schema, alt, tries[t]);
+      if (shift && shift.steps) return alt;
+    }
+    return null;
+  }
+
+  function explainRecommendation(schema, rec, user, clamped) {
+    var reasons = [];
+    var sys = SYSTEM_FIELDS[schema.system];
+    var fit = rec.measurement_fit;
+
+    if (rec.mode === 'measurements') {
+      reasons.push({ code: 'from_measurements', limiting: fit.limiting, fits: fit.fits });
+      if (!fit.fits) reasons.push({ code: 'measurement_over', measurement: fit.limiting, ease_cm: fit.ease_cm[fit.limiting] });
+    } else if (rec.used_usual_as_anchor) {
+      reasons.push({ code: 'anchored_on_usual', value: sys ? user[sys.usual] : null });
+    } else if (user.height_cm && user.weight_kg) {
+      reasons.push({ code: 'derived_from_proportions', height_cm: user.height_cm, weight_kg: user.weight_kg });
+    } else {
+      reasons.push({ code: 'no_body_data' });
+    }
+
+    if (clamped) reasons.push({ code: 'clamped', from: clamped.from, to: clamped.to, steps: clampSteps(schema, clamped) });
+
+    if (rec.fit_shift) {
+      reasons.push({ code: 'fit_preference', preference: rec.fit_shift.preference, steps: rec.fit_shift.steps, limit: rec.fit_shift.limit });
+    }
+
+    if (!schema.gender) reasons.push({ code: 'gender_unknown' });
+
+    // Height only matters for a length the customer didn't name
+    if (!givenLength(user.length)) {
+      if (user.height_cm) {
+        var range = LENGTH_TABLE_RANGE_CM[schema.gender] || LENGTH_TABLE_RANGE_CM.unknown;
+        if (user.height_cm < range[0] || user.height_cm > range[1]) {
+          reasons.push({ code: 'height_outside_length_table', height_cm: user.height_cm, range: range.slice() });
+        }
+      } else {
+        reasons.push({ code: 'no_height' });
+      }
+    }
+
+    var score = CONFIDENCE_BASE[reasons[0].code];
+    reasons.forEach(function (r) { score -= (CONFIDENCE_PENALTY[r.code] || 0) * (r.steps || 1); });
+    score = Math.round(clamp(score, 0, 1) * 100) / 100;
+
+    var level = 'low';
+    for (var i = 0; i < CONFIDENCE_LEVELS.length; i++) {
+      if (score >= CONFIDENCE_LEVELS[i].min) { level = CONFIDENCE_LEVELS[i].level; break; }
+    }
+
+    var dir = 1;
+    var atEdge = !!clamped;
+    var shift = rec.fit_shift;
+    if (clamped && isNum(clamped.from) && isNum(clamped.to)) dir = clamped.from > clamped.to ? 1 : -1;
+    else if (clamped && alphaToIndex(clamped.from) !== null) dir = alphaToIndex(clamped.from) > alphaToIndex(clamped.to) ? 1 : -1;
+    else if (shift && shift.steps) dir = shift.steps > 0 ? -1 : 1;
+    else if (shift && (shift.limit === 'smallest' || shift.limit === 'largest')) {
+      dir = shift.limit === 'smallest' ? -1 : 1;
+      atEdge = true;
+    }
+
+    rec.reasons = reasons;
+    rec.confidence = level;
+    rec.confidence_score = score;
+    rec.alternative = alternativeSize(schema, rec, dir, atEdge);
+    return rec;
+  }
+
+  /* ============================================================
+     BODY MEASUREMENTS vs SIZE CHARTS
+     - Measurements (cm): chest, waist, hip, shoulder, sleeve, inseam
+     - Size chart (attached to the schema as schema.sizeChart): the
+       shape DLCopilotProducts.normalizeSizeChart returns, used as is
+         { kind: 'body' | 'garment', system, unit: 'cm', covers: [...],
+           rows: [ { size: '48', measurements: { chest: { min, max } } } ] }
+       rows smallest → largest. A chart built by hand (inline rows such
+       as { size: '48', chest: [94, 98] }) goes through that normalizer.
+       body chart    → the body each size is cut for
+       garment chart → the finished garment (needs MIN_EASE_CM on top)
+     - Girths (chest, waist, hip, shoulder) must fit: each gets the
+       smallest size that fits it; the largest of those wins and its
+       measurement is the limiting one.
+     - Lengths (sleeve, inseam) can be altered: nearest size, reported
+       per measurement; they decide only when no girth was given.
+     - ease_cm = cm to spare in that size for that measurement
+       (negative: too tight / too short).
+  ============================================================ */
+  var MEASUREMENTS = ['chest', 'waist', 'hip', 'shoulder', 'sleeve', 'inseam'];
+  var GIRTHS = ['chest', 'waist', 'hip', 'shoulder'];
+
+  // Plausible adult body ranges (cm)
+  var MEASUREMENT_RANGES = {
+    chest: [60, 170],
+    waist: [50, 170],
+    hip: [60, 180],
+    shoulder: [30, 65],
+    sleeve: [40, 80],
+    inseam: [55, 100]
+  };
+
+  // Garment charts: minimum garment-minus-body ease for a wearable fit
+  var MIN_EASE_CM = { chest: 8, waist: 4, hip: 6, shoulder: 0, sleeve: 0, inseam: 0 };
+
+  // Lengths within this distance of the body count as fitting
+  var LENGTH_TOLERANCE_CM = 2;
+
+  var CM_PER_INCH = 2.54;
+
+  // Words per measurement: DLCopilotProducts.MEASUREMENT_WORDS, the
+  // vocabulary its chart normalizer reads table headers with.
+  function measurementWords() {
+    var P = window.DLCopilotProducts;
+    return P && isObj(P.MEASUREMENT_WORDS) ? P.MEASUREMENT_WORDS : {};
+  }
+
+  function roundHalf(n) {
+    return Math.round(n * 2) / 2;
+  }
+
+  function measurementInRange(key, n) {
+    var r = MEASUREMENT_RANGES[key];
+    if (!r || !isNum(n)) return null;
+    return n >= r[0] && n <= r[1] ? roundHalf(n) : null;
+  }
+
+  // { chest: 98, foo: 1, waist: '84' } → { chest: 98, waist: 84 }
+  function normalizeMeasurements(m) {
+    var out = {};
+    if (!isObj(m)) return out;
+    for (var i = 0; i < MEASUREMENTS.length; i++) {
+      var k = MEASUREMENTS[i];
+      var n = measurementInRange(k, typeof m[k] === 'string' ? parseFloat(m[k].replace(',', '.')) : m[k]);
+      if (n !== null) out[k] = n;
+    }
+    return out;
+  }
+
+  // "chest 98, waist 84cm, sleeve 25in" → { chest: 98, waist: 84, sleeve: 63.5 }
+  function parseMeasurements(text) {
+    var t = ' ' + lower(text).replace(/[’']/g, '') + ' ';
+    var out = {};
+    var vocabulary = measurementWords();
+
+    MEASUREMENTS.forEach(function (key) {
+      // Longest words first so "tour de taille" wins over "taille"
+      var words = (vocabulary[key] || []).slice().sort(function (a, b) { return b.length - a.length; });
+      for (var i = 0; i < words.length; i++) {
+        var re = new RegExp('(^|[^a-zà-ÿ])' + words[i] + '[a-zà-ÿ]*\\s*(?:[:=]|is|of)?\\s*(\\d{2,3}(?:[.,]\\d)?)\\s*(cm|in\\b|inch(?:es)?|"|″)?');
+        var m = t.match(re);
+        if (!m) continue;
+
+        var n = parseFloat(m[2].replace(',', '.'));
+        if (m[3] && m[3] !== 'cm') n = n * CM_PER_INCH;
+        n = measurementInRange(key, n);
+        if (n !== null) out[key] = n;
+        break;
+      }
+    });
+
+    return out;
+  }
+
+  // schema.sizeChart → the chart to match against, or null when it has
+  // no measurement. Normalized charts pass through untouched.
+  function sizeChartOf(chart) {
+    if (!isObj(chart) || !Array.isArray(chart.rows)) return null;
+    if (!Array.isArray(chart.covers)) {
+      var P = window.DLCopilotProducts;
+      chart = P && typeof P.normalizeSizeChart === 'function' ? P.normalizeSizeChart(chart) : null;
+    }
+    return chart && chart.rows.length && chart.covers.length ? chart : null;
+  }
+
+  // cm to spare for `value` in `row` (null when the row lacks the measurement)
+  function chartRoom(chart, row, key, value) {
+    var v = row.measurements[key];
+    if (!v) return null;
+    if (chart.kind === 'garment') return roundHalf(v.max - value - (MIN_EASE_CM[key] || 0));
+    return roundHalf(v.max - value);
+  }
+
+  function lengthDistance(chart, row, key, value) {
+    var v = row.measurements[key];
+    if (!v) return null;
+    if (chart.kind === 'garment' || value < v.min) return Math.abs(v.min - value);
+    if (value > v.max) return value - v.max;
+    return 0;
+  }
+
+  // Best row for one measurement: { size, index, ease_cm, fits }
+  function matchMeasurement(chart, key, value) {
+    var best = null;
+    var last = null;
+    var i, room;
+
+    if (GIRTHS.indexOf(key) !== -1) {
+      for (i = 0; i < chart.rows.length; i++) {
+        room = chartRoom(chart, chart.rows[i], key, value);
+        if (room === null) continue;
+        last = { index: i, room: room };
+        if (room >= 0) { best = last; break; }
+      }
+      best = best || last;
+      if (!best) return null;
+      return { size: chart.rows[best.index].size, index: best.index, ease_cm: best.room, fits: best.room >= 0 };
+    }
+
+    for (i = 0; i < chart.rows.length; i++) {
+      var d = lengthDistance(chart, chart.rows[i], key, value);
+      if (d === null) continue;
+      if (!best || d < best.distance) best = { index: i, distance: d };
+    }
+    if (!best) return null;
+    return {
+      size: chart.rows[best.index].size,
+      index: best.index,
+      ease_cm: chartRoom(chart, chart.rows[best.index], key, value),
+      fits: best.distance <= LENGTH_TOLERANCE_CM
+    };
+  }
+
+  /*
+    recommendFromMeasurements(chart, measurements) →
+      {
+        size: '50', index: 3, kind: 'body' | 'garment',
+        limiting: 'chest' | null,           // measurement that decided the size
+        fits: true,                          // every girth fits the chosen size
+        by_measurement: { chest: { size, index, ease_cm, fits }, ... },
+        ease_cm: { chest: 2, waist: 9.5, sleeve: -1 }   // at the chosen size
+        used: ['chest', 'waist', 'sleeve']
+      }
+    or null when no given measurement is on the chart.
+  */
+  function recommendFromMeasurements(chart, measurements) {
+    chart = sizeChartOf(chart);
+    var m = normalizeMeasurements(measurements);
+    if (!chart) return null;
+
+    var used = chart.covers.filter(function (k) { return m[k] != null; });
+    if (!used.length) return null;
+
+    var byMeasurement = {};
+    used.forEach(function (k) {
+      var r = matchMeasurement(chart, k, m[k]);
+      if (r) byMeasurement[k] = r;
+    });
+
+    var girths = used.filter(function (k) { return byMeasurement[k] && GIRTHS.indexOf(k) !== -1; });
+    var deciders = girths.length ? girths : used.filter(function (k) { return byMeasurement[k]; });
+    if (!deciders.length) return null;
+
+    // Largest required size; on a tie the measurement with least room limits.
+    var limiting = deciders[0];
+    for (var i = 1; i < deciders.length; i++) {
+      var a = byMeasurement[deciders[i]];
+      var b = byMeasurement[limiting];
+      if (a.index > b.index || (a.index === b.index && a.ease_cm < b.ease_cm)) limiting = deciders[i];
+    }
+
+    var index = byMeasurement[limiting].index;
+    var row = chart.rows[index];
+
+    var ease = {};
+    used.forEach(function (k) {
+      var room = chartRoom(chart, row, k, m[k]);
+      if (room !== null) ease[k] = room;
+    });
+
+    var fits = girths.every(function (k) { return ease[k] == null || ease[k] >= 0; });
+
+    return {
+      size: row.size,
+      index: index,
+      kind: chart.kind,
+      limiting: limiting,
+      fits: fits,
+      by_measurement: byMeasurement,
+      ease_cm: ease,
+      used: used
+    };
+  }
+
+  // Chart size label → the rec field for the schema's system
+  function applyChartSize(rec, system, label) {
+    var alpha = normalizeAlphaSize(label);
+    var waist = lower(label).match(/\bw?\s*(\d{2})\s*w?\b/);
+    var n = parseIntSafe(toStr(label).replace(/^\D+/, ''));
+
+    if (system === SIZE_SYSTEMS.ALPHA && alpha) rec.alpha_size = alpha;
+    else if (system === SIZE_SYSTEMS.WAIST_INCH && waist) rec.waist_inch = parseIntSafe(waist[1]);
+    else if (system === SIZE_SYSTEMS.SHIRT_COLLAR_EU && n !== null) rec.shirt_size_eu = n;
+    else if (alpha) rec.alpha_size = alpha;
+    else if (n !== null) rec.size_eu = n;
+
+    rec.size_label = label;
     return rec;
   }
 
@@ -1034,11 +1895,24 @@
   Mod.getMissingInputs = getMissingInputs;
 
   Mod.parseUserInput = parseUserInput;
+
+  Mod.SIZE_TABLES = SIZE_TABLES;
+  Mod.convertSize = convertSize;
+  Mod.setBrandOffsets = setBrandOffsets;
   Mod.validateAtomic = validateAtomic;
 
   Mod.resolveLength = resolveLength;
   Mod.recommend = recommend;
 
+  Mod.FIT_PREFERENCES = FIT_PREFERENCES;
+  Mod.fitPreferencesFor = fitPreferencesFor;
+  Mod.normalizeFitPreference = normalizeFitPreference;
+
+  Mod.MEASUREMENTS = MEASUREMENTS;
+  Mod.normalizeMeasurements = normalizeMeasurements;
+  Mod.parseMeasurements = parseMeasurements;
+  Mod.recommendFromMeasurements = recommendFromMeasurements;
+
   Mod.usualSizePromptKey = usualSizePromptKey;
 
     /* ============================================================
@@ -1080,7 +1954,10 @@
       usual_size_eu: user.usual_size_eu || null,
       shirt_size_eu: user.shirt_size_eu || null,
       alpha_size: user.alpha_size || null,
-      waist_inch: user.waist_inch || null
+      waist_inch: user.waist_inch || null,
+      length: user.length || null,
+      measurements: user.measurements || null,
+      fit_preference: user.fit_preference || null
     };
 
     // 4. Run recommendation engine
@@ -1097,7 +1974,16 @@
       alpha_size: rec.alpha_size || null,
       waist_inch: rec.waist_inch || null,
       length: rec.length || 'standard',
-      used_usual_as_anchor: !!rec.used_usual_as_anchor
+      used_usual_as_anchor: !!rec.used_usual_as_anchor,
+      mode: rec.mode || 'proportions',
+      size_label: rec.size_label || null,
+      measurement_fit: rec.measurement_fit || null,
+      fit_preference: rec.fit_preference || null,
+      fit_shift: rec.fit_shift || null,
+      confidence: rec.confidence,
+      confidence_score: rec.confidence_score,
+      reasons: rec.reasons || [],
+      alternative: rec.alternative || null
     };
   };
 
@@ -18,6 +18,36 @@
     throw new Error('dl-copilot-core.js must be loaded before dl-copilot-styling.js');
   }
 
+  // English defaults; translations live in dl-copilot-i18n.js (see core 2.1).
+  // Context/formality labels are shared with the engine in dl-copilot-products.js.
+  window.DLCopilot.registerMessages('en', {
+    'styling.menu': 'Style an outfit',
+    'styling.missing_journal': 'Styling is unavailable because journal data is missing.',
+    'styling.missing_products': 'Styling is unavailable because product data is missing.',
+    'styling.ask_context': 'What are you dressing for?',
+    'styling.context.everyday': 'Everyday',
+    'styling.context.work': 'Work',
+    'styling.context.social_evening': 'Social Evening',
+    'styling.context.sunday_stroll': 'Sunday Stroll',
+    'styling.context.smart_casual': 'Smart Casual',
+    'styling.great': 'Great.',
+    'styling.ask_formality': 'How formal should it feel?',
+    'styling.formality.relaxed': 'Relaxed',
+    'styling.formality.balanced': 'Balanced',
+    'styling.formality.sharp': 'Sharp',
+    'styling.perfect': 'Perfect.',
+    'styling.curating': 'Curating outfits from our journal…',
+    'styling.curating_short': 'Curating…',
+    'styling.no_outfit': 'I couldn’t find a suitable editorial outfit.',
+    'styling.outfit_options': 'Here are some outfit options:',
+    'styling.outfit_n': 'Outfit {n}',
+    'styling.back_to_start': 'Back to start',
+    'styling.next': 'What would you like to do next?',
+    'styling.recommend_size': 'Recommend my size',
+    'styling.another_outfit': 'Another outfit'
+  });
+
+  // Menu entry + intent aliases live in the core registry (see meta below).
   window.DLCopilot.registerModule('styling', function (api) {
     /* ============================================================
        MODULE CONSTANTS
@@ -133,17 +163,7 @@
       }
     }
 
-    function escHtml(text) {
-      if (api && api.utils && typeof api.utils.escapeText === 'function') {
-        return api.utils.escapeText(text);
-      }
-      return toStr(text)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
-    }
+    var t = api.t;
 
     function pill(label, onClick, opts) {
       opts = opts || {};
@@ -154,6 +174,11 @@
       };
     }
 
+    // Core owns the Back control; we only tell it how to re-render each step.
+    function recordStep(step, replay) {
+      if (api && typeof api.recordStep === 'function') api.recordStep(MODULE_ID + ':' + step, replay);
+    }
+
     function setFlow(intent, step, payload) {
       if (!api || !api.state) return;
       if (!api.state.flow) api.state.flow = {};
@@ -202,18 +227,26 @@
 
     function ensureDependencies() {
       if (!window.DLCopilotJournal) {
-        api.appendAI('Styling is unavailable because journal data is missing.');
+        api.appendAI(t('styling.missing_journal'));
         exitToEntry();
         return false;
       }
       if (!window.DLCopilotProducts) {
-        api.appendAI('Styling is unavailable because product data is missing.');
+        api.appendAI(t('styling.missing_products'));
         exitToEntry();
         return false;
       }
       return true;
     }
 
+    function engineAvailable() {
+      return !!(
+        window.DLCopilotStyling &&
+        typeof window.DLCopilotStyling.start === 'function' &&
+        typeof api.renderStep === 'function'
+      );
+    }
+
     /* ============================================================
        EXIT + RECOVERY
     ============================================================ */
@@ -294,18 +327,19 @@
     function renderContextStep() {
       STATE.step = 'context';
       persistToStore();
+      recordStep('context', renderContextStep);
 
-      api.appendAI('What are you dressing for?');
+      api.appendAI(t('styling.ask_context'));
 
       api.renderPills([
-        pill('Everyday', function () { chooseContext('everyday'); }),
-        pill('Work', function () { chooseContext('work'); }),
-        pill('Social Evening', function () { chooseContext('social_evening'); }),
-        pill('Sunday Stroll', function () { chooseContext('sunday_stroll'); }),
-        pill('Smart Casual', function () { chooseContext('smart_casual'); })
+        pill(t('styling.context.everyday'), function () { chooseContext('everyday'); }),
+        pill(t('styling.context.work'), function () { chooseContext('work'); }),
+        pill(t('styling.context.social_evening'), function () { chooseContext('social_evening'); }),
+        pill(t('styling.context.sunday_stroll'), function () { chooseContext('sunday_stroll'); }),
+        pill(t('styling.context.smart_casual'), function () { chooseContext('smart_casual'); })
       ]);
 
-      api.lockInput('Please choose an option above');
+      api.lockInput();
     }
 
     function chooseContext(ctx) {
@@ -313,7 +347,7 @@
       STATE.formality = null;
       persistToStore();
 
-      api.appendAI('Great.');
+      api.appendAI(t('styling.great'));
 
       if (ctx === 'everyday' || ctx === 'work') {
         renderFormalityStep();
@@ -329,24 +363,24 @@
     function renderFormalityStep() {
       STATE.step = 'formality';
       persistToStore();
+      recordStep('formality', renderFormalityStep);
 
-      api.appendAI('How formal should it feel?');
+      api.appendAI(t('styling.ask_formality'));
 
       api.renderPills([
-        pill('Relaxed', function () { chooseFormality('relaxed'); }),
-        pill('Balanced', function () { chooseFormality('balanced'); }),
-        pill('Sharp', function () { chooseFormality('sharp'); }),
-        pill('Back', function () { renderContextStep(); })
+        pill(t('styling.formality.relaxed'), function () { chooseFormality('relaxed'); }),
+        pill(t('styling.formality.balanced'), function () { chooseFormality('balanced'); }),
+        pill(t('styling.formality.sharp'), function () { chooseFormality('sharp'); })
       ]);
 
-      api.lockInput('Please choose an option above');
+      api.lockInput();
     }
 
     function chooseFormality(formality) {
       STATE.formality = formality;
       persistToStore();
 
-      api.appendAI('Perfect.');
+      api.appendAI(t('styling.perfect'));
       curateOutfits();
     }
 
@@ -361,14 +395,14 @@
       STATE.busy = true;
       persistToStore();
 
-      api.appendAI('Curating outfits from our journal…');
-      api.lockInput('Curating…');
+      api.appendAI(t('styling.curating'));
+      api.lockInput(t('styling.curating_short'));
 
       try {
         var outfits = await getJournalOutfits(STATE.context, STATE.formality);
 
         if (!outfits.length) {
-          api.appendAI('I couldn’t find a suitable editorial outfit.');
+          api.appendAI(t('styling.no_outfit'));
           exitToEntry();
           return;
         }
@@ -391,8 +425,9 @@
     function renderOutfitList() {
       STATE.step = 'list';
       persistToStore();
+      recordStep('list', renderOutfitList);
 
-      api.appendAI('Here are some outfit options:');
+      api.appendAI(t('styling.outfit_options'));
 
       var pills = [];
       var max = Math.min(CONFIG.MAX_OUTFITS_TO_SHOW, STATE.resolvedOutfits.length);
@@ -400,23 +435,34 @@
       for (var i = 0; i < max; i++) {
         (function (idx) {
           pills.push(
-            pill('Outfit ' + (idx + 1), function () {
+            pill(t('styling.outfit_n', { n: idx + 1 }), function () {
               renderOutfitDetail(idx);
             })
           );
         })(i);
       }
 
-      pills.push(pill('Back to start', exitToEntry));
+      pills.push(pill(t('styling.back_to_start'), exitToEntry));
 
       api.renderPills(pills);
-      api.lockInput('Please choose an option above');
+      api.lockInput();
     }
 
     /* ============================================================
        RENDER: OUTFIT DETAIL
     ============================================================ */
 
+    // Product → the piece shape the core outfit block renders
+    function outfitCard(p) {
+      p = p || {};
+      return {
+        handle: p.handle || null,
+        title: p.title || p.handle || null,
+        image: p.images && p.images[0] && p.images[0].src ? p.images[0].src : null,
+        price_min: typeof p.price_min === 'number' ? p.price_min : null
+      };
+    }
+
     function renderOutfitDetail(index) {
       var outfit = STATE.resolvedOutfits[index];
       if (!outfit) return;
@@ -424,44 +470,35 @@
       STATE.selectedIndex = index;
       STATE.step = 'detail';
       persistToStore();
+      recordStep('detail:' + index, function () { renderOutfitDetail(index); });
 
-      if (outfit.image && outfit.image.src) {
-        api.appendAI(
-          '<img src="' +
-            escHtml(outfit.image.src) +
-            '" style="width:100%;border-radius:12px" />'
-        );
-      }
-
-      api.appendAI('Pieces in this outfit:');
-
-      var html = '<ul>';
-      for (var i = 0; i < outfit.products.length; i++) {
-        var p = outfit.products[i];
-        html +=
-          '<li><a href="/products/' +
-          escHtml(p.handle) +
-          '">' +
-          escHtml(p.title || p.handle) +
-          '</a></li>';
-      }
-      html += '</ul>';
+      // Data block, so a reload re-renders the outfit instead of old markup
+      api.appendBlock('outfit', {
+        header: t('styling.outfit_n', { n: index + 1 }),
+        image: outfit.image && outfit.image.src ? outfit.image : null,
+        products: outfit.products.map(outfitCard)
+      });
 
-      api.appendAI(html);
+      api.emit('outfit:view', {
+        source: MODULE_ID,
+        index: index,
+        products: outfit.handles || [],
+        routeId: (api.state && api.state.flow && api.state.flow.routeId) || null
+      });
 
-      api.appendAI('What would you like to do next?');
+      api.appendAI(t('styling.next'));
 
       api.renderPills([
-        pill('Recommend my size', function () {
+        pill(t('styling.recommend_size'), function () {
           exitStylingThenRoute('size_guidance', { from: 'styling', handles: outfit.handles });
         }),
-        pill('Another outfit', function () {
+        pill(t('styling.another_outfit'), function () {
           renderOutfitList();
         }),
-        pill('Back to start', exitToEntry)
+        pill(t('styling.back_to_start'), exitToEntry)
       ]);
 
-      api.lockInput('Please choose an option above');
+      api.lockInput();
     }
     /* ============================================================
        ROUTE OUT OF STYLING (CRITICAL FIX)
@@ -504,6 +541,15 @@
       clearForNewRun();
       setFlow(INTENT, 'context', evt.payload || {});
 
+      // Prefer the declarative engine (DLCopilotStyling) — core renders its steps
+      if (engineAvailable()) {
+        if (!ensureDependencies()) return;
+        STATE.step = 'engine';
+        persistToStore();
+        api.renderStep(function () { return window.DLCopilotStyling.start(evt.payload || {}); }, { intent: INTENT });
+        return;
+      }
+
       // Make sure the user sees the first step
       renderContextStep();
     }
@@ -577,6 +623,15 @@
     /* ============================================================
        END MODULE
     ============================================================ */
+  }, {
+    intent: 'styling_advice',
+    label: function () { return window.DLCopilot.t('styling.menu'); },
+    aliases: ['style', 'styling', 'styling_flow'],
+    keywords: {
+      'style': 2, 'styling': 2, 'outfit': 2, 'wear': 1, 'look': 1, 'occasion': 1, 'wedding': 1, 'dinner': 1,
+      'goes with': 3, 'go with': 3, 'wear with': 3, 'match': 2, 'pair': 2, 'combine': 2, 'what to wear': 3
+    },
+    priority: 20
   });
 
 })();
@@ -0,0 +1,539 @@
+/* ============================================================
+   DL CO-PILOT — PROACTIVE TRIGGERS
+   File: assets/dl-copilot-triggers.js
+   ------------------------------------------------------------
+   Rule-based engagement: when a rule's signal fires, either show
+   the nudge bubble above the CTA or open the panel straight into
+   a flow with a prefilled payload.
+
+   Rules come from the section's "Proactive trigger" blocks
+   (window.DLCopilotConfig.triggers) or DLCopilotTriggers.addRule().
+
+   Signals:
+   - product_time       seconds spent (tab visible) on a product page
+   - size_changes       times the theme's size selector was changed
+   - exit_intent        pointer leaves through the top of the window
+   - return_incomplete  new visit, sizing profile started but no
+                        recommendation saved yet
+
+   Frequency caps (per rule: max shows, cooldown) persist in core
+   state.modules.triggers, so they hold across visits; open tabs merge
+   each other's caps (most shows, latest show) on 'state:module'.
+   Each rule fires at most once per page view, and only one nudge
+   shows at a time.
+============================================================ */
+
+(function () {
+  'use strict';
+
+  if (!window.DLCopilot || !window.DLCopilot.__coreInitialized) {
+    throw new Error('dl-copilot-core.js must be loaded before dl-copilot-triggers.js');
+  }
+
+  // English defaults; translations live in dl-copilot-i18n.js (see core 2.1).
+  window.DLCopilot.registerMessages('en', {
+    'triggers.product_time': 'Not sure about the fit? I can find your size for this piece.',
+    'triggers.size_changes': 'Between two sizes? I can recommend the right one.',
+    'triggers.exit_intent': 'Before you go — can I help you find your size?',
+    'triggers.return_incomplete': 'Welcome back. Shall we finish finding your size?',
+    'triggers.action': 'Let’s go',
+    'triggers.dismiss': 'Dismiss'
+  });
+
+  window.DLCopilot.registerModule('triggers', function (api) {
+    /* ============================================================
+       MODULE CONSTANTS
+    ============================================================ */
+
+    var MODULE_ID = 'triggers';
+
+    var CONFIG = {
+      selectors: {
+        nudge: '#DLCopilotNudge',
+        nudgeText: '[data-dl-copilot-nudge-text]',
+        nudgeAction: '[data-dl-copilot-nudge-action]',
+        nudgeDismiss: '[data-dl-copilot-nudge-dismiss]',
+
+        // Dawn-style variant pickers: options[Size] selects / radios
+        sizeInputs: 'select[name^="options"], input[type="radio"][name^="options"], variant-selects select, variant-radios input'
+      },
+
+      // Option names that count as "size" (matched against name / legend)
+      sizeOptionPattern: /size|taglia|talla|gr(ö|oe)(ß|ss)e|taille/i,
+
+      // Any two triggers, across rules and page views
+      minGapMs: 60 * 1000,
+
+      nudgeHideAfterMs: 20 * 1000,
+
+      // A visit is "new" after this much inactivity
+      visitGapMs: 30 * 60 * 1000,
+
+      sessionKey: 'dl_copilot_triggers_visit_v1'
+    };
+
+    var EVENTS = ['product_time', 'size_changes', 'exit_intent', 'return_incomplete'];
+
+    // Per-signal defaults when a rule leaves threshold / intent empty
+    var DEFAULTS = {
+      product_time: { threshold: 20, intent: 'size_this_piece', pages: 'product' },
+      size_changes: { threshold: 3, intent: 'size_this_piece', pages: 'product' },
+      exit_intent: { threshold: 0, intent: '', pages: 'all' },
+      return_incomplete: { threshold: 0, intent: 'size_guidance', pages: 'all' }
+    };
+
+    /* ============================================================
+       MODULE STATE (persisted via core state.modules)
+       caps: { [ruleId]: { shows, last_at } }, last_any_at, last_seen_at
+    ============================================================ */
+
+    if (!api.state.modules) api.state.modules = {};
+    if (!api.state.modules[MODULE_ID]) api.state.modules[MODULE_ID] = {};
+
+    var STORE = api.state.modules[MODULE_ID];
+    if (!STORE.caps || typeof STORE.caps !== 'object') STORE.caps = {};
+
+    var STATE = {
+      started: false,
+      rules: [],
+      firedThisPage: {},   // ruleId → true
+      sizeChanges: 0,
+      lastSizeValue: null,
+      visibleSeconds: 0,
+      timer: null,
+      nudgeTimer: null,
+      nudgeRule: null,
+      returnVisit: false
+    };
+
+    var toStr = api.utils.toStr;
+
+    function now() {
+      return Date.now ? Date.now() : new Date().getTime();
+    }
+
+    function persist() {
+      try { if (typeof api.persist === 'function') api.persist(); } catch (e) {}
+    }
+
+    function log() {
+      if (!api.config.debug) return;
+      try { console.log.apply(console, ['[DL Copilot triggers]'].concat([].slice.call(arguments))); } catch (e) {}
+    }
+
+    /* ============================================================
+       RULES
+    ============================================================ */
+
+    function parsePayload(raw) {
+      if (raw && typeof raw === 'object') return raw;
+      raw = toStr(raw).trim();
+      if (!raw) return {};
+      try {
+        var parsed = JSON.parse(raw);
+        return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : {};
+      } catch (e) {
+        log('invalid payload JSON', raw);
+        return {};
+      }
+    }
+
+    function toNumber(v, fallback) {
+      var n = parseFloat(v);
+      return isFinite(n) ? n : fallback;
+    }
+
+    function normalizeRule(raw) {
+      if (!raw || typeof raw !== 'object') return null;
+
+      var event = toStr(raw.event).trim();
+      if (EVENTS.indexOf(event) === -1) {
+        log('unknown trigger event', event);
+        return null;
+      }
+
+      var defaults = DEFAULTS[event];
+      var id = toStr(raw.id).trim() || event;
+
+      return {
+        id: id,
+        event: event,
+        threshold: toNumber(raw.threshold, 0) > 0 ? toNumber(raw.threshold, 0) : defaults.threshold,
+        pages: /^(all|product|collection)$/.test(toStr(raw.pages)) ? toStr(raw.pages) : defaults.pages,
+        action: raw.action === 'open' ? 'open' : 'nudge',
+        message: toStr(raw.message).trim(),
+        actionLabel: toStr(raw.actionLabel).trim(),
+        intent: toStr(raw.intent).trim() || defaults.intent,
+        payload: parsePayload(raw.payload),
+        maxShows: toNumber(raw.maxShows, 0) > 0 ? Math.floor(toNumber(raw.maxShows, 0)) : 0,
+        cooldownHours: Math.max(0, toNumber(raw.cooldownHours, 24))
+      };
+    }
+
+    function addRule(raw) {
+      var rule = normalizeRule(raw);
+      if (!rule) return null;
+
+      STATE.rules = STATE.rules.filter(function (r) { return r.id !== rule.id; });
+      STATE.rules.push(rule);
+
+      if (STATE.started) bindSignals();
+      return rule;
+    }
+
+    function rulesFor(event) {
+      return STATE.rules.filter(function (r) { return r.event === event; });
+    }
+
+    /* ============================================================
+       ELIGIBILITY + FREQUENCY CAPS
+    ============================================================ */
+
+    function pageMatches(rule) {
+      if (rule.pages === 'product') return api.utils.isLikelyProductPage();
+      if (rule.pages === 'collection') return api.utils.isLikelyCollectionPage();
+      return true;
+    }
+
+    function capFor(id) {
+      if (!STORE.caps[id] || typeof STORE.caps[id] !== 'object') STORE.caps[id] = { shows: 0, last_at: 0 };
+      return STORE.caps[id];
+    }
+
+    function withinCaps(rule) {
+      var cap = capFor(rule.id);
+      var t = now();
+
+      if (rule.maxShows && cap.shows >= rule.maxShows) return false;
+      if (rule.cooldownHours && cap.last_at && t - cap.last_at < rule.cooldownHours * 3600 * 1000) return false;
+      if (STORE.last_any_at && t - STORE.last_any_at < CONFIG.minGapMs) return false;
+      return true;
+    }
+
+    function canFire(rule) {
+      if (STATE.firedThisPage[rule.id]) return false;
+      if (api.state.isOpen) return false;
+      if (STATE.nudgeRule) return false;
+      if (!pageMatches(rule)) return false;
+      return withinCaps(rule);
+    }
+
+    // Another tab saved its copy of STORE: keep the higher count and the
+    // later timestamp, so neither tab's shows are lost on the next persist.
+    function mergeRemoteStore(remote) {
+      if (!remote || typeof remote !== 'object') return;
+
+      var caps = remote.caps && typeof remote.caps === 'object' ? remote.caps : {};
+      Object.keys(caps).forEach(function (id) {
+        var r = caps[id];
+        if (!r || typeof r !== 'object') return;
+        var cap = capFor(id);
+        cap.shows = Math.max(toNumber(cap.shows, 0), toNumber(r.shows, 0));
+        cap.last_at = Math.max(toNumber(cap.last_at, 0), toNumber(r.last_at, 0));
+      });
+
+      ['last_any_at', 'last_seen_at'].forEach(function (k) {
+        var v = Math.max(toNumber(STORE[k], 0), toNumber(remote[k], 0));
+        if (v) STORE[k] = v;
+      });
+    }
+
+    function recordShow(rule) {
+      var cap = capFor(rule.id);
+      var t = now();
+
+      cap.shows = (cap.shows || 0) + 1;
+      cap.last_at = t;
+      STORE.last_any_at = t;
+      STATE.firedThisPage[rule.id] = true;
+      persist();
+    }
+
+    /* ============================================================
+       FIRE
+    ============================================================ */
+
+    // `reached(rule)` filters rules whose threshold the signal has met;
+    // without it (manual fire) any eligible rule for the event goes.
+    function fire(event, context, reached) {
+      var fired = null;
+
+      rulesFor(event).some(function (rule) {
+        if (typeof reached === 'function' && !reached(rule)) return false;
+        if (!canFire(rule)) return false;
+        fired = rule;
+        return true;
+      });
+
+      if (!fired) return null;
+
+      recordShow(fired);
+      api.emit('trigger:fire', { id: fired.id, event: fired.event, action: fired.action, context: context || {} });
+      api.analytics.track('trigger_fired', { trigger_id: fired.id, trigger_event: fired.event, action: fired.action });
+      log('fire', fired.id, context);
+
+      if (fired.action === 'open') {
+        openFlow(fired);
+      } else {
+        showNudge(fired);
+      }
+      return fired;
+    }
+
+    function routePayload(rule) {
+      var payload = {};
+      Object.keys(rule.payload || {}).forEach(function (k) { payload[k] = rule.payload[k]; });
+
+      // Return visit: pick the product sizing flow back up on the last piece.
+      if (rule.event === 'return_incomplete' && !rule.payload.product_handle && rule.intent === 'size_guidance') {
+        var last = (api.state.sizing && api.state.sizing.last) || {};
+        if (last.product_handle) {
+          return { intent: 'size_product', payload: merge(payload, { product_handle: last.product_handle }) };
+        }
+      }
+
+      return { intent: rule.intent, payload: payload };
+    }
+
+    function merge(a, b) {
+      Object.keys(b).forEach(function (k) { a[k] = b[k]; });
+      return a;
+    }
+
+    function openFlow(rule) {
+      hideNudge();
+      api.open();
+
+      var target = routePayload(rule);
+      if (!target.intent) return;
+
+      api.route({
+        intent: target.intent,
+        payload: merge(target.payload, { source: 'trigger', trigger_id: rule.id }),
+        routeId: api.utils.nowId()
+      });
+    }
+
+    /* ============================================================
+       NUDGE BUBBLE (markup in sections/dl-copilot.liquid)
+    ============================================================ */
+
+    var nudgeDom = null;
+
+    function findNudge() {
+      if (nudgeDom) return nudgeDom;
+
+      var root = document.querySelector(CONFIG.selectors.nudge);
+      if (!root) return null;
+
+      nudgeDom = {
+        root: root,
+        text: root.querySelector(CONFIG.selectors.nudgeText),
+        action: root.querySelector(CONFIG.selectors.nudgeAction),
+        dismiss: root.querySelector(CONFIG.selectors.nudgeDismiss)
+      };
+
+      if (nudgeDom.action) {
+        nudgeDom.action.addEventListener('click', function () {
+          var rule = STATE.nudgeRule;
+          if (!rule) return;
+          api.analytics.track('trigger_clicked', { trigger_id: rule.id, trigger_event: rule.event });
+          openFlow(rule);
+        });
+      }
+
+      if (nudgeDom.dismiss) {
+        nudgeDom.dismiss.setAttribute('aria-label', api.t('triggers.dismiss'));
+        nudgeDom.dismiss.addEventListener('click', function () {
+          var rule = STATE.nudgeRule;
+          if (!rule) return;
+          api.analytics.track('trigger_dismissed', { trigger_id: rule.id, trigger_event: rule.event });
+          hideNudge();
+        });
+      }
+
+      return nudgeDom;
+    }
+
+    function showNudge(rule) {
+      var n = findNudge();
+
+      // No bubble in this theme: fall back to opening the panel.
+      if (!n || !n.text) {
+        openFlow(rule);
+        return;
+      }
+
+      STATE.nudgeRule = rule;
+
+      n.text.textContent = rule.message || api.t('triggers.' + rule.event);
+      if (n.action) n.action.textContent = rule.actionLabel || api.t('triggers.action');
+
+      n.root.hidden = false;
+      n.root.classList.add('is-visible');
+
+      // The CTA hides when scrolling stops; keep it next to the bubble.
+      try { if (typeof window.__DL_COPILOT_BUMP_CTA__ === 'function') window.__DL_COPILOT_BUMP_CTA__(); } catch (e) {}
+
+      if (STATE.nudgeTimer) clearTimeout(STATE.nudgeTimer);
+      STATE.nudgeTimer = setTimeout(hideNudge, CONFIG.nudgeHideAfterMs);
+    }
+
+    function hideNudge() {
+      if (STATE.nudgeTimer) clearTimeout(STATE.nudgeTimer);
+      STATE.nudgeTimer = null;
+      STATE.nudgeRule = null;
+
+      var n = nudgeDom || findNudge();
+      if (!n) return;
+      n.root.classList.remove('is-visible');
+      n.root.hidden = true;
+    }
+
+    /* ============================================================
+       SIGNALS
+    ============================================================ */
+
+    var bound = {};
+
+    function bindSignals() {
+      if (rulesFor('product_time').length && !bound.time) {
+        bound.time = true;
+        STATE.timer = setInterval(tickVisibleTime, 1000);
+      }
+
+      if (rulesFor('size_changes').length && !bound.size) {
+        bound.size = true;
+        document.addEventListener('change', onMaybeSizeChange, true);
+      }
+
+      if (rulesFor('exit_intent').length && !bound.exit) {
+        bound.exit = true;
+        document.addEventListener('mouseout', onMouseOut);
+      }
+
+      if (rulesFor('return_incomplete').length && !bound.ret) {
+        bound.ret = true;
+        if (STATE.returnVisit && hasIncompleteSizing()) fire('return_incomplete', {});
+      }
+    }
+
+    function tickVisibleTime() {
+      if (document.visibilityState && document.visibilityState !== 'visible') return;
+
+      STATE.visibleSeconds += 1;
+
+      fire('product_time', { seconds: STATE.visibleSeconds }, function (rule) {
+        return STATE.visibleSeconds >= rule.threshold;
+      });
+
+      // Every time rule has had its chance on this page.
+      var pending = rulesFor('product_time').some(function (rule) { return !STATE.firedThisPage[rule.id] && STATE.visibleSeconds < rule.threshold; });
+      if (!pending && STATE.timer) {
+        clearInterval(STATE.timer);
+        STATE.timer = null;
+      }
+    }
+
+    function isSizeInput(el) {
+      if (!el || !el.matches) return false;
+      try { if (!el.matches(CONFIG.selectors.sizeInputs)) return false; } catch (e) { return false; }
+
+      if (CONFIG.sizeOptionPattern.test(toStr(el.name))) return true;
+
+      var fieldset = el.closest ? el.closest('fieldset') : null;
+      var legend = fieldset ? fieldset.querySelector('legend') : null;
+      return !!(legend && CONFIG.sizeOptionPattern.test(toStr(legend.textContent)));
+    }
+
+    function onMaybeSizeChange(e) {
+      var el = e && e.target;
+      if (!isSizeInput(el)) return;
+
+      var value = toStr(el.value);
+      if (value === STATE.lastSizeValue) return;
+      STATE.lastSizeValue = value;
+      STATE.sizeChanges += 1;
+
+      fire('size_changes', { changes: STATE.sizeChanges }, function (rule) {
+        return STATE.sizeChanges >= rule.threshold;
+      });
+    }
+
+    function onMouseOut(e) {
+      // Leaving through the top edge (towards tabs / address bar)
+      if (!e || e.relatedTarget || e.toElement) return;
+      if (typeof e.clientY !== 'number' || e.clientY > 0) return;
+      fire('exit_intent', {});
+    }
+
+    // Profile started (body or a category chosen) but nothing recommended yet.
+    function hasIncompleteSizing() {
+      var s = api.state.sizing || {};
+      var started = !!(s.height_cm || s.weight_kg || (s.last && (s.last.category_handle || s.last.product_handle)));
+      if (!started) return false;
+
+      var cats = s.categories || {};
+      // Product sizing saves recommended_size, global sizing recommended_size_eu
+      return !Object.keys(cats).some(function (k) { return cats[k] && (cats[k].recommended_size || cats[k].recommended_size_eu); });
+    }
+
+    // A visit starts in a tab with no marker, after CONFIG.visitGapMs of
+    // inactivity; it is a return visit when an earlier visit was recorded.
+    function detectReturnVisit() {
+      var t = now();
+      var seenThisTab = false;
+
+      try { seenThisTab = !!sessionStorage.getItem(CONFIG.sessionKey); } catch (e) {}
+
+      var isNewVisit = !seenThisTab && (!STORE.last_seen_at || t - STORE.last_seen_at > CONFIG.visitGapMs);
+      STATE.returnVisit = isNewVisit && !!STORE.last_seen_at;
+
+      STORE.last_seen_at = t;
+      try { sessionStorage.setItem(CONFIG.sessionKey, '1'); } catch (e) {}
+      persist();
+    }
+
+    /* ============================================================
+       BOOT
+    ============================================================ */
+
+    function loadConfiguredRules() {
+      var cfg = window.DLCopilotConfig || {};
+      var list = Array.isArray(cfg.triggers) ? cfg.triggers : [];
+      list.forEach(function (raw) { addRule(raw); });
+    }
+
+    function start() {
+      if (STATE.started) return;
+      STATE.started = true;
+
+      detectReturnVisit();
+      bindSignals();
+    }
+
+    // Opening the panel (from anywhere) makes the nudge redundant.
+    api.on('panel:open', function () { hideNudge(); });
+
+    api.on('state:module', function (e) {
+      if (e && e.id === MODULE_ID) mergeRemoteStore(e.remote);
+    });
+
+    loadConfiguredRules();
+
+    api.on('core:ready', start, { replay: true });
+
+    window.DLCopilotTriggers = {
+      __v: 1,
+      addRule: addRule,
+      fire: fire,
+      rules: function () { return STATE.rules.slice(); },
+      hideNudge: hideNudge,
+      resetCaps: function () {
+        STORE.caps = {};
+        STORE.last_any_at = 0;
+        persist();
+      }
+    };
+  });
+})();
@@ -0,0 +1,98 @@
+'use strict';
+
+// Core event bus (dl-copilot-core.js section 2) through the public api:
+// once, wildcards, priority, emitAsync and replay for late subscribers.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var storefront = require('./support/storefront');
+
+function withShop(fn) {
+  return async function () {
+    var shop = storefront.createStorefront();
+    try {
+      assert.deepStrictEqual(shop.errors, [], 'assets failed to load');
+      await shop.settle();
+      await fn(shop.api, shop);
+    } finally {
+      shop.close();
+    }
+  };
+}
+
+test('on/off keep their old behaviour; once fires a single time', withShop(async function (api) {
+  var seen = [];
+  function fn(p) { seen.push('on:' + p); }
+
+  api.on('test:ping', fn);
+  api.once('test:ping', function (p) { seen.push('once:' + p); });
+  api.emit('test:ping', 1);
+  api.emit('test:ping', 2);
+  api.off('test:ping', fn);
+  api.emit('test:ping', 3);
+
+  assert.deepStrictEqual(seen, ['on:1', 'once:1', 'on:2']);
+}));
+
+test('wildcards match a namespace and receive the event name', withShop(async function (api) {
+  var seen = [];
+  var unsubscribe = api.on('test:*', function (p, evt) { seen.push(evt); });
+
+  api.emit('test:a');
+  api.emit('test:b:c');
+  api.emit('other:a');
+  unsubscribe();
+  api.emit('test:d');
+
+  assert.deepStrictEqual(seen, ['test:a', 'test:b:c']);
+}));
+
+test('higher priority handlers run first, ties in subscription order', withShop(async function (api) {
+  var order = [];
+  api.on('test:order', function () { order.push('a'); });
+  api.on('test:order', function () { order.push('b'); }, { priority: 10 });
+  api.on('test:*', function () { order.push('c'); }, { priority: 10 });
+  api.on('test:order', function () { order.push('d'); }, { priority: -1 });
+
+  api.emit('test:order');
+  assert.deepStrictEqual(order, ['b', 'c', 'a', 'd']);
+}));
+
+test('emitAsync aggregates handler results and failures', withShop(async function (api) {
+  api.on('test:async', function (p) { return p * 2; });
+  api.on('test:async', function (p) { return Promise.resolve(p + 1); });
+  // Arrays come from the JSDOM realm; compare plain copies.
+  assert.deepStrictEqual(Array.from(await api.emitAsync('test:async', 5)), [10, 6]);
+
+  var reported = [];
+  api.on('bus:error', function (e) { reported.push(e.event); });
+  api.on('test:fail', function () { throw new Error('sync'); });
+  api.on('test:fail', function () { return Promise.reject(new Error('async')); });
+  api.on('test:fail', function () { return 'ok'; });
+
+  await assert.rejects(api.emitAsync('test:fail'), function (err) {
+    assert.deepStrictEqual(Array.from(err.errors, function (e) { return e.message; }), ['sync', 'async']);
+    assert.strictEqual(err.results[2], 'ok');
+    return true;
+  });
+  assert.deepStrictEqual(reported, ['test:fail', 'test:fail']);
+}));
+
+test('late subscribers can replay the last flow:route', withShop(async function (api, shop) {
+  await shop.open();
+  await shop.choose('Help with my order');
+  await shop.choose('Order status');
+
+  var late = [];
+  api.on('flow:route', function (route) { late.push(route.intent); }, { replay: true });
+  assert.deepStrictEqual(late, ['order_support']);
+
+  var plain = [];
+  api.on('flow:route', function (route) { plain.push(route.intent); });
+  assert.deepStrictEqual(plain, []);
+
+  var ready = 0;
+  api.once('core:ready', function () { ready++; }, { replay: true });
+  api.emit('core:ready', {});
+  assert.strictEqual(ready, 1);
+}));
@@ -0,0 +1,397 @@
+'use strict';
+
+// End-to-end: every flow driven through the rendered UI of the section,
+// with the real assets and a mocked Shopify backend (see support/storefront.js).
+
+var test = require('node:test');
+var assert = require('node:assert');
+var storefront = require('./support/storefront');
+
+function withShop(opts, fn) {
+  return async function () {
+    var shop = storefront.createStorefront(opts);
+    try {
+      assert.deepStrictEqual(shop.errors, [], 'assets failed to load');
+      await shop.settle();
+      await fn(shop);
+    } finally {
+      shop.close();
+    }
+  };
+}
+
+function assertMessage(shop, pattern) {
+  var found = shop.messages().some(function (m) { return pattern.test(m); });
+  assert.ok(found, pattern + ' not in ' + JSON.stringify(shop.messages().slice(-4)));
+}
+
+test('section loads every asset and registers all flows', withShop({}, async function (shop) {
+  assert.ok(storefront.sectionAssets().length >= 7);
+
+  var registry = shop.api.getRegistry();
+  var intents = registry.flows.map(function (f) { return f.intent; });
+  ['size_guidance', 'size_product', 'styling_advice', 'order_support', 'transcript'].forEach(function (intent) {
+    assert.ok(intents.indexOf(intent) !== -1, intent + ' not registered');
+  });
+  assert.ok(registry.modules.every(function (m) { return m.initialized; }), 'a module failed to initialise');
+
+  await shop.open();
+  assertMessage(shop, /How can I help today\?/);
+  assert.deepStrictEqual(shop.choices(), [
+    'Recommend my size',
+    'Find my size for a product',
+    'Style an outfit',
+    'Help with my order'
+  ]);
+}));
+
+test('global sizing: body, category and usual size give a recommendation', withShop({}, async function (shop) {
+  await shop.open();
+  await shop.choose('Recommend my size');
+  await shop.submit('182');
+  await shop.submit('80');
+  await shop.choose(/category/);
+  await shop.choose('Menswear');
+  assert.deepStrictEqual(shop.choices().filter(function (c) { return c !== 'Back'; }), ['Jackets', 'Trousers']);
+
+  await shop.choose('Jackets');
+  await shop.submit('50');
+  assertMessage(shop, /How do you like Jackets to fit\?/);
+  assert.deepStrictEqual(shop.choices().filter(function (c) { return c !== 'Back'; }), ['Close', 'True to size', 'Relaxed', 'Over knitwear']);
+
+  await shop.choose('Relaxed');
+  assertMessage(shop, /Size: EU 52.*Fit: Relaxed, so one size up from EU 50/);
+
+  var sizing = shop.api.getState().sizing;
+  assert.strictEqual(sizing.height_cm, 182);
+  assert.strictEqual(sizing.categories['mens-jackets'].usual_size_eu, 50);
+  assert.strictEqual(sizing.categories['mens-jackets'].fit_preference, 'relaxed');
+}));
+
+test('product sizing: recommended size goes into the bag', withShop({}, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  await shop.choose('Menswear');
+  await shop.choose('Jackets');
+  await shop.choose('Jacket One');
+  await shop.submit('182');
+  await shop.submit('80');
+  await shop.submit('50');
+  await shop.choose('True to size');
+  assertMessage(shop, /For Man Jacket One, I recommend:.*Fit: True to size.*Confidence: high — based on your usual size EU 50/);
+  assert.strictEqual(shop.choices().filter(function (c) { return /^Add size/.test(c); }).length, 1, 'no alternative when confident');
+
+  await shop.choose(/^Add size .* to bag$/);
+  var adds = shop.requested('/cart/add.js', 'POST');
+  assert.strictEqual(adds.length, 1);
+  assert.deepStrictEqual(JSON.parse(adds[0].body).items, [{ id: 2, quantity: 1 }]);
+  assertMessage(shop, /to your bag/);
+}));
+
+test('product sizing on a product page: the piece\'s kind keys the saved sizes', withShop({
+  url: 'https://shop.test/products/man-jacket'
+}, async function (shop) {
+  var product = require('./fixtures/shop.json')['/products/man-jacket.js'];
+  shop.window.document.body.insertAdjacentHTML('beforeend',
+    '<script type="application/json" data-product-json>' + JSON.stringify(product) + '</script>');
+
+  await shop.open();
+  await shop.choose('Find my size for this piece');
+  await shop.submit('182');
+  await shop.submit('80');
+  await shop.submit('50');
+  await shop.choose('True to size');
+  assertMessage(shop, /For Man Jacket One, I recommend:.*Size: EU 50/);
+  assert.strictEqual(shop.requested('/products/man-jacket.js').length, 0, 'read from the page');
+
+  var categories = shop.api.getState().sizing.categories;
+  assert.deepStrictEqual(Object.keys(categories), ['men-jacket']);
+  assert.strictEqual(categories['men-jacket'].usual_size_eu, 50);
+  assert.strictEqual(categories['men-jacket'].title, 'Jacket');
+}));
+
+test('product sizing on a product page: "Size another piece" goes to the categories', withShop({
+  url: 'https://shop.test/products/man-jacket'
+}, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for this piece');
+  await shop.submit('182');
+  await shop.submit('80');
+  await shop.submit('50');
+  await shop.choose('True to size');
+
+  await shop.choose('Size another piece');
+  assertMessage(shop, /What type of product are you sizing\?/);
+  await shop.choose('Trousers');
+  assert.deepStrictEqual(shop.choices(), ['Trouser One', 'Back']);
+  assert.strictEqual(shop.requested('/collections/men-jacket/products.json?limit=250').length, 0);
+}));
+
+test('global sizing on a collection page: the collection is preselected, and Change asks again', withShop({
+  url: 'https://shop.test/collections/mens-jackets'
+}, async function (shop) {
+  await shop.open();
+  await shop.choose('Recommend my size');
+  await shop.submit('182');
+  await shop.submit('80');
+  await shop.choose('A product category (general sizing)');
+  assertMessage(shop, /You’re browsing Jackets, so I’ll use that\./);
+  assert.deepStrictEqual(shop.choices(), ['Continue with Jackets', 'Change', 'Back']);
+
+  await shop.choose('Change');
+  assert.deepStrictEqual(shop.choices(), ['Menswear', 'Womenswear', 'Back']);
+  await shop.choose('Womenswear');
+  await shop.choose('Trousers');
+  assertMessage(shop, /What is your usual EU size for Womens - Trousers\?/);
+  assert.strictEqual(shop.api.getState().sizing.last.category_handle, 'womens-trousers');
+}));
+
+test('product sizing on a collection page: a gendered title stands in for the handle', withShop({
+  url: 'https://shop.test/collections/trousers',
+  routes: {
+    '/collections.json?limit=250': { collections: [
+      { handle: 'trousers', title: 'Women\'s Trousers' },
+      { handle: 'mens-jackets', title: 'Mens - Jackets' }
+    ] }
+  }
+}, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  assert.ok(!shop.messages().some(function (m) { return /Who are you shopping for\?/.test(m); }), 'gender asked');
+  assert.deepStrictEqual(shop.choices(), ['Continue with Trousers', 'Change', 'Back']);
+  assert.strictEqual(shop.requested('/collections.json?limit=250').length, 1, 'one request for gender and category');
+}));
+
+test('styling: journal outfit resolves its pieces', withShop({}, async function (shop) {
+  await shop.open();
+  await shop.choose('Style an outfit');
+  await shop.choose('Work');
+  await shop.choose('Relaxed');
+
+  assert.strictEqual(shop.requested('/blogs/journal.atom').length, 1);
+  assert.strictEqual(shop.requested('/blogs/journal/autumn-edit').length, 1);
+  assertMessage(shop, /Editorial outfit 1 of 1.*Man Jacket One.*Man Trouser One/);
+  assert.ok(shop.choices().indexOf('Guide me on size') !== -1);
+}));
+
+test('styling without the engine: outfit detail is an outfit block', withShop({}, async function (shop) {
+  // The module's own fallback, fed by a journal that resolves outfits itself
+  delete shop.window.DLCopilotStyling;
+  shop.window.DLCopilotJournal.resolveOutfits = function () {
+    return Promise.resolve([{ handles: ['man-jacket', 'man-trouser'], image: { src: '/cdn/autumn.jpg', alt: 'Autumn edit' } }]);
+  };
+
+  await shop.open();
+  await shop.choose('Style an outfit');
+  await shop.choose('Work');
+  await shop.choose('Relaxed');
+  await shop.choose('Outfit 1');
+
+  var block = shop.api.getState().messages.filter(function (m) { return m.kind === 'outfit'; })[0];
+  assert.ok(block, 'no outfit block');
+  assert.deepStrictEqual(Array.from(block.data.products, function (p) { return p.handle; }), ['man-jacket', 'man-trouser']);
+
+  var el = shop.window.document.querySelector('.dl-copilot-msg--outfit');
+  assert.strictEqual(el.querySelector('.dl-copilot-outfit__img').getAttribute('alt'), 'Autumn edit');
+  assert.strictEqual(el.querySelectorAll('.dl-copilot-outfit__product a').length, 2);
+  assert.ok(shop.choices().indexOf('Recommend my size') !== -1);
+}));
+
+test('order: number is captured and status explained', withShop({}, async function (shop) {
+  await shop.open();
+  await shop.choose('Help with my order');
+  await shop.choose('Order status');
+  await shop.submit('DL-10234');
+  assertMessage(shop, /noted order DL-10234/);
+
+  await shop.choose('View order status');
+  assertMessage(shop, /made to order/);
+}));
+
+function jacketWithChart() {
+  var product = JSON.parse(JSON.stringify(require('./fixtures/shop.json')['/products/man-jacket.js']));
+  product.size_chart = {
+    kind: 'body',
+    unit: 'cm',
+    rows: [
+      { size: '48', chest: [92, 96], waist: [80, 84] },
+      { size: '50', chest: [96, 100], waist: [84, 88] },
+      { size: '52', chest: [100, 104], waist: [88, 92] }
+    ]
+  };
+  return product;
+}
+
+test('product sizing: measurements are matched against the size chart', withShop({
+  routes: { '/products/man-jacket.js': jacketWithChart() }
+}, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  await shop.choose('Menswear');
+  await shop.choose('Jackets');
+  await shop.choose('Jacket One');
+  assertMessage(shop, /size chart.*chest, waist/);
+
+  await shop.choose('Use my measurements');
+  await shop.submit('my chest is 98');
+  await shop.choose('True to size');
+  assertMessage(shop, /For Man Jacket One, I recommend:.*Size: EU 50.*Deciding measurement: chest, 2 cm to spare/);
+  assert.ok(!/Length/.test(shop.lastMessage()), 'no length without a height');
+  assert.strictEqual(shop.api.getState().sizing.measurements.chest, 98);
+
+  await shop.choose('No, adjust');
+  await shop.submit('chest 95, waist 89');
+  await shop.choose('Yes, keep “True to size”');
+  assertMessage(shop, /Size: EU 52.*Deciding measurement: waist, 3 cm to spare.*By measurement: chest 48 · waist 52/);
+}));
+
+test('saved measurements are checked against the sizing ranges once the modules load', withShop({
+  storage: { dl_copilot_state_v5: JSON.stringify({ v: 5, sizing: { measurements: { chest: 98, waist: 400, inseam: '81', elbow: 30 } } }) }
+}, async function (shop) {
+  assert.deepStrictEqual(Object.assign({}, shop.api.getState().sizing.measurements), { chest: 98, inseam: 81 });
+}));
+
+test('saved category sizes are coerced or dropped like the EU sizes', withShop({
+  storage: { dl_copilot_state_v5: JSON.stringify({ v: 5, sizing: { categories: {
+    'mens-shirts': { shirt_size_eu: '41', recommended_size: 41, recommended_length: { x: 1 }, title: 'Shirts' },
+    'mens-knitwear': { alpha_size: 'M', recommended_size: '<img src=x onerror=alert(1)> and a very long label' },
+    'mens-trousers': { waist_inch: 320, alpha_size: 'medium', recommended_size: 'W32' }
+  } } }) }
+}, async function (shop) {
+  var categories = JSON.parse(JSON.stringify(shop.api.getState().sizing.categories));
+  assert.deepStrictEqual(categories['mens-shirts'], { shirt_size_eu: 41, recommended_size: '41', recommended_length: null, title: 'Shirts' });
+  assert.deepStrictEqual(categories['mens-knitwear'], { alpha_size: 'm', recommended_size: null });
+  assert.deepStrictEqual(categories['mens-trousers'], { waist_inch: null, alpha_size: null, recommended_size: 'W32' });
+}));
+
+function jacketWithDescriptionTable() {
+  var product = JSON.parse(JSON.stringify(require('./fixtures/shop.json')['/products/man-jacket.js']));
+  product.description =
+    '<p>Soft tailoring.</p><table><tr><th>Size</th><th>Chest (in)</th></tr>' +
+    '<tr><td>48</td><td>36-38</td></tr><tr><td>50</td><td>38-40</td></tr><tr><td>52</td><td>40-42</td></tr></table>';
+  return product;
+}
+
+test('product sizing: a size guide table in the description becomes the chart', withShop({
+  routes: { '/products/man-jacket.js': jacketWithDescriptionTable() }
+}, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  await shop.choose('Menswear');
+  await shop.choose('Jackets');
+  await shop.choose('Jacket One');
+  assert.strictEqual(shop.requested('/products/man-jacket?view=dl-copilot-size-chart').length, 1);
+  assertMessage(shop, /size chart.*chest/);
+
+  await shop.choose('Use my measurements');
+  await shop.submit('100');
+  await shop.choose('True to size');
+  assertMessage(shop, /Size: EU 50.*Deciding measurement: chest, 1\.5 cm to spare/);
+}));
+
+test('product sizing: fit preference moves across the piece\'s own sizes', withShop({
+  routes: { '/products/man-jacket.js': jacketWithChart() }
+}, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  await shop.choose('Menswear');
+  await shop.choose('Jackets');
+  await shop.choose('Jacket One');
+  await shop.choose('Use my measurements');
+  await shop.submit('chest 95');
+
+  // 48 is the smallest size this jacket comes in
+  await shop.choose('Close');
+  assertMessage(shop, /Size: EU 48.*Fit: Close, but EU 48 is already the smallest size available/);
+
+  await shop.choose('Size another piece');
+  await shop.choose('Jacket One');
+  await shop.choose('Use my measurements');
+  await shop.choose('Use these');
+  await shop.choose('Change fit');
+  await shop.choose('Over knitwear');
+  assertMessage(shop, /Size: EU 50.*Fit: Over knitwear, so one size up from EU 48/);
+  assert.strictEqual(shop.api.getState().sizing.categories['mens-jackets'].fit_preference, 'layering');
+}));
+
+test('product sizing: a usual size past the piece\'s range is low confidence, with no smaller alternative', withShop({}, async function (shop) {
+  var events = [];
+  shop.api.on('sizing:recommendation', function (e) { events.push(e); });
+
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  await shop.choose('Menswear');
+  await shop.choose('Jackets');
+  await shop.choose('Jacket One');
+  await shop.submit('182');
+  await shop.submit('80');
+  await shop.submit('56');
+  await shop.choose('True to size');
+
+  assertMessage(shop, /Size: EU 52.*Confidence: low — based on your usual size EU 56; EU 56 isn’t offered, so the nearest size/);
+  assert.ok(!/Between sizes/.test(shop.lastMessage()), 'EU 52 is the largest size; nothing lies toward EU 56');
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].confidence, 'low');
+  assert.deepStrictEqual(Array.from(events[0].reasons, function (r) { return r.code; }), ['anchored_on_usual', 'clamped', 'fit_preference']);
+
+
+  var adds = shop.choices().filter(function (c) { return /^Add size/.test(c); });
+  assert.strictEqual(adds.length, 1, JSON.stringify(shop.choices()));
+}));
+
+test('usual size given as a UK label or for another brand is converted', withShop({
+  config: { brandSizesUrl: '/assets/dl-copilot-brand-sizes.json' },
+  routes: { '/assets/dl-copilot-brand-sizes.json': require('../assets/dl-copilot-brand-sizes.json') }
+}, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  await shop.choose('Menswear');
+  await shop.choose('Jackets');
+  await shop.choose('Jacket One');
+  await shop.submit('182');
+  await shop.submit('80');
+  await shop.submit('UK 40R');
+  assertMessage(shop, /UK 40R.* is .*EU 50.* in our sizing/);
+  await shop.choose('True to size');
+  assertMessage(shop, /Size: EU 50/);
+
+  await shop.choose('Size another piece');
+  await shop.choose('Jacket One');
+  await shop.choose('No, enter a different size');
+  await shop.submit('50 at Ralph Lauren');
+  assertMessage(shop, /^ai: 50 at Ralph Lauren is EU 52 in our sizing/);
+}));
+
+test('product sizing: Back re-asks the body without dropping the saved one', withShop({}, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  await shop.choose('Menswear');
+  await shop.choose('Jackets');
+  await shop.choose('Jacket One');
+  await shop.submit('182');
+  await shop.submit('80');
+
+  await shop.choose('Back');
+  assertMessage(shop, /What is your height in cm\?/);
+  var saved = JSON.parse(shop.window.localStorage.getItem('dl_copilot_state_v5')).sizing;
+  assert.strictEqual(saved.height_cm, 182, 'a closed panel keeps the profile');
+  assert.strictEqual(saved.weight_kg, 80);
+
+  await shop.submit('176');
+  await shop.submit('74');
+  assert.match(shop.lastMessage(), /What is your usual EU size for Jackets\?/);
+  assert.strictEqual(shop.api.getState().sizing.height_cm, 176);
+  assert.strictEqual(shop.api.getState().sizing.weight_kg, 74);
+}));
+
+test('transcript: the usual size is exported whatever key the piece asked for', withShop({}, async function (shop) {
+  var now = Date.now();
+  shop.api.state.sizing.categories = {
+    'mens-jackets': { usual_size_eu: 50, recommended_size_eu: 50, title: 'Jackets', updated_at: now },
+    'mens-knitwear': { alpha_size: 'm', recommended_size: 'L', title: 'Knitwear', updated_at: now },
+    'mens-trousers': { waist_inch: 32, recommended_size: 'W32', title: 'Trousers', updated_at: now }
+  };
+
+  var sizes = JSON.parse(shop.api.exportTranscript('json')).sizes;
+  assert.deepStrictEqual(sizes.map(function (s) { return s.usual_size; }), ['EU 50', 'M', 'W32']);
+}));
@@ -0,0 +1,83 @@
+'use strict';
+
+// Debug inspector (assets/dl-copilot-inspector.js) and the core debug
+// trace it reads, driven through the headless storefront.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var storefront = require('./support/storefront');
+
+function withShop(opts, fn) {
+  return async function () {
+    var shop = storefront.createStorefront(opts);
+    try {
+      assert.deepStrictEqual(shop.errors, [], 'assets failed to load');
+      await shop.settle();
+      await fn(shop);
+    } finally {
+      shop.close();
+    }
+  };
+}
+
+function inspector(shop) {
+  return shop.window.document.getElementById('DLCopilotInspector');
+}
+
+function sectionText(shop, id) {
+  var node = inspector(shop).querySelector('[data-dl-copilot-inspector-section="' + id + '"]');
+  return node.textContent.replace(/\s+/g, ' ');
+}
+
+function action(shop, name) {
+  inspector(shop).querySelector('[data-dl-copilot-inspector-action="' + name + '"]').click();
+  return shop.settle();
+}
+
+test('inspector stays out of the page without DL_COPILOT_DEBUG', withShop({}, async function (shop) {
+  await shop.open();
+  assert.strictEqual(inspector(shop), null);
+  assert.strictEqual(shop.window.document.querySelector('[data-dl-copilot-inspector-tab]'), null);
+  assert.strictEqual(shop.api.debug.events().length, 0);
+}));
+
+var PRODUCTS_CACHE = {
+  dl_copilot_products_cache_v1: JSON.stringify({
+    ts: Date.now() - 90 * 1000,
+    items: { 'man-jacket': { handle: 'man-jacket', title: 'Man Jacket One', size_chart: null, size_chart_source: 'none' } }
+  })
+};
+
+test('inspector shows events, schema and caches, and replays the route', withShop({ debug: true, storage: PRODUCTS_CACHE }, async function (shop) {
+  await shop.open();
+  await shop.choose('Find my size for a product');
+  await shop.choose('Menswear');
+  await shop.choose('Jackets');
+  await shop.choose('Jacket One');
+  await shop.submit('182');
+  await shop.submit('80');
+  await shop.submit('50');
+
+  var evts = shop.api.debug.events().map(function (e) { return e.evt; });
+  assert.ok(evts.indexOf('core:ready') !== -1 && evts.indexOf('flow:route') !== -1, JSON.stringify(evts));
+  assert.strictEqual(shop.api.debug.lastSchema().source, 'size_product');
+
+  shop.window.document.querySelector('[data-dl-copilot-inspector-tab]').click();
+  assert.strictEqual(inspector(shop).hidden, false);
+  assert.ok(shop.window.document.getElementById('DLCopilotPanel').classList.contains('is-inspecting'));
+
+  assert.match(sectionText(shop, 'events'), /flow:route/);
+  assert.match(sectionText(shop, 'registry'), /size_product/);
+  assert.match(sectionText(shop, 'schema'), /Notes: \S/);
+  assert.match(sectionText(shop, 'caches'), /Products: 1 product, age 1m 3\ds/);
+
+  await action(shop, 'clear-products');
+  assert.match(sectionText(shop, 'caches'), /Products: empty/);
+
+  var before = shop.api.getState().flow.routeId;
+  await action(shop, 'replay-route');
+  assert.strictEqual(inspector(shop).hidden, true);
+  assert.strictEqual(shop.api.getState().flow.intent, 'size_product');
+  assert.notStrictEqual(shop.api.getState().flow.routeId, before);
+  assert.ok(shop.choices().indexOf('Menswear') !== -1, JSON.stringify(shop.choices()));
+}));
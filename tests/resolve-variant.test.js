@@ -0,0 +1,97 @@
+'use strict';
+
+// DLCopilotProducts.resolveVariant: recommendation → concrete variant,
+// length synonyms, availability and ranked alternatives.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var loadAssets = require('./support/assets').loadAssets;
+
+var P = loadAssets('dl-copilot-products.js').DLCopilotProducts;
+
+// Results are built in the JSDOM realm; compare plain copies.
+function plain(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+function product(options, variants) {
+  return P.normalizeProduct({
+    handle: 'piece',
+    title: 'Piece',
+    tags: [],
+    type: '',
+    options: options,
+    variants: variants.map(function (v, i) {
+      return { id: i + 1, available: v[v.length - 1], option1: v[0], option2: v.length > 2 ? v[1] : null };
+    })
+  });
+}
+
+var jacket = product(['Size', 'Length'], [
+  ['48', 'R', true],
+  ['50', 'R', true],
+  ['50', 'L', false],
+  ['52', 'L', true],
+  ['54', 'R', true]
+]);
+
+test('matches lengths through synonyms', function () {
+  var res = P.resolveVariant(jacket, { system: 'eu_numeric', size_eu: 50, length: 'standard' });
+  assert.strictEqual(res.reason, 'exact_match');
+  assert.strictEqual(res.exact.id, 2);
+  assert.deepStrictEqual(plain(res.option_index), { size: 0, length: 1 });
+  assert.strictEqual(res.requested.label, '50 · R');
+});
+
+test('reports sold out and ranks alternatives by distance', function () {
+  var res = P.resolveVariant(jacket, { size_eu: 50, length: 'long' });
+  assert.strictEqual(res.reason, 'sold_out');
+  assert.strictEqual(res.exact.id, 3);
+  assert.deepStrictEqual(plain(res.alternatives.map(function (a) { return [a.variant.id, a.reason]; })), [
+    [2, 'other_length'],
+    [4, 'size_up'],
+    [1, 'size_down_other_length']
+  ]);
+  assert.ok(res.alternatives.every(function (a) { return a.variant.available; }));
+});
+
+test('measures from where a missing size would sit', function () {
+  var res = P.resolveVariant(jacket, { size_eu: 53, length: 'regular' });
+  assert.strictEqual(res.reason, 'not_offered');
+  assert.strictEqual(res.exact, null);
+  assert.deepStrictEqual(plain(res.alternatives.slice(0, 2).map(function (a) { return [a.label, a.size_steps]; })), [
+    ['54 · R', 1],
+    ['52 · L', -1]
+  ]);
+});
+
+test('handles alpha sizes without a length option', function () {
+  var knit = product(['Taglia'], [['S', true], ['M', false], ['L', true]]);
+  var res = P.resolveVariant(knit, { alpha_size: 'm', length: 'long' });
+  assert.strictEqual(res.reason, 'sold_out');
+  assert.strictEqual(res.requested.length, null);
+  assert.deepStrictEqual(plain(res.alternatives.map(function (a) { return a.label; }).sort()), ['L', 'S']);
+});
+
+test('returns no_size when the recommendation has no size', function () {
+  var res = P.resolveVariant(jacket, { length: 'long' });
+  assert.strictEqual(res.reason, 'no_size');
+  assert.strictEqual(res.alternatives.length, 0);
+});
+
+test('splits waist/leg size values into a size and a length', function () {
+  var jeans = product(['Size'], [['30/32', true], ['32/32', true], ['32/34', true], ['W34 L32', true]]);
+
+  var res = P.resolveVariant(jeans, { waist_inch: 32 });
+  assert.strictEqual(res.reason, 'exact_match');
+  assert.strictEqual(res.exact.id, 2);
+
+  res = P.resolveVariant(jeans, { waist_inch: 32, length: 'long' });
+  assert.strictEqual(res.exact.id, 3);
+  assert.strictEqual(res.requested.length, '34');
+  assert.deepStrictEqual(plain(res.alternatives.map(function (a) { return [a.label, a.reason, a.size_steps]; })), [
+    ['32/32', 'other_length', 0],
+    ['30/32', 'size_down_other_length', -1],
+    ['W34 L32', 'size_up_other_length', 1]
+  ]);
+});
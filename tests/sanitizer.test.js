@@ -0,0 +1,93 @@
+'use strict';
+
+// Runs the XSS corpus through DLCopilotCore.utils.sanitizeHtml in JSDOM.
+// Every "unsafe" vector must come out without executable markup; every
+// "preserved" sample must survive unchanged (modulo normalisation).
+
+var test = require('node:test');
+var assert = require('node:assert');
+var loadAssets = require('./support/assets').loadAssets;
+
+var corpus = require('./xss-corpus.json');
+
+function loadCore(config) {
+  return loadAssets('dl-copilot-core.js', { config: config || {} });
+}
+
+var FORBIDDEN_TAGS = 'script, style, iframe, frame, object, embed, svg, math, meta, link, base, form, input, button, template, noscript, video, source';
+var SAFE_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+function assertInert(w, input, output) {
+  var host = w.document.createElement('div');
+  host.innerHTML = output;
+
+  assert.strictEqual(host.querySelector(FORBIDDEN_TAGS), null, 'forbidden tag left for ' + input + ' → ' + output);
+
+  Array.prototype.forEach.call(host.querySelectorAll('*'), function (el) {
+    Array.prototype.forEach.call(el.attributes, function (attr) {
+      var name = attr.name.toLowerCase();
+      assert.ok(name.indexOf('on') !== 0, 'handler ' + name + ' left for ' + input);
+
+      if (name === 'href' || name === 'src' || name === 'background') {
+        var v = attr.value.replace(/[\u0000- ]+/g, '').toLowerCase();
+        var m = /^([a-z][a-z0-9+.\-]*):/.exec(v);
+        assert.ok(!m || SAFE_SCHEMES.indexOf(m[1] + ':') !== -1, 'unsafe url ' + attr.value + ' left for ' + input);
+      }
+
+      if (name === 'style') {
+        assert.ok(!/url\s*\(|expression\s*\(/i.test(attr.value), 'unsafe style left for ' + input);
+      }
+    });
+  });
+}
+
+test('unsafe corpus is neutralised', function () {
+  var w = loadCore();
+  var sanitize = w.DLCopilotCore.utils.sanitizeHtml;
+
+  corpus.unsafe.forEach(function (input) {
+    assertInert(w, input, sanitize(input));
+  });
+});
+
+test('benign markup is preserved', function () {
+  var w = loadCore();
+  var sanitize = w.DLCopilotCore.utils.sanitizeHtml;
+
+  corpus.preserved.forEach(function (c) {
+    assert.strictEqual(sanitize(c.input), c.output);
+  });
+});
+
+test('external links get target and rel from the link policy', function () {
+  var w = loadCore();
+  var sanitize = w.DLCopilotCore.utils.sanitizeHtml;
+
+  assert.strictEqual(
+    sanitize('<a href="https://evil.test/x" rel="nofollow">x</a>'),
+    '<a href="https://evil.test/x" rel="nofollow noopener noreferrer" target="_blank">x</a>'
+  );
+  assert.strictEqual(
+    sanitize('<a href="https://shop.test/pages/contact">x</a>'),
+    '<a href="https://shop.test/pages/contact">x</a>'
+  );
+});
+
+test('allowlist is configurable per page and per call', function () {
+  var w = loadCore({
+    sanitizer: {
+      tags: { details: ['open'], summary: [], img: null },
+      urlSchemes: ['https:'],
+      links: { rel: 'noopener' }
+    }
+  });
+  var sanitize = w.DLCopilotCore.utils.sanitizeHtml;
+
+  assert.strictEqual(sanitize('<details open><summary>S</summary>x</details>'), '<details open=""><summary>S</summary>x</details>');
+  assert.strictEqual(sanitize('<img src="https://cdn.test/x.jpg">'), '');
+  assert.strictEqual(sanitize('<a href="mailto:a@b.test">m</a>'), '<a>m</a>');
+  assert.strictEqual(sanitize('<a href="https://evil.test">x</a>'), '<a href="https://evil.test" target="_blank" rel="noopener">x</a>');
+
+  assert.strictEqual(sanitize('<em>x</em>', { tags: { em: null } }), 'x');
+  assert.strictEqual(sanitize('<em>x</em>'), '<em>x</em>');
+});
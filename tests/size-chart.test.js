@@ -0,0 +1,87 @@
+'use strict';
+
+// DLCopilotProducts size chart extraction: metafield JSON and description
+// <table> size guides → { kind, system, unit: 'cm', rows: [{ size, measurements }] }.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var loadAssets = require('./support/assets').loadAssets;
+
+var P = loadAssets('dl-copilot-products.js').DLCopilotProducts;
+
+function plain(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+test('description table with sizes down the first column', function () {
+  var chart = plain(P.extractSizeChartFromHtml(
+    '<p>Tailored fit.</p>' +
+    '<table><tr><th>Size</th><th>Chest (cm)</th><th>Waist (cm)</th></tr>' +
+    '<tr><td>48</td><td>92 - 96</td><td>80-84</td></tr>' +
+    '<tr><td>50</td><td>96–100</td><td>84-88</td></tr></table>'
+  ));
+
+  assert.deepStrictEqual(chart, {
+    kind: 'body',
+    system: 'eu_numeric',
+    unit: 'cm',
+    source_unit: 'cm',
+    source: 'description',
+    covers: ['chest', 'waist'],
+    rows: [
+      { size: '48', measurements: { chest: { min: 92, max: 96 }, waist: { min: 80, max: 84 } } },
+      { size: '50', measurements: { chest: { min: 96, max: 100 }, waist: { min: 84, max: 88 } } }
+    ]
+  });
+});
+
+test('sizes across the header row, garment measurements in inches', function () {
+  var chart = plain(P.extractSizeChartFromHtml(
+    '<table><caption>Garment measurements (inches)</caption>' +
+    '<tr><th>Größe</th><th>S</th><th>M</th></tr>' +
+    '<tr><td>Brust</td><td>40</td><td>42 ½</td></tr>' +
+    '<tr><td>Ärmel</td><td>25</td><td>25,5</td></tr></table>'
+  ));
+
+  assert.strictEqual(chart.kind, 'garment');
+  assert.strictEqual(chart.system, 'alpha');
+  assert.strictEqual(chart.source_unit, 'in');
+  assert.deepStrictEqual(chart.rows[1], {
+    size: 'M',
+    measurements: { chest: { min: 108, max: 108 }, sleeve: { min: 65, max: 65 } }
+  });
+});
+
+test('tables that are not size guides are ignored', function () {
+  assert.strictEqual(P.extractSizeChartFromHtml('<table><tr><th>Care</th><th>Dry clean</th></tr><tr><td>Iron</td><td>Low</td></tr></table>'), null);
+  assert.strictEqual(P.extractSizeChartFromHtml('<table><tr><th>Size</th><th>Armhole</th><th>Leg opening</th></tr><tr><td>48</td><td>24</td><td>20</td></tr></table>'), null);
+  assert.strictEqual(P.extractSizeChartFromHtml('<p>No table here</p>'), null);
+});
+
+test('metafield JSON is normalised and preferred over the description', async function () {
+  var w = loadAssets('dl-copilot-products.js', {
+    fetch: function (url) {
+      var body = /view=dl-copilot-size-chart/.test(url)
+        ? JSON.stringify({ unit: 'in', rows: [{ size: 'W32', waist_in: '32', inseam: '32' }] })
+        : '{}';
+      return Promise.resolve({ ok: true, text: function () { return Promise.resolve(body); } });
+    }
+  });
+
+  var chart = plain(await w.DLCopilotProducts.getSizeChart('trouser', {
+    product: {
+      handle: 'trouser',
+      title: 'Trouser',
+      tags: [],
+      variants: [],
+      description: '<table><tr><th>Size</th><th>Waist</th></tr><tr><td>48</td><td>84</td></tr></table>'
+    }
+  }));
+
+  assert.strictEqual(chart.source, 'metafield');
+  assert.strictEqual(chart.system, 'waist_inch');
+  assert.deepStrictEqual(chart.rows[0].measurements, { waist: { min: 81.5, max: 81.5 }, inseam: { min: 81.5, max: 81.5 } });
+
+  var cached = JSON.parse(w.localStorage.getItem('dl_copilot_products_cache_v1')).items.trouser;
+  assert.strictEqual(cached.size_chart_source, 'metafield');
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+// DLCopilotSizing.parseUserInput with labelled sizes: IT/FR/UK/US/JP and
+// brand sizes converted to the schema's system (see SIZE CONVERSION).
+
+var test = require('node:test');
+var assert = require('node:assert');
+var loadAssets = require('./support/assets').loadAssets;
+
+var S = loadAssets('dl-copilot-sizing.js').DLCopilotSizing;
+var WOMENS = S.schemaForGeneral('womens-jackets', 'female');
+var MENS = S.schemaForGeneral('mens-jackets', 'male');
+
+function usual(text, schema) {
+  var out = S.parseUserInput(text, schema);
+  return { size: out.usual_size_eu, from: out.converted ? out.converted.from.country : null };
+}
+
+test('country labels convert to EU', function () {
+  assert.deepStrictEqual(usual('IT 42', WOMENS), { size: 38, from: 'it' });
+  assert.deepStrictEqual(usual('US 8', WOMENS), { size: 38, from: 'us' });
+  assert.deepStrictEqual(usual('UK 40R', MENS), { size: 50, from: 'uk' });
+  assert.deepStrictEqual(usual('jp 3', MENS), { size: 50, from: 'jp' });
+});
+
+test('"it" and "us" as English words are not country labels', function () {
+  assert.deepStrictEqual(usual('it\'s 42', WOMENS), { size: 42, from: null });
+  assert.deepStrictEqual(usual('it 42', WOMENS), { size: 38, from: 'it' }, 'a bare label still counts');
+  assert.deepStrictEqual(usual('I\'d like it in 42, US 8 usually', WOMENS), { size: 38, from: 'us' });
+});
+
+test('a lone letter is a usual size only on its own, after "size" or by a brand', function () {
+  assert.deepStrictEqual(usual('m', MENS), { size: 48, from: null });
+  assert.deepStrictEqual(usual('size m', MENS), { size: 48, from: null });
+  assert.deepStrictEqual(usual('182 cm, 80 kg, m', MENS), { size: null, from: null });
+  assert.strictEqual(S.parseUserInput('182 cm, 80 kg, m', MENS).converted, null);
+});
+
+test('the length in "UK 40L" reaches the recommendation', function () {
+  var out = S.parseUserInput('UK 40L', MENS);
+  assert.strictEqual(out.length, 'long');
+
+  // 170 cm alone would give a standard length
+  var user = { height_cm: 170, weight_kg: 70, usual_size_eu: out.usual_size_eu, length: out.length };
+  assert.strictEqual(S.recommend(MENS, user).length, 'long');
+  assert.strictEqual(S.recommendForProduct({ user: user, gender: 'male' }).length, 'long');
+  assert.strictEqual(S.recommend(MENS, { height_cm: 170, weight_kg: 70, usual_size_eu: 50 }).length, 'standard');
+});
+
+test('brand offsets apply once loaded', function () {
+  S.setBrandOffsets(require('../assets/dl-copilot-brand-sizes.json'));
+
+  var out = S.parseUserInput('182, 80 kg, 50 at Zara', MENS);
+  assert.strictEqual(out.height_cm, 182);
+  assert.strictEqual(out.weight_kg, 80);
+  assert.strictEqual(out.usual_size_eu, 48);
+  assert.strictEqual(out.converted.from.brand_name, 'Zara');
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+// Bare JSDOM window with single assets evaluated in it, for unit tests of a
+// module's exports. No section markup and no mocked backend: for whole
+// flows use support/storefront.js.
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {string|string[]} files  asset file names, loaded in order
+ * @param {object} [opts]
+ * @param {object} [opts.config]   window.DLCopilotConfig
+ * @param {function} [opts.fetch]  window.fetch
+ * @returns {Window}
+ */
+function loadAssets(files, opts) {
+  opts = opts || {};
+
+  var dom = new JSDOM('<!doctype html><html><body></body></html>', {
+    url: 'https://shop.test/',
+    runScripts: 'outside-only'
+  });
+  var w = dom.window;
+  if (opts.config) w.DLCopilotConfig = opts.config;
+  if (opts.fetch) w.fetch = opts.fetch;
+
+  [].concat(files).forEach(function (file) {
+    w.eval(fs.readFileSync(path.join(ROOT, 'assets', file), 'utf8') + '\n//# sourceURL=' + file);
+  });
+  return w;
+}
+
+module.exports = {
+  loadAssets: loadAssets
+};
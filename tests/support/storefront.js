@@ -0,0 +1,213 @@
+'use strict';
+
+// Headless storefront for end-to-end flow tests.
+//
+// Renders the markup of sections/dl-copilot.liquid into JSDOM, loads the
+// real assets in the order the section lists them, and answers fetch()
+// from a mocked Shopify backend (tests/fixtures). Tests then drive the
+// copilot the way a customer does: clicking pills and sending input.
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var ROOT = path.join(__dirname, '..', '..');
+var FIXTURES = path.join(__dirname, '..', 'fixtures');
+var SECTION = path.join(ROOT, 'sections', 'dl-copilot.liquid');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// Liquid → static HTML: drop the schema, comments, tags and outputs. Inline
+// scripts stay inert (runScripts: 'outside-only'); config is passed in.
+function sectionMarkup() {
+  return fs.readFileSync(SECTION, 'utf8')
+    .replace(/{%-?\s*schema\s*-?%}[\s\S]*?{%-?\s*endschema\s*-?%}/, '')
+    .replace(/{%-?\s*comment\s*-?%}[\s\S]*?{%-?\s*endcomment\s*-?%}/g, '')
+    .replace(/{%[\s\S]*?%}/g, '')
+    .replace(/{{[\s\S]*?}}/g, '')
+    .replace(/<script\b[^>]*\bsrc=[^>]*><\/script>/g, '');
+}
+
+// Asset files in the order the section loads them.
+function sectionAssets() {
+  var liquid = fs.readFileSync(SECTION, 'utf8');
+  var re = /<script\s+src="{{\s*'([^']+\.js)'\s*\|\s*asset_url\s*}}"/g;
+  var out = [];
+  var m;
+  while ((m = re.exec(liquid))) out.push(m[1]);
+  return out;
+}
+
+function defaultRoutes() {
+  var routes = JSON.parse(readFixture('shop.json'));
+
+  routes['/blogs/journal.atom'] = readFixture('journal.atom');
+  routes['/blogs/journal/autumn-edit'] = readFixture('autumn-edit.html');
+
+  routes['POST /cart/add.js'] = function (req) {
+    var body = JSON.parse(req.body || '{}');
+    return { items: body.items || [] };
+  };
+
+  return routes;
+}
+
+// Route values: object → JSON, string → text, function(req) → either of
+// those or { status, body }. Keys are "path?query", optionally prefixed
+// with the method ("POST /cart/add.js"). Anything else is a 404.
+function createBackend(window, routes, requests) {
+  function respond(status, body) {
+    var text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+      ok: status >= 200 && status < 300,
+      status: status,
+      json: function () {
+        try { return Promise.resolve(JSON.parse(text)); } catch (e) { return Promise.reject(e); }
+      },
+      text: function () { return Promise.resolve(text); }
+    };
+  }
+
+  return function fetch(input, init) {
+    init = init || {};
+    var url = new window.URL(String(input), window.location.href);
+    var key = url.pathname + url.search;
+    var method = String(init.method || 'GET').toUpperCase();
+    var req = { method: method, url: key, body: init.body || null };
+
+    requests.push(req);
+
+    var route = routes[method + ' ' + key];
+    if (route === undefined && method === 'GET') route = routes[key];
+    if (route === undefined) return Promise.resolve(respond(404, { status: 404 }));
+
+    var value = typeof route === 'function' ? route(req) : route;
+    if (value && typeof value === 'object' && typeof value.status === 'number' && 'body' in value) {
+      return Promise.resolve(respond(value.status, value.body));
+    }
+    return Promise.resolve(respond(200, value));
+  };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.url]      page URL (default https://shop.test/)
+ * @param {object} [opts.config]   merged into window.DLCopilotConfig
+ * @param {object} [opts.routes]   extra/overriding backend routes
+ * @param {object} [opts.storage]  localStorage seed
+ * @param {boolean} [opts.debug]   sets window.DL_COPILOT_DEBUG
+ */
+function createStorefront(opts) {
+  opts = opts || {};
+
+  var dom = new JSDOM('<!doctype html><html><body>' + sectionMarkup() + '</body></html>', {
+    url: opts.url || 'https://shop.test/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  var w = dom.window;
+  var requests = [];
+  var errors = [];
+
+  var routes = defaultRoutes();
+  Object.keys(opts.routes || {}).forEach(function (k) { routes[k] = opts.routes[k]; });
+
+  Object.keys(opts.storage || {}).forEach(function (k) { w.localStorage.setItem(k, opts.storage[k]); });
+
+  if (opts.debug) w.DL_COPILOT_DEBUG = true;
+  w.DLCopilotConfig = Object.assign({ locale: 'en', contactPageUrl: '/pages/contact' }, opts.config || {});
+  w.fetch = createBackend(w, routes, requests);
+  w.addEventListener('error', function (e) { errors.push(e.error || e.message); });
+
+  // Deferred scripts run in order, then DOMContentLoaded boots core.
+  sectionAssets().forEach(function (file) {
+    try {
+      w.eval(fs.readFileSync(path.join(ROOT, 'assets', file), 'utf8') + '\n//# sourceURL=' + file);
+    } catch (e) {
+      errors.push(new Error(file + ': ' + (e && e.message)));
+    }
+  });
+  w.document.dispatchEvent(new w.Event('DOMContentLoaded'));
+
+  function body() {
+    return w.document.getElementById('DLCopilotBody');
+  }
+
+  function choiceButtons() {
+    return Array.prototype.slice.call(body().querySelectorAll('.dl-copilot-pill, .dl-copilot-card'));
+  }
+
+  var shop = {
+    window: w,
+    api: w.DLCopilot,
+    requests: requests,
+    errors: errors,
+
+    // Lets pending fetches and the renders chained on them finish.
+    settle: function (turns) {
+      var n = turns || 25;
+      return new Promise(function (resolve) {
+        (function next() {
+          if (n-- <= 0) return resolve();
+          setTimeout(next, 0);
+        })();
+      });
+    },
+
+    open: function () {
+      w.DLCopilot.open();
+      return shop.settle();
+    },
+
+    messages: function () {
+      return Array.prototype.slice.call(body().querySelectorAll('.dl-copilot-msg')).map(function (el) {
+        return (el.classList.contains('dl-copilot-msg--user') ? 'user: ' : 'ai: ') + el.textContent.replace(/\s+/g, ' ').trim();
+      });
+    },
+
+    lastMessage: function () {
+      var all = shop.messages();
+      return all[all.length - 1] || '';
+    },
+
+    choices: function () {
+      return choiceButtons().map(function (el) { return el.textContent.replace(/\s+/g, ' ').trim(); });
+    },
+
+    choose: function (label) {
+      var match = choiceButtons().filter(function (el) {
+        var text = el.textContent.replace(/\s+/g, ' ').trim();
+        return label instanceof RegExp ? label.test(text) : text === label;
+      })[0];
+      if (!match) throw new Error('No choice ' + label + ' in ' + JSON.stringify(shop.choices()));
+      match.click();
+      return shop.settle();
+    },
+
+    submit: function (text) {
+      var input = w.document.getElementById('DLCopilotInput');
+      var send = w.document.getElementById('DLCopilotSend');
+      if (send.disabled) throw new Error('Input is locked: ' + input.placeholder);
+      input.value = text;
+      send.click();
+      return shop.settle();
+    },
+
+    requested: function (url, method) {
+      return requests.filter(function (r) { return r.url === url && (!method || r.method === method); });
+    },
+
+    close: function () {
+      w.close();
+    }
+  };
+
+  return shop;
+}
+
+module.exports = {
+  createStorefront: createStorefront,
+  sectionAssets: sectionAssets
+};
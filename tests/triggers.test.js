@@ -0,0 +1,132 @@
+'use strict';
+
+// Proactive triggers (assets/dl-copilot-triggers.js): signals, frequency
+// caps and their merge across tabs, driven through the headless storefront.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var storefront = require('./support/storefront');
+
+var STATE_KEY = 'dl_copilot_state_v5';
+
+function withShop(opts, fn) {
+  return async function () {
+    var shop = storefront.createStorefront(opts);
+    try {
+      assert.deepStrictEqual(shop.errors, [], 'assets failed to load');
+      await shop.settle();
+      await fn(shop);
+    } finally {
+      shop.close();
+    }
+  };
+}
+
+// localStorage seed: the state a first visit saved, edited by `edit`.
+function savedState(edit) {
+  var shop = storefront.createStorefront({});
+  try {
+    edit(shop.api.state);
+    shop.api.persist();
+    var seed = {};
+    seed[STATE_KEY] = shop.window.localStorage.getItem(STATE_KEY);
+    return seed;
+  } finally {
+    shop.close();
+  }
+}
+
+function nudgeText(shop) {
+  var nudge = shop.window.document.getElementById('DLCopilotNudge');
+  return nudge.hidden ? null : nudge.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function caps(shop) {
+  return shop.api.state.modules.triggers.caps;
+}
+
+function wait(ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+function changeSize(shop, select, value) {
+  select.value = value;
+  select.dispatchEvent(new shop.window.Event('change', { bubbles: true }));
+}
+
+test('product_time nudges once the threshold of visible seconds is reached', withShop({
+  url: 'https://shop.test/products/man-jacket',
+  config: { triggers: [{ id: 'dwell', event: 'product_time', threshold: 1 }] }
+}, async function (shop) {
+  assert.strictEqual(nudgeText(shop), null);
+
+  await wait(1200);
+  assert.match(nudgeText(shop), /Not sure about the fit\?/);
+  assert.strictEqual(caps(shop).dwell.shows, 1);
+}));
+
+test('size_changes counts distinct picks in the size selector only', withShop({
+  url: 'https://shop.test/products/man-jacket',
+  config: { triggers: [{ id: 'flip', event: 'size_changes', threshold: 2 }] }
+}, async function (shop) {
+  var doc = shop.window.document;
+  doc.body.insertAdjacentHTML('beforeend',
+    '<select name="options[Colour]"><option>Navy</option><option>Grey</option></select>' +
+    '<select name="options[Size]"><option>48</option><option>50</option></select>');
+  var selects = doc.querySelectorAll('select');
+
+  changeSize(shop, selects[0], 'Grey');
+  changeSize(shop, selects[1], '50');
+  changeSize(shop, selects[1], '50');
+  assert.strictEqual(nudgeText(shop), null);
+
+  changeSize(shop, selects[1], '48');
+  assert.match(nudgeText(shop), /Between two sizes\?/);
+}));
+
+test('caps: maxShows holds across visits and merges in the other tab\'s shows', withShop({
+  url: 'https://shop.test/products/man-jacket',
+  config: { triggers: [{ id: 'flip', event: 'size_changes', threshold: 1, maxShows: 2, cooldownHours: 0 }] },
+  storage: savedState(function (state) {
+    state.modules.triggers = { caps: { flip: { shows: 1, last_at: 1000 } }, last_seen_at: Date.now() };
+  })
+}, async function (shop) {
+  var w = shop.window;
+
+  // Another tab shows the nudge a second time and saves.
+  var remote = JSON.parse(w.localStorage.getItem(STATE_KEY));
+  remote.modules.triggers.caps.flip = { shows: 2, last_at: 5000 };
+  w.dispatchEvent(new w.StorageEvent('storage', { key: STATE_KEY, newValue: JSON.stringify(remote) }));
+
+  assert.deepStrictEqual(Object.assign({}, caps(shop).flip), { shows: 2, last_at: 5000 });
+
+  w.document.body.insertAdjacentHTML('beforeend', '<select name="options[Size]"><option>48</option><option>50</option></select>');
+  changeSize(shop, w.document.querySelector('select[name="options[Size]"]'), '50');
+  assert.strictEqual(nudgeText(shop), null, 'maxShows reached in the other tab');
+
+  shop.api.persist();
+  assert.strictEqual(JSON.parse(w.localStorage.getItem(STATE_KEY)).modules.triggers.caps.flip.shows, 2);
+}));
+
+var TWO_HOURS = 2 * 60 * 60 * 1000;
+
+test('return_incomplete welcomes back a visitor who started sizing', withShop({
+  config: { triggers: [{ event: 'return_incomplete' }] },
+  storage: savedState(function (state) {
+    state.sizing.height_cm = 182;
+    state.modules.triggers = { caps: {}, last_seen_at: Date.now() - TWO_HOURS };
+  })
+}, async function (shop) {
+  assert.match(nudgeText(shop), /Welcome back\. Shall we finish finding your size\?/);
+}));
+
+test('return_incomplete stays quiet once global sizing saved a recommendation', withShop({
+  config: { triggers: [{ event: 'return_incomplete' }] },
+  storage: savedState(function (state) {
+    state.sizing.height_cm = 182;
+    state.sizing.categories['mens-jackets'] = { usual_size_eu: 50, recommended_size_eu: 50, updated_at: Date.now() };
+    state.modules.triggers = { caps: {}, last_seen_at: Date.now() - TWO_HOURS };
+  })
+}, async function (shop) {
+  assert.strictEqual(nudgeText(shop), null);
+}));